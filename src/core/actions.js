@@ -3,8 +3,50 @@
  * These are pure functions that take state and return new state
  */
 
-import { DEFAULT_CLIP_COLOR, DEFAULT_SPEED, MIN_CLIP_SPEED, MAX_CLIP_SPEED } from './constants.js';
+import {
+  DEFAULT_CLIP_COLOR,
+  DEFAULT_CLIP_TRANSFORM,
+  DEFAULT_SPEED,
+  DEFAULT_TRANSITION_DURATION,
+  MIN_CLIP_SPEED,
+  MAX_CLIP_SPEED,
+  MIN_TRANSITION_DURATION,
+  MAX_TRANSITION_DURATION,
+  MIN_STILL_DURATION,
+  MAX_STILL_DURATION,
+  MIN_FREEZE_DURATION,
+  MAX_FREEZE_DURATION,
+  FREEZE_AUDIO_MODES,
+  MIN_STUTTER_LENGTH,
+  MAX_STUTTER_REPEATS,
+  MIN_CLIP_PITCH,
+  MAX_CLIP_PITCH,
+  PLAY_MODES,
+  DEFAULT_CLIP_LOOPS,
+  MAX_CLIP_LOOPS,
+  TRANSITION_TYPES,
+  MAX_AUDIO_EFFECTS,
+  MAX_VIDEO_EFFECTS,
+  BLEND_MODES,
+} from './constants.js';
+import {
+  getClipPassCount,
+  getClipSourceRange,
+  getRampSourceOffset,
+  getSpeedRampAverage,
+  hasSpeedRamp,
+  isFreezeFrameClip,
+  mapClipTimeToSourceTime,
+  sliceSpeedRamp,
+} from '../utils/clipTiming.js';
+import { getAudioEffectType, resolveAudioEffectParams } from '../utils/audioEffects.js';
+import { getVideoEffectType, resolveVideoEffectParams } from '../utils/videoEffects.js';
+import { resolveClipChromaKey } from '../utils/compositing.js';
 import { createId } from '../utils/id.js';
+import { shiftKeyframes } from '../utils/keyframes.js';
+import { resolveSequenceSettings } from '../utils/sequence.js';
+import { getTextClipName } from '../utils/text.js';
+import { resolveClipCrop } from '../utils/transform.js';
 
 /**
  * Add a new clip to the timeline
@@ -17,15 +59,22 @@ export function addClip(clip) {
       id: clip.id || createId(),
       name: clip.name,
       mediaId: clip.mediaId,
+      type: clip.type === 'text' ? 'text' : undefined,
+      text: clip.text ? { ...clip.text } : undefined,
       trackId: clip.trackId,
       start: clip.start,
       duration: clip.duration,
       trimStart: clip.trimStart || 0,
       color: clip.color || DEFAULT_CLIP_COLOR,
-      transform: clip.transform,
+      transform: clip.transform ? { ...clip.transform } : undefined,
+      crop: clip.crop ? { ...clip.crop } : undefined,
+      opacity: clip.opacity,
       waveformData: clip.waveformData,
       reversed: clip.reversed || false,
+      playMode: clip.playMode,
+      loopCount: clip.loopCount,
       speed: clip.speed || DEFAULT_SPEED,
+      speedRamp: clip.speedRamp ? clip.speedRamp.map(point => ({ ...point })) : undefined,
       volume: clip.volume,
       muted: Boolean(clip.muted),
       visible: clip.visible !== undefined
@@ -33,6 +82,17 @@ export function addClip(clip) {
         : (clip.videoMuted !== undefined ? !clip.videoMuted : true),
       videoFilters: clip.videoFilters ? { ...clip.videoFilters } : undefined,
       audioFilters: clip.audioFilters ? { ...clip.audioFilters } : undefined,
+      videoEffects: clip.videoEffects
+        ? clip.videoEffects.map(effect => ({ ...effect, params: { ...effect.params } }))
+        : undefined,
+      audioEffects: clip.audioEffects
+        ? clip.audioEffects.map(effect => ({ ...effect, params: { ...effect.params } }))
+        : undefined,
+      keyframes: shiftKeyframes(clip.keyframes, 0),
+      chromaKey: clip.chromaKey ? { ...clip.chromaKey } : undefined,
+      blendMode: clip.blendMode,
+      transitionOut: clip.transitionOut ? { ...clip.transitionOut } : undefined,
+      freezeFrame: clip.freezeFrame ? { ...clip.freezeFrame } : undefined,
     });
     return state;
   };
@@ -89,21 +149,44 @@ export function splitClip(clipId, splitTime) {
     if (clipIndex === -1) return state;
 
     const originalClip = state.clips[clipIndex];
+    // A ping-pong or looped clip replays one window, so no single cut splits it in two.
+    if (getClipPassCount(originalClip) > 1) return state;
+    // Trim points are source time, so the cut is scaled by speed. A reversed clip plays the end
+    // of its source first, and both halves of a freeze frame hold the same frame.
+    const trimStart = originalClip.trimStart || 0;
+    const speed = isFreezeFrameClip(originalClip) ? 0 : (originalClip.speed || DEFAULT_SPEED);
+    const ramped = hasSpeedRamp(originalClip);
+    const firstSourceLength = ramped ? getRampSourceOffset(originalClip, splitTime) : splitTime * speed;
+    const secondSourceLength = ramped
+      ? getClipSourceRange(originalClip).sourceLength - firstSourceLength
+      : (originalClip.duration - splitTime) * speed;
 
     // Create two new clips from the split
     const clip1 = {
       ...originalClip,
       id: createId(),
       duration: splitTime,
+      trimStart: originalClip.reversed ? trimStart + secondSourceLength : trimStart,
     };
+    // The outgoing transition stays with the clip that still ends at the original cut.
+    delete clip1.transitionOut;
 
     const clip2 = {
       ...originalClip,
       id: createId(),
       start: originalClip.start + splitTime,
-      trimStart: originalClip.trimStart + splitTime,
+      trimStart: originalClip.reversed ? trimStart : trimStart + firstSourceLength,
       duration: originalClip.duration - splitTime,
+      // Keyframe times are clip-relative; re-base so the curve carries on across the cut.
+      keyframes: shiftKeyframes(originalClip.keyframes, -splitTime),
     };
+    if (ramped) {
+      // Each half keeps its stretch of the speed curve, averaged afresh.
+      clip1.speedRamp = sliceSpeedRamp(originalClip, 0, splitTime);
+      clip1.speed = getSpeedRampAverage(clip1.speedRamp);
+      clip2.speedRamp = sliceSpeedRamp(originalClip, splitTime, originalClip.duration);
+      clip2.speed = getSpeedRampAverage(clip2.speedRamp);
+    }
 
     // Remove original and add the two new clips
     state.clips.splice(clipIndex, 1, clip1, clip2);
@@ -112,6 +195,132 @@ export function splitClip(clipId, splitTime) {
   };
 }
 
+/**
+ * Split a clip and insert a freeze frame of the source frame at the split point.
+ * Later clips on the same track move right to make room for it.
+ * @param {string} clipId
+ * @param {number} splitTime - Time in ms from clip start
+ * @param {number} duration - Freeze frame length (ms)
+ * @param {'silent'|'sustain'} audio - What the freeze frame plays
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function insertFreezeFrame(clipId, splitTime, duration, audio) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || getClipPassCount(clip) > 1 || splitTime < 0 || splitTime >= clip.duration) return state;
+
+    const freezeStart = clip.start + splitTime;
+    const freezeDuration = Math.max(MIN_FREEZE_DURATION, Math.min(MAX_FREEZE_DURATION, duration));
+    const freezeClip = {
+      ...clip,
+      id: createId(),
+      start: freezeStart,
+      duration: freezeDuration,
+      trimStart: mapClipTimeToSourceTime(clip, freezeStart),
+      speed: DEFAULT_SPEED,
+      reversed: false,
+      freezeFrame: {
+        audio: FREEZE_AUDIO_MODES.some(mode => mode.id === audio) ? audio : FREEZE_AUDIO_MODES[0].id,
+      },
+    };
+    delete freezeClip.keyframes;
+    delete freezeClip.transitionOut;
+    delete freezeClip.speedRamp;
+
+    if (splitTime > 0) {
+      splitClip(clipId, splitTime)(state);
+    }
+    state.clips.forEach((item) => {
+      if (item.trackId === clip.trackId && item.start >= freezeStart) {
+        item.start += freezeDuration;
+      }
+    });
+    state.clips.push(freezeClip);
+    state.selectedClipId = freezeClip.id;
+    state.selectedClipIds = [freezeClip.id];
+    return state;
+  };
+}
+
+/**
+ * Repeat a slice of a clip, YTP stutter style. The slice plays `repeats` times in a row and the
+ * rest of the clip follows; later clips on the same track move right to make room.
+ * Repeats can alternate direction and ramp pitch or speed from one repeat to the next.
+ * @param {string} clipId
+ * @param {number} sliceStart - Slice start in ms from clip start
+ * @param {{length: number, repeats: number, pingPong: boolean, ramp: 'none'|'pitch'|'speed', pitchStep: number, speedStep: number}} options
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function stutterClip(clipId, sliceStart, options) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || isFreezeFrameClip(clip) || getClipPassCount(clip) > 1 || sliceStart < 0 || sliceStart >= clip.duration) return state;
+    const length = Math.min(clip.duration - sliceStart, Math.max(MIN_STUTTER_LENGTH, options.length));
+    const repeats = Math.max(1, Math.min(MAX_STUTTER_REPEATS, Math.round(options.repeats)));
+
+    // Cut the slice out so it and the rest of the clip are clips of their own.
+    let sliceIndex = state.clips.indexOf(clip);
+    if (sliceStart > 0) {
+      splitClip(clip.id, sliceStart)(state);
+      sliceIndex += 1;
+    }
+    if (state.clips[sliceIndex].duration > length) {
+      splitClip(state.clips[sliceIndex].id, length)(state);
+    }
+    const slice = state.clips[sliceIndex];
+    const sliceEnd = slice.start + slice.duration;
+    const baseSpeed = slice.speed || DEFAULT_SPEED;
+    const basePitch = slice.audioFilters && slice.audioFilters.pitch !== undefined
+      ? slice.audioFilters.pitch
+      : state.defaultFilters.audio.pitch;
+    const sourceLength = slice.duration * baseSpeed;
+    const transitionOut = slice.transitionOut;
+    delete slice.transitionOut;
+
+    const copies = [];
+    let start = sliceEnd;
+    for (let index = 1; index < repeats; index += 1) {
+      const speed = options.ramp === 'speed'
+        ? Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, baseSpeed * Math.pow(options.speedStep, index)))
+        : baseSpeed;
+      const copy = {
+        ...slice,
+        id: createId(),
+        start,
+        speed,
+        duration: sourceLength / speed,
+        reversed: options.pingPong && index % 2 === 1 ? !slice.reversed : Boolean(slice.reversed),
+      };
+      if (hasSpeedRamp(copy)) {
+        rescaleSpeedRamp(copy, baseSpeed);
+        copy.duration = sourceLength / copy.speed;
+      }
+      if (options.ramp === 'pitch') {
+        copy.audioFilters = {
+          ...(slice.audioFilters || {}),
+          pitch: Math.max(MIN_CLIP_PITCH, Math.min(MAX_CLIP_PITCH, basePitch + options.pitchStep * index)),
+        };
+      }
+      copies.push(copy);
+      start += copy.duration;
+    }
+
+    // The clip after the cut keeps its place right after the last repeat.
+    const added = start - sliceEnd;
+    state.clips.forEach((item) => {
+      if (item.trackId === slice.trackId && item.start >= sliceEnd) {
+        item.start += added;
+      }
+    });
+    copies.forEach(copy => addClip(copy)(state));
+    const last = copies.length > 0 ? state.clips[state.clips.length - 1] : slice;
+    if (transitionOut) last.transitionOut = transitionOut;
+    state.selectedClipId = slice.id;
+    state.selectedClipIds = [slice.id, ...copies.map(copy => copy.id)];
+    return state;
+  };
+}
+
 /**
  * Select a clip
  * @param {string|null} clipId
@@ -223,6 +432,32 @@ export function setSnappingEnabled(enabled) {
   };
 }
 
+/**
+ * Set the length of new still image clips
+ * @param {number} duration - Duration (ms)
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setStillDuration(duration) {
+  return (state) => {
+    state.stillDuration = Math.max(MIN_STILL_DURATION, Math.min(MAX_STILL_DURATION, duration));
+    return state;
+  };
+}
+
+/**
+ * Set the length and audio of newly inserted freeze frames
+ * @param {{duration?: number, audio?: 'silent'|'sustain'}} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateFreezeFrameDefaults(updates) {
+  return (state) => {
+    const next = { ...state.freezeFrameDefaults, ...updates };
+    next.duration = Math.max(MIN_FREEZE_DURATION, Math.min(MAX_FREEZE_DURATION, next.duration));
+    state.freezeFrameDefaults = next;
+    return state;
+  };
+}
+
 /**
  * Set playing state
  * @param {boolean} isPlaying
@@ -290,6 +525,19 @@ export function updateExportSettings(updates) {
   };
 }
 
+/**
+ * Update the project's sequence settings
+ * @param {Partial<import('./types.js').SequenceSettings>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateSequenceSettings(updates) {
+  return (state) => {
+    // Resolving again keeps the merged values even-sized and in range.
+    state.sequence = resolveSequenceSettings({ sequence: { ...resolveSequenceSettings(state), ...updates } });
+    return state;
+  };
+}
+
 /**
  * Update global default filters
  * @param {'video'|'audio'} section
@@ -363,6 +611,321 @@ export function updateClipAudioFilters(clipId, updates) {
   };
 }
 
+/**
+ * Update a clip's position/scale/rotation, dropping the transform once it is back to identity
+ * @param {string} clipId
+ * @param {Partial<import('./types.js').ClipTransform>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateClipTransform(clipId, updates) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip) return state;
+    const transform = { ...DEFAULT_CLIP_TRANSFORM, ...(clip.transform || {}), ...(updates || {}) };
+    const isIdentity = Object.keys(DEFAULT_CLIP_TRANSFORM)
+      .every(key => transform[key] === DEFAULT_CLIP_TRANSFORM[key]);
+    if (isIdentity) {
+      delete clip.transform;
+    } else {
+      clip.transform = transform;
+    }
+    return state;
+  };
+}
+
+/**
+ * Reset a clip to the default, letterboxed placement
+ * @param {string} clipId
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function clearClipTransform(clipId) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (clip && clip.transform) {
+      delete clip.transform;
+    }
+    return state;
+  };
+}
+
+/**
+ * Crop a clip's source; sides are source pixels and a crop of nothing is dropped
+ * @param {string} clipId
+ * @param {Partial<import('./types.js').ClipCrop>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateClipCrop(clipId, updates) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || clip.type === 'text') return state;
+    const media = state.mediaLibrary.find(m => m.id === clip.mediaId);
+    const crop = resolveClipCrop(
+      { crop: { top: 0, right: 0, bottom: 0, left: 0, ...(clip.crop || {}), ...(updates || {}) } },
+      media ? media.width : undefined,
+      media ? media.height : undefined
+    );
+    if (crop) {
+      clip.crop = crop;
+    } else {
+      delete clip.crop;
+    }
+    return state;
+  };
+}
+
+/**
+ * Remove a clip's crop
+ * @param {string} clipId
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function clearClipCrop(clipId) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (clip && clip.crop) {
+      delete clip.crop;
+    }
+    return state;
+  };
+}
+
+/**
+ * Set a clip's opacity; fully opaque drops the setting
+ * @param {string} clipId
+ * @param {number} opacity - 0 to 1
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipOpacity(clipId, opacity) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    const value = Number(opacity);
+    if (!clip || clip.type === 'text' || !Number.isFinite(value)) return state;
+    const clamped = Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+    if (clamped === 1) {
+      delete clip.opacity;
+    } else {
+      clip.opacity = clamped;
+    }
+    return state;
+  };
+}
+
+/**
+ * Update a text clip's content or style. A name that still mirrors the old text follows the new one.
+ * @param {string} clipId
+ * @param {Partial<import('./types.js').ClipText>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateClipText(clipId, updates) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || clip.type !== 'text') return state;
+    const previous = clip.text || {};
+    clip.text = { ...previous, ...(updates || {}) };
+    if (
+      updates &&
+      updates.content !== undefined &&
+      clip.name === getTextClipName(previous.content)
+    ) {
+      clip.name = getTextClipName(clip.text.content);
+    }
+    return state;
+  };
+}
+
+/**
+ * Set the transition from a clip into the clip that abuts it on the same track
+ * @param {string} clipId
+ * @param {Partial<import('./types.js').ClipTransition>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipTransition(clipId, updates) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip) return state;
+    const transition = {
+      type: TRANSITION_TYPES[0].id,
+      duration: DEFAULT_TRANSITION_DURATION,
+      ...(clip.transitionOut || {}),
+      ...(updates || {}),
+    };
+    if (!TRANSITION_TYPES.some(type => type.id === transition.type)) {
+      transition.type = TRANSITION_TYPES[0].id;
+    }
+    const duration = Number(transition.duration);
+    transition.duration = Number.isFinite(duration)
+      ? Math.max(MIN_TRANSITION_DURATION, Math.min(MAX_TRANSITION_DURATION, Math.round(duration)))
+      : DEFAULT_TRANSITION_DURATION;
+    clip.transitionOut = transition;
+    return state;
+  };
+}
+
+/**
+ * Remove a clip's outgoing transition, leaving a hard cut
+ * @param {string} clipId
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function clearClipTransition(clipId) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (clip && clip.transitionOut) {
+      delete clip.transitionOut;
+    }
+    return state;
+  };
+}
+
+/**
+ * Key a color out of a clip, or change its key; unset fields keep their current or default values
+ * @param {string} clipId
+ * @param {Partial<import('./types.js').ClipChromaKey>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipChromaKey(clipId, updates) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || clip.type === 'text') return state;
+    clip.chromaKey = resolveClipChromaKey({ chromaKey: { ...(clip.chromaKey || {}), ...(updates || {}) } });
+    return state;
+  };
+}
+
+/**
+ * Stop keying a clip
+ * @param {string} clipId
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function clearClipChromaKey(clipId) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (clip && clip.chromaKey) {
+      delete clip.chromaKey;
+    }
+    return state;
+  };
+}
+
+/**
+ * Set how a clip combines with the tracks below it
+ * @param {string} clipId
+ * @param {string} mode - A BLEND_MODES id; 'normal' drops the setting
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipBlendMode(clipId, mode) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || clip.type === 'text' || !BLEND_MODES.some(item => item.id === mode)) return state;
+    if (mode === BLEND_MODES[0].id) {
+      delete clip.blendMode;
+    } else {
+      clip.blendMode = mode;
+    }
+    return state;
+  };
+}
+
+/**
+ * Add a keyframe, replacing any keyframe of the property at the same time
+ * @param {string} clipId
+ * @param {string} property - e.g. 'video.brightness'
+ * @param {import('./types.js').Keyframe} keyframe
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipKeyframe(clipId, property, keyframe) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip) return state;
+    const time = Math.round(keyframe.time);
+    const existing = clip.keyframes && clip.keyframes[property] ? clip.keyframes[property] : [];
+    const previous = existing.find(item => Math.abs(item.time - time) < 1);
+    const next = existing.filter(item => item !== previous);
+    next.push({
+      time,
+      value: keyframe.value,
+      easing: keyframe.easing || (previous ? previous.easing : 'linear'),
+    });
+    next.sort((a, b) => a.time - b.time);
+    clip.keyframes = { ...(clip.keyframes || {}), [property]: next };
+    return state;
+  };
+}
+
+/**
+ * Edit one keyframe of a property
+ * @param {string} clipId
+ * @param {string} property
+ * @param {number} index - Position in the time-sorted list
+ * @param {Partial<import('./types.js').Keyframe>} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateClipKeyframe(clipId, property, index, updates) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || !clip.keyframes || !clip.keyframes[property]) return state;
+    const list = clip.keyframes[property].slice();
+    if (!list[index]) return state;
+    list[index] = { ...list[index], ...updates };
+    if (updates.time !== undefined) {
+      list[index].time = Math.round(updates.time);
+      list.sort((a, b) => a.time - b.time);
+    }
+    clip.keyframes = { ...clip.keyframes, [property]: list };
+    return state;
+  };
+}
+
+/**
+ * Remove one keyframe; the property goes back to its static value when none remain
+ * @param {string} clipId
+ * @param {string} property
+ * @param {number} index - Position in the time-sorted list
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function removeClipKeyframe(clipId, property, index) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || !clip.keyframes || !clip.keyframes[property]) return state;
+    const list = clip.keyframes[property].filter((_, itemIndex) => itemIndex !== index);
+    const keyframes = { ...clip.keyframes };
+    if (list.length > 0) {
+      keyframes[property] = list;
+    } else {
+      delete keyframes[property];
+    }
+    if (Object.keys(keyframes).length > 0) {
+      clip.keyframes = keyframes;
+    } else {
+      delete clip.keyframes;
+    }
+    return state;
+  };
+}
+
+/**
+ * Remove all keyframes of a property, or of the whole clip
+ * @param {string} clipId
+ * @param {string} [property]
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function clearClipKeyframes(clipId, property) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || !clip.keyframes) return state;
+    if (!property) {
+      delete clip.keyframes;
+      return state;
+    }
+    const keyframes = { ...clip.keyframes };
+    delete keyframes[property];
+    if (Object.keys(keyframes).length > 0) {
+      clip.keyframes = keyframes;
+    } else {
+      delete clip.keyframes;
+    }
+    return state;
+  };
+}
+
 /**
  * Clear all per-clip video filter overrides
  * @param {string} clipId
@@ -393,6 +956,185 @@ export function clearClipAudioFilters(clipId) {
   };
 }
 
+// The audio and video effect racks share one shape; these map a rack's clip key to its type table.
+const EFFECT_RACKS = {
+  audioEffects: { getType: getAudioEffectType, resolveParams: resolveAudioEffectParams, max: MAX_AUDIO_EFFECTS },
+  videoEffects: { getType: getVideoEffectType, resolveParams: resolveVideoEffectParams, max: MAX_VIDEO_EFFECTS },
+};
+
+/**
+ * Add an effect to the end of one of a clip's effect racks
+ * @param {'audioEffects'|'videoEffects'} rackKey
+ * @param {string} clipId
+ * @param {string} type
+ * @returns {import('./types.js').ActionFunction}
+ */
+function addRackEffect(rackKey, clipId, type) {
+  const rack = EFFECT_RACKS[rackKey];
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || clip.type === 'text' || !rack.getType(type)) return state;
+    const effects = clip[rackKey] || [];
+    if (effects.length >= rack.max) return state;
+    const effect = { id: createId(), type, enabled: true, params: {} };
+    effect.params = rack.resolveParams(effect);
+    clip[rackKey] = [...effects, effect];
+    return state;
+  };
+}
+
+/**
+ * Edit one effect in one of a clip's effect racks
+ * @param {'audioEffects'|'videoEffects'} rackKey
+ * @param {string} clipId
+ * @param {string} effectId
+ * @param {{enabled?: boolean, params?: Object<string, number>}} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+function updateRackEffect(rackKey, clipId, effectId, updates) {
+  const rack = EFFECT_RACKS[rackKey];
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || !Array.isArray(clip[rackKey])) return state;
+    clip[rackKey] = clip[rackKey].map((effect) => {
+      if (effect.id !== effectId) return effect;
+      const next = { ...effect, params: { ...effect.params, ...((updates && updates.params) || {}) } };
+      if (updates && updates.enabled !== undefined) next.enabled = Boolean(updates.enabled);
+      next.params = rack.resolveParams(next);
+      return next;
+    });
+    return state;
+  };
+}
+
+/**
+ * Remove one effect from one of a clip's effect racks, dropping the rack once it is empty
+ * @param {'audioEffects'|'videoEffects'} rackKey
+ * @param {string} clipId
+ * @param {string} effectId
+ * @returns {import('./types.js').ActionFunction}
+ */
+function removeRackEffect(rackKey, clipId, effectId) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || !Array.isArray(clip[rackKey])) return state;
+    const effects = clip[rackKey].filter(effect => effect.id !== effectId);
+    if (effects.length > 0) {
+      clip[rackKey] = effects;
+    } else {
+      delete clip[rackKey];
+    }
+    return state;
+  };
+}
+
+/**
+ * Move an effect earlier or later in one of a clip's effect racks
+ * @param {'audioEffects'|'videoEffects'} rackKey
+ * @param {string} clipId
+ * @param {string} effectId
+ * @param {number} offset
+ * @returns {import('./types.js').ActionFunction}
+ */
+function moveRackEffect(rackKey, clipId, effectId, offset) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || !Array.isArray(clip[rackKey])) return state;
+    const index = clip[rackKey].findIndex(effect => effect.id === effectId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= clip[rackKey].length) return state;
+    const effects = clip[rackKey].slice();
+    const [effect] = effects.splice(index, 1);
+    effects.splice(target, 0, effect);
+    clip[rackKey] = effects;
+    return state;
+  };
+}
+
+/**
+ * Add an effect to the end of a clip's audio effect rack, with default parameters
+ * @param {string} clipId
+ * @param {string} type - An AUDIO_EFFECT_TYPES id
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function addClipAudioEffect(clipId, type) {
+  return addRackEffect('audioEffects', clipId, type);
+}
+
+/**
+ * Edit one effect in a clip's audio effect rack; params are merged and kept within range
+ * @param {string} clipId
+ * @param {string} effectId
+ * @param {{enabled?: boolean, params?: Object<string, number>}} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateClipAudioEffect(clipId, effectId, updates) {
+  return updateRackEffect('audioEffects', clipId, effectId, updates);
+}
+
+/**
+ * Remove one effect from a clip's audio effect rack
+ * @param {string} clipId
+ * @param {string} effectId
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function removeClipAudioEffect(clipId, effectId) {
+  return removeRackEffect('audioEffects', clipId, effectId);
+}
+
+/**
+ * Move an effect earlier or later in a clip's audio effect rack
+ * @param {string} clipId
+ * @param {string} effectId
+ * @param {number} offset - -1 to move it up one place, 1 to move it down
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function moveClipAudioEffect(clipId, effectId, offset) {
+  return moveRackEffect('audioEffects', clipId, effectId, offset);
+}
+
+/**
+ * Add an effect to the end of a clip's video effect rack, with default parameters
+ * @param {string} clipId
+ * @param {string} type - A VIDEO_EFFECT_TYPES id
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function addClipVideoEffect(clipId, type) {
+  return addRackEffect('videoEffects', clipId, type);
+}
+
+/**
+ * Edit one effect in a clip's video effect rack; params are merged and kept within range
+ * @param {string} clipId
+ * @param {string} effectId
+ * @param {{enabled?: boolean, params?: Object<string, number>}} updates
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function updateClipVideoEffect(clipId, effectId, updates) {
+  return updateRackEffect('videoEffects', clipId, effectId, updates);
+}
+
+/**
+ * Remove one effect from a clip's video effect rack
+ * @param {string} clipId
+ * @param {string} effectId
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function removeClipVideoEffect(clipId, effectId) {
+  return removeRackEffect('videoEffects', clipId, effectId);
+}
+
+/**
+ * Move an effect earlier or later in a clip's video effect rack
+ * @param {string} clipId
+ * @param {string} effectId
+ * @param {number} offset - -1 to move it up one place, 1 to move it down
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function moveClipVideoEffect(clipId, effectId, offset) {
+  return moveRackEffect('videoEffects', clipId, effectId, offset);
+}
+
 /**
  * Remove media from library
  * @param {string} mediaId
@@ -570,12 +1312,74 @@ export function reverseClip(clipId) {
   return (state) => {
     const clip = state.clips.find(c => c.id === clipId);
     if (clip) {
-      clip.reversed = !clip.reversed;
+      applyPlayMode(clip, clip.reversed ? 'forward' : 'reverse');
     }
     return state;
   };
 }
 
+/**
+ * Switch a clip between play modes, keeping its source window
+ * @param {import('./types.js').Clip} clip
+ * @param {import('./types.js').ClipPlayMode} mode
+ * @param {number} [loopCount] - Passes for loop mode; defaults to the clip's current count
+ */
+function applyPlayMode(clip, mode, loopCount) {
+  if (clip.type === 'text' || isFreezeFrameClip(clip) || !PLAY_MODES.some(item => item.id === mode)) return;
+  const { sourceLength } = getClipSourceRange(clip);
+  clip.reversed = mode === 'reverse';
+  if (mode === 'pingpong' || mode === 'loop') {
+    clip.playMode = mode;
+    // Replayed windows run at one speed; the clip keeps its ramp's average.
+    delete clip.speedRamp;
+  } else {
+    delete clip.playMode;
+  }
+  if (mode === 'loop') {
+    const loops = Math.round(Number(loopCount !== undefined ? loopCount : clip.loopCount));
+    clip.loopCount = Number.isFinite(loops) ? Math.max(1, Math.min(MAX_CLIP_LOOPS, loops)) : DEFAULT_CLIP_LOOPS;
+  } else {
+    delete clip.loopCount;
+  }
+  // The clip grows or shrinks to play the same window the new number of times.
+  clip.duration = sourceLength * getClipPassCount(clip) / (clip.speed || DEFAULT_SPEED);
+}
+
+/**
+ * Set how a clip plays its source window: forward, reverse, ping-pong or loop(n)
+ * @param {string} clipId
+ * @param {import('./types.js').ClipPlayMode} mode
+ * @param {number} [loopCount]
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipPlayMode(clipId, mode, loopCount) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (clip) {
+      applyPlayMode(clip, mode, loopCount);
+    }
+    return state;
+  };
+}
+
+/**
+ * Set the play mode for multiple clips
+ * @param {string[]} clipIds
+ * @param {import('./types.js').ClipPlayMode} mode
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipsPlayMode(clipIds, mode) {
+  return (state) => {
+    const idSet = new Set(clipIds);
+    state.clips.forEach(clip => {
+      if (idSet.has(clip.id)) {
+        applyPlayMode(clip, mode);
+      }
+    });
+    return state;
+  };
+}
+
 /**
  * Adjust clip speed
  * @param {string} clipId
@@ -585,10 +1389,12 @@ export function reverseClip(clipId) {
 export function setClipSpeed(clipId, speed) {
   return (state) => {
     const clip = state.clips.find(c => c.id === clipId);
-    if (clip) {
+    // A freeze frame plays no source, so it has no speed to change.
+    if (clip && !isFreezeFrameClip(clip)) {
       const previousSpeed = clip.speed || DEFAULT_SPEED;
       const sourceDuration = clip.duration * previousSpeed;
       clip.speed = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, speed));
+      rescaleSpeedRamp(clip, previousSpeed);
       // Adjust duration based on speed, preserving the source window
       clip.duration = sourceDuration / clip.speed;
     }
@@ -606,13 +1412,63 @@ export function setClipsSpeed(clipIds, speed) {
   return (state) => {
     const idSet = new Set(clipIds);
     state.clips.forEach(clip => {
-      if (idSet.has(clip.id)) {
+      if (idSet.has(clip.id) && !isFreezeFrameClip(clip)) {
         const previousSpeed = clip.speed || DEFAULT_SPEED;
         const sourceDuration = clip.duration * previousSpeed;
         clip.speed = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, speed));
+        rescaleSpeedRamp(clip, previousSpeed);
         clip.duration = sourceDuration / clip.speed;
       }
     });
     return state;
   };
 }
+
+/**
+ * Scale a ramped clip's curve by its new speed over the previous one, so the speed control
+ * speeds the whole ramp up or down. The clip's speed becomes the scaled curve's average.
+ * @param {import('./types.js').Clip} clip
+ * @param {number} previousSpeed
+ */
+function rescaleSpeedRamp(clip, previousSpeed) {
+  if (!hasSpeedRamp(clip)) return;
+  const factor = clip.speed / previousSpeed;
+  clip.speedRamp = clip.speedRamp.map(point => ({
+    position: point.position,
+    speed: Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, point.speed * factor)),
+  }));
+  clip.speed = getSpeedRampAverage(clip.speedRamp);
+}
+
+/**
+ * Give a clip a speed curve, or clear it with null. Points are {position: 0..1 across the clip, speed};
+ * the ends are filled in from the nearest point. The clip keeps its source window, so it grows or
+ * shrinks to play it at the new speeds.
+ * @param {string} clipId
+ * @param {import('./types.js').ClipSpeedPoint[]|null} points
+ * @returns {import('./types.js').ActionFunction}
+ */
+export function setClipSpeedRamp(clipId, points) {
+  return (state) => {
+    const clip = state.clips.find(c => c.id === clipId);
+    if (!clip || clip.type === 'text' || isFreezeFrameClip(clip) || getClipPassCount(clip) > 1) return state;
+    const { sourceLength } = getClipSourceRange(clip);
+    const ramp = (Array.isArray(points) ? points : [])
+      .filter(point => point && Number.isFinite(point.position) && Number.isFinite(point.speed))
+      .map(point => ({
+        position: Math.max(0, Math.min(1, point.position)),
+        speed: Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, point.speed)),
+      }))
+      .sort((a, b) => a.position - b.position);
+    if (ramp.length >= 2) {
+      if (ramp[0].position > 0) ramp.unshift({ position: 0, speed: ramp[0].speed });
+      if (ramp[ramp.length - 1].position < 1) ramp.push({ position: 1, speed: ramp[ramp.length - 1].speed });
+      clip.speedRamp = ramp;
+      clip.speed = getSpeedRampAverage(ramp);
+    } else {
+      delete clip.speedRamp;
+    }
+    clip.duration = sourceLength / (clip.speed || DEFAULT_SPEED);
+    return state;
+  };
+}
@@ -37,6 +37,7 @@ export const COLORS = {
   clipSelected: '#4b8295',
   clipAudio: '#c88951',
   clipText: '#f7f8fa',
+  clipTitle: '#7a5c9e',
   playhead: '#ef7474',
   waveform: 'rgba(255, 255, 255, 0.32)',
   waveformVideo: 'rgba(255, 255, 255, 0.72)',
@@ -59,6 +60,7 @@ export const SHORTCUTS = {
   NUDGE_EDGE_FORWARD: 'Shift+Alt+ArrowRight',
   TOGGLE_SNAPPING: 'n',
   SPLIT: 's',
+  FREEZE_FRAME: 'f',
   DELETE: 'Delete',
   DELETE_BACKSPACE: 'Backspace',
   UNDO: 'Ctrl+z',
@@ -86,6 +88,66 @@ export const DEFAULT_CLIP_DURATION = 5000; // ms
 export const DEFAULT_SPEED = 1.0;
 export const MIN_CLIP_SPEED = 0.25;
 export const MAX_CLIP_SPEED = 12.0;
+export const PLAY_MODES = [
+  { id: 'forward', label: 'Forward' },
+  { id: 'reverse', label: 'Reverse' },
+  { id: 'pingpong', label: 'Ping-pong' },
+  { id: 'loop', label: 'Loop' },
+];
+export const DEFAULT_CLIP_LOOPS = 2;
+export const MAX_CLIP_LOOPS = 16;
+
+export const DEFAULT_CLIP_TRANSFORM = {
+  x: 0,
+  y: 0,
+  scale: 1,
+  rotation: 0,
+};
+export const MIN_CLIP_SCALE = 0.05;
+export const MAX_CLIP_SCALE = 8;
+// Source pixels a crop must leave in each direction
+export const MIN_CROP_SIZE = 16;
+
+// Properties that accept keyframes, keyed `${section}.${name}` on Clip.keyframes
+export const KEYFRAME_PROPERTIES = [
+  { id: 'transform.x', label: 'Position X (px)', min: -7680, max: 7680, step: 1 },
+  { id: 'transform.y', label: 'Position Y (px)', min: -4320, max: 4320, step: 1 },
+  { id: 'transform.scale', label: 'Scale', min: MIN_CLIP_SCALE, max: MAX_CLIP_SCALE, step: 0.01 },
+  { id: 'transform.rotation', label: 'Rotation (°)', min: -3600, max: 3600, step: 1 },
+  { id: 'video.brightness', label: 'Brightness', min: -1, max: 1, step: 0.05 },
+  { id: 'video.contrast', label: 'Contrast', min: 0, max: 4, step: 0.05 },
+  { id: 'video.saturation', label: 'Saturation', min: 0, max: 3, step: 0.05 },
+  { id: 'video.gamma', label: 'Gamma', min: 0.1, max: 10, step: 0.1 },
+  { id: 'video.hue', label: 'Hue', min: -180, max: 180, step: 1 },
+  { id: 'audio.volume', label: 'Volume', min: 0, max: 2, step: 0.01 },
+];
+export const KEYFRAME_EASINGS = ['linear', 'ease'];
+
+// Transitions into the next abutting clip; `xfade` is the FFmpeg xfade transition used on export
+export const TRANSITION_TYPES = [
+  { id: 'crossfade', label: 'Crossfade', xfade: 'fade' },
+  { id: 'wipeleft', label: 'Wipe Left', xfade: 'wipeleft' },
+  { id: 'wiperight', label: 'Wipe Right', xfade: 'wiperight' },
+  { id: 'dipblack', label: 'Dip to Black', xfade: 'fadeblack' },
+];
+// Text clips; sizes and outline widths are in output pixels
+export const TEXT_FONTS = ['Impact', 'Arial', 'Helvetica', 'Times New Roman', 'Courier New', 'Comic Sans MS'];
+export const DEFAULT_CLIP_TEXT = {
+  content: 'Text',
+  font: 'Impact',
+  size: 96,
+  color: '#ffffff',
+  outlineColor: '#000000',
+  outlineWidth: 4,
+};
+export const DEFAULT_TEXT_CLIP_DURATION = 3000; // ms
+export const MIN_TEXT_SIZE = 8;
+export const MAX_TEXT_SIZE = 512;
+export const MAX_TEXT_OUTLINE = 32;
+
+export const DEFAULT_TRANSITION_DURATION = 1000; // ms
+export const MIN_TRANSITION_DURATION = 100; // ms
+export const MAX_TRANSITION_DURATION = 5000; // ms
 
 export const DEFAULT_VIDEO_FILTERS = {
   brightness: 0,
@@ -101,8 +163,19 @@ export const DEFAULT_VIDEO_FILTERS = {
   denoise: 0,
   fadeIn: 0,
   fadeOut: 0,
+  fit: 'letterbox',
 };
 
+// How a clip's picture fills its box when the aspect ratios differ
+export const FIT_MODES = [
+  { id: 'letterbox', label: 'Fit (letterbox)' },
+  { id: 'fill', label: 'Fill (crop)' },
+  { id: 'stretch', label: 'Stretch' },
+  { id: 'blur', label: 'Fit on blurred background' },
+];
+// Blur of the background copy in blur fit mode, as a share of the box height
+export const FIT_BLUR_AMOUNT = 0.04;
+
 export const DEFAULT_AUDIO_FILTERS = {
   volume: 1,
   bass: 0,
@@ -110,6 +183,7 @@ export const DEFAULT_AUDIO_FILTERS = {
   normalize: false,
   pan: 0,
   pitch: 0,
+  pitchMode: 'resample',
   fadeIn: 0,
   fadeOut: 0,
 };
@@ -121,6 +195,28 @@ export function createDefaultFilters() {
   };
 }
 
+// Project sequence: the canvas every clip is placed on, whatever size the export rescales to
+export const DEFAULT_SEQUENCE_SETTINGS = {
+  width: 1920,
+  height: 1080,
+  fps: 30,
+  background: '#000000',
+};
+export const MIN_SEQUENCE_SIZE = 128;
+export const MAX_SEQUENCE_SIZE = 7680;
+export const MAX_SEQUENCE_FPS = 120;
+export const SEQUENCE_ASPECTS = [
+  { id: '16:9', label: '16:9 Landscape', width: 16, height: 9 },
+  { id: '9:16', label: '9:16 Vertical', width: 9, height: 16 },
+  { id: '1:1', label: '1:1 Square', width: 1, height: 1 },
+  { id: '4:5', label: '4:5 Portrait', width: 4, height: 5 },
+];
+export const SEQUENCE_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 50, 59.94, 60];
+
+export function createDefaultSequenceSettings() {
+  return { ...DEFAULT_SEQUENCE_SETTINGS };
+}
+
 // Media
 export const SUPPORTED_VIDEO_TYPES = [
   'video/mp4',
@@ -136,6 +232,240 @@ export const SUPPORTED_AUDIO_TYPES = [
   'audio/webm',
 ];
 
+export const SUPPORTED_IMAGE_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+];
+
+// Still images (ms)
+export const DEFAULT_STILL_DURATION = 5000;
+export const MIN_STILL_DURATION = 100;
+export const MAX_STILL_DURATION = 600000;
+
+// Freeze frames (ms)
+export const DEFAULT_FREEZE_DURATION = 1000;
+export const MIN_FREEZE_DURATION = 100;
+export const MAX_FREEZE_DURATION = 60000;
+export const FREEZE_AUDIO_MODES = [
+  { id: 'silent', label: 'Silent' },
+  { id: 'sustain', label: 'Sustain (loop a grain)' },
+];
+// Length of the audio grain a sustained freeze repeats
+export const FREEZE_SUSTAIN_GRAIN = 80;
+
+// Stutters
+export const STUTTER_RAMPS = [
+  { id: 'none', label: 'None' },
+  { id: 'pitch', label: 'Pitch (semitones per repeat)' },
+  { id: 'speed', label: 'Speed (× per repeat)' },
+];
+export const DEFAULT_STUTTER_OPTIONS = {
+  length: 150, // ms
+  repeats: 4,
+  pingPong: false,
+  ramp: 'none',
+  pitchStep: 1,
+  speedStep: 1.15,
+};
+export const MIN_STUTTER_LENGTH = 20; // ms
+export const MAX_STUTTER_REPEATS = 64;
+export const MIN_CLIP_PITCH = -12;
+export const MAX_CLIP_PITCH = 12;
+
+// How a clip's pitch and speed act on its audio
+export const PITCH_MODES = [
+  { id: 'resample', label: 'Chipmunk (resample)' },
+  { id: 'rubberband', label: 'Time-stretch (rubberband)' },
+  { id: 'tape', label: 'Tape (pitch follows speed)' },
+];
+
+// Audio effects rack; each effect runs in list order with its own parameters
+export const AUDIO_EFFECT_TYPES = [
+  {
+    id: 'echo',
+    label: 'Echo',
+    params: [
+      { key: 'delay', label: 'Delay (ms)', min: 10, max: 2000, step: 10, default: 250 },
+      { key: 'decay', label: 'Decay', min: 0.05, max: 0.95, step: 0.05, default: 0.5 },
+      { key: 'repeats', label: 'Repeats', min: 1, max: 8, step: 1, default: 3 },
+    ],
+  },
+  {
+    id: 'reverb',
+    label: 'Reverb',
+    params: [
+      { key: 'size', label: 'Room Size', min: 0.1, max: 1, step: 0.05, default: 0.5 },
+      { key: 'mix', label: 'Wet', min: 0.05, max: 1, step: 0.05, default: 0.35 },
+    ],
+  },
+  {
+    id: 'distortion',
+    label: 'Distortion',
+    params: [
+      { key: 'drive', label: 'Drive (dB)', min: 0, max: 48, step: 1, default: 24 },
+      { key: 'level', label: 'Output (dB)', min: -24, max: 0, step: 1, default: -6 },
+    ],
+  },
+  {
+    id: 'bitcrush',
+    label: 'Bitcrush',
+    params: [
+      { key: 'bits', label: 'Bits', min: 1, max: 16, step: 1, default: 6 },
+      { key: 'downsample', label: 'Downsample (×)', min: 1, max: 64, step: 1, default: 4 },
+    ],
+  },
+  {
+    id: 'chorus',
+    label: 'Chorus',
+    params: [
+      { key: 'delay', label: 'Delay (ms)', min: 20, max: 100, step: 1, default: 45 },
+      { key: 'rate', label: 'Rate (Hz)', min: 0.1, max: 5, step: 0.1, default: 0.5 },
+      { key: 'depth', label: 'Depth (ms)', min: 0.5, max: 10, step: 0.5, default: 2 },
+      { key: 'mix', label: 'Wet', min: 0.05, max: 1, step: 0.05, default: 0.5 },
+    ],
+  },
+  {
+    id: 'vibrato',
+    label: 'Vibrato',
+    params: [
+      { key: 'rate', label: 'Rate (Hz)', min: 0.5, max: 20, step: 0.5, default: 6 },
+      { key: 'depth', label: 'Depth', min: 0.05, max: 1, step: 0.05, default: 0.5 },
+    ],
+  },
+  {
+    id: 'tremolo',
+    label: 'Tremolo',
+    params: [
+      { key: 'rate', label: 'Rate (Hz)', min: 0.5, max: 20, step: 0.5, default: 6 },
+      { key: 'depth', label: 'Depth', min: 0.05, max: 1, step: 0.05, default: 0.7 },
+    ],
+  },
+  {
+    id: 'phaser',
+    label: 'Phaser',
+    params: [
+      { key: 'rate', label: 'Rate (Hz)', min: 0.1, max: 2, step: 0.1, default: 0.5 },
+      { key: 'decay', label: 'Decay', min: 0.05, max: 0.95, step: 0.05, default: 0.4 },
+    ],
+  },
+  {
+    id: 'compressor',
+    label: 'Compressor',
+    params: [
+      { key: 'threshold', label: 'Threshold (dB)', min: -60, max: 0, step: 1, default: -24 },
+      { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, default: 8 },
+      { key: 'makeup', label: 'Makeup (dB)', min: 0, max: 30, step: 1, default: 6 },
+    ],
+  },
+];
+export const MAX_AUDIO_EFFECTS = 8;
+
+// Video effects rack; sizes are % of the clip's frame so they look the same at any source resolution
+export const VIDEO_EFFECT_TYPES = [
+  {
+    id: 'mirror',
+    label: 'Mirror',
+    params: [
+      {
+        key: 'side',
+        label: 'Keep',
+        options: [
+          { value: 0, label: 'Left half' },
+          { value: 1, label: 'Right half' },
+          { value: 2, label: 'Top half' },
+          { value: 3, label: 'Bottom half' },
+        ],
+        default: 0,
+      },
+    ],
+  },
+  { id: 'kaleidoscope', label: 'Kaleidoscope', params: [] },
+  { id: 'negate', label: 'Negate', params: [] },
+  {
+    id: 'posterize',
+    label: 'Posterize',
+    params: [
+      { key: 'levels', label: 'Levels', min: 2, max: 16, step: 1, default: 4 },
+    ],
+  },
+  {
+    id: 'trails',
+    label: 'Trails',
+    params: [
+      { key: 'decay', label: 'Decay', min: 0.5, max: 0.98, step: 0.01, default: 0.9 },
+    ],
+  },
+  {
+    id: 'chromatic',
+    label: 'Chromatic Aberration',
+    params: [
+      { key: 'shift', label: 'Shift (% width)', min: 0.1, max: 5, step: 0.1, default: 0.8 },
+    ],
+  },
+  {
+    id: 'pixelize',
+    label: 'Pixelize',
+    params: [
+      { key: 'size', label: 'Block (% width)', min: 0.5, max: 10, step: 0.5, default: 2 },
+    ],
+  },
+  {
+    id: 'edges',
+    label: 'Edge Detect',
+    params: [
+      { key: 'low', label: 'Low Threshold', min: 0.01, max: 0.5, step: 0.01, default: 0.1 },
+      { key: 'high', label: 'High Threshold', min: 0.05, max: 1, step: 0.01, default: 0.4 },
+    ],
+  },
+  {
+    id: 'wave',
+    label: 'Wave',
+    params: [
+      { key: 'amplitude', label: 'Amplitude (% width)', min: 0.5, max: 10, step: 0.5, default: 2 },
+      { key: 'wavelength', label: 'Wavelength (% height)', min: 5, max: 100, step: 1, default: 25 },
+      { key: 'speed', label: 'Speed (Hz)', min: 0, max: 5, step: 0.1, default: 1 },
+    ],
+  },
+  {
+    id: 'glitch',
+    label: 'Glitch',
+    params: [
+      { key: 'shift', label: 'Shift (% width)', min: 1, max: 20, step: 1, default: 6 },
+      { key: 'band', label: 'Band (% height)', min: 1, max: 20, step: 1, default: 5 },
+      { key: 'density', label: 'Density', min: 0.05, max: 1, step: 0.05, default: 0.3 },
+      { key: 'rate', label: 'Rate (Hz)', min: 1, max: 30, step: 1, default: 8 },
+    ],
+  },
+];
+export const MAX_VIDEO_EFFECTS = 8;
+
+// Chroma key: chromakey compares hue and saturation only, so shadows on a green screen still key;
+// colorkey compares RGB. Similarity and blend are FFmpeg's 0..1 distances.
+export const CHROMA_KEY_TYPES = [
+  { id: 'chromakey', label: 'Chroma (ignores brightness)' },
+  { id: 'colorkey', label: 'Color (RGB)' },
+];
+export const DEFAULT_CHROMA_KEY = {
+  type: 'chromakey',
+  color: '#00ff00',
+  similarity: 0.1,
+  blend: 0.05,
+};
+export const MIN_KEY_SIMILARITY = 0.01;
+export const MAX_KEY_SIMILARITY = 1;
+export const MAX_KEY_BLEND = 1;
+
+// How a layer combines with the tracks below; blend is FFmpeg's all_mode, composite the preview's
+export const BLEND_MODES = [
+  { id: 'normal', label: 'Normal', blend: null, composite: 'source-over' },
+  { id: 'multiply', label: 'Multiply', blend: 'multiply', composite: 'multiply' },
+  { id: 'screen', label: 'Screen', blend: 'screen', composite: 'screen' },
+  { id: 'difference', label: 'Difference', blend: 'difference', composite: 'difference' },
+  { id: 'add', label: 'Add', blend: 'addition', composite: 'lighter' },
+];
+
 // IndexedDB
 export const DB_NAME = 'YTPEditor';
 export const DB_VERSION = 1;
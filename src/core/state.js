@@ -6,10 +6,15 @@
 import {
   MAX_HISTORY_LEVELS,
   DEFAULT_TRACK_COUNT,
+  DEFAULT_STILL_DURATION,
+  DEFAULT_FREEZE_DURATION,
+  FREEZE_AUDIO_MODES,
   createDefaultFilters,
+  createDefaultSequenceSettings,
 } from './constants.js';
 import { createDefaultExportSettings } from '../export/settings.js';
 import { createId } from '../utils/id.js';
+import { resolveSequenceSettings } from '../utils/sequence.js';
 
 /**
  * State Manager with history tracking and pub/sub
@@ -48,6 +53,8 @@ export class StateManager {
       mediaLibrary: [],
       playhead: 0,
       snappingEnabled: true,
+      stillDuration: DEFAULT_STILL_DURATION,
+      freezeFrameDefaults: { duration: DEFAULT_FREEZE_DURATION, audio: FREEZE_AUDIO_MODES[0].id },
       zoom: 0,
       selectedClipId: null,
       selectedClipIds: [],
@@ -57,6 +64,7 @@ export class StateManager {
         isExporting: false,
         progress: 0,
       },
+      sequence: createDefaultSequenceSettings(),
       exportSettings: createDefaultExportSettings(),
       defaultFilters: createDefaultFilters(),
       scrollX: 0,
@@ -241,6 +249,24 @@ export class StateManager {
       if (typeof loadedState.snappingEnabled !== 'boolean') {
         loadedState.snappingEnabled = true;
       }
+      if (!Number.isFinite(loadedState.stillDuration) || loadedState.stillDuration <= 0) {
+        loadedState.stillDuration = DEFAULT_STILL_DURATION;
+      }
+      const freezeFrameDefaults = loadedState.freezeFrameDefaults || {};
+      loadedState.freezeFrameDefaults = {
+        duration: Number.isFinite(freezeFrameDefaults.duration) && freezeFrameDefaults.duration > 0
+          ? freezeFrameDefaults.duration
+          : DEFAULT_FREEZE_DURATION,
+        audio: FREEZE_AUDIO_MODES.some(mode => mode.id === freezeFrameDefaults.audio)
+          ? freezeFrameDefaults.audio
+          : FREEZE_AUDIO_MODES[0].id,
+      };
+      if (!loadedState.sequence) {
+        // Older projects rendered at their export size and rate; those now belong to the sequence,
+        // and the export follows it.
+        loadedState.sequence = resolveSequenceSettings(loadedState);
+        loadedState.exportSettings = { ...(loadedState.exportSettings || {}), resolution: 'auto', fps: null };
+      }
       const defaultExportSettings = createDefaultExportSettings();
       loadedState.exportSettings = {
         ...defaultExportSettings,
@@ -7,29 +7,97 @@
  * @typedef {Object} Clip
  * @property {string} id - Unique identifier
  * @property {string} name - Display name
- * @property {string} mediaId - Reference to media in IndexedDB
+ * @property {string|null} mediaId - Reference to media in IndexedDB (null for text clips)
+ * @property {'media'|'text'} [type] - Clip kind (default 'media')
+ * @property {ClipText} [text] - Text and style of a text clip
  * @property {number} trackId - Track this clip belongs to
  * @property {number} start - Start time on timeline (ms)
  * @property {number} duration - Duration of clip (ms)
  * @property {number} trimStart - Trim from beginning of source (ms)
  * @property {string} color - Display color
  * @property {ClipTransform} [transform] - Position/scale/rotation
+ * @property {ClipCrop} [crop] - Source pixels cut from each side before scaling
+ * @property {number} [opacity] - 0 to 1 (default 1)
  * @property {Float32Array} [waveformData] - Audio waveform data
  * @property {boolean} [reversed] - Play in reverse
+ * @property {'pingpong'|'loop'} [playMode] - Play the source window forward then back, or loopCount times
+ * @property {number} [loopCount] - Passes of the source window in loop mode
+ * @property {ClipSpeedPoint[]} [speedRamp] - Speed curve across the clip; `speed` holds its average
  * @property {number} [speed] - Playback speed multiplier (default 1.0)
  * @property {number} [volume] - Audio volume (0.0 to 1.0, default 1.0)
  * @property {boolean} [muted] - Is audio muted (default false)
  * @property {boolean} [visible] - Show video for this clip (default true)
  * @property {ClipVideoFilters} [videoFilters] - Per-clip video filter overrides
  * @property {ClipAudioFilters} [audioFilters] - Per-clip audio filter overrides
+ * @property {ClipChromaKey} [chromaKey] - Key a color out to transparent, after effects and before fades
+ * @property {string} [blendMode] - A BLEND_MODES id for combining with the tracks below (default 'normal')
+ * @property {ClipVideoEffect[]} [videoEffects] - Effects rack, applied in order after color and blur, before fades
+ * @property {ClipAudioEffect[]} [audioEffects] - Effects rack, applied in order after pitch and speed
+ * @property {Object<string, Keyframe[]>} [keyframes] - Animated properties, keyed like 'video.brightness'
+ * @property {ClipTransition} [transitionOut] - Transition into the next clip that starts where this one ends
+ * @property {ClipFreezeFrame} [freezeFrame] - Hold the source frame at trimStart for the whole clip
+ */
+
+/**
+ * @typedef {Object} ClipFreezeFrame
+ * @property {'silent'|'sustain'} audio - Silence, or a short grain at the frozen point looped
+ */
+
+/**
+ * @typedef {'forward'|'reverse'|'pingpong'|'loop'} ClipPlayMode
+ */
+
+/**
+ * @typedef {Object} ClipSpeedPoint
+ * @property {number} position - 0 at the clip start to 1 at its end
+ * @property {number} speed - Speed multiplier at this point; speed changes linearly between points
+ */
+
+/**
+ * @typedef {'linear'|'ease'} KeyframeEasing
+ */
+
+/**
+ * @typedef {Object} Keyframe
+ * @property {number} time - Time from clip start (ms)
+ * @property {number} value
+ * @property {KeyframeEasing} [easing] - Interpolation towards the next keyframe (default linear)
+ */
+
+/**
+ * @typedef {Object} ClipText
+ * @property {string} content - Text to draw; may span several lines
+ * @property {string} font - Font family
+ * @property {number} size - Font size in output pixels
+ * @property {string} color - Fill color (#rrggbb)
+ * @property {string} outlineColor - Outline color (#rrggbb)
+ * @property {number} outlineWidth - Outline width in output pixels (0 for none)
+ */
+
+/**
+ * @typedef {'crossfade'|'wipeleft'|'wiperight'|'dipblack'} TransitionType
+ */
+
+/**
+ * @typedef {Object} ClipTransition
+ * @property {TransitionType} type
+ * @property {number} duration - Length in ms, centered on the cut
  */
 
 /**
  * @typedef {Object} ClipTransform
- * @property {number} x - X position (px)
- * @property {number} y - Y position (px)
- * @property {number} scale - Scale multiplier
- * @property {number} rotation - Rotation in degrees
+ * @property {number} x - Horizontal offset of the clip center from the frame center (output px)
+ * @property {number} y - Vertical offset of the clip center from the frame center (output px)
+ * @property {number} scale - Scale multiplier on top of fitting the clip to the frame
+ * @property {number} rotation - Clockwise rotation in degrees
+ */
+
+/**
+ * @typedef {Object} ClipCrop
+ * @property {number} top - Source pixels
+ * @property {number} right
+ * @property {number} bottom
+ * @property {number} left
  */
 
 /**
@@ -47,6 +115,7 @@
  * @property {number} [denoise] - 0-10
  * @property {number} [fadeIn] - seconds
  * @property {number} [fadeOut] - seconds
+ * @property {FitMode} [fit]
  */
 
 /**
@@ -57,10 +126,48 @@
  * @property {boolean} [normalize]
  * @property {number} [pan] - -1.0 to 1.0
  * @property {number} [pitch] - -12 to 12 semitones
+ * @property {PitchMode} [pitchMode]
  * @property {number} [fadeIn] - seconds
  * @property {number} [fadeOut] - seconds
  */
 
+/**
+ * @typedef {Object} ClipChromaKey
+ * @property {'chromakey'|'colorkey'} type - Compare chroma only, or full RGB
+ * @property {string} color - Key color as #rrggbb
+ * @property {number} similarity - Distance from the key color that is fully transparent (0.01 to 1)
+ * @property {number} blend - Distance beyond that over which pixels fade back in (0 for a hard edge)
+ */
+
+/**
+ * @typedef {Object} ClipVideoEffect
+ * @property {string} id
+ * @property {string} type - A VIDEO_EFFECT_TYPES id, e.g. 'mirror'
+ * @property {boolean} [enabled] - false bypasses the effect without losing its settings
+ * @property {Object<string, number>} params - Values by VIDEO_EFFECT_TYPES param key
+ */
+
+/**
+ * @typedef {Object} ClipAudioEffect
+ * @property {string} id
+ * @property {string} type - An AUDIO_EFFECT_TYPES id, e.g. 'echo'
+ * @property {boolean} [enabled] - false bypasses the effect without losing its settings
+ * @property {Object<string, number>} params - Values by AUDIO_EFFECT_TYPES param key
+ */
+
+/**
+ * How pitch and speed reach the audio. resample shifts pitch and formants together and keeps the
+ * tempo; rubberband shifts pitch with formants preserved; tape lets speed carry pitch, like varispeed.
+ * @typedef {'resample'|'rubberband'|'tape'} PitchMode
+ */
+
+/**
+ * How a picture fills its box when the aspect ratios differ. letterbox fits it whole; fill scales
+ * it to cover the box and crops the overflow; stretch ignores the aspect ratio; blur fits it whole
+ * over a blurred, box-filling copy of itself.
+ * @typedef {'letterbox'|'fill'|'stretch'|'blur'} FitMode
+ */
+
 /**
  * @typedef {Object} Transcript
  * @property {string} format - Source format identifier
@@ -76,10 +183,18 @@
  * @property {string} text
  */
 
+/**
+ * @typedef {Object} SequenceSettings
+ * @property {number} width - Even, in pixels
+ * @property {number} height - Even, in pixels
+ * @property {number} fps - Frame rate clips are composited at and the timeline steps by
+ * @property {string} background - #rrggbb shown wherever no clip covers the frame
+ */
+
 /**
  * @typedef {Object} ExportSettings
- * @property {('auto'|{width: number, height: number})} resolution
- * @property {number} fps
+ * @property {('auto'|{width: number, height: number})} resolution - 'auto' keeps the sequence size; a size rescales the finished frame
+ * @property {number|null} fps - Output frame rate, null for the sequence's
  * @property {string} videoCodec
  * @property {string} videoBitrate
  * @property {number} crf
@@ -87,12 +202,62 @@
  * @property {string} audioCodec
  * @property {string} audioBitrate
  * @property {number} sampleRate
- * @property {string} format
+ * @property {string} format - mp4, mkv, webm or mov; gif, webp or apng for an animated image; mp3, wav, flac or opus for audio only
  * @property {boolean} trimEmptySpace - trim empty leading/trailing timeline space
  * @property {number} rangeStart - export start time in ms
  * @property {number|null} rangeEnd - export end time in ms, null for full length
  * @property {boolean} deClick - apply tiny fades at cut points to reduce clicks/pops
  * @property {boolean} allowLosslessCopy - allow concat copy when possible
+ * @property {'off'|'sidecar'|'burn'} subtitleMode - save transcript cues next to the export, or also burn them in
+ * @property {'srt'|'vtt'} subtitleFormat - sidecar subtitle format
+ * @property {number|null} targetSizeMB - fit the video into this many megabytes, overriding CRF and bitrate
+ * @property {string} maxrate - VBV peak bitrate cap, e.g. "8M"
+ * @property {string} bufsize - VBV buffer size; twice the maxrate when empty
+ * @property {number} proresProfile - prores_ks profile, 0 (Proxy) to 4 (4444)
+ * @property {'none'|'sh'|'ps1'|'bat'} exportScript - download a script bundle instead of copying one command
+ * @property {'off'|'titles'|'clips'} chapterMarkers - chapters for audio-only exports, from title clips or clip names
+ * @property {number|null} loudnessTarget - integrated loudness target in LUFS for two-pass loudnorm, null for off
+ * @property {number} loudnessTruePeak - true-peak ceiling in dBTP, -9 to 0
+ * @property {number} animatedFps - frame rate cap for GIF/WebP/APNG exports
+ * @property {number} animatedMaxColors - palette size for GIF and APNG, 2 to 256
+ * @property {string} animatedDither - paletteuse dither mode
+ * @property {number} animatedPlays - times an animated image plays, 0 for forever
+ * @property {boolean} chunkedExport - render the timeline in chunks and stitch them with stream copy
+ * @property {number} chunkSeconds - target chunk length in seconds
+ */
+
+/**
+ * @typedef {Object} ExportJob - An export command broken into arguments for script bundles
+ * @property {'filter'|'concat'|'chunked'} kind - filtergraph render, concat-demuxer stream copy, or chunk renders plus a stitch
+ * @property {string[]} inputs - Media file names passed with -i, in input index order
+ * @property {string[][]} [inputOptions] - Options placed before each input, e.g. -loop 1 for stills
+ * @property {string|null} filterGraph - Filtergraph for -filter_complex_script (filter jobs)
+ * @property {string|null} concatList - Concat demuxer list file contents (concat jobs)
+ * @property {string|null} [metadata] - FFMETADATA chapter file contents (audio-only jobs); null drops chapters from the sources
+ * @property {ExportLoudness|null} [loudness] - Loudness measuring pass; the export pass adds loudnorm from input to output label
+ * @property {string[]} sidecarFiles - Other files the command reads, such as burned-in subtitles
+ * @property {string[]} maps - Output stream labels passed with -map
+ * @property {string[]|null} [firstPassArgs] - Encoder arguments for a two-pass analysis run, written to the null muxer
+ * @property {string[]} outputArgs - Encoder and muxer arguments
+ * @property {string} output - Output file name
+ * @property {ExportChunk[]} [chunks] - Chunk renders to run before the stitch (chunked jobs)
+ */
+
+/**
+ * @typedef {Object} ExportLoudness
+ * @property {string[]} inputs - Media file names for the measuring pass, in input index order
+ * @property {string[][]} [inputOptions] - Options placed before each input
+ * @property {string} measureGraph - Audio-only filtergraph ending in a loudnorm that prints its measurement
+ * @property {{target: number, truePeak: number, range: number}} settings - Integrated LUFS, true peak dBTP and LRA
+ * @property {number} sampleRate - Output sample rate after loudnorm
+ * @property {string} input - Mix label the export pass normalizes
+ * @property {string} output - Normalized label the export pass maps
+ */
+
+/**
+ * @typedef {Object} ExportChunk
+ * @property {string} signature - Hash of the chunk's filtergraph, inputs and encoder arguments
+ * @property {ExportJob} job - Filter job that renders the chunk to a file named by its signature
  */
 
 /**
@@ -117,9 +282,10 @@
  * @property {string} name - Original filename
  * @property {string} type - MIME type
  * @property {number} size - File size in bytes
- * @property {number} duration - Media duration (ms)
+ * @property {number} duration - Media duration (ms); 0 for still images, one loop for animated GIFs
  * @property {number} width - Video width (px)
  * @property {number} height - Video height (px)
+ * @property {boolean} [animated] - Image media with more than one frame (animated GIF)
  * @property {string} [thumbnail] - Base64 thumbnail data URL
  * @property {Transcript} [transcript] - Loaded transcript data
  */
@@ -147,12 +313,15 @@
  * @property {Media[]} mediaLibrary - Imported media files
  * @property {number} playhead - Current playhead position (ms)
  * @property {boolean} snappingEnabled - Whether timeline boundary snapping is enabled
+ * @property {number} stillDuration - Length of new still image clips (ms)
+ * @property {{duration: number, audio: 'silent'|'sustain'}} freezeFrameDefaults - Length (ms) and audio of new freeze frames
  * @property {number} zoom - Zoom level (-5 to 5)
  * @property {string|null} selectedClipId - ID of selected clip
  * @property {string[]} selectedClipIds - IDs of selected clips
  * @property {string|null} selectedMediaId - ID of selected media
  * @property {boolean} isPlaying - Is timeline playing
  * @property {ExportState} exportState - Export progress state
+ * @property {SequenceSettings} sequence - Project canvas: size, frame rate and background
  * @property {ExportSettings} exportSettings - Export configuration
  * @property {DefaultFilters} defaultFilters - Global default filters
  * @property {number} scrollX - Timeline horizontal scroll position
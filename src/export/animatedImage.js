@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Animated image export
+ * GIF, animated WebP and APNG outputs: no audio, a frame rate cap, and a generated palette for
+ * the formats that store indexed color.
+ */
+
+export const ANIMATED_IMAGE_FORMATS = [
+  { id: 'gif', label: 'GIF', extension: 'gif', usesPalette: true },
+  { id: 'webp', label: 'Animated WebP', extension: 'webp', usesPalette: false },
+  { id: 'apng', label: 'APNG', extension: 'png', usesPalette: true },
+];
+
+export const DITHER_MODES = [
+  { id: 'sierra2_4a', label: 'Sierra Lite' },
+  { id: 'floyd_steinberg', label: 'Floyd-Steinberg' },
+  { id: 'bayer', label: 'Bayer (ordered)' },
+  { id: 'none', label: 'None' },
+];
+
+const MIN_PALETTE_COLORS = 2;
+const MAX_PALETTE_COLORS = 256;
+const WEBP_QUALITY = 75;
+
+/**
+ * Look up an animated image format by its export format id
+ * @param {string} format
+ * @returns {{id: string, label: string, extension: string, usesPalette: boolean}|null}
+ */
+export function getAnimatedImageFormat(format) {
+  return ANIMATED_IMAGE_FORMATS.find(item => item.id === format) || null;
+}
+
+/**
+ * Check whether an export format is an animated image
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isAnimatedImageFormat(format) {
+  return Boolean(getAnimatedImageFormat(format));
+}
+
+/**
+ * Build the filters that turn the finished composite into animated image frames.
+ * Indexed formats split the video so palettegen and paletteuse run in the same pass,
+ * which renders the timeline once instead of twice; the frames are held until the palette is ready,
+ * so this suits the short clips these formats are made for.
+ * @param {string} inputLabel - Composite video label, e.g. "[outv]"
+ * @param {string} outputLabel
+ * @param {import('../core/types.js').ExportSettings} exportSettings
+ * @param {number} fps - Output frame rate, before the animated image cap
+ * @returns {string[]} Filtergraph chains
+ */
+export function buildAnimatedImageFilters(inputLabel, outputLabel, exportSettings, fps) {
+  const imageFormat = getAnimatedImageFormat(exportSettings.format);
+  const fpsCap = Number(exportSettings.animatedFps);
+  // Video exports set their rate with -r; here the fps filter does it, so fewer frames reach the palette.
+  const frameFilter = `fps=${Number.isFinite(fpsCap) && fpsCap > 0 ? Math.min(fpsCap, fps) : fps}`;
+
+  if (!imageFormat || !imageFormat.usesPalette) {
+    return [`${inputLabel}${frameFilter}${outputLabel}`];
+  }
+
+  const maxColorsValue = Math.round(Number(exportSettings.animatedMaxColors));
+  const maxColors = Number.isFinite(maxColorsValue)
+    ? Math.max(MIN_PALETTE_COLORS, Math.min(MAX_PALETTE_COLORS, maxColorsValue))
+    : MAX_PALETTE_COLORS;
+  const dither = DITHER_MODES.some(mode => mode.id === exportSettings.animatedDither)
+    ? exportSettings.animatedDither
+    : DITHER_MODES[0].id;
+  const ditherOptions = dither === 'bayer' ? 'dither=bayer:bayer_scale=3' : `dither=${dither}`;
+  return [
+    `${inputLabel}${frameFilter},split[pal_src][pal_frames]`,
+    `[pal_src]palettegen=max_colors=${maxColors}:stats_mode=diff[pal]`,
+    `[pal_frames][pal]paletteuse=${ditherOptions}:diff_mode=rectangle${outputLabel}`,
+  ];
+}
+
+/**
+ * Get the encoder and muxer flags for an animated image.
+ * animatedPlays is the total number of plays, 0 for forever.
+ * @param {import('../core/types.js').ExportSettings} exportSettings
+ * @returns {string[]}
+ */
+export function getAnimatedImageFlags(exportSettings) {
+  const playsValue = Math.round(Number(exportSettings.animatedPlays));
+  const plays = Number.isFinite(playsValue) && playsValue > 0 ? playsValue : 0;
+  if (exportSettings.format === 'webp') {
+    return ['-c:v libwebp', `-q:v ${WEBP_QUALITY}`, `-loop ${plays}`];
+  }
+  if (exportSettings.format === 'apng') {
+    return ['-f apng', `-plays ${plays}`];
+  }
+  // The GIF muxer counts repeats after the first play, and -1 means play once.
+  return [`-loop ${plays === 0 ? 0 : (plays === 1 ? -1 : plays - 1)}`];
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Audio effect rack export
+ * Maps each effect in a clip's rack onto FFmpeg audio filters. Reverb has no stock filter,
+ * so it is a dense set of aecho taps; distortion is gain into a hard clipper.
+ */
+
+// Early reflection spacing for the reverb (ms), spread further apart as the room grows.
+const REVERB_TAPS = [23, 31, 43, 53, 67, 79, 97, 113];
+
+/**
+ * Format a filter option value
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const rounded = Number(value.toFixed(4));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db
+ * @returns {number}
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Build aecho options for a set of taps, scaled so the taps added to the dry signal stay near unity
+ * @param {number[]} delays - ms
+ * @param {number[]} decays
+ * @returns {string}
+ */
+function buildEchoFilter(delays, decays) {
+  const outGain = 1 / (1 + decays.reduce((sum, decay) => sum + decay, 0));
+  return `aecho=in_gain=1:out_gain=${formatValue(outGain)}:` +
+    `delays=${delays.map(formatValue).join('|')}:decays=${decays.map(formatValue).join('|')}`;
+}
+
+/**
+ * Build the filters for one effect
+ * @param {{type: string, params: Object<string, number>}} effect - Resolved, as from getActiveAudioEffects
+ * @returns {string[]}
+ */
+function buildEffectFilters(effect) {
+  const p = effect.params;
+  switch (effect.type) {
+    case 'echo': {
+      const taps = Array.from({ length: p.repeats }, (_, index) => index + 1);
+      return [buildEchoFilter(taps.map(tap => p.delay * tap), taps.map(tap => Math.pow(p.decay, tap)))];
+    }
+    case 'reverb': {
+      const spread = 0.5 + p.size * 2;
+      return [buildEchoFilter(
+        REVERB_TAPS.map(tap => tap * spread),
+        REVERB_TAPS.map((tap, index) => p.mix * Math.pow(0.5 + p.size * 0.4, index))
+      )];
+    }
+    case 'distortion':
+      return [`volume=${formatValue(p.drive)}dB`, 'asoftclip=type=hard', `volume=${formatValue(p.level)}dB`];
+    case 'bitcrush':
+      return [`acrusher=bits=${formatValue(p.bits)}:samples=${formatValue(p.downsample)}:mix=1:mode=lin`];
+    case 'chorus':
+      // Two voices, the second slightly slower and deeper, as in the chorus filter's own examples.
+      return [`chorus=0.7:0.9:${formatValue(p.delay)}|${formatValue(p.delay * 1.3)}:` +
+        `${formatValue(p.mix)}|${formatValue(p.mix * 0.8)}:` +
+        `${formatValue(p.rate)}|${formatValue(p.rate * 1.3)}:` +
+        `${formatValue(p.depth)}|${formatValue(p.depth * 0.65)}`];
+    case 'vibrato':
+      return [`vibrato=f=${formatValue(p.rate)}:d=${formatValue(p.depth)}`];
+    case 'tremolo':
+      return [`tremolo=f=${formatValue(p.rate)}:d=${formatValue(p.depth)}`];
+    case 'phaser':
+      return [`aphaser=type=t:speed=${formatValue(p.rate)}:decay=${formatValue(p.decay)}`];
+    case 'compressor':
+      return [`acompressor=threshold=${formatValue(dbToGain(p.threshold))}:ratio=${formatValue(p.ratio)}:` +
+        `attack=5:release=50:makeup=${formatValue(dbToGain(p.makeup))}`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Build the filters for a clip's effect rack, in rack order
+ * @param {Array<{type: string, params: Object<string, number>}>} effects - As from getActiveAudioEffects
+ * @returns {string[]}
+ */
+export function buildAudioEffectFilters(effects) {
+  return effects.flatMap(effect => buildEffectFilters(effect));
+}
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Audio-only export
+ * MP3, WAV, FLAC and Opus outputs of the timeline mix, with flags suited to each codec.
+ */
+
+export const AUDIO_ONLY_FORMATS = [
+  { id: 'mp3', label: 'MP3', extension: 'mp3', chapters: true },
+  { id: 'wav', label: 'WAV', extension: 'wav', chapters: false },
+  { id: 'flac', label: 'FLAC', extension: 'flac', chapters: true },
+  { id: 'opus', label: 'Opus', extension: 'opus', chapters: true },
+];
+
+const MP3_MAX_SAMPLE_RATE = 48000;
+const OPUS_SAMPLE_RATE = 48000;
+
+/**
+ * Look up an audio-only format by its export format id
+ * @param {string} format
+ * @returns {{id: string, label: string, extension: string, chapters: boolean}|null}
+ */
+export function getAudioOnlyFormat(format) {
+  return AUDIO_ONLY_FORMATS.find(item => item.id === format) || null;
+}
+
+/**
+ * Check whether an export format is audio-only
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isAudioOnlyFormat(format) {
+  return Boolean(getAudioOnlyFormat(format));
+}
+
+/**
+ * Get the sample rate an audio-only format can actually store
+ * @param {string} format
+ * @param {number} sampleRate
+ * @returns {number}
+ */
+export function getAudioOnlySampleRate(format, sampleRate) {
+  if (format === 'opus') return OPUS_SAMPLE_RATE;
+  if (format === 'mp3') return Math.min(MP3_MAX_SAMPLE_RATE, sampleRate);
+  return sampleRate;
+}
+
+/**
+ * Get the encoder flags for an audio-only export. The video codec settings do not apply,
+ * and lossless formats ignore the audio bitrate.
+ * @param {import('../core/types.js').ExportSettings} exportSettings
+ * @returns {string[]}
+ */
+export function getAudioOnlyFlags(exportSettings) {
+  const sampleRate = getAudioOnlySampleRate(exportSettings.format, exportSettings.sampleRate || 44100);
+  switch (exportSettings.format) {
+    case 'wav':
+      return ['-c:a pcm_s16le', `-ar ${sampleRate}`];
+    case 'flac':
+      return ['-c:a flac', `-ar ${sampleRate}`];
+    case 'opus':
+      return ['-c:a libopus', `-b:a ${exportSettings.audioBitrate || '128k'}`, `-ar ${sampleRate}`];
+    default:
+      return ['-c:a libmp3lame', `-b:a ${exportSettings.audioBitrate || '192k'}`, `-ar ${sampleRate}`];
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Chapter markers for exports
+ * Builds chapters from title clips or clip names and writes them as an FFMETADATA document.
+ */
+
+import { getTextClipName, isTextClip, resolveClipText } from '../utils/text.js';
+
+/**
+ * @typedef {Object} ExportChapter
+ * @property {number} start - Output time in milliseconds
+ * @property {number} end - Output time in milliseconds
+ * @property {string} title
+ */
+
+/**
+ * Collect chapters for the exported range. Each chapter runs until the next one starts;
+ * chapters that begin at the same moment keep the first title.
+ * @param {import('../core/types.js').EditorState} state
+ * @param {{start: number, end: number}} range - Exported timeline range in milliseconds
+ * @param {'off'|'titles'|'clips'} source - text clips, or the names of media clips
+ * @returns {ExportChapter[]}
+ */
+export function getExportChapters(state, range, source) {
+  if (source !== 'titles' && source !== 'clips') return [];
+  const trackById = new Map(state.tracks.map(track => [track.id, track]));
+  const mediaById = new Map(state.mediaLibrary.map(media => [media.id, media]));
+
+  const marks = [];
+  state.clips.forEach((clip) => {
+    if (clip.visible === false) return;
+    const track = trackById.get(clip.trackId);
+    if (track && track.visible === false) return;
+    if (isTextClip(clip) !== (source === 'titles')) return;
+    if (clip.start + clip.duration <= range.start || clip.start >= range.end) return;
+
+    let title = '';
+    if (isTextClip(clip)) {
+      title = getTextClipName(resolveClipText(clip).content);
+    } else {
+      const media = mediaById.get(clip.mediaId);
+      title = clip.name || (media ? media.name : '');
+    }
+    marks.push({ start: Math.max(clip.start, range.start) - range.start, title: title || 'Chapter' });
+  });
+
+  marks.sort((a, b) => a.start - b.start);
+  const chapters = [];
+  marks.forEach((mark) => {
+    const last = chapters[chapters.length - 1];
+    if (last && Math.round(last.start) === Math.round(mark.start)) return;
+    chapters.push(mark);
+  });
+  const length = range.end - range.start;
+  return chapters.map((chapter, index) => ({
+    start: Math.round(chapter.start),
+    end: Math.round(index < chapters.length - 1 ? chapters[index + 1].start : length),
+    title: chapter.title,
+  }));
+}
+
+/**
+ * Escape a value for an FFMETADATA file
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeMetadataValue(value) {
+  return String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+}
+
+/**
+ * Serialize chapters as an FFMETADATA document for -map_chapters
+ * @param {ExportChapter[]} chapters
+ * @returns {string}
+ */
+export function buildChapterMetadata(chapters) {
+  const lines = [';FFMETADATA1'];
+  chapters.forEach((chapter) => {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${chapter.start}`,
+      `END=${chapter.end}`,
+      `title=${escapeMetadataValue(chapter.title)}`
+    );
+  });
+  return `${lines.join('\n')}\n`;
+}
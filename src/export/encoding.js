@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Video encoder flag mapping
+ * Maps the codec-neutral export settings (CRF, bitrate, target size, VBV caps and speed preset)
+ * onto the flags each encoder actually understands.
+ */
+
+// Target sizes are decimal megabytes; upload limits are usually binary, so this leaves headroom.
+const BYTES_PER_MB = 1000 * 1000;
+// Share of the target size left for container overhead.
+const CONTAINER_OVERHEAD = 0.04;
+const MIN_TARGET_VIDEO_BITRATE = 100000;
+const LOSSLESS_AUDIO_ESTIMATE = 1000000;
+const DEFAULT_AUDIO_ESTIMATE = 128000;
+
+const SPEED_PRESETS = ['ultrafast', 'veryfast', 'fast', 'medium', 'slow', 'veryslow'];
+
+/**
+ * Encoder settings by codec family. `speed` maps the shared speed preset names onto the
+ * encoder's own speed scale, fastest first.
+ */
+const CODEC_FAMILIES = {
+  x264: { crfMax: 51, defaultCrf: 23, twoPass: 'pass' },
+  x265: { crfMax: 51, defaultCrf: 23, twoPass: 'x265-params' },
+  vp9: { crfMax: 63, defaultCrf: 31, twoPass: 'pass', speed: [5, 5, 4, 2, 1, 0] },
+  aom: { crfMax: 63, defaultCrf: 30, twoPass: 'pass', speed: [8, 7, 6, 4, 2, 1] },
+  svtav1: { crfMax: 63, defaultCrf: 35, twoPass: null, speed: [12, 11, 10, 8, 5, 3] },
+  prores: { crfMax: 0, defaultCrf: 0, twoPass: null },
+};
+
+export const PRORES_PROFILES = [
+  { id: 0, label: 'Proxy' },
+  { id: 1, label: 'LT' },
+  { id: 2, label: 'Standard' },
+  { id: 3, label: 'HQ' },
+  { id: 4, label: '4444' },
+];
+
+/**
+ * Get the codec family an encoder name belongs to
+ * @param {string} codec
+ * @returns {string|null}
+ */
+export function getCodecFamily(codec) {
+  const name = String(codec || '');
+  if (name.includes('264')) return 'x264';
+  if (name.includes('265') || name.includes('hevc')) return 'x265';
+  if (name.includes('vp9')) return 'vp9';
+  if (name === 'libaom-av1') return 'aom';
+  if (name === 'libsvtav1') return 'svtav1';
+  if (name.startsWith('prores')) return 'prores';
+  return null;
+}
+
+/**
+ * Parse an ffmpeg bitrate string such as "5M", "800k" or "128000"
+ * @param {string|number} value
+ * @returns {number|null} Bits per second
+ */
+export function parseBitrate(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([kKmM]?)\s*$/.exec(String(value ?? ''));
+  if (!match) return null;
+  const scale = { '': 1, k: 1000, m: 1000000 }[match[2].toLowerCase()];
+  const bits = Number(match[1]) * scale;
+  return bits > 0 ? bits : null;
+}
+
+/**
+ * Format bits per second as an ffmpeg bitrate
+ * @param {number} bitsPerSecond
+ * @returns {string}
+ */
+function formatBitrate(bitsPerSecond) {
+  return `${Math.max(1, Math.round(bitsPerSecond / 1000))}k`;
+}
+
+/**
+ * Get the video bitrate that fits an export into a file size
+ * @param {number} sizeMB
+ * @param {number} durationMs
+ * @param {import('../core/types.js').ExportSettings} exportSettings - audio codec and bitrate are subtracted
+ * @returns {{bitrate: number, tooSmall: boolean}|null}
+ */
+export function getTargetVideoBitrate(sizeMB, durationMs, exportSettings) {
+  const size = Number(sizeMB);
+  if (!Number.isFinite(size) || size <= 0 || !(durationMs > 0)) return null;
+  const audioBitrate = exportSettings.audioCodec === 'flac'
+    ? LOSSLESS_AUDIO_ESTIMATE
+    : parseBitrate(exportSettings.audioBitrate) || DEFAULT_AUDIO_ESTIMATE;
+  const totalBitrate = (size * BYTES_PER_MB * 8 * (1 - CONTAINER_OVERHEAD)) / (durationMs / 1000);
+  const videoBitrate = Math.floor((totalBitrate - audioBitrate) / 1000) * 1000;
+  return {
+    bitrate: Math.max(MIN_TARGET_VIDEO_BITRATE, videoBitrate),
+    tooSmall: videoBitrate < MIN_TARGET_VIDEO_BITRATE,
+  };
+}
+
+/**
+ * Build the video encoder flags for an export.
+ * Target-size mode turns into an average bitrate; encoders that support it get a two-pass pair,
+ * returned separately so callers can run the analysis pass first or skip it.
+ * @param {import('../core/types.js').ExportSettings} exportSettings
+ * @param {number} durationMs - Exported duration, used by target-size mode
+ * @returns {{videoFlags: string[], passFlags: [string, string]|null, targetBitrate: number|null, targetTooSmall: boolean}}
+ */
+export function buildVideoEncodeFlags(exportSettings, durationMs) {
+  const codec = exportSettings.videoCodec;
+  const videoFlags = [];
+  const result = { videoFlags, passFlags: null, targetBitrate: null, targetTooSmall: false };
+  if (!codec) return result;
+
+  videoFlags.push(`-c:v ${codec}`);
+  const familyId = getCodecFamily(codec);
+  const family = familyId ? CODEC_FAMILIES[familyId] : null;
+
+  if (familyId === 'prores') {
+    // ProRes rate is fixed by its profile, so none of the rate controls apply.
+    const profile = PRORES_PROFILES.some(item => item.id === Number(exportSettings.proresProfile))
+      ? Number(exportSettings.proresProfile)
+      : 3;
+    videoFlags.push(
+      `-profile:v ${profile}`,
+      '-vendor apl0',
+      `-pix_fmt ${profile >= 4 ? 'yuva444p10le' : 'yuv422p10le'}`
+    );
+    return result;
+  }
+
+  const target = exportSettings.targetSizeMB
+    ? getTargetVideoBitrate(exportSettings.targetSizeMB, durationMs, exportSettings)
+    : null;
+  const bitrate = target ? formatBitrate(target.bitrate) : exportSettings.videoBitrate;
+  const maxrate = parseBitrate(exportSettings.maxrate);
+  const bufsize = parseBitrate(exportSettings.bufsize) || (maxrate ? maxrate * 2 : null);
+  let vbvHandled = false;
+
+  if (bitrate) {
+    videoFlags.push(`-b:v ${bitrate}`);
+  } else if (family) {
+    const crfValue = exportSettings.crf === '' ? NaN : Number(exportSettings.crf);
+    const crf = Number.isFinite(crfValue)
+      ? Math.max(0, Math.min(family.crfMax, Math.round(crfValue)))
+      : family.defaultCrf;
+    videoFlags.push(`-crf ${crf}`);
+    if (familyId === 'vp9' || familyId === 'aom') {
+      // libvpx and libaom only run constant quality with -b:v 0; a bitrate turns it into a cap.
+      videoFlags.push(`-b:v ${maxrate ? formatBitrate(maxrate) : 0}`);
+      vbvHandled = true;
+    }
+  }
+
+  if (maxrate && !vbvHandled) {
+    videoFlags.push(`-maxrate ${formatBitrate(maxrate)}`, `-bufsize ${formatBitrate(bufsize)}`);
+  }
+
+  const speedIndex = SPEED_PRESETS.indexOf(exportSettings.preset);
+  if (family && family.speed && speedIndex >= 0) {
+    const speed = family.speed[speedIndex];
+    if (familyId === 'vp9') {
+      videoFlags.push('-deadline good', `-cpu-used ${speed}`, '-row-mt 1');
+    } else if (familyId === 'aom') {
+      videoFlags.push(`-cpu-used ${speed}`, '-row-mt 1');
+    } else {
+      videoFlags.push(`-preset ${speed}`);
+    }
+  } else if (exportSettings.preset && (familyId === 'x264' || familyId === 'x265')) {
+    videoFlags.push(`-preset ${exportSettings.preset}`);
+  }
+
+  if (target) {
+    result.targetBitrate = target.bitrate;
+    result.targetTooSmall = target.tooSmall;
+    if (family && family.twoPass === 'pass') {
+      result.passFlags = ['-pass 1', '-pass 2'];
+    } else if (family && family.twoPass === 'x265-params') {
+      result.passFlags = ['-x265-params pass=1', '-x265-params pass=2'];
+    }
+  }
+  return result;
+}
@@ -2,27 +2,90 @@
  * @fileoverview FFmpeg export pipeline helpers
  */
 
-import { DEFAULT_AUDIO_FILTERS, DEFAULT_VIDEO_FILTERS } from '../core/constants.js';
+import {
+  DEFAULT_AUDIO_FILTERS,
+  DEFAULT_VIDEO_FILTERS,
+  FIT_BLUR_AMOUNT,
+  FREEZE_SUSTAIN_GRAIN,
+  MIN_CLIP_SCALE,
+  MAX_CLIP_SCALE,
+} from '../core/constants.js';
 import { escapeShellArg, formatSeconds } from '../utils/format.js';
+import { buildAudioEffectFilters } from './audioEffects.js';
+import { getAudioOnlyFlags, getAudioOnlyFormat, getAudioOnlySampleRate } from './audioOnly.js';
+import {
+  buildAnimatedImageFilters,
+  getAnimatedImageFlags,
+  getAnimatedImageFormat,
+} from './animatedImage.js';
+import { buildChapterMetadata, getExportChapters } from './chapters.js';
+import { buildVideoEncodeFlags } from './encoding.js';
+import { buildVideoEffectFilters } from './videoEffects.js';
+import {
+  LOUDNESS_MEASURE_LABEL,
+  SH_LOUDNESS_PARSE,
+  buildLoudnessApplyFilter,
+  buildLoudnessMeasureFilter,
+  getLoudnessSettings,
+} from './loudness.js';
+import { DEFAULT_EXPORT_SETTINGS } from './settings.js';
+import { getSubtitleFileName, getTimelineSubtitleCues } from './subtitles.js';
+import {
+  getClipPassCount,
+  getClipPlayMode,
+  getClipSourceRange,
+  getRampClipOffset,
+  getRampSourceOffset,
+  getSpeedRampPieces,
+  hasSpeedRamp,
+  isFreezeFrameClip,
+} from '../utils/clipTiming.js';
+import { areKeyframesContinuous, getKeyframes, hasAnyKeyframes } from '../utils/keyframes.js';
+import { getActiveAudioEffects } from '../utils/audioEffects.js';
+import { getClipBlendMode, resolveClipChromaKey } from '../utils/compositing.js';
+import { getPitchMode, getPitchRatio } from '../utils/pitch.js';
+import { resolveSequenceSettings } from '../utils/sequence.js';
+import { getActiveVideoEffects } from '../utils/videoEffects.js';
+import { getTextLayout, isTextClip, resolveClipText } from '../utils/text.js';
+import { isImageMedia, isStillMedia } from '../utils/imageMedia.js';
+import {
+  getClipOpacity,
+  getCroppedSize,
+  getFitMode,
+  isIdentityTransform,
+  resolveClipCrop,
+  resolveClipTransform,
+} from '../utils/transform.js';
+import { getClipPlayWindow, getTransitions } from '../utils/transitions.js';
+
+// Source read for a freeze frame: long enough to hold a frame of any source
+const FREEZE_SOURCE_WINDOW = 1000;
+// Speed ramps play audio as a run of constant-tempo steps of about this length (timeline ms)
+const RAMP_AUDIO_STEP = 250;
+const MAX_RAMP_AUDIO_STEPS = 16;
 
 /**
- * Pick an export resolution based on loaded media
+ * Get the frame size the export writes: the sequence's, unless the export settings rescale it
  * @param {import('../core/types.js').EditorState} state
+ * @param {import('../core/types.js').ExportSettings} exportSettings
  * @returns {{width: number, height: number}}
  */
-export function getExportResolution(state) {
-  let width = 1280;
-  let height = 720;
-
-  state.clips.forEach(clip => {
-    const media = state.mediaLibrary.find(m => m.id === clip.mediaId);
-    if (media && media.width && media.height) {
-      width = Math.max(width, media.width);
-      height = Math.max(height, media.height);
-    }
-  });
+export function getExportResolution(state, exportSettings) {
+  const resolution = exportSettings && exportSettings.resolution;
+  if (resolution && resolution !== 'auto' && resolution.width > 0 && resolution.height > 0) {
+    return { width: resolution.width, height: resolution.height };
+  }
+  const sequence = resolveSequenceSettings(state);
+  return { width: sequence.width, height: sequence.height };
+}
 
-  return { width, height };
+/**
+ * Format a #rrggbb color for FFmpeg's color options
+ * @param {string} color
+ * @returns {string}
+ */
+function formatColor(color) {
+  return color.replace('#', '0x');
 }
 
 /**
@@ -36,7 +99,9 @@ export function getExportResolution(state) {
  *  resolveAudioFilters: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => import('../core/types.js').ClipAudioFilters,
  *  resolveClipVolume: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => number,
  * }} options
- * @returns {{command: string, exportAudioWarning: boolean, usedLosslessCopy: boolean}|null}
+ * @returns {{command: string, job: import('../core/types.js').ExportJob, exportAudioWarning: boolean, usedLosslessCopy: boolean, outputRange: {start: number, end: number}, chapterCount?: number|null, rubberbandRequired?: boolean}|null}
+ *  outputRange is the timeline span that becomes output time zero onward; chapterCount is set when
+ *  an audio-only export asked for chapters; rubberbandRequired is set when a clip's audio uses the rubberband filter
  */
 export function buildFfmpegExportCommand(state, options) {
   const {
@@ -49,7 +114,7 @@ export function buildFfmpegExportCommand(state, options) {
   } = options || {};
   if (!state || !exportSettings || !defaultFilters) return null;
 
-  let segments = getTopmostSegments(state, mediaInfo);
+  let segments = getTimelineSegments(state, mediaInfo);
   if (segments.length === 0) return null;
 
   let exportAudioWarning = false;
@@ -68,8 +133,10 @@ export function buildFfmpegExportCommand(state, options) {
     }
   }
 
+  const textClips = getExportTextClips(state);
+
   if (exportSettings.trimEmptySpace !== false) {
-    const contentBounds = getOccupiedSegmentBounds(segments);
+    const contentBounds = getOccupiedSegmentBounds(segments, textClips);
     if (!contentBounds) return null;
     rangeStart = Math.max(rangeStart, contentBounds.start);
     rangeEnd = rangeEnd !== null
@@ -99,12 +166,47 @@ export function buildFfmpegExportCommand(state, options) {
   });
   segments = mergedResult.segments;
   const mergeBlockedByOtherTracks = mergedResult.mergeBlockedByOtherTracks;
+  // rubberband is an optional FFmpeg build flag, so the caller is told when the command relies on it.
+  const rubberbandRequired = segments.some(segment => getSegmentAudioClips(segment)
+    .some(clip => usesRubberband(clip, resolveAudioFilters(clip, defaultFilters))));
+
+  const rangeEndMs = rangeEnd !== null ? rangeEnd : segments[segments.length - 1].end;
+  const outputRange = { start: rangeStart, end: rangeEndMs };
+  const overlayFilters = buildTextOverlayFilters(textClips, rangeStart, rangeEndMs);
+  const sidecarFiles = [];
+  const burnedCues = exportSettings.subtitleMode === 'burn'
+    ? getTimelineSubtitleCues(state, outputRange)
+    : [];
+  const subtitleFile = burnedCues.length > 0
+    ? getSubtitleFileName(exportSettings.subtitleFormat)
+    : null;
+  if (subtitleFile) {
+    // The sidecar is saved next to the command, so the filter can read it by name.
+    overlayFilters.push(`subtitles=filename=${subtitleFile}`);
+    sidecarFiles.push(subtitleFile);
+  }
 
   const mediaById = new Map(state.mediaLibrary.map(media => [media.id, media]));
-  if (exportSettings.allowLosslessCopy !== false && exportSettings.deClick !== true) {
+  const imageFormat = getAnimatedImageFormat(exportSettings.format);
+  const audioFormat = getAudioOnlyFormat(exportSettings.format);
+  const loudness = imageFormat ? null : getLoudnessSettings(exportSettings);
+  // Clips are composited on the sequence's canvas; the export may then rescale the finished frame.
+  const sequence = resolveSequenceSettings(state);
+  const outputSize = getExportResolution(state, exportSettings);
+  const isRescaled = outputSize.width !== sequence.width || outputSize.height !== sequence.height;
+  if (
+    !imageFormat &&
+    !audioFormat &&
+    !loudness &&
+    exportSettings.allowLosslessCopy !== false &&
+    exportSettings.deClick !== true &&
+    overlayFilters.length === 0 &&
+    !isRescaled
+  ) {
     const copyCommand = buildConcatCopyCommand({
       segments,
       mediaById,
+      frameSize: sequence,
       exportSettings,
       defaultFilters,
       mediaInfo,
@@ -113,15 +215,317 @@ export function buildFfmpegExportCommand(state, options) {
       resolveClipVolume,
     });
     if (copyCommand) {
-      return { ...copyCommand, mergeBlockedByOtherTracks };
+      return { ...copyCommand, mergeBlockedByOtherTracks, outputRange };
     }
   }
 
+  const { width, height, fps } = sequence;
+  const outputFps = Number(exportSettings.fps) > 0 ? Number(exportSettings.fps) : fps;
+  const background = formatColor(sequence.background);
+  const rescale = isRescaled
+    ? `scale=${outputSize.width}:${outputSize.height}:force_original_aspect_ratio=decrease,` +
+      `pad=${outputSize.width}:${outputSize.height}:(ow-iw)/2:(oh-ih)/2:color=${background},setsar=1`
+    : null;
+  const sampleRate = exportSettings.sampleRate || 44100;
+
+  const outputFormat = exportSettings.format || 'mp4';
+  const encode = buildVideoEncodeFlags(exportSettings, rangeEndMs - rangeStart);
+  const videoFlags = [...encode.videoFlags];
+  const audioFlags = [];
+
+  videoFlags.push(`-r ${outputFps}`);
+
+  if (exportSettings.audioCodec) {
+    audioFlags.push(`-c:a ${exportSettings.audioCodec}`);
+  }
+  if (exportSettings.audioBitrate) {
+    audioFlags.push(`-b:a ${exportSettings.audioBitrate}`);
+  }
+  if (exportSettings.sampleRate) {
+    audioFlags.push(`-ar ${exportSettings.sampleRate}`);
+  }
+  const movFlags = (outputFormat === 'mp4' || outputFormat === 'mov')
+    ? ' -movflags +faststart'
+    : '';
+
+  const renderContext = {
+    exportSettings,
+    defaultFilters,
+    mediaInfo,
+    mediaById,
+    resolveVideoFilters,
+    resolveAudioFilters,
+    resolveClipVolume,
+    width,
+    height,
+    fps,
+    background,
+    rescale,
+    sampleRate,
+  };
+
+  // Loudness is measured over the whole mix, which a chunk cannot see, so it renders in one piece.
+  if (exportSettings.chunkedExport === true && !imageFormat && !audioFormat && !loudness) {
+    const chunkMs = (Number(exportSettings.chunkSeconds) || DEFAULT_EXPORT_SETTINGS.chunkSeconds) * 1000;
+    const chunkGroups = groupSegmentsIntoChunks(segments, chunkMs);
+    // A single chunk gains nothing over one render, so it falls through to the plain command.
+    // Chunks encode in one pass; a target size still sets their average bitrate.
+    if (chunkGroups.length > 1) {
+      const chunked = buildChunkedExport(chunkGroups, {
+        renderContext,
+        textClips,
+        rangeStart,
+        burnedCues,
+        subtitleFile,
+        outputFormat,
+        encodeFlags: [...videoFlags, ...audioFlags],
+        movFlags,
+      });
+      if (!chunked) return null;
+      return {
+        command: chunked.command,
+        job: chunked.job,
+        exportAudioWarning: exportAudioWarning || chunked.exportAudioWarning,
+        usedLosslessCopy: false,
+        mergeBlockedByOtherTracks,
+        rubberbandRequired,
+        targetSizeWarning: encode.targetTooSmall,
+        outputRange,
+      };
+    }
+  }
+
+  const render = buildSegmentRender(segments, {
+    ...renderContext,
+    overlayFilters: audioFormat ? [] : overlayFilters,
+    audioOnly: Boolean(audioFormat),
+  });
+  if (!render) return null;
+  const { inputList, filterParts } = render;
+  exportAudioWarning = exportAudioWarning || render.exportAudioWarning;
+
+  const inputs = formatInputArgs(inputList.map(media => media.name), render.inputOptions);
+
+  let loudnessJob = null;
+  if (loudness) {
+    // The measuring pass only needs the mix, so video exports measure an audio-only render.
+    const measureRender = audioFormat
+      ? render
+      : buildSegmentRender(segments, { ...renderContext, overlayFilters: [], audioOnly: true });
+    if (measureRender) {
+      loudnessJob = {
+        inputs: measureRender.inputList.map(media => media.name),
+        inputOptions: measureRender.inputOptions,
+        measureGraph: [
+          ...measureRender.filterParts,
+          `[outa]${buildLoudnessMeasureFilter(loudness)}${LOUDNESS_MEASURE_LABEL}`,
+        ].join(';\n'),
+        settings: loudness,
+        sampleRate: audioFormat ? getAudioOnlySampleRate(audioFormat.id, sampleRate) : sampleRate,
+        input: '[outa]',
+        output: '[outaudio]',
+      };
+    }
+  }
+  const loudnessPrefix = loudnessJob ? `${buildLoudnessMeasureCommand(loudnessJob)} && ` : '';
+  const loudnessChain = loudnessJob ? `; ${buildShellLoudnessChain(loudnessJob)}` : '';
+
+  if (audioFormat) {
+    const audioLabel = loudnessJob ? loudnessJob.output : '[outa]';
+    const wantsChapters = audioFormat.chapters &&
+      (exportSettings.chapterMarkers === 'titles' || exportSettings.chapterMarkers === 'clips');
+    const chapters = wantsChapters
+      ? getExportChapters(state, outputRange, exportSettings.chapterMarkers)
+      : [];
+    const metadata = chapters.length > 0 ? buildChapterMetadata(chapters) : null;
+    // Chapters arrive on stdin as an extra input, after the media files.
+    const metadataArgs = metadata ? '-f ffmetadata -i - ' : '';
+    // Without our own chapters, ones embedded in the source media would carry over at the wrong times.
+    const chapterArgs = ` -map_chapters ${metadata ? inputList.length : -1}`;
+    const audioOutputFlags = getAudioOnlyFlags(exportSettings);
+    const output = `output.${audioFormat.extension}`;
+    const payload = metadata
+      ? `printf '%b' '${escapeForSingleQuotes(metadata.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'))}' | `
+      : '';
+    return {
+      command: `${loudnessPrefix}${payload}ffmpeg ${inputs ? `${inputs} ` : ''}${metadataArgs}` +
+        `-filter_complex "${escapeDoubleQuoted(filterParts.join('; '))}${loudnessChain}" ` +
+        `-map "${audioLabel}"${chapterArgs} ${audioOutputFlags.join(' ')} -y ${output}`,
+      job: {
+        kind: 'filter',
+        inputs: inputList.map(media => media.name),
+        inputOptions: render.inputOptions,
+        filterGraph: filterParts.join(';\n'),
+        concatList: null,
+        metadata,
+        loudness: loudnessJob,
+        sidecarFiles: [],
+        maps: ['[outa]'],
+        firstPassArgs: null,
+        outputArgs: splitFlags(audioOutputFlags),
+        output,
+      },
+      exportAudioWarning,
+      usedLosslessCopy: false,
+      mergeBlockedByOtherTracks,
+      rubberbandRequired,
+      chapterCount: wantsChapters ? chapters.length : null,
+      outputRange,
+    };
+  }
+
+  if (imageFormat) {
+    // Animated images carry no audio, so the mixed track is discarded inside the graph.
+    const imageParts = [
+      ...filterParts,
+      '[outa]anullsink',
+      ...buildAnimatedImageFilters('[outv]', '[outimg]', exportSettings, outputFps),
+    ];
+    const imageFlags = getAnimatedImageFlags(exportSettings);
+    const output = `output.${imageFormat.extension}`;
+    return {
+      command: `ffmpeg ${inputs ? `${inputs} ` : ''}` +
+        `-filter_complex "${escapeDoubleQuoted(imageParts.join('; '))}" ` +
+        `-map "[outimg]" ${imageFlags.join(' ')} -y ${output}`,
+      job: {
+        kind: 'filter',
+        inputs: inputList.map(media => media.name),
+        inputOptions: render.inputOptions,
+        filterGraph: imageParts.join(';\n'),
+        concatList: null,
+        sidecarFiles,
+        maps: ['[outimg]'],
+        firstPassArgs: null,
+        outputArgs: splitFlags(imageFlags),
+        output,
+      },
+      exportAudioWarning: false,
+      usedLosslessCopy: false,
+      mergeBlockedByOtherTracks,
+      outputRange,
+    };
+  }
+
+  const filterComplex = escapeDoubleQuoted(filterParts.join('; '));
+  const graphArgs = `ffmpeg ${inputs ? `${inputs} ` : ''}-filter_complex "${filterComplex}" ` +
+    `-map "[outv]" -map "[outa]" `;
+  const finalGraphArgs = loudnessJob
+    ? `ffmpeg ${inputs ? `${inputs} ` : ''}-filter_complex "${filterComplex}${loudnessChain}" ` +
+      `-map "[outv]" -map "${loudnessJob.output}" `
+    : graphArgs;
+  // Two-pass encodes analyse the video first and throw that output away; the audio is encoded once.
+  const [firstPass, secondPass] = encode.passFlags || [null, null];
+  const finalVideoFlags = secondPass ? [...videoFlags, secondPass] : videoFlags;
+
+  return {
+    command: loudnessPrefix +
+      `${firstPass ? `${graphArgs}${videoFlags.join(' ')} ${firstPass} -f null - && ` : ''}` +
+      `${finalGraphArgs}` +
+      `${finalVideoFlags.join(' ')} ${audioFlags.join(' ')}` +
+      `${movFlags} -y output.${outputFormat}`,
+    job: {
+      kind: 'filter',
+      inputs: inputList.map(media => media.name),
+      inputOptions: render.inputOptions,
+      filterGraph: filterParts.join(';\n'),
+      concatList: null,
+      loudness: loudnessJob,
+      sidecarFiles,
+      maps: ['[outv]', '[outa]'],
+      firstPassArgs: firstPass ? splitFlags([...videoFlags, firstPass]) : null,
+      outputArgs: splitFlags([...finalVideoFlags, ...audioFlags, movFlags]),
+      output: `output.${outputFormat}`,
+    },
+    exportAudioWarning,
+    usedLosslessCopy: false,
+    mergeBlockedByOtherTracks,
+    rubberbandRequired,
+    targetSizeWarning: encode.targetTooSmall,
+    outputRange,
+  };
+}
+
+/**
+ * Build the shell step that runs the loudness measuring pass and keeps its values in LN_* variables
+ * @param {import('../core/types.js').ExportLoudness} loudnessJob
+ * @returns {string}
+ */
+function buildLoudnessMeasureCommand(loudnessJob) {
+  const inputs = formatInputArgs(loudnessJob.inputs, loudnessJob.inputOptions);
+  const graph = escapeDoubleQuoted(loudnessJob.measureGraph.replace(/;\n/g, '; '));
+  return `LN=$(ffmpeg -hide_banner -nostats ${inputs ? `${inputs} ` : ''}-filter_complex "${graph}" ` +
+    `-map "${LOUDNESS_MEASURE_LABEL}" -f null - 2>&1) && ${SH_LOUDNESS_PARSE}`;
+}
+
+/**
+ * Build the loudnorm chain for the export pass, reading the measured values from shell variables
+ * @param {import('../core/types.js').ExportLoudness} loudnessJob
+ * @returns {string}
+ */
+function buildShellLoudnessChain(loudnessJob) {
+  const filter = buildLoudnessApplyFilter(loudnessJob.settings, key => `$LN_${key}`, loudnessJob.sampleRate);
+  return `${loudnessJob.input}${filter}${loudnessJob.output}`;
+}
+
+/**
+ * Build the inputs and filtergraph that render a run of segments into [outv] and [outa]
+ * @param {Array<{audioClip: import('../core/types.js').Clip|null, audioClips: import('../core/types.js').Clip[], videoClip: import('../core/types.js').Clip|null, videoClips: import('../core/types.js').Clip[], start: number, end: number}>} segments
+ * @param {{
+ *  exportSettings: import('../core/types.js').ExportSettings,
+ *  defaultFilters: import('../core/types.js').DefaultFilters,
+ *  mediaInfo: Map<string, {hasAudio: boolean|null, hasVideo: boolean|null, isAudioOnly: boolean, isVideoType: boolean}>|null,
+ *  mediaById: Map<string, import('../core/types.js').Media>,
+ *  resolveVideoFilters: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => import('../core/types.js').ClipVideoFilters,
+ *  resolveAudioFilters: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => import('../core/types.js').ClipAudioFilters,
+ *  resolveClipVolume: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => number,
+ *  width: number,
+ *  height: number,
+ *  fps: number,
+ *  background: string,
+ *  rescale: string|null,
+ *  sampleRate: number,
+ *  overlayFilters: string[],
+ *  audioOnly?: boolean,
+ * }} context - width, height, fps and background are the sequence's; overlayFilters are drawn over
+ *  the finished composite and rescale, when set, sizes it for the output; audioOnly renders just [outa]
+ * @returns {{inputList: import('../core/types.js').Media[], inputOptions: string[][], filterParts: string[], exportAudioWarning: boolean}|null}
+ */
+function buildSegmentRender(segments, context) {
+  const {
+    exportSettings,
+    defaultFilters,
+    mediaInfo,
+    mediaById,
+    resolveVideoFilters,
+    resolveAudioFilters,
+    resolveClipVolume,
+    width,
+    height,
+    fps,
+    background,
+    rescale,
+    sampleRate,
+    overlayFilters,
+    audioOnly = false,
+  } = context;
+  let exportAudioWarning = false;
   const inputList = [];
   const mediaIndexById = new Map();
 
+  // Image media loops until cut with -t, so each image input runs to the furthest frame any layer uses.
+  const imageSourceEnds = new Map();
+  const noteImageWindow = (clip, start, duration) => {
+    const media = mediaById.get(clip.mediaId);
+    if (!isImageMedia(media)) return;
+    const endMs = Number(getClipSourceWindow(clip, start, duration).endSec) * 1000;
+    imageSourceEnds.set(media.id, Math.max(imageSourceEnds.get(media.id) || 0, endMs));
+  };
+
   segments.forEach(segment => {
-    const segmentClips = [segment.videoClip, segment.audioClip];
+    const segmentClips = [
+      ...(audioOnly ? [] : getSegmentVideoClips(segment)),
+      ...getSegmentAudioClips(segment).filter(clip => clip && !isImageMedia(mediaById.get(clip.mediaId))),
+    ];
     segmentClips.forEach(clip => {
       if (!clip) return;
       const media = mediaById.get(clip.mediaId);
@@ -133,19 +537,12 @@ export function buildFfmpegExportCommand(state, options) {
     });
   });
 
-  if (inputList.length === 0) return null;
+  if (inputList.length === 0 && overlayFilters.length === 0) return null;
 
-  const resolution = exportSettings.resolution === 'auto'
-    ? getExportResolution(state)
-    : exportSettings.resolution;
-  const width = resolution && resolution.width ? resolution.width : 1280;
-  const height = resolution && resolution.height ? resolution.height : 720;
-  const fps = exportSettings.fps || 30;
-  const sampleRate = exportSettings.sampleRate || 44100;
   const filterParts = [];
   const segmentLabels = [];
   const scaleFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
-    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${background},setsar=1`;
 
   segments.forEach((segment, index) => {
     const vLabel = `v${index}`;
@@ -153,109 +550,27 @@ export function buildFfmpegExportCommand(state, options) {
     const durationMs = segment.end - segment.start;
     if (durationMs <= 0) return;
 
-    const videoClip = segment.videoClip || null;
-    const audioClip = segment.audioClip || null;
-
-    if (videoClip) {
-      const media = mediaById.get(videoClip.mediaId);
-      if (!media) return;
+    const videoLayers = [];
+    const segmentTransitions = Array.isArray(segment.transitions) ? segment.transitions : [];
+    const transitionByClipId = new Map();
+    segmentTransitions.forEach((transition) => {
+      transitionByClipId.set(transition.fromClip.id, transition);
+      transitionByClipId.set(transition.toClip.id, transition);
+    });
 
-      const inputIndex = mediaIndexById.get(media.id);
-      const sourceWindow = getClipSourceWindow(videoClip, segment.start, durationMs);
-      const startSec = sourceWindow.startSec;
-      const endSec = sourceWindow.endSec;
+    const getVideoInputIndex = (clip) => {
+      const media = mediaById.get(clip.mediaId);
+      if (!media) return null;
       const info = mediaInfo ? mediaInfo.get(media.id) : null;
       const isAudioOnly = media.type && media.type.startsWith('audio/');
       const hasVideo = info ? info.hasVideo !== false : !isAudioOnly;
-      const videoFilters = [];
-
-      if (hasVideo) {
-        videoFilters.push(`trim=start=${startSec}:end=${endSec}`);
-        videoFilters.push('setpts=PTS-STARTPTS');
-        if (videoClip.reversed) {
-          videoFilters.push('reverse');
-          videoFilters.push('setpts=PTS-STARTPTS');
-        }
-        if (sourceWindow.speed && sourceWindow.speed !== 1) {
-          videoFilters.push(`setpts=(PTS-STARTPTS)/${sourceWindow.speed}`);
-        }
-
-        const vf = resolveVideoFilters(videoClip, defaultFilters);
-        const eqParts = [];
-        if (vf.brightness !== 0) eqParts.push(`brightness=${vf.brightness}`);
-        if (vf.contrast !== 1) eqParts.push(`contrast=${vf.contrast}`);
-        if (vf.saturation !== 1) eqParts.push(`saturation=${vf.saturation}`);
-        if (vf.gamma !== 1) eqParts.push(`gamma=${vf.gamma}`);
-        if (eqParts.length > 0) {
-          videoFilters.push(`eq=${eqParts.join(':')}`);
-        }
-        if (vf.hue !== 0) {
-          videoFilters.push(`hue=h=${vf.hue}`);
-        }
-        if (vf.rotate === 90) {
-          videoFilters.push('transpose=1');
-        } else if (vf.rotate === 180) {
-          videoFilters.push('transpose=2,transpose=2');
-        } else if (vf.rotate === 270) {
-          videoFilters.push('transpose=2');
-        }
-        if (vf.flipH) {
-          videoFilters.push('hflip');
-        }
-        if (vf.flipV) {
-          videoFilters.push('vflip');
-        }
-        if (vf.blur > 0) {
-          videoFilters.push(`boxblur=lr=${vf.blur}:lp=1`);
-        }
-        if (vf.sharpen > 0) {
-          videoFilters.push(`unsharp=5:5:${vf.sharpen}:5:5:0.0`);
-        }
-        if (vf.denoise > 0) {
-          const strength = (vf.denoise / 2).toFixed(2).replace(/\.?0+$/, '');
-          const luma = strength;
-          const chroma = (vf.denoise / 2 * 1.5).toFixed(2).replace(/\.?0+$/, '');
-          videoFilters.push(`hqdn3d=${luma}:${luma}:${chroma}:${chroma}`);
-        }
-        if (vf.fadeIn > 0) {
-          videoFilters.push(`fade=in:st=0:d=${vf.fadeIn}`);
-        }
-        if (vf.fadeOut > 0) {
-          const durationSec = durationMs / 1000;
-          const start = Math.max(0, durationSec - vf.fadeOut);
-          const startValue = start.toFixed(3).replace(/\.?0+$/, '');
-          videoFilters.push(`fade=out:st=${startValue}:d=${vf.fadeOut}`);
-        }
-
-        videoFilters.push(scaleFilter);
-        videoFilters.push('format=yuv420p');
-
-        filterParts.push(
-          `[${inputIndex}:v]${videoFilters.join(',')}[${vLabel}]`
-        );
-      } else {
-        const durationSec = formatSeconds(durationMs);
-        filterParts.push(
-          `color=c=black:s=${width}x${height}:r=${fps}:d=${durationSec},` +
-          `format=yuv420p,setsar=1[${vLabel}]`
-        );
-      }
-    } else {
-      const durationSec = formatSeconds(durationMs);
-      filterParts.push(
-        `color=c=black:s=${width}x${height}:r=${fps}:d=${durationSec},` +
-        `format=yuv420p,setsar=1[${vLabel}]`
-      );
-    }
-
-    if (audioClip) {
-      const media = mediaById.get(audioClip.mediaId);
-      if (!media) return;
+      return hasVideo ? mediaIndexById.get(media.id) : null;
+    };
 
-      const inputIndex = mediaIndexById.get(media.id);
-      const sourceWindow = getClipSourceWindow(audioClip, segment.start, durationMs);
-      const startSec = sourceWindow.startSec;
-      const endSec = sourceWindow.endSec;
+    const getAudioInputIndex = (clip) => {
+      const media = mediaById.get(clip.mediaId);
+      if (!media || isImageMedia(media)) return null;
+      if (isFreezeFrameClip(clip) && clip.freezeFrame.audio !== 'sustain') return null;
       const info = mediaInfo ? mediaInfo.get(media.id) : null;
       const isAudioOnly = media.type && media.type.startsWith('audio/');
       const isVideoType = media.type && media.type.startsWith('video/');
@@ -270,71 +585,228 @@ export function buildFfmpegExportCommand(state, options) {
       } else {
         exportAudioWarning = true;
       }
-      const audioFilters = [];
-
-      if (hasAudio) {
-        audioFilters.push(`atrim=start=${startSec}:end=${endSec}`);
-        audioFilters.push('asetpts=PTS-STARTPTS');
-        if (audioClip.reversed) {
-          audioFilters.push('areverse');
-          audioFilters.push('asetpts=PTS-STARTPTS');
-        }
-
-        const af = resolveAudioFilters(audioClip, defaultFilters);
-        const pitchSemitones = af.pitch || 0;
-        const pitchRatio = Math.pow(2, pitchSemitones / 12);
-        const speed = sourceWindow.speed || 1;
-        const tempo = speed / pitchRatio;
+      return hasAudio ? mediaIndexById.get(media.id) : null;
+    };
 
-        if (pitchSemitones !== 0) {
-          const rate = (sampleRate * pitchRatio).toFixed(2).replace(/\.?0+$/, '');
-          audioFilters.push(`asetrate=${rate}`);
-        }
+    // Image inputs loop, so they never run out of frames.
+    const getMediaDuration = (clip) => {
+      const media = mediaById.get(clip.mediaId);
+      return media && media.duration > 0 && !isImageMedia(media) ? media.duration : undefined;
+    };
+    // Effect sizes are relative to the cropped source frame; unknown sizes fall back to the output's.
+    const getSourceSize = (clip) => {
+      const media = mediaById.get(clip.mediaId);
+      return media && media.width > 0 && media.height > 0
+        ? getCroppedSize(clip, media.width, media.height)
+        : { width, height };
+    };
 
-        buildAtempoFilters(tempo).forEach(filter => audioFilters.push(filter));
+    const segmentVideoClips = audioOnly ? [] : getSegmentVideoClips(segment);
+    const addedTransitions = new Set();
+    segmentVideoClips.forEach(clip => {
+      const transition = transitionByClipId.get(clip.id);
+      if (transition) {
+        // Both sides of a transition render together as one full-frame layer.
+        if (addedTransitions.has(transition.id)) return;
+        addedTransitions.add(transition.id);
+        const sides = [transition.fromClip, transition.toClip].map((sideClip, sideIndex) => {
+          if (!segmentVideoClips.includes(sideClip)) return null;
+          const inputIndex = getVideoInputIndex(sideClip);
+          if (inputIndex === null || inputIndex === undefined) return null;
+          noteImageWindow(sideClip, transition.start, transition.end - transition.start);
+          const sideFilters = resolveVideoFilters(sideClip, defaultFilters);
+          return {
+            inputIndex,
+            clip: sideClip,
+            filters: buildVideoLayerFilters(
+              sideClip,
+              transition.start,
+              transition.end - transition.start,
+              sideFilters,
+              getMediaDuration(sideClip),
+              `${vLabel}l${videoLayers.length}t${sideIndex}`,
+              getSourceSize(sideClip)
+            ),
+            fit: getFitMode(sideFilters),
+          };
+        });
+        if (sides.every(side => !side)) return;
+        videoLayers.push({ transition, sides, isStatic: false });
+        return;
+      }
 
-        if (af.bass) {
-          audioFilters.push(`bass=g=${af.bass}`);
-        }
-        if (af.treble) {
-          audioFilters.push(`treble=g=${af.treble}`);
-        }
-        if (af.normalize) {
-          audioFilters.push('dynaudnorm');
-        }
-        if (af.pan) {
-          const left = ((1 - af.pan) / 2).toFixed(3).replace(/\.?0+$/, '');
-          const right = ((1 + af.pan) / 2).toFixed(3).replace(/\.?0+$/, '');
-          audioFilters.push(`pan=stereo|c0=${left}*c0+${left}*c1|c1=${right}*c0+${right}*c1`);
-        }
-        if (af.fadeIn > 0) {
-          audioFilters.push(`afade=t=in:st=0:d=${af.fadeIn}`);
-        }
-        if (af.fadeOut > 0) {
-          const durationSec = durationMs / 1000;
-          const start = Math.max(0, durationSec - af.fadeOut);
-          const startValue = start.toFixed(3).replace(/\.?0+$/, '');
-          audioFilters.push(`afade=t=out:st=${startValue}:d=${af.fadeOut}`);
-        }
+      const inputIndex = getVideoInputIndex(clip);
+      if (inputIndex === null || inputIndex === undefined) return;
+      noteImageWindow(clip, segment.start, durationMs);
+      const clipFilters = resolveVideoFilters(clip, defaultFilters);
+
+      videoLayers.push({
+        inputIndex,
+        filters: buildVideoLayerFilters(
+          clip,
+          segment.start,
+          durationMs,
+          clipFilters,
+          undefined,
+          `${vLabel}l${videoLayers.length}`,
+          getSourceSize(clip)
+        ),
+        clip,
+        fit: getFitMode(clipFilters),
+        // Keyed, blended and see-through layers need the black base under them even when alone.
+        isStatic: isIdentityTransform(resolveClipTransform(clip)) && !hasAnyKeyframes(clip, 'transform')
+          && !resolveClipChromaKey(clip) && !getClipBlendMode(clip).blend && getClipOpacity(clip) === 1,
+      });
+    });
 
-        const volume = audioClip.muted ? 0 : resolveClipVolume(audioClip, defaultFilters);
-        if (volume !== 1) {
-          audioFilters.push(`volume=${volume}`);
-        }
+    if (audioOnly) {
+      // Audio-only exports build no video at all, not even the black filler.
+    } else if (videoLayers.length === 1 && videoLayers[0].isStatic) {
+      const layer = videoLayers[0];
+      // Every fit but letterbox fills the frame, so only letterbox needs the pad.
+      const fitFilters = layer.fit === 'letterbox'
+        ? [scaleFilter]
+        : [...buildFitFilters(layer.fit, width, height, `${vLabel}fit`), 'setsar=1'];
+      filterParts.push(
+        `[${layer.inputIndex}:v]${[...layer.filters, ...fitFilters, 'format=yuv420p'].join(',')}[${vLabel}]`
+      );
+    } else {
+      const durationSec = formatSeconds(durationMs);
+      const baseLabel = videoLayers.length > 0 ? `${vLabel}base` : vLabel;
+      filterParts.push(
+        `color=c=${background}:s=${width}x${height}:r=${fps}:d=${durationSec},` +
+        `format=yuv420p,setsar=1[${baseLabel}]`
+      );
 
-        if (exportSettings.deClick === true) {
-          appendDeClickFilters(audioFilters, durationMs);
+      // Stack layers bottom to top; anything outside a layer's fitted box shows the tracks below.
+      let currentLabel = baseLabel;
+      videoLayers.forEach((layer, layerIndex) => {
+        const layerLabel = `${vLabel}l${layerIndex}`;
+        const isLast = layerIndex === videoLayers.length - 1;
+        const outputLabel = isLast ? vLabel : `${vLabel}c${layerIndex}`;
+        let x = '0';
+        let y = '0';
+        if (layer.transition) {
+          buildTransitionVideoFilters(layer.transition, layer.sides, {
+            segment,
+            width,
+            height,
+            fps,
+            label: layerLabel,
+          }).forEach(part => filterParts.push(part));
+        } else {
+          const placement = buildLayerPlacement(
+            layer.clip,
+            segment.start,
+            width,
+            height,
+            layer.fit,
+            `${layerLabel}fit`
+          );
+          filterParts.push(
+            `[${layer.inputIndex}:v]${[...layer.filters, ...placement.filters].join(',')}[${layerLabel}]`
+          );
+          x = placement.x;
+          y = placement.y;
+          const blendMode = getClipBlendMode(layer.clip).blend;
+          if (blendMode) {
+            buildBlendLayerFilters(currentLabel, layerLabel, outputLabel, {
+              mode: blendMode,
+              x,
+              y,
+              width,
+              height,
+              fps,
+              durationSec,
+              isLast,
+            }).forEach(part => filterParts.push(part));
+            currentLabel = outputLabel;
+            return;
+          }
         }
-
-        filterParts.push(
-          `[${inputIndex}:a]${audioFilters.join(',')}[${aLabel}]`
-        );
-      } else {
-        const durationSec = formatSeconds(durationMs);
         filterParts.push(
-          `anullsrc=channel_layout=stereo:sample_rate=${sampleRate}:d=${durationSec}[${aLabel}]`
+          `[${currentLabel}][${layerLabel}]overlay=x=${x}:y=${y}:` +
+          `eof_action=pass:format=auto${isLast ? ',format=yuv420p' : ''}[${outputLabel}]`
         );
+        currentLabel = outputLabel;
+      });
+    }
+
+    const audioLayers = [];
+    const segmentAudioClips = getSegmentAudioClips(segment);
+    const audioTransitions = new Set();
+
+    segmentAudioClips.forEach(clip => {
+      const transition = transitionByClipId.get(clip.id);
+      if (transition) {
+        if (audioTransitions.has(transition.id)) return;
+        audioTransitions.add(transition.id);
+        const sides = [transition.fromClip, transition.toClip].map((sideClip, sideIndex) => {
+          if (!segmentAudioClips.includes(sideClip)) return null;
+          const inputIndex = getAudioInputIndex(sideClip);
+          if (inputIndex === null || inputIndex === undefined) return null;
+          return {
+            inputIndex,
+            filters: buildAudioLayerFilters(sideClip, transition.start, transition.end - transition.start, {
+              af: resolveAudioFilters(sideClip, defaultFilters),
+              volume: sideClip.muted ? 0 : resolveClipVolume(sideClip, defaultFilters),
+              sampleRate,
+              mediaDurationMs: getMediaDuration(sideClip),
+              labelPrefix: `${aLabel}l${audioLayers.length}t${sideIndex}`,
+            }),
+          };
+        });
+        if (sides.every(side => !side)) return;
+        audioLayers.push({ transition, sides });
+        return;
       }
+
+      const inputIndex = getAudioInputIndex(clip);
+      if (inputIndex === null || inputIndex === undefined) return;
+
+      const audioFilters = buildAudioLayerFilters(clip, segment.start, durationMs, {
+        af: resolveAudioFilters(clip, defaultFilters),
+        volume: clip.muted ? 0 : resolveClipVolume(clip, defaultFilters),
+        sampleRate,
+        labelPrefix: `${aLabel}l${audioLayers.length}`,
+      });
+      if (exportSettings.deClick === true) {
+        // Clips that continue across a segment boundary are not cut there.
+        appendDeClickFilters(audioFilters, durationMs, {
+          fadeIn: segment.start <= clip.start + 0.5,
+          fadeOut: segment.end >= clip.start + clip.duration - 0.5,
+        });
+      }
+      audioLayers.push({ inputIndex, filters: audioFilters });
+    });
+
+    const buildAudioLayer = (layer, label, filtersAfter) => {
+      if (layer.transition) {
+        return buildTransitionAudioFilters(layer.transition, layer.sides, {
+          segment,
+          sampleRate,
+          label,
+          filtersAfter,
+        });
+      }
+      return [`[${layer.inputIndex}:a]${[...layer.filters, ...filtersAfter].join(',')}[${label}]`];
+    };
+
+    if (audioLayers.length === 1) {
+      buildAudioLayer(audioLayers[0], aLabel, []).forEach(part => filterParts.push(part));
+    } else if (audioLayers.length > 1) {
+      // Sum at unity gain so each clip keeps the level it would have on its own.
+      const mixLabels = audioLayers.map((layer, layerIndex) => {
+        const layerLabel = `${aLabel}l${layerIndex}`;
+        buildAudioLayer(layer, layerLabel, [
+          `aformat=sample_rates=${sampleRate}:channel_layouts=stereo`,
+        ]).forEach(part => filterParts.push(part));
+        return `[${layerLabel}]`;
+      });
+      filterParts.push(
+        `${mixLabels.join('')}amix=inputs=${audioLayers.length}:duration=longest:` +
+        `dropout_transition=0:normalize=0[${aLabel}]`
+      );
     } else {
       const durationSec = formatSeconds(durationMs);
       filterParts.push(
@@ -342,85 +814,226 @@ export function buildFfmpegExportCommand(state, options) {
       );
     }
 
-    segmentLabels.push(`[${vLabel}][${aLabel}]`);
+    segmentLabels.push(audioOnly ? `[${aLabel}]` : `[${vLabel}][${aLabel}]`);
   });
 
   if (segmentLabels.length === 0) return null;
 
+  const inputOptions = inputList.map(media => getImageInputOptions(media, imageSourceEnds.get(media.id), fps));
+
+  if (audioOnly) {
+    filterParts.push(`${segmentLabels.join('')}concat=n=${segmentLabels.length}:v=0:a=1[outa]`);
+    return { inputList, inputOptions, filterParts, exportAudioWarning };
+  }
+
+  // Titles and subtitles sit above every track, so they are drawn once over the finished composite;
+  // a rescale comes last so they scale with the picture.
+  const finishFilters = rescale ? [...overlayFilters, rescale] : overlayFilters;
   filterParts.push(
-    `${segmentLabels.join('')}concat=n=${segmentLabels.length}:v=1:a=1[outv][outa]`
+    `${segmentLabels.join('')}concat=n=${segmentLabels.length}:v=1:a=1` +
+    `${finishFilters.length > 0 ? '[outv0]' : '[outv]'}[outa]`
   );
+  if (finishFilters.length > 0) {
+    filterParts.push(`[outv0]${finishFilters.join(',')}[outv]`);
+  }
 
-  const inputs = inputList
-    .map(media => `-i "${escapeShellArg(media.name)}"`)
+  return { inputList, inputOptions, filterParts, exportAudioWarning };
+}
+
+/**
+ * Get the options that go before an image input. Stills repeat their one frame at the project rate
+ * and animated GIFs replay their loop; either way -t ends the input one frame after the last used.
+ * @param {import('../core/types.js').Media} media
+ * @param {number|undefined} sourceEndMs - Furthest source time a layer reads
+ * @param {number} fps
+ * @returns {string[]}
+ */
+function getImageInputOptions(media, sourceEndMs, fps) {
+  if (!isImageMedia(media) || !(sourceEndMs > 0)) return [];
+  const length = ['-t', formatSeconds(Math.ceil(sourceEndMs + 1000 / fps))];
+  return isStillMedia(media)
+    ? ['-loop', '1', '-framerate', String(fps), ...length]
+    : ['-ignore_loop', '0', ...length];
+}
+
+/**
+ * Format inputs for a shell command, each preceded by its input options
+ * @param {string[]} names
+ * @param {string[][]} [inputOptions] - Per input, in the same order
+ * @returns {string}
+ */
+function formatInputArgs(names, inputOptions = []) {
+  return names
+    .map((name, index) => [...(inputOptions[index] || []), `-i "${escapeShellArg(name)}"`].join(' '))
     .join(' ');
-  const filterComplex = filterParts.join('; ');
-  const outputFormat = exportSettings.format || 'mp4';
-  const videoFlags = [];
-  const audioFlags = [];
+}
 
-  if (exportSettings.videoCodec) {
-    videoFlags.push(`-c:v ${exportSettings.videoCodec}`);
+/**
+ * Split merged segments into chunks of roughly the target length.
+ * Every segment renders on its own, so any segment edge is a safe cut.
+ * @param {Array<{start: number, end: number}>} segments
+ * @param {number} chunkMs
+ * @returns {Array<Array<{start: number, end: number}>>}
+ */
+function groupSegmentsIntoChunks(segments, chunkMs) {
+  const groups = [];
+  let current = [];
+  segments.forEach((segment) => {
+    if (current.length > 0 && segment.start - current[0].start >= chunkMs) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(segment);
+  });
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Hash a chunk description into a file-name-safe signature (two FNV-1a passes, 64 bits)
+ * @param {string} value
+ * @returns {string}
+ */
+function hashChunkSignature(value) {
+  let a = 0x811c9dc5;
+  let b = 0x050c5d1f;
+  for (let i = 0; i < value.length; i += 1) {
+    const code = value.charCodeAt(i);
+    a = Math.imul(a ^ code, 0x01000193);
+    b = Math.imul(b ^ code, 0x01000193);
   }
+  return [a, b].map(hash => (hash >>> 0).toString(16).padStart(8, '0')).join('');
+}
 
-  if (exportSettings.videoBitrate) {
-    videoFlags.push(`-b:v ${exportSettings.videoBitrate}`);
-  } else if (
-    exportSettings.videoCodec &&
-    (exportSettings.videoCodec.includes('264') || exportSettings.videoCodec.includes('265'))
-  ) {
-    videoFlags.push(`-crf ${exportSettings.crf || 23}`);
-    if (exportSettings.preset) {
-      videoFlags.push(`-preset ${exportSettings.preset}`);
+/**
+ * Render each chunk to a file named by its signature, then stitch the files with the concat demuxer.
+ * A chunk whose file is already on disk from an earlier export is skipped, so only edited
+ * chunks render again.
+ * @param {Array<Array<{audioClip: import('../core/types.js').Clip|null, audioClips: import('../core/types.js').Clip[], videoClip: import('../core/types.js').Clip|null, videoClips: import('../core/types.js').Clip[], start: number, end: number}>>} chunkGroups
+ * @param {{
+ *  renderContext: Object,
+ *  textClips: import('../core/types.js').Clip[],
+ *  rangeStart: number,
+ *  burnedCues: import('./subtitles.js').TimelineCue[],
+ *  subtitleFile: string|null,
+ *  outputFormat: string,
+ *  encodeFlags: string[],
+ *  movFlags: string,
+ * }} options - renderContext is passed on to buildSegmentRender
+ * @returns {{command: string, job: import('../core/types.js').ExportJob, exportAudioWarning: boolean}|null}
+ */
+function buildChunkedExport(chunkGroups, options) {
+  const {
+    renderContext,
+    textClips,
+    rangeStart,
+    burnedCues,
+    subtitleFile,
+    outputFormat,
+    encodeFlags,
+    movFlags,
+  } = options;
+  const encodeArgs = splitFlags(encodeFlags);
+  const maps = ['[outv]', '[outa]'];
+  const chunks = [];
+  const commands = [];
+  let exportAudioWarning = false;
+
+  for (const group of chunkGroups) {
+    const start = group[0].start;
+    const end = group[group.length - 1].end;
+    const overlayFilters = buildTextOverlayFilters(textClips, start, end);
+    // Cue times are output times, so the chunk is shifted to its place in the output while they burn in.
+    const offsetMs = start - rangeStart;
+    const chunkCues = burnedCues.filter(cue => cue.end > offsetMs && cue.start < end - rangeStart);
+    if (subtitleFile && chunkCues.length > 0) {
+      overlayFilters.push(
+        `setpts=PTS+${formatSeconds(offsetMs)}/TB,subtitles=filename=${subtitleFile},setpts=PTS-STARTPTS`
+      );
     }
-  }
 
-  if (exportSettings.fps) {
-    videoFlags.push(`-r ${exportSettings.fps}`);
+    const render = buildSegmentRender(group, { ...renderContext, overlayFilters });
+    if (!render) return null;
+    exportAudioWarning = exportAudioWarning || render.exportAudioWarning;
+
+    const signature = hashChunkSignature(JSON.stringify({
+      graph: render.filterParts,
+      inputs: render.inputList.map(media => [media.name, media.hash, media.size]),
+      inputOptions: render.inputOptions,
+      args: encodeArgs,
+      cues: chunkCues.map(cue => [cue.start - offsetMs, cue.end - offsetMs, cue.text]),
+    }));
+    const output = `chunk-${signature}.${outputFormat}`;
+    const partOutput = `chunk-${signature}.part.${outputFormat}`;
+    const inputs = formatInputArgs(render.inputList.map(media => media.name), render.inputOptions);
+    const filterComplex = escapeDoubleQuoted(render.filterParts.join('; '));
+    commands.push(
+      `{ [ -f ${output} ] || { ffmpeg ${inputs ? `${inputs} ` : ''}-filter_complex "${filterComplex}" ` +
+      `-map "[outv]" -map "[outa]" ${encodeFlags.join(' ')} -y ${partOutput} && ` +
+      `mv ${partOutput} ${output}; }; }`
+    );
+    chunks.push({
+      signature,
+      job: {
+        kind: 'filter',
+        inputs: render.inputList.map(media => media.name),
+        inputOptions: render.inputOptions,
+        filterGraph: render.filterParts.join(';\n'),
+        concatList: null,
+        sidecarFiles: subtitleFile && chunkCues.length > 0 ? [subtitleFile] : [],
+        maps,
+        outputArgs: encodeArgs,
+        output,
+      },
+    });
   }
 
-  if (exportSettings.audioCodec) {
-    audioFlags.push(`-c:a ${exportSettings.audioCodec}`);
-  }
-  if (exportSettings.audioBitrate) {
-    audioFlags.push(`-b:a ${exportSettings.audioBitrate}`);
-  }
-  if (exportSettings.sampleRate) {
-    audioFlags.push(`-ar ${exportSettings.sampleRate}`);
-  }
-  const movFlags = (outputFormat === 'mp4' || outputFormat === 'mov')
-    ? ' -movflags +faststart'
-    : '';
+  const concatLines = chunks.map(chunk => `file 'file:${escapeConcatFilePath(chunk.job.output)}'`);
+  const concatArg = escapeForSingleQuotes(`${concatLines.join('\\n')}\\n`);
+  commands.push(
+    `printf '%b' '${concatArg}' | ` +
+    `ffmpeg -f concat -safe 0 ` +
+    `-protocol_whitelist file,pipe,fd,crypto,data -i - ` +
+    `-c copy${movFlags} -y output.${outputFormat}`
+  );
 
   return {
-    command: `ffmpeg ${inputs} -filter_complex "${filterComplex}" ` +
-      `-map "[outv]" -map "[outa]" ` +
-      `${videoFlags.join(' ')} ${audioFlags.join(' ')}` +
-      `${movFlags} -y output.${outputFormat}`,
+    command: commands.join(' && \\\n'),
+    job: {
+      kind: 'chunked',
+      inputs: [],
+      filterGraph: null,
+      concatList: `${concatLines.join('\n')}\n`,
+      sidecarFiles: [],
+      maps: [],
+      outputArgs: splitFlags(['-c copy', movFlags]),
+      output: `output.${outputFormat}`,
+      chunks,
+    },
     exportAudioWarning,
-    usedLosslessCopy: false,
-    mergeBlockedByOtherTracks,
   };
 }
 
 /**
  * Build a concat-demuxer copy command when the timeline has no effects.
  * @param {{
- *  segments: Array<{audioClip: import('../core/types.js').Clip|null, videoClip: import('../core/types.js').Clip|null, start: number, end: number}>,
+ *  segments: Array<{audioClip: import('../core/types.js').Clip|null, audioClips: import('../core/types.js').Clip[], videoClip: import('../core/types.js').Clip|null, videoClips: import('../core/types.js').Clip[], start: number, end: number}>,
  *  mediaById: Map<string, import('../core/types.js').Media>,
+ *  frameSize: {width: number, height: number},
  *  exportSettings: import('../core/types.js').ExportSettings,
  *  defaultFilters: import('../core/types.js').DefaultFilters,
  *  mediaInfo: Map<string, {hasAudio: boolean|null, hasVideo: boolean|null, isAudioOnly: boolean, isVideoType: boolean}>|null,
  *  resolveVideoFilters: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => import('../core/types.js').ClipVideoFilters,
  *  resolveAudioFilters: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => import('../core/types.js').ClipAudioFilters,
  *  resolveClipVolume: (clip: import('../core/types.js').Clip, defaults: import('../core/types.js').DefaultFilters) => number,
- * }} options
+ * }} options - frameSize is the sequence's; media of another known size is not copied
  * @returns {{command: string, exportAudioWarning: boolean, usedLosslessCopy: boolean}|null}
  */
 function buildConcatCopyCommand(options) {
   const {
     segments,
     mediaById,
+    frameSize,
     exportSettings,
     defaultFilters,
     mediaInfo,
@@ -439,6 +1052,8 @@ function buildConcatCopyCommand(options) {
     const durationMs = segment.end - segment.start;
     if (durationMs <= 0) return null;
     if (!segment.videoClip || !segment.audioClip) return null;
+    if (getSegmentVideoClips(segment).length !== 1) return null;
+    if (getSegmentAudioClips(segment).length !== 1) return null;
     if (segment.videoClip.id !== segment.audioClip.id) return null;
 
     const clip = segment.videoClip;
@@ -454,6 +1069,10 @@ function buildConcatCopyCommand(options) {
 
     const media = mediaById.get(clip.mediaId);
     if (!media) return null;
+    // A copy keeps the source frame, so it only stands in for a render at the same size.
+    if (media.width && media.height && (media.width !== frameSize.width || media.height !== frameSize.height)) {
+      return null;
+    }
 
     const info = mediaInfo ? mediaInfo.get(media.id) : null;
     const isAudioOnly = media.type && media.type.startsWith('audio/');
@@ -485,6 +1104,16 @@ function buildConcatCopyCommand(options) {
       `ffmpeg -f concat -safe 0 ` +
       `-protocol_whitelist file,pipe,fd,crypto,data -i - ` +
       `-c copy${movFlags} -y output.${outputFormat}`,
+    job: {
+      kind: 'concat',
+      inputs: [mediaById.get(sourceMediaId).name],
+      filterGraph: null,
+      concatList: `${concatLines.join('\n')}\n`,
+      sidecarFiles: [],
+      maps: [],
+      outputArgs: splitFlags(['-c copy', movFlags]),
+      output: `output.${outputFormat}`,
+    },
     exportAudioWarning,
     usedLosslessCopy: true,
   };
@@ -494,9 +1123,16 @@ function isCopySafeClip(clip, defaults, resolveVideoFilters, resolveAudioFilters
   const speed = clip.speed === undefined ? 1 : clip.speed;
   if (speed !== 1) return false;
   if (clip.reversed) return false;
+  if (isFreezeFrameClip(clip) || getClipPassCount(clip) > 1 || hasSpeedRamp(clip)) return false;
+  if (getActiveAudioEffects(clip).length > 0 || getActiveVideoEffects(clip).length > 0) return false;
+  if (resolveClipChromaKey(clip) || getClipBlendMode(clip).blend) return false;
+  if (resolveClipCrop(clip) || getClipOpacity(clip) < 1) return false;
   if (clip.muted) return false;
   if (clip.visible === false) return false;
 
+  if (!isIdentityTransform(resolveClipTransform(clip))) return false;
+  if (hasAnyKeyframes(clip)) return false;
+
   const videoFilters = resolveVideoFilters(clip, defaults);
   if (!isNeutralVideoFilters(videoFilters)) return false;
 
@@ -523,7 +1159,8 @@ function isNeutralVideoFilters(filters) {
     filters.sharpen === DEFAULT_VIDEO_FILTERS.sharpen &&
     filters.denoise === DEFAULT_VIDEO_FILTERS.denoise &&
     filters.fadeIn === DEFAULT_VIDEO_FILTERS.fadeIn &&
-    filters.fadeOut === DEFAULT_VIDEO_FILTERS.fadeOut
+    filters.fadeOut === DEFAULT_VIDEO_FILTERS.fadeOut &&
+    getFitMode(filters) === DEFAULT_VIDEO_FILTERS.fit
   );
 }
 
@@ -549,18 +1186,39 @@ function escapeForSingleQuotes(value) {
 }
 
 /**
- * Build topmost-visible segments for the timeline
+ * Escape the characters a POSIX shell still expands inside double quotes
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeDoubleQuoted(value) {
+  return String(value).replace(/[\\"$`]/g, match => `\\${match}`);
+}
+
+/**
+ * Split space-separated flag groups into single arguments
+ * @param {string[]} flags
+ * @returns {string[]}
+ */
+function splitFlags(flags) {
+  return flags.join(' ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Build timeline segments with every audible clip and every visible video layer
  * @param {import('../core/types.js').EditorState} state
  * @param {Map<string, {hasAudio: boolean|null, hasVideo: boolean|null, isAudioOnly: boolean, isVideoType: boolean}>|null} mediaInfo
- * @returns {Array<{audioClip: import('../core/types.js').Clip|null, videoClip: import('../core/types.js').Clip|null, start: number, end: number}>}
+ * @returns {Array<{audioClip: import('../core/types.js').Clip|null, audioClips: import('../core/types.js').Clip[], videoClip: import('../core/types.js').Clip|null, videoClips: import('../core/types.js').Clip[], start: number, end: number}>}
  */
-function getTopmostSegments(state, mediaInfo) {
+function getTimelineSegments(state, mediaInfo) {
   const trackById = new Map(state.tracks.map(track => [track.id, track]));
-  const clips = state.clips.filter((clip) => {
+  const visibleClips = state.clips.filter((clip) => {
     const track = trackById.get(clip.trackId);
     return !track || track.visible !== false;
   });
-  if (clips.length === 0) return [];
+  if (visibleClips.length === 0) return [];
+  // Text clips are drawn over the finished composite; they only stretch the timeline here.
+  const clips = visibleClips.filter(clip => !isTextClip(clip));
+  const textClips = visibleClips.filter(clip => isTextClip(clip) && clip.visible !== false);
 
   const infoMap = mediaInfo || new Map();
   const mediaById = new Map(state.mediaLibrary.map(media => [media.id, media]));
@@ -578,8 +1236,16 @@ function getTopmostSegments(state, mediaInfo) {
     return isVideoType || !isAudioOnly;
   };
 
+  // Clips in a transition play on past their edges, so segment on their extended windows.
+  const transitions = getTransitions(clips);
+  const windows = new Map(clips.map(clip => [clip.id, getClipPlayWindow(clip, transitions)]));
   const boundaries = new Set([0]);
   clips.forEach(clip => {
+    const playWindow = windows.get(clip.id);
+    boundaries.add(playWindow.start);
+    boundaries.add(playWindow.end);
+  });
+  textClips.forEach(clip => {
     boundaries.add(clip.start);
     boundaries.add(clip.start + clip.duration);
   });
@@ -602,39 +1268,66 @@ function getTopmostSegments(state, mediaInfo) {
     const end = times[i + 1];
     if (end <= start) continue;
 
-    const active = clips.filter(
-      clip => start >= clip.start && start < clip.start + clip.duration
-    );
+    const active = clips.filter((clip) => {
+      const playWindow = windows.get(clip.id);
+      return start >= playWindow.start && start < playWindow.end;
+    });
     if (active.length === 0) {
-      segments.push({ audioClip: null, videoClip: null, start, end });
+      segments.push({
+        audioClip: null,
+        audioClips: [],
+        videoClip: null,
+        videoClips: [],
+        transitions: [],
+        start,
+        end,
+      });
       continue;
     }
 
-    const audioClip = getTopmost(
-      active.filter((clip) => {
+    const audibleClips = active
+      .filter((clip) => {
         const track = trackById.get(clip.trackId);
         return !track || !track.muted;
       })
-    );
-    const videoClip = getTopmost(
-      active.filter(clip => clip.visible !== false && hasVideoForClip(clip))
+      .sort((a, b) => (a.trackId - b.trackId) || (a.start - b.start));
+    const audioClip = getTopmost(audibleClips);
+    // Muted clips add nothing to the mix, so only the topmost keeps its slot for copy checks.
+    const audioClips = audibleClips.filter(clip => !clip.muted);
+    // Lower tracks render first; track 0 ends up on top of the stack.
+    // Within a track the outgoing clip of a transition comes before the incoming one.
+    const videoClips = active
+      .filter(clip => clip.visible !== false && hasVideoForClip(clip))
+      .sort((a, b) => (b.trackId - a.trackId) || (a.start - b.start));
+    const videoClip = videoClips.length > 0 ? videoClips[videoClips.length - 1] : null;
+    const segmentTransitions = transitions.filter(
+      transition => start >= transition.start && start < transition.end
     );
 
-    segments.push({ audioClip, videoClip, start, end });
+    segments.push({
+      audioClip,
+      audioClips,
+      videoClip,
+      videoClips,
+      transitions: segmentTransitions,
+      start,
+      end,
+    });
   }
 
+  const getLayerKey = clips => clips.map(clip => clip.id).join('|');
   const merged = [];
   for (const segment of segments) {
     const last = merged[merged.length - 1];
     const sameAudio = last && (
       (last.audioClip && segment.audioClip && last.audioClip.id === segment.audioClip.id) ||
       (!last.audioClip && !segment.audioClip)
-    );
+    ) && getLayerKey(getSegmentAudioClips(last)) === getLayerKey(getSegmentAudioClips(segment));
     const sameVideo = last && (
-      (last.videoClip && segment.videoClip && last.videoClip.id === segment.videoClip.id) ||
-      (!last.videoClip && !segment.videoClip)
+      getLayerKey(getSegmentVideoClips(last)) === getLayerKey(getSegmentVideoClips(segment))
     );
-    if (last && sameAudio && sameVideo) {
+    const sameTransitions = last && getTransitionKey(last) === getTransitionKey(segment);
+    if (last && sameAudio && sameVideo && sameTransitions) {
       last.end = segment.end;
     } else {
       merged.push({ ...segment });
@@ -644,49 +1337,983 @@ function getTopmostSegments(state, mediaInfo) {
   return merged;
 }
 
-function getOccupiedSegmentBounds(segments) {
+/**
+ * Read a segment's video layers, bottom to top
+ * @param {{videoClip: import('../core/types.js').Clip|null, videoClips?: import('../core/types.js').Clip[]}} segment
+ * @returns {import('../core/types.js').Clip[]}
+ */
+function getSegmentVideoClips(segment) {
+  if (Array.isArray(segment.videoClips)) return segment.videoClips;
+  return segment.videoClip ? [segment.videoClip] : [];
+}
+
+/**
+ * Identify the transitions a segment is part of; segments only merge within the same ones
+ * @param {{transitions?: import('../utils/transitions.js').ResolvedTransition[]}} segment
+ * @returns {string}
+ */
+function getTransitionKey(segment) {
+  return Array.isArray(segment.transitions)
+    ? segment.transitions.map(transition => transition.id).join('|')
+    : '';
+}
+
+/**
+ * Read a segment's audible clips, top track first
+ * @param {{audioClip: import('../core/types.js').Clip|null, audioClips?: import('../core/types.js').Clip[]}} segment
+ * @returns {import('../core/types.js').Clip[]}
+ */
+function getSegmentAudioClips(segment) {
+  if (Array.isArray(segment.audioClips)) return segment.audioClips;
+  return segment.audioClip ? [segment.audioClip] : [];
+}
+
+/**
+ * Format a number for an FFmpeg expression
+ * @param {number} value
+ * @returns {string}
+ */
+function formatExpressionNumber(value) {
+  const rounded = Number(value.toFixed(4));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Build a piecewise FFmpeg expression in `t` for a keyframe curve.
+ * `t` runs from 0 at the segment start; the offset maps it back onto clip time.
+ * @param {import('../core/types.js').Keyframe[]} keyframes - sorted by time
+ * @param {number} offsetMs - segment start minus clip start; negative when a transition starts early
+ * @returns {string}
+ */
+function buildKeyframeExpression(keyframes, offsetMs) {
+  const offsetSec = formatExpressionNumber(Math.abs(offsetMs) / 1000);
+  let clipTime = 't';
+  if (offsetSec !== '0') {
+    clipTime = `(t${offsetMs > 0 ? '+' : '-'}${offsetSec})`;
+  }
+  const since = (timeSec) => (timeSec === 0
+    ? clipTime
+    : `(${clipTime}${timeSec > 0 ? '-' : '+'}${formatExpressionNumber(Math.abs(timeSec))})`);
+  const last = keyframes[keyframes.length - 1];
+  let expression = formatExpressionNumber(last.value);
+  for (let i = keyframes.length - 2; i >= 0; i -= 1) {
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    const fromSec = from.time / 1000;
+    const spanSec = (to.time - from.time) / 1000;
+    const delta = to.value - from.value;
+    let segment = formatExpressionNumber(from.value);
+    if (spanSec > 0 && delta !== 0) {
+      const progress = `${since(fromSec)}/${formatExpressionNumber(spanSec)}`;
+      const eased = from.easing === 'ease'
+        ? `(${progress})*(${progress})*(3-2*${progress})`
+        : progress;
+      segment = `${segment}+${formatExpressionNumber(delta)}*${eased}`;
+    }
+    expression = `if(lt(${clipTime},${formatExpressionNumber(to.time / 1000)}),${segment},${expression})`;
+  }
+  const first = keyframes[0];
+  if (keyframes.length > 1) {
+    expression = `if(lt(${clipTime},${formatExpressionNumber(first.time / 1000)}),` +
+      `${formatExpressionNumber(first.value)},${expression})`;
+  }
+  return expression;
+}
+
+/**
+ * Get a keyframed property as a quoted FFmpeg expression, or null when it is static
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} property
+ * @param {number} segmentStart
+ * @returns {string|null}
+ */
+function getKeyframeExpression(clip, property, segmentStart) {
+  const keyframes = getKeyframes(clip, property);
+  if (keyframes.length === 0) return null;
+  return buildKeyframeExpression(keyframes, segmentStart - clip.start);
+}
+
+/**
+ * Build the filters that scale a picture into a box under a fit mode.
+ * letterbox may come out smaller than the box; every other mode fills it exactly. blur is a
+ * sub-chain (split, blur, overlay) inside a comma-joined layer chain, so its labels take a prefix.
+ * @param {import('../core/types.js').FitMode} fit
+ * @param {number} boxWidth
+ * @param {number} boxHeight
+ * @param {string} labelPrefix
+ * @returns {string[]}
+ */
+function buildFitFilters(fit, boxWidth, boxHeight, labelPrefix) {
+  const box = `${boxWidth}:${boxHeight}`;
+  switch (fit) {
+    case 'fill':
+      return [`scale=${box}:force_original_aspect_ratio=increase`, `crop=${box}`];
+    case 'stretch':
+      return [`scale=${box}`];
+    case 'blur': {
+      const [background, foreground] = [`[${labelPrefix}bg]`, `[${labelPrefix}fg]`];
+      const [backgroundSource, foregroundSource] = [`[${labelPrefix}b]`, `[${labelPrefix}f]`];
+      const sigma = Number((boxHeight * FIT_BLUR_AMOUNT).toFixed(2));
+      return [
+        `split${backgroundSource}${foregroundSource};` +
+        `${backgroundSource}scale=${box}:force_original_aspect_ratio=increase,crop=${box},` +
+        `gblur=sigma=${sigma}${background};` +
+        `${foregroundSource}scale=${box}:force_original_aspect_ratio=decrease${foreground};` +
+        `${background}${foreground}overlay=(W-w)/2:(H-h)/2`,
+      ];
+    }
+    default:
+      return [`scale=${box}:force_original_aspect_ratio=decrease`];
+  }
+}
+
+/**
+ * Build the scale/opacity/rotate filters and overlay position that place a layer on the frame
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} segmentStart
+ * @param {number} width - output width
+ * @param {number} height - output height
+ * @param {import('../core/types.js').FitMode} fit
+ * @param {string} labelPrefix - For the labels a blur fit needs
+ * @returns {{filters: string[], x: string, y: string}}
+ */
+function buildLayerPlacement(clip, segmentStart, width, height, fit, labelPrefix) {
+  const transform = resolveClipTransform(clip);
+  const scaleExpression = getKeyframeExpression(clip, 'transform.scale', segmentStart);
+  const rotationExpression = getKeyframeExpression(clip, 'transform.rotation', segmentStart);
+  const xExpression = getKeyframeExpression(clip, 'transform.x', segmentStart);
+  const yExpression = getKeyframeExpression(clip, 'transform.y', segmentStart);
+  const filters = [];
+
+  if (scaleExpression && fit !== 'letterbox') {
+    // Fit to the whole frame first; the box's shape never changes, only its size.
+    const scale = `clip(${scaleExpression},${MIN_CLIP_SCALE},${MAX_CLIP_SCALE})`;
+    filters.push(
+      ...buildFitFilters(fit, width, height, labelPrefix),
+      `scale=w='max(2,round(iw*${scale}))':h='max(2,round(ih*${scale}))':eval=frame`
+    );
+  } else if (scaleExpression) {
+    const scale = `clip(${scaleExpression},${MIN_CLIP_SCALE},${MAX_CLIP_SCALE})`;
+    filters.push(
+      `scale=w='max(2,round(${width}*${scale}))':h='max(2,round(${height}*${scale}))':` +
+      'force_original_aspect_ratio=decrease:eval=frame'
+    );
+  } else {
+    const boxWidth = Math.max(2, Math.round(width * transform.scale));
+    const boxHeight = Math.max(2, Math.round(height * transform.scale));
+    filters.push(...buildFitFilters(fit, boxWidth, boxHeight, labelPrefix));
+  }
+  filters.push('setsar=1', 'format=yuva420p');
+  const opacity = getClipOpacity(clip);
+  if (opacity < 1) {
+    filters.push(`colorchannelmixer=aa=${opacity}`);
+  }
+
+  if (rotationExpression) {
+    // The output box must fit every angle the curve passes through.
+    filters.push(
+      `rotate=a='(${rotationExpression})*PI/180':ow='hypot(iw,ih)':oh='hypot(iw,ih)':c=none`
+    );
+  } else {
+    const rotation = transform.rotation % 360;
+    if (rotation !== 0) {
+      const radians = (rotation * Math.PI / 180).toFixed(6).replace(/\.?0+$/, '');
+      filters.push(`rotate=${radians}:ow=rotw(${radians}):oh=roth(${radians}):c=none`);
+    }
+  }
+
+  const formatOffset = (value, expression) => {
+    if (expression) return `+(${expression})`;
+    const rounded = Math.round(value);
+    if (rounded === 0) return '';
+    return rounded > 0 ? `+${rounded}` : `${rounded}`;
+  };
+  const x = `(W-w)/2${formatOffset(transform.x, xExpression)}`;
+  const y = `(H-h)/2${formatOffset(transform.y, yExpression)}`;
+  return {
+    filters,
+    x: xExpression ? `'${x}'` : x,
+    y: yExpression ? `'${y}'` : y,
+  };
+}
+
+/**
+ * Blend a placed layer into the composite below it.
+ * blend needs two same-sized frames, so the layer is placed on a transparent full frame first and
+ * blended in RGB; the layer's own alpha then masks the result, so only its box (minus anything
+ * keyed out) changes.
+ * @param {string} currentLabel - Composite so far
+ * @param {string} layerLabel - The layer, with placement filters applied
+ * @param {string} outputLabel
+ * @param {{mode: string, x: string, y: string, width: number, height: number, fps: number, durationSec: string, isLast: boolean}} options
+ *  mode is a blend all_mode value; x and y are the layer's overlay position
+ * @returns {string[]} filter graph parts ending in `[outputLabel]`
+ */
+function buildBlendLayerFilters(currentLabel, layerLabel, outputLabel, options) {
+  const { mode, x, y, width, height, fps, durationSec, isLast } = options;
+  const label = `${layerLabel}b`;
+  return [
+    `color=c=black@0:s=${width}x${height}:r=${fps}:d=${durationSec},format=yuva420p,setsar=1[${label}base]`,
+    `[${label}base][${layerLabel}]overlay=x=${x}:y=${y}:eof_action=pass:format=auto,` +
+      `format=yuva420p,split[${label}top][${label}alpha]`,
+    `[${label}alpha]alphaextract[${label}mask]`,
+    `[${currentLabel}]split[${label}under][${label}bottom]`,
+    `[${label}bottom]format=gbrp[${label}rgb]`,
+    `[${label}top]format=gbrp[${label}toprgb]`,
+    `[${label}rgb][${label}toprgb]blend=all_mode=${mode},format=yuva420p[${label}mix]`,
+    `[${label}mix][${label}mask]alphamerge[${label}over]`,
+    `[${label}under][${label}over]overlay=eof_action=pass:format=auto` +
+      `${isLast ? ',format=yuv420p' : ''}[${outputLabel}]`,
+  ];
+}
+
+/**
+ * Get the part of a transition a segment covers, as trim filters on the full transition
+ * @param {import('../utils/transitions.js').ResolvedTransition} transition
+ * @param {{start: number, end: number}} segment
+ * @param {'video'|'audio'} kind
+ * @returns {string[]}
+ */
+function getTransitionTrimFilters(transition, segment, kind) {
+  const startMs = Math.max(0, segment.start - transition.start);
+  const endMs = Math.min(transition.end, segment.end) - transition.start;
+  const isWhole = startMs <= 0.5 && endMs >= transition.end - transition.start - 0.5;
+  if (isWhole) return [];
+  const prefix = kind === 'audio' ? 'a' : '';
+  return [
+    `${prefix}trim=start=${formatSeconds(startMs)}:end=${formatSeconds(endMs)}`,
+    `${prefix}setpts=PTS-STARTPTS`,
+  ];
+}
+
+/**
+ * Build a transition as one full-frame layer.
+ * Each side is rendered over the whole transition and placed on a transparent frame so xfade
+ * sees two same-sized inputs; the segment's share of the result is trimmed out afterwards.
+ * @param {import('../utils/transitions.js').ResolvedTransition} transition
+ * @param {Array<{inputIndex: number, clip: import('../core/types.js').Clip, filters: string[], fit: import('../core/types.js').FitMode}|null>} sides - outgoing, incoming
+ * @param {{segment: {start: number, end: number}, width: number, height: number, fps: number, label: string}} options
+ * @returns {string[]} filter graph parts ending in `[label]`
+ */
+function buildTransitionVideoFilters(transition, sides, options) {
+  const { segment, width, height, fps, label } = options;
+  const durationSec = formatSeconds(transition.end - transition.start);
+  const parts = [];
+  const sideLabels = sides.map((side, sideIndex) => {
+    const sideLabel = `${label}t${sideIndex}`;
+    const base = `color=c=black@0:s=${width}x${height}:r=${fps}:d=${durationSec},format=yuva420p,setsar=1`;
+    if (!side) {
+      parts.push(`${base}[${sideLabel}]`);
+      return sideLabel;
+    }
+    const placement = buildLayerPlacement(side.clip, transition.start, width, height, side.fit, `${sideLabel}fit`);
+    parts.push(`${base}[${sideLabel}base]`);
+    parts.push(
+      `[${side.inputIndex}:v]${[...side.filters, ...placement.filters].join(',')}[${sideLabel}src]`
+    );
+    parts.push(
+      `[${sideLabel}base][${sideLabel}src]overlay=x=${placement.x}:y=${placement.y}:` +
+      `eof_action=pass:format=auto,format=yuva420p[${sideLabel}]`
+    );
+    return sideLabel;
+  });
+  const trimFilters = getTransitionTrimFilters(transition, segment, 'video');
+  parts.push(
+    `[${sideLabels[0]}][${sideLabels[1]}]` +
+    [`xfade=transition=${transition.xfade}:duration=${durationSec}:offset=0`, ...trimFilters].join(',') +
+    `[${label}]`
+  );
+  return parts;
+}
+
+/**
+ * Build a transition's audio as one crossfaded layer
+ * @param {import('../utils/transitions.js').ResolvedTransition} transition
+ * @param {Array<{inputIndex: number, filters: string[]}|null>} sides - outgoing, incoming
+ * @param {{segment: {start: number, end: number}, sampleRate: number, label: string, filtersAfter: string[]}} options
+ * @returns {string[]} filter graph parts ending in `[label]`
+ */
+function buildTransitionAudioFilters(transition, sides, options) {
+  const { segment, sampleRate, label, filtersAfter } = options;
+  const durationSec = formatSeconds(transition.end - transition.start);
+  const format = `aformat=sample_rates=${sampleRate}:channel_layouts=stereo`;
+  const parts = [];
+  const sideLabels = sides.map((side, sideIndex) => {
+    const sideLabel = `${label}t${sideIndex}`;
+    if (!side) {
+      parts.push(
+        `anullsrc=channel_layout=stereo:sample_rate=${sampleRate}:d=${durationSec}[${sideLabel}]`
+      );
+    } else {
+      parts.push(`[${side.inputIndex}:a]${[...side.filters, format].join(',')}[${sideLabel}]`);
+    }
+    return sideLabel;
+  });
+  const chain = [
+    `acrossfade=d=${durationSec}:c1=tri:c2=tri`,
+    ...getTransitionTrimFilters(transition, segment, 'audio'),
+    ...filtersAfter,
+  ];
+  parts.push(`[${sideLabels[0]}][${sideLabels[1]}]${chain.join(',')}[${label}]`);
+  return parts;
+}
+
+/**
+ * Build the trim/timing/crop/effect filters for one video layer, before scaling
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} segmentStart
+ * @param {number} durationMs
+ * @param {import('../core/types.js').ClipVideoFilters} vf
+ * @param {number} [mediaDurationMs] - freeze the edge frames where the window runs past the source
+ * @param {string} [labelPrefix] - keeps the labels of a ping-pong, loop or effect sub-chain unique in the graph
+ * @param {{width: number, height: number}} [sourceSize] - sizes the effect rack's pixel amounts
+ * @returns {string[]}
+ */
+function buildVideoLayerFilters(clip, segmentStart, durationMs, vf, mediaDurationMs, labelPrefix = 'pass', sourceSize = null) {
+  const videoFilters = [];
+  const sourceWindow = getClipSourceWindow(clip, segmentStart, durationMs, mediaDurationMs);
+
+  videoFilters.push(`trim=start=${sourceWindow.startSec}:end=${sourceWindow.endSec}`);
+  if (isFreezeFrameClip(clip)) {
+    // Keep the first frame of the window and clone it for the whole segment.
+    const durationSec = formatSeconds(durationMs);
+    videoFilters.push('trim=end_frame=1');
+    videoFilters.push('setpts=PTS-STARTPTS');
+    videoFilters.push(`tpad=stop_mode=clone:stop_duration=${durationSec}`);
+    videoFilters.push(`trim=duration=${durationSec}`);
+  } else if (getClipPassCount(clip) > 1) {
+    // Play the whole window once per pass, then cut the segment's share out of the result.
+    videoFilters.push('setpts=PTS-STARTPTS');
+    videoFilters.push(buildPassFilter(clip, labelPrefix, 'video'));
+    if (sourceWindow.speed && sourceWindow.speed !== 1) {
+      videoFilters.push(`setpts=(PTS-STARTPTS)/${sourceWindow.speed}`);
+    }
+    videoFilters.push(`trim=${getPassTrimOptions(clip, segmentStart, durationMs, sourceWindow)}`);
+    videoFilters.push('setpts=PTS-STARTPTS');
+  } else {
+    videoFilters.push('setpts=PTS-STARTPTS');
+    if (clip.reversed) {
+      videoFilters.push('reverse');
+      videoFilters.push('setpts=PTS-STARTPTS');
+    }
+    if (hasSpeedRamp(clip)) {
+      videoFilters.push(`setpts='${buildSpeedRampPtsExpression(clip, sourceWindow)}'`);
+    } else if (sourceWindow.speed && sourceWindow.speed !== 1) {
+      videoFilters.push(`setpts=(PTS-STARTPTS)/${sourceWindow.speed}`);
+    }
+  }
+  const padParts = [];
+  if (sourceWindow.padStartMs > 0) {
+    padParts.push(`start_mode=clone:start_duration=${formatSeconds(sourceWindow.padStartMs)}`);
+  }
+  if (sourceWindow.padEndMs > 0) {
+    padParts.push(`stop_mode=clone:stop_duration=${formatSeconds(sourceWindow.padEndMs)}`);
+  }
+  if (padParts.length > 0) {
+    videoFilters.push(`tpad=${padParts.join(':')}`);
+  }
+  const crop = resolveClipCrop(clip);
+  if (crop) {
+    const cropWidth = crop.left + crop.right > 0 ? `iw-${crop.left + crop.right}` : 'iw';
+    const cropHeight = crop.top + crop.bottom > 0 ? `ih-${crop.top + crop.bottom}` : 'ih';
+    videoFilters.push(`crop=${cropWidth}:${cropHeight}:${crop.left}:${crop.top}`);
+  }
+
+  const eqParts = [];
+  let eqAnimated = false;
+  [
+    ['brightness', 0],
+    ['contrast', 1],
+    ['saturation', 1],
+    ['gamma', 1],
+  ].forEach(([key, neutral]) => {
+    const expression = getKeyframeExpression(clip, `video.${key}`, segmentStart);
+    if (expression) {
+      eqParts.push(`${key}='${expression}'`);
+      eqAnimated = true;
+    } else if (vf[key] !== neutral) {
+      eqParts.push(`${key}=${vf[key]}`);
+    }
+  });
+  if (eqAnimated) {
+    eqParts.push('eval=frame');
+  }
+  if (eqParts.length > 0) {
+    videoFilters.push(`eq=${eqParts.join(':')}`);
+  }
+  const hueExpression = getKeyframeExpression(clip, 'video.hue', segmentStart);
+  if (hueExpression) {
+    videoFilters.push(`hue=h='${hueExpression}'`);
+  } else if (vf.hue !== 0) {
+    videoFilters.push(`hue=h=${vf.hue}`);
+  }
+  if (vf.rotate === 90) {
+    videoFilters.push('transpose=1');
+  } else if (vf.rotate === 180) {
+    videoFilters.push('transpose=2,transpose=2');
+  } else if (vf.rotate === 270) {
+    videoFilters.push('transpose=2');
+  }
+  if (vf.flipH) {
+    videoFilters.push('hflip');
+  }
+  if (vf.flipV) {
+    videoFilters.push('vflip');
+  }
+  if (vf.blur > 0) {
+    videoFilters.push(`boxblur=lr=${vf.blur}:lp=1`);
+  }
+  if (vf.sharpen > 0) {
+    videoFilters.push(`unsharp=5:5:${vf.sharpen}:5:5:0.0`);
+  }
+  if (vf.denoise > 0) {
+    const strength = (vf.denoise / 2).toFixed(2).replace(/\.?0+$/, '');
+    const luma = strength;
+    const chroma = (vf.denoise / 2 * 1.5).toFixed(2).replace(/\.?0+$/, '');
+    videoFilters.push(`hqdn3d=${luma}:${luma}:${chroma}:${chroma}`);
+  }
+  const effects = getActiveVideoEffects(clip);
+  if (effects.length > 0) {
+    // A quarter turn swaps the frame's sides before the effects see it.
+    const size = sourceSize || { width: 1280, height: 720 };
+    const turned = vf.rotate === 90 || vf.rotate === 270;
+    buildVideoEffectFilters(effects, {
+      labelPrefix,
+      width: turned ? size.height : size.width,
+      height: turned ? size.width : size.height,
+      clipOffsetMs: Math.max(0, segmentStart - clip.start),
+    }).forEach(filter => videoFilters.push(filter));
+  }
+  // Keyed after color and effects so the key matches the color picked from the preview.
+  const chromaKey = resolveClipChromaKey(clip);
+  if (chromaKey) {
+    videoFilters.push(
+      `${chromaKey.type}=color=${chromaKey.color.replace('#', '0x')}:` +
+      `similarity=${chromaKey.similarity}:blend=${chromaKey.blend}`
+    );
+  }
+  buildVideoFadeFilters(clip, segmentStart, durationMs, vf).forEach(filter => videoFilters.push(filter));
+
+  return videoFilters;
+}
+
+/**
+ * Build a clip's video fades for one of its segments.
+ * Fades belong to the clip, not the segment: a clip split by other tracks fades only once. A
+ * segment that starts partway into a fade is padded back to the fade's start, faded, and the
+ * padding trimmed off again, so the fade carries on across the cut.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} segmentStart
+ * @param {number} durationMs
+ * @param {import('../core/types.js').ClipVideoFilters} vf
+ * @returns {string[]}
+ */
+function buildVideoFadeFilters(clip, segmentStart, durationMs, vf) {
+  const clipOffsetMs = Math.max(0, segmentStart - clip.start);
+  const fadeIn = vf.fadeIn > 0 && clipOffsetMs < vf.fadeIn * 1000;
+  const fadeOutStartMs = Math.max(0, clip.duration - vf.fadeOut * 1000);
+  const fadeOut = vf.fadeOut > 0 && fadeOutStartMs < clipOffsetMs + durationMs;
+  if (!fadeIn && !fadeOut) return [];
+
+  const leadMs = Math.max(
+    fadeIn ? clipOffsetMs : 0,
+    fadeOut ? clipOffsetMs - fadeOutStartMs : 0
+  );
+  const filters = [];
+  if (leadMs > 0) {
+    filters.push(`tpad=start_duration=${formatSeconds(leadMs)}`);
+  }
+  if (fadeIn) {
+    filters.push(`fade=in:st=${formatSeconds(leadMs - clipOffsetMs)}:d=${vf.fadeIn}`);
+  }
+  if (fadeOut) {
+    filters.push(`fade=out:st=${formatSeconds(fadeOutStartMs - clipOffsetMs + leadMs)}:d=${vf.fadeOut}`);
+  }
+  if (leadMs > 0) {
+    filters.push(`trim=start=${formatSeconds(leadMs)}`);
+    filters.push('setpts=PTS-STARTPTS');
+  }
+  return filters;
+}
+
+function getOccupiedSegmentBounds(segments, textClips = []) {
   if (!Array.isArray(segments)) return null;
-  const occupied = segments.filter(segment => segment.audioClip || segment.videoClip);
+  const occupied = segments
+    .filter(segment => segment.audioClip || segment.videoClip)
+    .map(segment => ({ start: segment.start, end: segment.end }));
+  textClips.forEach(clip => occupied.push({ start: clip.start, end: clip.start + clip.duration }));
   if (occupied.length === 0) return null;
 
   return {
-    start: Math.min(...occupied.map(segment => segment.start)),
-    end: Math.max(...occupied.map(segment => segment.end)),
+    start: Math.min(...occupied.map(range => range.start)),
+    end: Math.max(...occupied.map(range => range.end)),
   };
 }
 
 /**
- * Compute source trim window for a timeline segment
+ * Collect the text clips that show in the export, bottom track first so higher tracks draw on top
+ * @param {import('../core/types.js').EditorState} state
+ * @returns {import('../core/types.js').Clip[]}
+ */
+function getExportTextClips(state) {
+  const trackById = new Map(state.tracks.map(track => [track.id, track]));
+  return state.clips
+    .filter((clip) => {
+      if (!isTextClip(clip) || clip.visible === false) return false;
+      const track = trackById.get(clip.trackId);
+      return !track || track.visible !== false;
+    })
+    .sort((a, b) => (b.trackId - a.trackId) || (a.start - b.start));
+}
+
+/**
+ * Escape a drawtext option value for the filter option parser, then for the filtergraph parser.
+ * Shell quoting is applied later, only when the graph goes inline into the command.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeDrawtextValue(value) {
+  const optionLevel = String(value).replace(/[\\':]/g, match => `\\${match}`);
+  return optionLevel.replace(/[\\'[\],;]/g, match => `\\${match}`);
+}
+
+/**
+ * Build one drawtext filter per text line, timed against the exported range.
+ * Lines are centered and stacked from the block center, matching the preview layout.
+ * @param {import('../core/types.js').Clip[]} textClips
+ * @param {number} rangeStart
+ * @param {number} rangeEnd
+ * @returns {string[]}
+ */
+function buildTextOverlayFilters(textClips, rangeStart, rangeEnd) {
+  const filters = [];
+  textClips.forEach((clip) => {
+    const startMs = Math.max(clip.start, rangeStart);
+    const endMs = Math.min(clip.start + clip.duration, rangeEnd);
+    if (endMs <= startMs) return;
+    const text = resolveClipText(clip);
+    const transform = resolveClipTransform(clip);
+    const layout = getTextLayout(text, transform);
+    const enable = `between(t,${formatSeconds(startMs - rangeStart)},${formatSeconds(endMs - rangeStart)})`;
+    const x = `(w-text_w)/2${formatOffset(Math.round(transform.x))}`;
+    layout.lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      const top = Math.round(transform.y + index * layout.lineHeight);
+      const options = [
+        `font=${escapeDrawtextValue(text.font)}`,
+        `text=${escapeDrawtextValue(line)}`,
+        'expansion=none',
+        `fontsize=${layout.fontSize}`,
+        `fontcolor=${text.color.replace('#', '0x')}`,
+      ];
+      if (layout.outlineWidth > 0) {
+        options.push(`borderw=${layout.outlineWidth}`);
+        options.push(`bordercolor=${text.outlineColor.replace('#', '0x')}`);
+      }
+      options.push(`x=${x}`);
+      options.push(`y=(h-${layout.blockHeight})/2${formatOffset(top)}`);
+      options.push(`enable='${enable}'`);
+      filters.push(`drawtext=${options.join(':')}`);
+    });
+  });
+  return filters;
+}
+
+/**
+ * Format a pixel offset to append to an expression
+ * @param {number} value
+ * @returns {string}
+ */
+function formatOffset(value) {
+  if (!value) return '';
+  return value < 0 ? `-${Math.abs(value)}` : `+${value}`;
+}
+
+/**
+ * Compute source trim window for a timeline segment.
+ * With the media length known, a window that runs past either end of the source is cut back
+ * and the missing time is returned as padding (timeline ms) to fill after the timing filters.
  * @param {import('../core/types.js').Clip} clip
  * @param {number} segmentStart
  * @param {number} durationMs
- * @returns {{startSec: string, endSec: string, speed: number}}
+ * @param {number} [mediaDurationMs]
+ * @returns {{startSec: string, endSec: string, speed: number, padStartMs: number, padEndMs: number}}
  */
-function getClipSourceWindow(clip, segmentStart, durationMs) {
+function getClipSourceWindow(clip, segmentStart, durationMs, mediaDurationMs) {
+  if (isFreezeFrameClip(clip)) {
+    // Every segment of a freeze frame reads from the held time; the layer filters repeat it.
+    const heldMs = clip.trimStart || 0;
+    return {
+      startSec: formatSeconds(heldMs),
+      endSec: formatSeconds(heldMs + FREEZE_SOURCE_WINDOW),
+      speed: 1,
+      padStartMs: 0,
+      padEndMs: 0,
+    };
+  }
   const clipSpeed = clip.speed || 1;
+  const passCount = getClipPassCount(clip);
+  if (passCount > 1) {
+    // Ping-pong and looped clips read their whole window in every segment; the layer filters
+    // replay it and trim out the segment. Transition overhang holds the first and last frames.
+    const windowStartMs = clip.trimStart || 0;
+    const windowEndMs = windowStartMs + clip.duration * clipSpeed / passCount;
+    const hasEnd = Number.isFinite(mediaDurationMs) && mediaDurationMs > 0;
+    return {
+      startSec: formatSeconds(windowStartMs),
+      endSec: formatSeconds(hasEnd ? Math.min(mediaDurationMs, windowEndMs) : windowEndMs),
+      speed: clipSpeed,
+      padStartMs: Math.max(0, clip.start - segmentStart),
+      padEndMs: Math.max(0, segmentStart + durationMs - (clip.start + clip.duration)),
+    };
+  }
   const segmentOffsetMs = segmentStart - clip.start;
-  const sourceDurationMs = durationMs * clipSpeed;
+  let sourceDurationMs = durationMs * clipSpeed;
   const trimStart = clip.trimStart || 0;
-
-  if (clip.reversed) {
+  const hasMediaEnd = Number.isFinite(mediaDurationMs) && mediaDurationMs > 0;
+
+  let sourceStartMs;
+  if (hasSpeedRamp(clip)) {
+    // A ramp reads as much source as its curve plays over the segment.
+    const playedStartMs = getRampSourceOffset(clip, segmentOffsetMs);
+    const playedEndMs = getRampSourceOffset(clip, segmentOffsetMs + durationMs);
+    sourceDurationMs = playedEndMs - playedStartMs;
+    sourceStartMs = trimStart + (clip.reversed
+      ? getClipSourceRange(clip).sourceLength - playedEndMs
+      : playedStartMs);
+  } else if (clip.reversed) {
     const sourceLengthMs = clip.duration * clipSpeed;
     const reverseStart = sourceLengthMs - (segmentOffsetMs + durationMs) * clipSpeed;
-    const sourceStartMs = trimStart + Math.max(0, reverseStart);
-    return {
-      startSec: formatSeconds(sourceStartMs),
-      endSec: formatSeconds(sourceStartMs + sourceDurationMs),
-      speed: clipSpeed,
-    };
+    sourceStartMs = trimStart + (hasMediaEnd ? reverseStart : Math.max(0, reverseStart));
+  } else {
+    sourceStartMs = trimStart + segmentOffsetMs * clipSpeed;
+  }
+  let sourceEndMs = sourceStartMs + sourceDurationMs;
+
+  // Missing source before the start plays first forwards but last once reversed.
+  let missingBeforeMs = 0;
+  let missingAfterMs = 0;
+  if (sourceStartMs < 0) {
+    missingBeforeMs = -sourceStartMs;
+    sourceStartMs = 0;
+  }
+  if (hasMediaEnd && sourceEndMs > mediaDurationMs) {
+    missingAfterMs = sourceEndMs - mediaDurationMs;
+    sourceEndMs = mediaDurationMs;
   }
+  const toPad = value => (value > 0.5 ? value / clipSpeed : 0);
 
-  const sourceStartMs = trimStart + segmentOffsetMs * clipSpeed;
   return {
     startSec: formatSeconds(sourceStartMs),
-    endSec: formatSeconds(sourceStartMs + sourceDurationMs),
+    endSec: formatSeconds(sourceEndMs),
     speed: clipSpeed,
+    padStartMs: toPad(clip.reversed ? missingAfterMs : missingBeforeMs),
+    padEndMs: toPad(clip.reversed ? missingBeforeMs : missingAfterMs),
   };
 }
 
+/**
+ * Get how far into a ramped clip's curve (source ms from its in-point) a layer's stream starts.
+ * Reversed clips stream their window backwards, so their stream starts at the window end.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {{startSec: string, endSec: string}} sourceWindow
+ * @returns {number}
+ */
+function getRampStreamStart(clip, sourceWindow) {
+  const trimStart = clip.trimStart || 0;
+  return clip.reversed
+    ? getClipSourceRange(clip).sourceLength - (Number(sourceWindow.endSec) * 1000 - trimStart)
+    : Number(sourceWindow.startSec) * 1000 - trimStart;
+}
+
+/**
+ * Build a setpts expression that retimes a ramped clip's source stream onto the timeline.
+ * The ramp maps clip time to source with a quadratic per stretch, so each stretch inverts with a
+ * square root; time outside the clip runs at the edge speeds.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {{startSec: string, endSec: string}} sourceWindow
+ * @returns {string}
+ */
+function buildSpeedRampPtsExpression(clip, sourceWindow) {
+  const streamStartMs = getRampStreamStart(clip, sourceWindow);
+  const x = `(${formatExpressionNumber(streamStartMs / 1000)}+T)`;
+  const pieces = getSpeedRampPieces(clip);
+  const first = pieces[0];
+  const last = pieces[pieces.length - 1];
+  const sourceEnd = (last.sourceStart + last.sourceLength) / 1000;
+  let expression = `${formatExpressionNumber(last.end / 1000)}+(${x}-${formatExpressionNumber(sourceEnd)})/` +
+    formatExpressionNumber(last.endSpeed);
+  for (let index = pieces.length - 1; index >= 0; index -= 1) {
+    const piece = pieces[index];
+    const start = formatExpressionNumber(piece.start / 1000);
+    const sourceStart = formatExpressionNumber(piece.sourceStart / 1000);
+    const slope = (piece.endSpeed - piece.startSpeed) / ((piece.end - piece.start) / 1000);
+    const played = `(${x}-${sourceStart})`;
+    const pieceExpression = Math.abs(slope) < 1e-9
+      ? `${start}+${played}/${formatExpressionNumber(piece.startSpeed)}`
+      : `${start}+2*${played}/(${formatExpressionNumber(piece.startSpeed)}+` +
+        `sqrt(max(0,${formatExpressionNumber(piece.startSpeed * piece.startSpeed)}+` +
+        `${formatExpressionNumber(2 * slope)}*${played})))`;
+    const pieceEnd = formatExpressionNumber((piece.sourceStart + piece.sourceLength) / 1000);
+    expression = `if(lt(${x},${pieceEnd}),${pieceExpression},${expression})`;
+  }
+  expression = `if(lt(${x},0),${x}/${formatExpressionNumber(first.startSpeed)},${expression})`;
+  const offset = formatExpressionNumber(getRampClipOffset(clip, streamStartMs) / 1000);
+  return `(${expression}-${offset})/TB`;
+}
+
+/**
+ * Build the sub-chain that plays a ramped clip's audio: the stream is cut into steps, each
+ * retimed at its average speed with atempo, and the steps are concatenated again.
+ * Like the pass sub-chain it sits inside a comma-joined layer chain.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {{startSec: string, endSec: string}} sourceWindow
+ * @param {string} labelPrefix
+ * @param {{af: import('../core/types.js').ClipAudioFilters, sampleRate: number}} options
+ * @returns {string}
+ */
+function buildSpeedRampAudioFilter(clip, sourceWindow, labelPrefix, options) {
+  const { af, sampleRate } = options;
+  const streamStartMs = getRampStreamStart(clip, sourceWindow);
+  const streamLengthMs = (Number(sourceWindow.endSec) - Number(sourceWindow.startSec)) * 1000;
+  const startMs = getRampClipOffset(clip, streamStartMs);
+  const endMs = getRampClipOffset(clip, streamStartMs + streamLengthMs);
+
+  // Step boundaries in clip time: every ramp point inside the stream, with ramping stretches subdivided.
+  const times = [startMs];
+  getSpeedRampPieces(clip).forEach((piece) => {
+    const steps = piece.startSpeed === piece.endSpeed
+      ? 1
+      : Math.min(MAX_RAMP_AUDIO_STEPS, Math.ceil((piece.end - piece.start) / RAMP_AUDIO_STEP));
+    for (let step = 1; step <= steps; step += 1) {
+      const time = piece.start + (piece.end - piece.start) * step / steps;
+      // Skip boundaries within half a millisecond of the stream edges rather than emit empty steps.
+      if (time > startMs + 0.5 && time < endMs - 0.5) times.push(time);
+    }
+  });
+  times.push(endMs);
+
+  const steps = [];
+  for (let index = 1; index < times.length; index += 1) {
+    const playedFrom = getRampSourceOffset(clip, times[index - 1]);
+    const playedTo = getRampSourceOffset(clip, times[index]);
+    const stepFilters = [
+      `atrim=start=${formatSeconds(playedFrom - streamStartMs)}:end=${formatSeconds(playedTo - streamStartMs)}`,
+      'asetpts=PTS-STARTPTS',
+    ];
+    const speed = (playedTo - playedFrom) / (times[index] - times[index - 1]);
+    buildPitchFilters(speed, af, sampleRate).forEach(filter => stepFilters.push(filter));
+    // Tape steps are resampled by their own speed, and concat needs one rate across them.
+    if (getPitchMode(af) === 'tape') stepFilters.push(`aresample=${sampleRate}`);
+    steps.push(stepFilters.join(','));
+  }
+  if (steps.length === 1) return steps[0];
+
+  const copies = steps.map((step, index) => `[${labelPrefix}rp${index}]`);
+  const outputs = steps.map((step, index) => `[${labelPrefix}rt${index}]`);
+  const parts = steps.map((step, index) => `${copies[index]}${step}${outputs[index]}`);
+  return [
+    `asplit=${copies.length}${copies.join('')}`,
+    ...parts,
+    `${outputs.join('')}concat=n=${outputs.length}:v=0:a=1`,
+  ].join(';');
+}
+
+/**
+ * Build the sub-chain that plays a clip's source window once per pass: split it, reverse every
+ * other copy for ping-pong, and concat the copies. It sits inside a comma-joined layer chain,
+ * so it starts and ends on an unlabeled filter.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} labelPrefix
+ * @param {'video'|'audio'} kind
+ * @returns {string}
+ */
+function buildPassFilter(clip, labelPrefix, kind) {
+  const passCount = getClipPassCount(clip);
+  const pingPong = getClipPlayMode(clip) === 'pingpong';
+  const prefix = kind === 'audio' ? 'a' : '';
+  const parts = [];
+  const concatInputs = [];
+  const copies = [];
+  for (let pass = 0; pass < passCount; pass += 1) {
+    const copyLabel = `[${labelPrefix}p${pass}]`;
+    copies.push(copyLabel);
+    if (pingPong && pass % 2 === 1) {
+      parts.push(`${copyLabel}${prefix}reverse[${labelPrefix}r${pass}]`);
+      concatInputs.push(`[${labelPrefix}r${pass}]`);
+    } else {
+      concatInputs.push(copyLabel);
+    }
+  }
+  const streams = kind === 'audio' ? 'v=0:a=1' : 'v=1:a=0';
+  return [
+    `${prefix}split=${passCount}${copies.join('')}`,
+    ...parts,
+    `${concatInputs.join('')}concat=n=${passCount}:${streams}`,
+  ].join(';');
+}
+
+/**
+ * Get the trim options that cut a segment out of a replayed ping-pong or loop clip
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} segmentStart
+ * @param {number} durationMs
+ * @param {{padStartMs: number, padEndMs: number}} sourceWindow
+ * @returns {string}
+ */
+function getPassTrimOptions(clip, segmentStart, durationMs, sourceWindow) {
+  const offsetMs = Math.max(0, segmentStart - clip.start);
+  const coveredMs = Math.max(0, durationMs - sourceWindow.padStartMs - sourceWindow.padEndMs);
+  return `start=${formatSeconds(offsetMs)}:duration=${formatSeconds(coveredMs)}`;
+}
+
+/**
+ * Build the trim/timing/effect filters for one audio clip in a segment
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} segmentStart
+ * @param {number} durationMs
+ * @param {{af: import('../core/types.js').ClipAudioFilters, volume: number, sampleRate: number, mediaDurationMs?: number, labelPrefix?: string}} options
+ * @returns {string[]}
+ */
+function buildAudioLayerFilters(clip, segmentStart, durationMs, options) {
+  const { af, volume, sampleRate, mediaDurationMs, labelPrefix = 'apass' } = options;
+  const passCount = getClipPassCount(clip);
+  const audioFilters = [];
+  const sourceWindow = getClipSourceWindow(clip, segmentStart, durationMs, mediaDurationMs);
+
+  if (isFreezeFrameClip(clip)) {
+    // A sustained freeze frame loops one short grain from the held time.
+    const grainSamples = Math.max(1, Math.round(sampleRate * FREEZE_SUSTAIN_GRAIN / 1000));
+    audioFilters.push(`atrim=start=${sourceWindow.startSec}:duration=${formatSeconds(FREEZE_SUSTAIN_GRAIN)}`);
+    audioFilters.push('asetpts=PTS-STARTPTS');
+    audioFilters.push(`aresample=${sampleRate}`);
+    audioFilters.push(`aloop=loop=-1:size=${grainSamples}`);
+    audioFilters.push(`atrim=duration=${formatSeconds(durationMs)}`);
+  } else {
+    audioFilters.push(`atrim=start=${sourceWindow.startSec}:end=${sourceWindow.endSec}`);
+    audioFilters.push('asetpts=PTS-STARTPTS');
+    if (passCount > 1) {
+      audioFilters.push(buildPassFilter(clip, labelPrefix, 'audio'));
+    } else if (clip.reversed) {
+      audioFilters.push('areverse');
+      audioFilters.push('asetpts=PTS-STARTPTS');
+    }
+
+    if (hasSpeedRamp(clip)) {
+      audioFilters.push(buildSpeedRampAudioFilter(clip, sourceWindow, labelPrefix, { af, sampleRate }));
+    } else {
+      buildPitchFilters(sourceWindow.speed || 1, af, sampleRate).forEach(filter => audioFilters.push(filter));
+    }
+    if (passCount > 1) {
+      audioFilters.push(`atrim=${getPassTrimOptions(clip, segmentStart, durationMs, sourceWindow)}`);
+      audioFilters.push('asetpts=PTS-STARTPTS');
+    }
+    // Audio has no frame to hold, so time past the source is filled with silence.
+    if (sourceWindow.padStartMs > 0) {
+      audioFilters.push(`adelay=delays=${Math.round(sourceWindow.padStartMs)}:all=1`);
+    }
+    if (sourceWindow.padEndMs > 0) {
+      audioFilters.push(`apad=pad_dur=${formatSeconds(sourceWindow.padEndMs)}`);
+    }
+  }
+
+  const effectFilters = buildAudioEffectFilters(getActiveAudioEffects(clip));
+  if (effectFilters.length > 0) {
+    effectFilters.forEach(filter => audioFilters.push(filter));
+    // Echo and chorus ring on after their input ends; the tail would overrun the segment.
+    audioFilters.push(`atrim=duration=${formatSeconds(durationMs)}`);
+  }
+
+  if (af.bass) {
+    audioFilters.push(`bass=g=${af.bass}`);
+  }
+  if (af.treble) {
+    audioFilters.push(`treble=g=${af.treble}`);
+  }
+  if (af.normalize) {
+    audioFilters.push('dynaudnorm');
+  }
+  if (af.pan) {
+    const left = ((1 - af.pan) / 2).toFixed(3).replace(/\.?0+$/, '');
+    const right = ((1 + af.pan) / 2).toFixed(3).replace(/\.?0+$/, '');
+    audioFilters.push(`pan=stereo|c0=${left}*c0+${left}*c1|c1=${right}*c0+${right}*c1`);
+  }
+  // Fades belong to the clip, not the segment: a clip split by other tracks fades only once.
+  const clipOffsetMs = Math.max(0, segmentStart - clip.start);
+  const clipOffsetSec = clipOffsetMs / 1000;
+  const offsetValue = formatSeconds(clipOffsetMs);
+  if (af.fadeIn > 0 && clipOffsetSec < af.fadeIn) {
+    if (clipOffsetSec === 0) {
+      audioFilters.push(`afade=t=in:st=0:d=${af.fadeIn}`);
+    } else {
+      audioFilters.push(`volume='min(1,(t+${offsetValue})/${af.fadeIn})':eval=frame`);
+    }
+  }
+  if (af.fadeOut > 0) {
+    const clipDurationSec = clip.duration / 1000;
+    const fadeStart = Math.max(0, clipDurationSec - af.fadeOut);
+    if (clipOffsetSec <= fadeStart && clipOffsetSec + durationMs / 1000 > fadeStart) {
+      const startValue = (fadeStart - clipOffsetSec).toFixed(3).replace(/\.?0+$/, '');
+      audioFilters.push(`afade=t=out:st=${startValue}:d=${af.fadeOut}`);
+    } else if (clipOffsetSec > fadeStart) {
+      const endValue = clipDurationSec.toFixed(3).replace(/\.?0+$/, '');
+      audioFilters.push(
+        `volume='max(0,min(1,(${endValue}-t-${offsetValue})/${af.fadeOut}))':eval=frame`
+      );
+    }
+  }
+
+  const volumeExpression = clip.muted
+    ? null
+    : getKeyframeExpression(clip, 'audio.volume', segmentStart);
+  if (volumeExpression) {
+    audioFilters.push(`volume='max(0,${volumeExpression})':eval=frame`);
+  } else if (volume !== 1) {
+    audioFilters.push(`volume=${volume}`);
+  }
+
+  return audioFilters;
+}
+
+/**
+ * Build the filters that play audio at a speed with the clip's pitch offset, per its pitch mode.
+ * resample and tape shift pitch with asetrate and let atempo make up the rest of the speed;
+ * tape also resamples by the speed itself, so nothing is left for atempo to stretch.
+ * @param {number} speed
+ * @param {import('../core/types.js').ClipAudioFilters} af
+ * @param {number} sampleRate
+ * @returns {string[]}
+ */
+function buildPitchFilters(speed, af, sampleRate) {
+  const pitchMode = getPitchMode(af);
+  const pitchRatio = getPitchRatio(af.pitch);
+  if (pitchMode === 'rubberband') {
+    if (pitchRatio === 1 && speed === 1) return [];
+    return [
+      `rubberband=tempo=${formatExpressionNumber(speed)}:pitch=${formatExpressionNumber(pitchRatio)}:formant=preserved`,
+    ];
+  }
+
+  const filters = [];
+  const resampleRatio = pitchMode === 'tape' ? pitchRatio * speed : pitchRatio;
+  if (resampleRatio !== 1) {
+    filters.push(`asetrate=${(sampleRate * resampleRatio).toFixed(2).replace(/\.?0+$/, '')}`);
+  }
+  buildAtempoFilters(speed / resampleRatio).forEach(filter => filters.push(filter));
+  return filters;
+}
+
+/**
+ * Check whether a clip's audio goes through the rubberband filter
+ * @param {import('../core/types.js').Clip} clip
+ * @param {import('../core/types.js').ClipAudioFilters} af
+ * @returns {boolean}
+ */
+function usesRubberband(clip, af) {
+  if (isTextClip(clip) || isFreezeFrameClip(clip) || getPitchMode(af) !== 'rubberband') return false;
+  return (af.pitch || 0) !== 0 || (clip.speed || 1) !== 1 || hasSpeedRamp(clip);
+}
+
 /**
  * Build chained atempo filters for a tempo value
  * @param {number} tempo
@@ -711,7 +2338,7 @@ function buildAtempoFilters(tempo) {
   return filters;
 }
 
-function appendDeClickFilters(audioFilters, durationMs) {
+function appendDeClickFilters(audioFilters, durationMs, edges = {}) {
   if (!Array.isArray(audioFilters)) return;
   const durationSec = durationMs / 1000;
   if (!Number.isFinite(durationSec) || durationSec <= 0) return;
@@ -724,8 +2351,12 @@ function appendDeClickFilters(audioFilters, durationMs) {
   const start = Math.max(0, durationSec - fade);
   const startValue = start.toFixed(3).replace(/\.?0+$/, '');
 
-  audioFilters.push(`afade=t=in:st=0:d=${fadeValue}`);
-  audioFilters.push(`afade=t=out:st=${startValue}:d=${fadeValue}`);
+  if (edges.fadeIn !== false) {
+    audioFilters.push(`afade=t=in:st=0:d=${fadeValue}`);
+  }
+  if (edges.fadeOut !== false) {
+    audioFilters.push(`afade=t=out:st=${startValue}:d=${fadeValue}`);
+  }
 }
 
 function mergeConnectedSegments(segments, options) {
@@ -788,7 +2419,8 @@ function mergeConnectedSegments(segments, options) {
     a.sharpen === b.sharpen &&
     a.denoise === b.denoise &&
     a.fadeIn === b.fadeIn &&
-    a.fadeOut === b.fadeOut
+    a.fadeOut === b.fadeOut &&
+    getFitMode(a) === getFitMode(b)
   );
 
   const areAudioFiltersEqual = (a, b) => (
@@ -798,6 +2430,7 @@ function mergeConnectedSegments(segments, options) {
     a.normalize === b.normalize &&
     a.pan === b.pan &&
     a.pitch === b.pitch &&
+    getPitchMode(a) === getPitchMode(b) &&
     a.fadeIn === b.fadeIn &&
     a.fadeOut === b.fadeOut
   );
@@ -810,6 +2443,9 @@ function mergeConnectedSegments(segments, options) {
   const isContinuousClipPair = (prevClip, nextClip, boundaryTime, kind) => {
     if (!prevClip || !nextClip) return false;
     if (prevClip.mediaId !== nextClip.mediaId) return false;
+    if (isFreezeFrameClip(prevClip) || isFreezeFrameClip(nextClip)) return false;
+    if (getClipPassCount(prevClip) > 1 || getClipPassCount(nextClip) > 1) return false;
+    if (hasSpeedRamp(prevClip) || hasSpeedRamp(nextClip)) return false;
 
     const prevSpeed = prevClip.speed || 1;
     const nextSpeed = nextClip.speed || 1;
@@ -824,14 +2460,30 @@ function mergeConnectedSegments(segments, options) {
 
     const expectedTrimStart = (prevClip.trimStart || 0) + prevClip.duration * prevSpeed;
     if (!isCloseTime(expectedTrimStart, nextClip.trimStart || 0)) return false;
+    if (!areKeyframesContinuous(prevClip, nextClip)) return false;
 
     if (kind === 'video') {
       if (prevClip.visible === false || nextClip.visible === false) return false;
+      // Trails and animated effects carry state from clip time, which a merged chain would not keep.
+      if (getActiveVideoEffects(prevClip).length > 0 || getActiveVideoEffects(nextClip).length > 0) return false;
+      if (JSON.stringify(resolveClipChromaKey(prevClip)) !== JSON.stringify(resolveClipChromaKey(nextClip))) {
+        return false;
+      }
+      if (getClipBlendMode(prevClip) !== getClipBlendMode(nextClip)) return false;
+      if (JSON.stringify(resolveClipCrop(prevClip)) !== JSON.stringify(resolveClipCrop(nextClip))) return false;
+      if (getClipOpacity(prevClip) !== getClipOpacity(nextClip)) return false;
+      const prevTransform = resolveClipTransform(prevClip);
+      const nextTransform = resolveClipTransform(nextClip);
+      if (Object.keys(prevTransform).some(key => prevTransform[key] !== nextTransform[key])) {
+        return false;
+      }
       const prevFilters = getVideoFilters(prevClip);
       const nextFilters = getVideoFilters(nextClip);
       if (!prevFilters || !nextFilters || !areVideoFiltersEqual(prevFilters, nextFilters)) {
         return false;
       }
+      // Each clip fades over its own length, which a merged segment would not keep.
+      if (prevFilters.fadeIn > 0 || prevFilters.fadeOut > 0) return false;
     }
 
     if (kind === 'audio') {
@@ -841,6 +2493,11 @@ function mergeConnectedSegments(segments, options) {
       if (!prevFilters || !nextFilters || !areAudioFiltersEqual(prevFilters, nextFilters)) {
         return false;
       }
+      // Each clip fades over its own length, which a merged segment would not keep.
+      if (prevFilters.fadeIn > 0 || prevFilters.fadeOut > 0) return false;
+      if (JSON.stringify(getActiveAudioEffects(prevClip)) !== JSON.stringify(getActiveAudioEffects(nextClip))) {
+        return false;
+      }
       const prevVolume = getVolume(prevClip);
       const nextVolume = getVolume(nextClip);
       if (!areVolumesEqual(prevVolume, nextVolume)) return false;
@@ -859,6 +2516,18 @@ function mergeConnectedSegments(segments, options) {
     return { ok: false, reason: 'different' };
   };
 
+  const canMergeLayers = (prevClips, nextClips, boundaryTime, kind) => {
+    if (prevClips.length !== nextClips.length) return { ok: false, reason: 'different' };
+    if (prevClips.length === 0) return { ok: true, reason: 'empty' };
+    let reason = 'same-clip';
+    for (let i = 0; i < prevClips.length; i += 1) {
+      const layerMerge = canMergeClip(prevClips[i], nextClips[i], boundaryTime, kind);
+      if (!layerMerge.ok) return layerMerge;
+      if (layerMerge.reason === 'continuous') reason = 'continuous';
+    }
+    return { ok: true, reason };
+  };
+
   const merged = [{ ...segments[0] }];
   let mergeBlockedByOtherTracks = false;
 
@@ -866,14 +2535,28 @@ function mergeConnectedSegments(segments, options) {
     const segment = segments[i];
     const last = merged[merged.length - 1];
 
-    if (!last || !isCloseTime(last.end, segment.start)) {
+    if (
+      !last ||
+      !isCloseTime(last.end, segment.start) ||
+      getTransitionKey(last) !== getTransitionKey(segment)
+    ) {
       merged.push({ ...segment });
       continue;
     }
 
     const boundaryTime = segment.start;
-    const audioMerge = canMergeClip(last.audioClip, segment.audioClip, boundaryTime, 'audio');
-    const videoMerge = canMergeClip(last.videoClip, segment.videoClip, boundaryTime, 'video');
+    const audioMerge = canMergeLayers(
+      getSegmentAudioClips(last),
+      getSegmentAudioClips(segment),
+      boundaryTime,
+      'audio'
+    );
+    const videoMerge = canMergeLayers(
+      getSegmentVideoClips(last),
+      getSegmentVideoClips(segment),
+      boundaryTime,
+      'video'
+    );
 
     if (audioMerge.ok && videoMerge.ok) {
       last.end = segment.end;
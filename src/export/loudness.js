@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Loudness normalization for exports
+ * Two-pass loudnorm on the final mix: a first run measures the mix, then the export plugs the
+ * measured values into loudnorm so it can apply one linear gain instead of riding the level.
+ */
+
+export const LOUDNESS_TARGETS = [
+  { value: -14, label: '-14 LUFS (streaming)' },
+  { value: -16, label: '-16 LUFS (podcast)' },
+  { value: -23, label: '-23 LUFS (broadcast)' },
+];
+
+/** Values the measuring pass prints that the second pass reads back, by loudnorm JSON key. */
+export const LOUDNESS_MEASUREMENTS = [
+  { key: 'input_i', option: 'measured_I' },
+  { key: 'input_tp', option: 'measured_TP' },
+  { key: 'input_lra', option: 'measured_LRA' },
+  { key: 'input_thresh', option: 'measured_thresh' },
+  { key: 'target_offset', option: 'offset' },
+];
+
+/** Label the measuring pass maps to the null muxer. */
+export const LOUDNESS_MEASURE_LABEL = '[loudness]';
+
+/**
+ * POSIX shell line that turns the measuring pass output held in $LN into LN_<key> variables.
+ * Only numeric values are picked up, so the eval never runs anything else.
+ */
+export const SH_LOUDNESS_PARSE =
+  'eval "$(printf \'%s\\n\' "$LN" | sed -n \'s/^[[:space:]]*"\\([a-z_]*\\)" : "\\([-+0-9.inf]*\\)",*$/LN_\\1=\\2/p\')"';
+
+const DEFAULT_TRUE_PEAK = -1;
+const MIN_TRUE_PEAK = -9;
+const MAX_TRUE_PEAK = 0;
+const LOUDNESS_RANGE = 11;
+
+/**
+ * Read the loudness target from export settings
+ * @param {import('../core/types.js').ExportSettings} exportSettings
+ * @returns {{target: number, truePeak: number, range: number}|null} null when normalization is off
+ */
+export function getLoudnessSettings(exportSettings) {
+  const target = Number(exportSettings.loudnessTarget);
+  if (exportSettings.loudnessTarget === null || exportSettings.loudnessTarget === '' || !Number.isFinite(target)) {
+    return null;
+  }
+  const truePeakValue = Number(exportSettings.loudnessTruePeak);
+  const truePeak = exportSettings.loudnessTruePeak !== '' && Number.isFinite(truePeakValue)
+    ? Math.max(MIN_TRUE_PEAK, Math.min(MAX_TRUE_PEAK, truePeakValue))
+    : DEFAULT_TRUE_PEAK;
+  return { target, truePeak, range: LOUDNESS_RANGE };
+}
+
+/**
+ * Build the loudnorm filter for the measuring pass
+ * @param {{target: number, truePeak: number, range: number}} loudness
+ * @returns {string}
+ */
+export function buildLoudnessMeasureFilter(loudness) {
+  return `loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.range}:print_format=json`;
+}
+
+/**
+ * Build the loudnorm filter for the export pass.
+ * loudnorm works at 192 kHz internally, so the result is resampled back to the export rate.
+ * @param {{target: number, truePeak: number, range: number}} loudness
+ * @param {(key: string) => string} measuredRef - How the calling script refers to a measured value
+ * @param {number} sampleRate
+ * @returns {string}
+ */
+export function buildLoudnessApplyFilter(loudness, measuredRef, sampleRate) {
+  const measured = LOUDNESS_MEASUREMENTS.map(({ key, option }) => `${option}=${measuredRef(key)}`);
+  return `loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.range}:` +
+    `${measured.join(':')}:linear=true,aresample=${sampleRate}`;
+}
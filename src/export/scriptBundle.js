@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Export script bundles
+ * Turns an export job into a shell, PowerShell or batch script plus the filtergraph and concat
+ * list files it reads, so long timelines stay clear of command-line length limits.
+ */
+
+import { LOUDNESS_MEASURE_LABEL, SH_LOUDNESS_PARSE, buildLoudnessApplyFilter } from './loudness.js';
+
+export const FILTER_SCRIPT_FILE = 'filter_complex.txt';
+export const CONCAT_LIST_FILE = 'concat.txt';
+export const METADATA_FILE = 'chapters.txt';
+export const LOUDNESS_MEASURE_FILE = 'loudnorm_measure.txt';
+export const LOUDNESS_FILTER_FILE = 'filter_complex.loudnorm.txt';
+
+export const SCRIPT_FORMATS = [
+  { id: 'sh', label: 'Shell script (.sh)', fileName: 'export.sh', type: 'text/x-shellscript' },
+  { id: 'ps1', label: 'PowerShell (.ps1)', fileName: 'export.ps1', type: 'text/plain' },
+  { id: 'bat', label: 'Batch file (.bat)', fileName: 'export.bat', type: 'text/plain' },
+];
+
+/**
+ * @typedef {Object} BundleFile
+ * @property {string} name
+ * @property {string} content
+ * @property {string} type - MIME type for the download
+ */
+
+/**
+ * Quote an argument for a POSIX shell
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteSh(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote an argument for PowerShell
+ * @param {string} value
+ * @returns {string}
+ */
+function quotePs(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote an argument for cmd.exe. Percent signs expand even inside quotes in a batch file.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteBat(value) {
+  return /^[\w@+=:,./-]+$/.test(value) ? value : `"${value.replace(/%/g, '%%').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Get the filtergraph file a chunk render reads
+ * @param {import('../core/types.js').ExportChunk} chunk
+ * @returns {string}
+ */
+function getChunkFilterFile(chunk) {
+  return `filter_${chunk.signature}.txt`;
+}
+
+/**
+ * Get the temporary name a chunk renders to before it is moved into place,
+ * so an interrupted render is never mistaken for a finished chunk
+ * @param {import('../core/types.js').ExportChunk} chunk
+ * @returns {string}
+ */
+function getChunkPartFile(chunk) {
+  return chunk.job.output.replace(/(\.[^.]+)$/, '.part$1');
+}
+
+/**
+ * Build the script lines for the loudness measuring pass. They read the measured values out of
+ * ffmpeg's log and write the export graph with the finished loudnorm filter appended.
+ * @param {import('../core/types.js').ExportJob} job
+ * @param {'sh'|'ps1'|'bat'} format
+ * @returns {string[]}
+ */
+function buildLoudnessSteps(job, format) {
+  const loudness = job.loudness;
+  if (!loudness) return [];
+  const args = ['-hide_banner', '-nostats'];
+  loudness.inputs.forEach((name, index) => args.push(...((loudness.inputOptions || [])[index] || []), '-i', name));
+  args.push('-filter_complex_script', LOUDNESS_MEASURE_FILE, '-map', LOUDNESS_MEASURE_LABEL, '-f', 'null', '-');
+  const chain = measuredRef =>
+    `; ${loudness.input}${buildLoudnessApplyFilter(loudness.settings, measuredRef, loudness.sampleRate)}${loudness.output}`;
+  const failed = 'Loudness measurement failed';
+
+  if (format === 'ps1') {
+    return [
+      // ffmpeg logs to stderr, which 'Stop' would turn into a terminating error.
+      "$ErrorActionPreference = 'Continue'",
+      `$log = & ffmpeg ${args.map(quotePs).join(' ')} 2>&1 | Out-String`,
+      "$ErrorActionPreference = 'Stop'",
+      'if ($LASTEXITCODE -ne 0) { Write-Host $log; exit $LASTEXITCODE }',
+      `if ($log -notmatch '(?s)\\{[^{}]*"input_i"[^{}]*\\}') { Write-Host ${quotePs(failed)}; exit 1 }`,
+      '$ln = $Matches[0] | ConvertFrom-Json',
+      `$graph = [System.IO.File]::ReadAllText((Join-Path (Get-Location) ${quotePs(FILTER_SCRIPT_FILE)}))`,
+      `[System.IO.File]::WriteAllText((Join-Path (Get-Location) ${quotePs(LOUDNESS_FILTER_FILE)}), ` +
+        `$graph + "${chain(key => `$($ln.${key})`)}\`n")`,
+    ];
+  }
+
+  if (format === 'bat') {
+    return [
+      `ffmpeg ${args.map(quoteBat).join(' ')} 2> loudnorm.log`,
+      'if errorlevel 1 exit /b 1',
+      `for /f "tokens=1,2 delims=:,\t " %%a in ('findstr /c:"input_" /c:"target_offset" loudnorm.log') do set "LN_%%~a=%%~b"`,
+      `if not defined LN_input_i (echo ${failed}& exit /b 1)`,
+      `copy /y ${FILTER_SCRIPT_FILE} ${LOUDNESS_FILTER_FILE} >nul`,
+      `>>${LOUDNESS_FILTER_FILE} echo(${chain(key => `%LN_${key}%`)}`,
+    ];
+  }
+
+  return [
+    `LN=$(ffmpeg ${args.map(quoteSh).join(' ')} 2>&1) || { printf '%s\\n' "$LN" >&2; exit 1; }`,
+    SH_LOUDNESS_PARSE,
+    `[ -n "$LN_input_i" ] || { echo ${quoteSh(failed)} >&2; exit 1; }`,
+    `{ cat ${FILTER_SCRIPT_FILE}; printf '%s\\n' "${chain(key => `$LN_${key}`)}"; } > ${LOUDNESS_FILTER_FILE} || exit 1`,
+  ];
+}
+
+/**
+ * Build the ffmpeg argument list for a job, reading the graph or list from files
+ * @param {import('../core/types.js').ExportJob} job
+ * @param {string} [filterFile]
+ * @param {string} [output]
+ * @returns {string[]}
+ */
+function getFfmpegArgs(job, filterFile = FILTER_SCRIPT_FILE, output = job.output) {
+  const args = [];
+  if (job.kind === 'concat' || job.kind === 'chunked') {
+    args.push('-f', 'concat', '-safe', '0', '-i', CONCAT_LIST_FILE);
+  } else {
+    job.inputs.forEach((name, index) => args.push(...((job.inputOptions || [])[index] || []), '-i', name));
+    if (job.metadata) {
+      args.push('-f', 'ffmetadata', '-i', METADATA_FILE);
+    }
+    args.push('-filter_complex_script', filterFile);
+  }
+  job.maps.forEach(label => args.push('-map', label));
+  if (job.metadata !== undefined) {
+    args.push('-map_chapters', String(job.metadata ? job.inputs.length : -1));
+  }
+  args.push(...job.outputArgs, '-y', output);
+  return args;
+}
+
+/**
+ * Build the script lines for the analysis pass of a two-pass job
+ * @param {import('../core/types.js').ExportJob} job
+ * @param {'sh'|'ps1'|'bat'} format
+ * @returns {string[]}
+ */
+function buildFirstPassSteps(job, format) {
+  if (!job.firstPassArgs) return [];
+  const args = getFfmpegArgs({ ...job, outputArgs: [...job.firstPassArgs, '-f', 'null'] }, FILTER_SCRIPT_FILE, '-');
+  if (format === 'ps1') {
+    return [
+      `& ffmpeg ${args.map(quotePs).join(' ')}`,
+      'if ($LASTEXITCODE -ne 0) { exit $LASTEXITCODE }',
+    ];
+  }
+  if (format === 'bat') {
+    return [
+      `ffmpeg ${args.map(quoteBat).join(' ')}`,
+      'if errorlevel 1 exit /b 1',
+    ];
+  }
+  return [`ffmpeg ${args.map(quoteSh).join(' ')} || exit 1`];
+}
+
+/**
+ * Build the script lines that render each missing chunk of a chunked job
+ * @param {import('../core/types.js').ExportJob} job
+ * @param {'sh'|'ps1'|'bat'} format
+ * @returns {string[]}
+ */
+function buildChunkSteps(job, format) {
+  return (job.chunks || []).flatMap((chunk) => {
+    const output = chunk.job.output;
+    const partOutput = getChunkPartFile(chunk);
+    const args = getFfmpegArgs(chunk.job, getChunkFilterFile(chunk), partOutput);
+
+    if (format === 'ps1') {
+      return [
+        `if (Test-Path -LiteralPath ${quotePs(output)}) {`,
+        `  Write-Host ${quotePs(`Reusing ${output}`)}`,
+        '} else {',
+        `  & ffmpeg ${args.map(quotePs).join(' ')}`,
+        '  if ($LASTEXITCODE -ne 0) { exit $LASTEXITCODE }',
+        `  Move-Item -LiteralPath ${quotePs(partOutput)} -Destination ${quotePs(output)} -Force`,
+        '}',
+      ];
+    }
+
+    if (format === 'bat') {
+      return [
+        `if exist ${quoteBat(output)} (`,
+        `  echo Reusing ${output}`,
+        ') else (',
+        `  ffmpeg ${args.map(quoteBat).join(' ')}`,
+        '  if errorlevel 1 exit /b 1',
+        `  move /y ${quoteBat(partOutput)} ${quoteBat(output)} >nul`,
+        ')',
+      ];
+    }
+
+    return [
+      `if [ -f ${quoteSh(output)} ]; then`,
+      `  echo ${quoteSh(`Reusing ${output}`)}`,
+      'else',
+      `  ffmpeg ${args.map(quoteSh).join(' ')} || exit 1`,
+      `  mv ${quoteSh(partOutput)} ${quoteSh(output)} || exit 1`,
+      'fi',
+    ];
+  });
+}
+
+/**
+ * Build the script for one platform
+ * @param {import('../core/types.js').ExportJob} job
+ * @param {'sh'|'ps1'|'bat'} format
+ * @param {string[]} requiredFiles
+ * @returns {string}
+ */
+function buildScript(job, format, requiredFiles) {
+  const loudness = job.loudness;
+  const args = loudness
+    ? getFfmpegArgs(
+      { ...job, maps: job.maps.map(label => (label === loudness.input ? loudness.output : label)) },
+      LOUDNESS_FILTER_FILE
+    )
+    : getFfmpegArgs(job);
+  const steps = [
+    ...buildChunkSteps(job, format),
+    ...buildLoudnessSteps(job, format),
+    ...buildFirstPassSteps(job, format),
+  ];
+  const header = 'Generated by YTP Video Editor. Run it from the folder that holds your media files.';
+
+  if (format === 'ps1') {
+    return [
+      `# ${header}`,
+      "$ErrorActionPreference = 'Stop'",
+      `$required = @(${requiredFiles.map(quotePs).join(', ')})`,
+      '$missing = @($required | Where-Object { -not (Test-Path -LiteralPath $_) })',
+      'if ($missing.Count -gt 0) {',
+      '  $missing | ForEach-Object { Write-Host "Missing input: $_" }',
+      '  exit 1',
+      '}',
+      ...steps,
+      `& ffmpeg ${args.map(quotePs).join(' ')}`,
+      'exit $LASTEXITCODE',
+      '',
+    ].join('\r\n');
+  }
+
+  if (format === 'bat') {
+    return [
+      '@echo off',
+      `rem ${header}`,
+      'setlocal',
+      'set MISSING=0',
+      ...requiredFiles.flatMap(name => [
+        `if not exist ${quoteBat(name)} echo Missing input: ${quoteBat(name)}`,
+        `if not exist ${quoteBat(name)} set MISSING=1`,
+      ]),
+      'if "%MISSING%"=="1" exit /b 1',
+      ...steps,
+      `ffmpeg ${args.map(quoteBat).join(' ')}`,
+      'exit /b %ERRORLEVEL%',
+      '',
+    ].join('\r\n');
+  }
+
+  return [
+    '#!/bin/sh',
+    `# ${header}`,
+    'missing=0',
+    `for f in ${requiredFiles.map(quoteSh).join(' ')}; do`,
+    '  if [ ! -f "$f" ]; then',
+    '    echo "Missing input: $f" >&2',
+    '    missing=1',
+    '  fi',
+    'done',
+    '[ "$missing" -eq 0 ] || exit 1',
+    ...steps,
+    `exec ffmpeg ${args.map(quoteSh).join(' ')}`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build every file of an export bundle: the script first, then the files it reads.
+ * Chunked jobs get one filtergraph file per chunk; a chunk already rendered by an earlier run
+ * of the script is reused.
+ * @param {import('../core/types.js').ExportJob} job
+ * @param {'sh'|'ps1'|'bat'} format
+ * @returns {BundleFile[]}
+ */
+export function buildExportBundle(job, format) {
+  const scriptFormat = SCRIPT_FORMATS.find(item => item.id === format) || SCRIPT_FORMATS[0];
+  const dataFiles = [];
+  const inputs = [...job.inputs];
+  const sidecarFiles = [...(job.sidecarFiles || [])];
+  if (job.kind === 'chunked') {
+    (job.chunks || []).forEach((chunk) => {
+      inputs.push(...chunk.job.inputs);
+      sidecarFiles.push(...(chunk.job.sidecarFiles || []));
+      dataFiles.push({
+        name: getChunkFilterFile(chunk),
+        content: `${chunk.job.filterGraph || ''}\n`,
+        type: 'text/plain',
+      });
+    });
+    dataFiles.push({ name: CONCAT_LIST_FILE, content: job.concatList || '', type: 'text/plain' });
+  } else if (job.kind === 'concat') {
+    dataFiles.push({ name: CONCAT_LIST_FILE, content: job.concatList || '', type: 'text/plain' });
+  } else {
+    dataFiles.push({ name: FILTER_SCRIPT_FILE, content: `${job.filterGraph || ''}\n`, type: 'text/plain' });
+    if (job.metadata) {
+      dataFiles.push({ name: METADATA_FILE, content: job.metadata, type: 'text/plain' });
+    }
+    if (job.loudness) {
+      dataFiles.push({ name: LOUDNESS_MEASURE_FILE, content: `${job.loudness.measureGraph}\n`, type: 'text/plain' });
+    }
+  }
+  const requiredFiles = [...new Set([
+    ...inputs,
+    ...sidecarFiles,
+    ...dataFiles.map(file => file.name),
+  ])];
+  return [
+    {
+      name: scriptFormat.fileName,
+      content: buildScript(job, scriptFormat.id, requiredFiles),
+      type: scriptFormat.type,
+    },
+    ...dataFiles,
+  ];
+}
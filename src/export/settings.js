@@ -2,13 +2,20 @@
  * @fileoverview Export defaults and presets
  */
 
+import { isAnimatedImageFormat } from './animatedImage.js';
+import { isAudioOnlyFormat } from './audioOnly.js';
+
 export const DEFAULT_EXPORT_SETTINGS = {
   resolution: 'auto',
-  fps: 30,
+  fps: null,
   videoCodec: 'libx264',
   videoBitrate: '',
   crf: 23,
   preset: 'medium',
+  targetSizeMB: null,
+  maxrate: '',
+  bufsize: '',
+  proresProfile: 3,
   audioCodec: 'aac',
   audioBitrate: '192k',
   sampleRate: 44100,
@@ -18,6 +25,18 @@ export const DEFAULT_EXPORT_SETTINGS = {
   rangeEnd: null,
   deClick: true,
   allowLosslessCopy: true,
+  subtitleMode: 'off',
+  subtitleFormat: 'srt',
+  exportScript: 'none',
+  chunkedExport: false,
+  chunkSeconds: 60,
+  chapterMarkers: 'off',
+  loudnessTarget: null,
+  loudnessTruePeak: -1,
+  animatedFps: 15,
+  animatedMaxColors: 256,
+  animatedDither: 'sierra2_4a',
+  animatedPlays: 0,
 };
 
 export function createDefaultExportSettings() {
@@ -30,11 +49,14 @@ export const EXPORT_PRESETS = [
     label: 'Universal (H.264)',
     settings: {
       resolution: 'auto',
-      fps: 30,
+      fps: null,
       videoCodec: 'libx264',
       videoBitrate: '',
       crf: 23,
       preset: 'medium',
+      targetSizeMB: null,
+      maxrate: '',
+      bufsize: '',
       audioCodec: 'aac',
       audioBitrate: '192k',
       sampleRate: 44100,
@@ -45,11 +67,14 @@ export const EXPORT_PRESETS = [
     label: 'Small Share (720p)',
     settings: {
       resolution: { width: 1280, height: 720 },
-      fps: 30,
+      fps: null,
       videoCodec: 'libx264',
       videoBitrate: '',
       crf: 28,
       preset: 'veryfast',
+      targetSizeMB: null,
+      maxrate: '',
+      bufsize: '',
       audioCodec: 'aac',
       audioBitrate: '96k',
       sampleRate: 44100,
@@ -60,11 +85,14 @@ export const EXPORT_PRESETS = [
     label: 'YouTube 1080p',
     settings: {
       resolution: { width: 1920, height: 1080 },
-      fps: 30,
+      fps: null,
       videoCodec: 'libx264',
       videoBitrate: '',
       crf: 20,
       preset: 'slow',
+      targetSizeMB: null,
+      maxrate: '',
+      bufsize: '',
       audioCodec: 'aac',
       audioBitrate: '192k',
       sampleRate: 48000,
@@ -75,16 +103,74 @@ export const EXPORT_PRESETS = [
     label: 'YouTube 4K (H.265)',
     settings: {
       resolution: { width: 3840, height: 2160 },
-      fps: 30,
+      fps: null,
       videoCodec: 'libx265',
       videoBitrate: '',
       crf: 20,
       preset: 'slow',
+      targetSizeMB: null,
+      maxrate: '',
+      bufsize: '',
       audioCodec: 'aac',
       audioBitrate: '256k',
       sampleRate: 48000,
     },
   },
+  {
+    id: 'discord-25mb',
+    label: 'Discord (25 MB)',
+    settings: {
+      resolution: { width: 1280, height: 720 },
+      fps: null,
+      videoCodec: 'libx264',
+      videoBitrate: '',
+      crf: 23,
+      preset: 'medium',
+      targetSizeMB: 25,
+      maxrate: '',
+      bufsize: '',
+      audioCodec: 'aac',
+      audioBitrate: '128k',
+      sampleRate: 44100,
+    },
+  },
+  {
+    id: 'reaction-gif',
+    label: 'Reaction GIF (480p)',
+    settings: {
+      resolution: { width: 480, height: 270 },
+      fps: 15,
+      format: 'gif',
+      animatedFps: 15,
+      animatedMaxColors: 128,
+      animatedDither: 'bayer',
+      animatedPlays: 0,
+    },
+  },
+  {
+    id: 'webp-loop',
+    label: 'Animated WebP (360p)',
+    settings: {
+      resolution: { width: 640, height: 360 },
+      fps: 24,
+      format: 'webp',
+      animatedFps: 24,
+      animatedPlays: 0,
+    },
+  },
+  {
+    id: 'apng-sticker',
+    label: 'APNG Sticker (320px)',
+    settings: {
+      resolution: { width: 320, height: 320 },
+      fps: 12,
+      format: 'apng',
+      animatedFps: 12,
+      animatedMaxColors: 256,
+      animatedDither: 'floyd_steinberg',
+      animatedPlays: 0,
+    },
+  },
 ];
 
 /**
@@ -121,19 +207,35 @@ export function exportSettingsMatchPreset(exportSettings, presetSettings) {
     }
   }
 
-  const numberKeys = new Set(['fps', 'crf', 'sampleRate']);
+  // Animated image presets choose their format; the others keep whichever video container is set
+  // and never match an animated image or audio-only export.
+  if (presetSettings.format) {
+    if (presetSettings.format !== exportSettings.format) return false;
+  } else if (isAnimatedImageFormat(exportSettings.format) || isAudioOnlyFormat(exportSettings.format)) {
+    return false;
+  }
+
+  const numberKeys = new Set(['fps', 'crf', 'sampleRate', 'animatedFps', 'animatedMaxColors', 'animatedPlays']);
   const keys = [
     'fps',
     'videoCodec',
     'videoBitrate',
     'crf',
     'preset',
+    'targetSizeMB',
+    'maxrate',
+    'bufsize',
     'audioCodec',
     'audioBitrate',
     'sampleRate',
+    'animatedFps',
+    'animatedMaxColors',
+    'animatedDither',
+    'animatedPlays',
   ];
 
   for (const key of keys) {
+    if (!(key in presetSettings)) continue;
     const presetValue = presetSettings[key];
     const currentValue = exportSettings[key];
     if (numberKeys.has(key)) {
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Subtitle export helpers
+ * Retimes media transcript cues through the clip edits on the timeline so sidecar and burned-in
+ * subtitles follow cuts, trims, speed changes, reversed clips and ping-pong or looped clips.
+ */
+
+import { getClipSourceRange, mapSourceTimeToClipTimes } from '../utils/clipTiming.js';
+import { isTextClip } from '../utils/text.js';
+
+const MIN_CUE_DURATION_MS = 1;
+
+/**
+ * @typedef {Object} TimelineCue
+ * @property {number} start - Output time in milliseconds
+ * @property {number} end - Output time in milliseconds
+ * @property {string} text
+ */
+
+/**
+ * Retime every transcript cue a visible clip plays into output time.
+ * Cues cut by a trim are shortened to the part that survives; a clip that plays its window more
+ * than once repeats its cues on every pass; the same line played by overlapping clips collapses
+ * into one cue.
+ * @param {import('../core/types.js').EditorState} state
+ * @param {{start: number, end: number}} range - Exported timeline range in milliseconds
+ * @returns {TimelineCue[]}
+ */
+export function getTimelineSubtitleCues(state, range) {
+  const trackById = new Map(state.tracks.map(track => [track.id, track]));
+  const mediaById = new Map(state.mediaLibrary.map(media => [media.id, media]));
+  const cues = [];
+
+  state.clips.forEach((clip) => {
+    if (isTextClip(clip) || clip.visible === false) return;
+    const track = trackById.get(clip.trackId);
+    if (track && track.visible === false) return;
+    const media = mediaById.get(clip.mediaId);
+    const transcript = media && media.transcript;
+    if (!transcript || !Array.isArray(transcript.cues)) return;
+
+    const sourceRange = getClipSourceRange(clip);
+    transcript.cues.forEach((cue) => {
+      const sourceStart = Math.max(cue.start, sourceRange.start);
+      const sourceEnd = Math.min(cue.end, sourceRange.end);
+      if (sourceEnd <= sourceStart) return;
+      const text = String(cue.text || '').trim();
+      if (!text) return;
+      // A reversed clip, or the backward half of a ping-pong, plays the cue end first, so the
+      // mapped edges swap.
+      const starts = mapSourceTimeToClipTimes(clip, sourceStart, sourceRange);
+      const ends = mapSourceTimeToClipTimes(clip, sourceEnd, sourceRange);
+      starts.forEach((a, pass) => {
+        const b = ends[pass];
+        const start = Math.max(Math.min(a, b), range.start);
+        const end = Math.min(Math.max(a, b), range.end);
+        if (end - start < MIN_CUE_DURATION_MS) return;
+        cues.push({ start: start - range.start, end: end - range.start, text });
+      });
+    });
+  });
+
+  cues.sort((a, b) => (a.start - b.start) || (a.end - b.end));
+  const merged = [];
+  cues.forEach((cue) => {
+    const last = merged[merged.length - 1];
+    if (last && last.text === cue.text && cue.start <= last.end) {
+      last.end = Math.max(last.end, cue.end);
+      return;
+    }
+    merged.push({ ...cue });
+  });
+  return merged;
+}
+
+/**
+ * Format an output time as a subtitle timestamp
+ * @param {number} ms
+ * @param {'srt'|'vtt'} format
+ * @returns {string}
+ */
+function formatTimestamp(ms, format) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, size) => String(value).padStart(size, '0');
+  const separator = format === 'vtt' ? '.' : ',';
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Keep cue text from ending the cue early: blank lines end a cue in both formats,
+ * and WebVTT reserves the arrow.
+ * @param {string} text
+ * @param {'srt'|'vtt'} format
+ * @returns {string}
+ */
+function formatCueText(text, format) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').filter(line => line.trim());
+  const joined = lines.join('\n');
+  return format === 'vtt' ? joined.replace(/-->/g, '->') : joined;
+}
+
+/**
+ * Serialize cues as an SRT or WebVTT document
+ * @param {TimelineCue[]} cues
+ * @param {'srt'|'vtt'} format
+ * @returns {string}
+ */
+export function buildSubtitleDocument(cues, format) {
+  const blocks = cues.map((cue, index) => {
+    const timing = `${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}`;
+    const text = formatCueText(cue.text, format);
+    return format === 'vtt'
+      ? `${timing}\n${text}`
+      : `${index + 1}\n${timing}\n${text}`;
+  });
+  const body = blocks.join('\n\n');
+  if (format === 'vtt') {
+    return body ? `WEBVTT\n\n${body}\n` : 'WEBVTT\n';
+  }
+  return body ? `${body}\n` : '';
+}
+
+/**
+ * Get the sidecar file name the export command expects next to its output
+ * @param {'srt'|'vtt'} format
+ * @returns {string}
+ */
+export function getSubtitleFileName(format) {
+  return `output.${format === 'vtt' ? 'vtt' : 'srt'}`;
+}
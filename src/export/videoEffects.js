@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Video effect rack export
+ * Maps each effect in a clip's rack onto FFmpeg video filters. Mirror and kaleidoscope are
+ * sub-chains (crop, flip, stack) that sit inside a comma-joined layer chain, so their labels come
+ * from the layer's prefix. Wave and glitch displace pixels with geq expressions.
+ */
+
+/**
+ * Format a filter option value
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const rounded = Number(value.toFixed(4));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Convert a percentage of a frame dimension to whole pixels, at least one
+ * @param {number} percent
+ * @param {number} size
+ * @returns {number}
+ */
+function toPixels(percent, size) {
+  return Math.max(1, Math.round(percent / 100 * size));
+}
+
+/**
+ * Build a geq filter that reads every RGB channel from a displaced x position
+ * @param {string} xExpression - Source x for the output pixel at X, Y
+ * @returns {string[]}
+ */
+function buildDisplaceFilters(xExpression) {
+  const channels = ['r', 'g', 'b'].map(channel => `${channel}='${channel}(${xExpression},Y)'`);
+  return ['format=gbrp', `geq=${channels.join(':')}`];
+}
+
+/**
+ * Build the filters for one effect
+ * @param {{type: string, params: Object<string, number>}} effect - Resolved, as from getActiveVideoEffects
+ * @param {{label: (name: string) => string, width: number, height: number, time: string}} context
+ * @returns {string[]}
+ */
+function buildEffectFilters(effect, context) {
+  const p = effect.params;
+  const { label, width, height, time } = context;
+  switch (effect.type) {
+    case 'mirror': {
+      const halfWidth = 'floor(iw/4)*2';
+      const halfHeight = 'floor(ih/4)*2';
+      const [kept, copy, flipped] = [label('k'), label('c'), label('f')];
+      if (p.side === 0 || p.side === 1) {
+        const x = p.side === 0 ? '0' : `iw-${halfWidth}`;
+        const order = p.side === 0 ? `${kept}${flipped}` : `${flipped}${kept}`;
+        return [`crop=${halfWidth}:ih:${x}:0,split${kept}${copy};${copy}hflip${flipped};${order}hstack`];
+      }
+      const y = p.side === 2 ? '0' : `ih-${halfHeight}`;
+      const order = p.side === 2 ? `${kept}${flipped}` : `${flipped}${kept}`;
+      return [`crop=iw:${halfHeight}:0:${y},split${kept}${copy};${copy}vflip${flipped};${order}vstack`];
+    }
+    case 'kaleidoscope': {
+      const [left, copy, right, top, copyTop, bottom] = ['l', 'c', 'r', 't', 'u', 'b'].map(label);
+      return [
+        `crop=floor(iw/4)*2:floor(ih/4)*2:0:0,split${left}${copy};${copy}hflip${right};${left}${right}hstack,` +
+        `split${top}${copyTop};${copyTop}vflip${bottom};${top}${bottom}vstack`,
+      ];
+    }
+    case 'negate':
+      return ['negate'];
+    case 'posterize': {
+      const level = `'floor(val*${p.levels}/256)*255/${p.levels - 1}'`;
+      return [`lutrgb=r=${level}:g=${level}:b=${level}`];
+    }
+    case 'trails':
+      return [`lagfun=decay=${formatValue(p.decay)}`];
+    case 'chromatic': {
+      // rgbashift takes whole pixels up to 255.
+      const shift = Math.min(255, toPixels(p.shift, width));
+      return [`rgbashift=rh=-${shift}:bh=${shift}`];
+    }
+    case 'pixelize': {
+      const size = Math.min(1024, toPixels(p.size, width));
+      return [`pixelize=w=${size}:h=${size}`];
+    }
+    case 'edges':
+      return [`edgedetect=low=${formatValue(p.low)}:high=${formatValue(Math.max(p.low, p.high))}`];
+    case 'wave': {
+      const amplitude = toPixels(p.amplitude, width);
+      const wavelength = toPixels(p.wavelength, height);
+      return buildDisplaceFilters(
+        `X+${amplitude}*sin(2*PI*(Y/${wavelength}+${time}*${formatValue(p.speed)}))`
+      );
+    }
+    case 'glitch': {
+      const shift = toPixels(p.shift, width);
+      const band = toPixels(p.band, height);
+      // Same hash as getGlitchNoise: each band picks a fresh value every 1/rate seconds.
+      const hash = `(sin(floor(Y/${band})*12.9898+floor(${time}*${formatValue(p.rate)})*78.233)*43758.5453)`;
+      const noise = `(${hash}-floor(${hash}))`;
+      const density = formatValue(p.density);
+      return buildDisplaceFilters(`X+lt(${noise},${density})*${shift}*(2*${noise}/${density}-1)`);
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Build the filters for a clip's effect rack, in rack order
+ * @param {Array<{type: string, params: Object<string, number>}>} effects - As from getActiveVideoEffects
+ * @param {{labelPrefix: string, width: number, height: number, clipOffsetMs: number}} options
+ *  width and height are the source frame's; clipOffsetMs is how far into the clip the layer starts
+ * @returns {string[]}
+ */
+export function buildVideoEffectFilters(effects, options) {
+  const { labelPrefix, width, height, clipOffsetMs } = options;
+  // Animated effects run on clip time, so a clip cut into segments keeps moving smoothly.
+  const offsetSec = clipOffsetMs / 1000;
+  const time = offsetSec > 0 ? `(T+${formatValue(offsetSec)})` : 'T';
+  return effects.flatMap((effect, index) => buildEffectFilters(effect, {
+    label: name => `[${labelPrefix}fx${index}${name}]`,
+    width,
+    height,
+    time,
+  }));
+}
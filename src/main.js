@@ -7,13 +7,37 @@ import { StateManager } from './core/state.js';
 import { KeyboardManager } from './utils/keyboard.js';
 import { Timeline } from './ui/Timeline.js';
 import * as actions from './core/actions.js';
+import { downloadTextFile } from './utils/download.js';
+import { createId } from './utils/id.js';
 import { formatTime, getTimelineDuration } from './utils/time.js';
 import { setupRangeVisuals } from './ui/rangeVisuals.js';
 import { PropertiesPanel } from './ui/properties.js';
 import { buildFfmpegExportCommand } from './export/ffmpeg.js';
+import {
+  buildSubtitleDocument,
+  getSubtitleFileName,
+  getTimelineSubtitleCues,
+} from './export/subtitles.js';
+import { SCRIPT_FORMATS, buildExportBundle } from './export/scriptBundle.js';
 import { MediaManager } from './media/MediaManager.js';
 import { PlaybackCache } from './media/PlaybackCache.js';
-import { MIN_ZOOM, MAX_ZOOM, ZOOM_STEP, MIN_CLIP_SPEED, MAX_CLIP_SPEED, createDefaultFilters } from './core/constants.js';
+import { PreviewAudioMixer } from './media/PreviewAudioMixer.js';
+import { PreviewCompositor } from './rendering/PreviewCompositor.js';
+import { PreviewGizmo } from './ui/PreviewGizmo.js';
+import { getClipPassCount, isFreezeFrameClip } from './utils/clipTiming.js';
+import { isImageMedia } from './utils/imageMedia.js';
+import { resolveSequenceSettings } from './utils/sequence.js';
+import { getTextClipName, isTextClip } from './utils/text.js';
+import { getClipPlayWindow, getNextAbuttingClip, getTransitions } from './utils/transitions.js';
+import {
+  COLORS,
+  DEFAULT_CLIP_TEXT,
+  DEFAULT_TEXT_CLIP_DURATION,
+  MIN_ZOOM,
+  MAX_ZOOM,
+  ZOOM_STEP,
+  createDefaultFilters,
+} from './core/constants.js';
 import { createDefaultExportSettings } from './export/settings.js';
 
 /**
@@ -31,20 +55,6 @@ class YTPEditor {
     this.lastPlayhead = 0;
     this.mediaInfo = new Map();
     this.mediaVisuals = new Map();
-    this.lastPreviewVideoClipId = null;
-    this.lastPreviewAudioClipId = null;
-    this.lastPreviewAudioMediaId = null;
-    this.lastPreviewVideoMediaId = null;
-    this.lastReverseSeekTime = 0;
-    this.lastReverseAudioSeekTime = 0;
-    this.lastAudioSeekTime = 0;
-    this.lastReverseVideoClipTime = null;
-    this.lastReverseVideoMediaId = null;
-    this.lastVideoSeekTime = 0;
-    this.lastMobileVideoSyncTime = 0;
-    this.previewFrameBuffer = document.createElement('canvas');
-    this.previewFrameCtx = this.previewFrameBuffer.getContext('2d');
-    this.hasPreviewFrame = false;
     this.audioContext = null;
     this.reverseAudioNode = null;
     this.reverseAudioGain = null;
@@ -56,14 +66,20 @@ class YTPEditor {
     this.lastPropertiesSignature = null;
 
     // Initialize keyboard shortcuts
-    this.keyboard = new KeyboardManager(this.state);
+    this.keyboard = new KeyboardManager(this.state, {
+      notify: message => this.updateStatus(message),
+    });
 
     // Initialize UI components
     this.initializeUI();
     this.playbackCache = new PlaybackCache({
       videoElements: this.videoElements,
       audioElements: this.audioElements,
+      imageElements: this.imageElements,
     });
+    this.audioMixer = new PreviewAudioMixer(this);
+    this.previewCompositor = new PreviewCompositor(this);
+    this.previewGizmo = new PreviewGizmo(this);
     this.propertiesPanel = new PropertiesPanel(this);
     this.mediaManager = new MediaManager(this);
 
@@ -105,6 +121,7 @@ class YTPEditor {
     // Create hidden video elements for playback
     this.videoElements = new Map();
     this.audioElements = new Map();
+    this.imageElements = new Map();
     this.hiddenMediaContainer = document.getElementById('hiddenMediaElements');
     if (!this.hiddenMediaContainer) {
       const container = document.createElement('div');
@@ -165,6 +182,7 @@ class YTPEditor {
     this.splitBtn = document.getElementById('splitBtn');
     this.deleteBtn = document.getElementById('deleteBtn');
     this.addTrackBtn = document.getElementById('addTrackBtn');
+    this.addTextBtn = document.getElementById('addTextBtn');
     this.zoomInBtn = document.getElementById('zoomInBtn');
     this.zoomOutBtn = document.getElementById('zoomOutBtn');
     this.zoomLevelLabel = document.getElementById('zoomLevel');
@@ -185,7 +203,7 @@ class YTPEditor {
     this.pendingExportCommands = null;
     this.reassociateInput = document.createElement('input');
     this.reassociateInput.type = 'file';
-    this.reassociateInput.accept = 'video/*,audio/*';
+    this.reassociateInput.accept = 'video/*,audio/*,image/png,image/jpeg,image/gif,image/webp';
     this.reassociateInput.hidden = true;
     document.body.appendChild(this.reassociateInput);
 
@@ -285,6 +303,9 @@ class YTPEditor {
     this.saveBtn.addEventListener('click', () => this.showSaveModal());
     this.exportBtn.addEventListener('click', () => this.exportVideo());
     this.addTrackBtn.addEventListener('click', () => this.addTrack());
+    if (this.addTextBtn) {
+      this.addTextBtn.addEventListener('click', () => this.addTextClip());
+    }
     if (this.helpBtn) {
       this.helpBtn.addEventListener('click', () => this.showHelp());
     }
@@ -583,6 +604,12 @@ class YTPEditor {
     const zoomPercent = Math.round(Math.pow(2, state.zoom) * 100);
     this.zoomLevelLabel.textContent = `${zoomPercent}%`;
 
+    // Reshape the monitor when the sequence aspect changes.
+    const sequence = this.getSequenceSettings(state);
+    if (sequence.width / sequence.height !== this.previewAspect) {
+      this.resizePreview();
+    }
+
     if (this.prevFrameBtn) {
       this.prevFrameBtn.disabled = state.playhead <= 0;
     }
@@ -623,10 +650,15 @@ class YTPEditor {
       this.deleteBtn.disabled = selectedIds.length === 0 || hasLockedSelection;
     }
     if (this.splitBtn) {
+      const isMultiPass = Boolean(selectedClip) && getClipPassCount(selectedClip) > 1;
       this.splitBtn.disabled = !selectedClip
+        || isMultiPass
         || Boolean(selectedTrack && selectedTrack.locked)
         || state.playhead <= selectedClip.start
         || state.playhead >= selectedClip.start + selectedClip.duration;
+      this.splitBtn.title = isMultiPass
+        ? 'Switch the play mode to Forward or Reverse to split this clip'
+        : 'Split clip at playhead (S)';
     }
 
     // Update media library UI
@@ -682,6 +714,7 @@ class YTPEditor {
       }
       const exportSettings = this.getExportSettings(state);
       const signature = [
+        JSON.stringify(this.getSequenceSettings(state)),
         JSON.stringify(exportSettings),
         JSON.stringify(defaultFilters),
       ].join('|');
@@ -709,12 +742,27 @@ class YTPEditor {
         clip.volume,
         clip.muted,
         clip.reversed,
+        clip.playMode,
+        clip.loopCount,
+        JSON.stringify(clip.speedRamp || []),
         clip.visible !== false,
         clip.color,
+        JSON.stringify(clip.text || {}),
         JSON.stringify(clip.videoFilters || {}),
         JSON.stringify(clip.audioFilters || {}),
+        JSON.stringify(clip.audioEffects || []),
+        JSON.stringify(clip.videoEffects || []),
+        JSON.stringify(clip.chromaKey || {}),
+        clip.blendMode,
+        JSON.stringify(clip.transform || {}),
+        JSON.stringify(clip.crop || {}),
+        clip.opacity,
+        JSON.stringify(clip.keyframes || {}),
+        JSON.stringify(clip.transitionOut || {}),
+        (getNextAbuttingClip(state.clips, clip) || { id: '' }).id,
         transcriptSignature,
         JSON.stringify(defaultFilters),
+        JSON.stringify(this.getSequenceSettings(state)),
       ].join('|');
       return { clip, signature };
     }
@@ -727,6 +775,7 @@ class YTPEditor {
         clip.volume,
         clip.muted,
         clip.reversed,
+        clip.playMode,
         clip.visible !== false,
         clip.color,
         JSON.stringify(clip.videoFilters || {}),
@@ -751,6 +800,15 @@ class YTPEditor {
     };
   }
 
+  /**
+   * Get the project's sequence settings, the frame every clip is placed in for preview and export
+   * @param {import('./core/types.js').EditorState} state
+   * @returns {import('./core/types.js').SequenceSettings}
+   */
+  getSequenceSettings(state) {
+    return resolveSequenceSettings(state);
+  }
+
   /**
    * Get global default filters with defaults applied
    * @param {import('./core/types.js').EditorState} state
@@ -814,8 +872,7 @@ class YTPEditor {
   updateTimeDisplay(timeMs) {
     if (this.timeDisplay) {
       this.timeDisplay.textContent = formatTime(timeMs);
-      const fpsValue = Number(this.state.getState().exportSettings?.fps);
-      const fps = Number.isFinite(fpsValue) && fpsValue > 0 ? fpsValue : 30;
+      const { fps } = this.getSequenceSettings(this.state.getState());
       const frameNumber = Math.round(timeMs / (1000 / fps));
       this.timeDisplay.title = `Frame ${frameNumber} at ${fps} fps`;
     }
@@ -954,6 +1011,46 @@ class YTPEditor {
     requestAnimationFrame(() => this.timeline.scrollToTrack(trackCount));
   }
 
+  /**
+   * Add a text clip at the playhead on the topmost track that has room for it
+   */
+  addTextClip() {
+    const state = this.state.getState();
+    const start = Math.max(0, state.playhead);
+    const end = start + DEFAULT_TEXT_CLIP_DURATION;
+    const freeTrack = state.tracks.find(track => (
+      !track.locked &&
+      track.visible !== false &&
+      !state.clips.some(clip => (
+        clip.trackId === track.id && clip.start < end && clip.start + clip.duration > start
+      ))
+    ));
+    const trackCount = state.tracks.length;
+    const clipId = createId();
+    this.state.dispatch((draft) => {
+      let trackId = freeTrack ? freeTrack.id : null;
+      if (trackId === null) {
+        actions.addTrack('Titles')(draft);
+        trackId = draft.tracks[draft.tracks.length - 1].id;
+      }
+      actions.addClip({
+        id: clipId,
+        type: 'text',
+        name: getTextClipName(DEFAULT_CLIP_TEXT.content),
+        mediaId: null,
+        text: { ...DEFAULT_CLIP_TEXT },
+        trackId,
+        start,
+        duration: DEFAULT_TEXT_CLIP_DURATION,
+        color: COLORS.clipTitle,
+      })(draft);
+      return actions.selectClip(clipId)(draft);
+    });
+    if (!freeTrack) {
+      requestAnimationFrame(() => this.timeline.scrollToTrack(trackCount));
+    }
+  }
+
   /**
    * Start a new project (clears current state)
    */
@@ -966,9 +1063,6 @@ class YTPEditor {
     this.isPlayheadUpdateFromPlayback = false;
     this.lastPlayhead = 0;
     this.pendingReassociateMediaId = null;
-    this.lastPreviewVideoClipId = null;
-    this.lastPreviewAudioClipId = null;
-    this.lastPreviewVideoMediaId = null;
     this.lastPropertiesClipId = null;
     this.lastPropertiesMediaId = null;
     this.lastPropertiesSignature = null;
@@ -1021,6 +1115,12 @@ class YTPEditor {
       this.mediaFiles.clear();
     }
 
+    if (this.audioMixer) {
+      this.audioMixer.reset();
+    }
+    if (this.previewCompositor) {
+      this.previewCompositor.reset();
+    }
     if (this.playbackCache) {
       this.playbackCache.clearAll();
     }
@@ -1123,7 +1223,7 @@ class YTPEditor {
       return;
     }
     const warningMessage = this.buildExportWarningMessage(result);
-    this.copyExportCommand(result.command, warningMessage);
+    this.deliverExport(result, warningMessage);
   }
 
   /**
@@ -1186,9 +1286,6 @@ class YTPEditor {
     this.schedulePreviewRender();
     this.hideExportCommand();
     this.pendingReassociateMediaId = null;
-    this.lastPreviewVideoClipId = null;
-    this.lastPreviewAudioClipId = null;
-    this.lastPreviewVideoMediaId = null;
     this.lastPropertiesClipId = null;
     this.lastPropertiesMediaId = null;
     this.lastPropertiesSignature = null;
@@ -1211,17 +1308,22 @@ class YTPEditor {
       resolveClipVolume: this.resolveClipVolume.bind(this),
     });
 
-    const losslessResult = buildCommand(true);
-    if (!losslessResult || !losslessResult.command) {
+    const firstResult = buildCommand(true);
+    if (!firstResult || !firstResult.command) {
       this.updateStatus('Nothing to export');
       return;
     }
 
+    // Both commands cover the same range, so one sidecar serves whichever gets copied.
+    const subtitleCueCount = this.saveExportSubtitles(state, exportSettings, firstResult.outputRange);
+    const withSubtitles = result => (result ? { ...result, subtitleCueCount } : result);
+    const losslessResult = withSubtitles(firstResult);
+
     if (losslessResult.usedLosslessCopy && this.exportModal) {
-      const reencodeResult = buildCommand(false);
+      const reencodeResult = withSubtitles(buildCommand(false));
       if (!reencodeResult || !reencodeResult.command) {
         const warningMessage = this.buildExportWarningMessage(losslessResult);
-        this.copyExportCommand(losslessResult.command, warningMessage);
+        this.deliverExport(losslessResult, warningMessage);
         return;
       }
       this.pendingExportCommands = {
@@ -1234,7 +1336,7 @@ class YTPEditor {
     }
 
     const warningMessage = this.buildExportWarningMessage(losslessResult);
-    this.copyExportCommand(losslessResult.command, warningMessage);
+    this.deliverExport(losslessResult, warningMessage);
   }
 
   buildExportWarningMessage(result) {
@@ -1245,9 +1347,71 @@ class YTPEditor {
     if (result && result.mergeBlockedByOtherTracks) {
       warnings.push('some connected clips could not be merged due to other tracks');
     }
+    if (result && result.rubberbandRequired) {
+      warnings.push('time-stretch pitch needs an FFmpeg built with librubberband');
+    }
+    if (result && result.targetSizeWarning) {
+      warnings.push('target size is too small for this length, the file will be larger');
+    }
+    if (result && result.chapterCount === 0) {
+      warnings.push('no chapters in the export range');
+    }
+    if (result && result.subtitleCueCount === 0) {
+      warnings.push('no transcript cues in the export range, subtitles skipped');
+    }
     return warnings.length > 0 ? `FFmpeg command ready (${warnings.join('; ')})` : null;
   }
 
+  /**
+   * Download the retimed transcript cues as the sidecar the export command expects
+   * @param {import('./core/types.js').EditorState} state
+   * @param {import('./core/types.js').ExportSettings} exportSettings
+   * @param {{start: number, end: number}} outputRange
+   * @returns {number|null} Cues written, or null when subtitles are off
+   */
+  saveExportSubtitles(state, exportSettings, outputRange) {
+    if (!outputRange || (exportSettings.subtitleMode !== 'sidecar' && exportSettings.subtitleMode !== 'burn')) {
+      return null;
+    }
+    const cues = getTimelineSubtitleCues(state, outputRange);
+    if (cues.length === 0) return 0;
+    const format = exportSettings.subtitleFormat === 'vtt' ? 'vtt' : 'srt';
+    try {
+      downloadTextFile(
+        getSubtitleFileName(format),
+        buildSubtitleDocument(cues, format),
+        format === 'vtt' ? 'text/vtt' : 'application/x-subrip'
+      );
+    } catch (error) {
+      console.error('Failed to save subtitles:', error);
+    }
+    return cues.length;
+  }
+
+  /**
+   * Hand an export to the user: a script bundle download when one is chosen, otherwise the command
+   * @param {{command: string, job?: import('./core/types.js').ExportJob}} result
+   * @param {string|null} [warningMessage]
+   */
+  deliverExport(result, warningMessage = null) {
+    const exportSettings = this.getExportSettings(this.state.getState());
+    const scriptFormat = SCRIPT_FORMATS.find(format => format.id === exportSettings.exportScript);
+    if (!scriptFormat || !result.job) {
+      this.copyExportCommand(result.command, warningMessage);
+      return;
+    }
+
+    try {
+      const files = buildExportBundle(result.job, scriptFormat.id);
+      files.forEach(file => downloadTextFile(file.name, file.content, file.type));
+      this.hideExportCommand();
+      this.updateStatus(warningMessage || `Saved ${files.map(file => file.name).join(', ')}`);
+    } catch (error) {
+      console.error('Failed to save export script:', error);
+      this.updateStatus('Failed to save export script');
+    }
+  }
+
   /**
    * Copy ffmpeg command to clipboard
    * @param {string} command
@@ -1426,7 +1590,6 @@ class YTPEditor {
     const state = this.state.getState();
     const playhead = state.playhead;
     const now = performance.now();
-    const defaultFilters = this.getDefaultFilters(state);
     const isMobileViewport = typeof window !== 'undefined'
       && typeof window.matchMedia === 'function'
       && window.matchMedia('(max-width: 900px)').matches;
@@ -1437,10 +1600,14 @@ class YTPEditor {
     this.previewCtx.fillStyle = '#000';
     this.previewCtx.fillRect(0, 0, width, height);
 
-    // Find active clips at current playhead
+    // Find active clips at current playhead; clips in a transition play on past their edges.
     const getTrackForClip = (clip) => state.tracks.find(track => track.id === clip.trackId) || null;
+    const transitions = getTransitions(state.clips);
     const activeClips = state.clips
-      .filter(clip => playhead >= clip.start && playhead < clip.start + clip.duration)
+      .filter((clip) => {
+        const playWindow = getClipPlayWindow(clip, transitions);
+        return playhead >= playWindow.start && playhead < playWindow.end;
+      })
       .filter((clip) => {
         const track = getTrackForClip(clip);
         return !track || track.visible !== false;
@@ -1456,22 +1623,6 @@ class YTPEditor {
       return topmost;
     };
 
-    const getClipTime = (clip) => {
-      const clipOffset = playhead - clip.start;
-      const clipDuration = clip.duration;
-      const trimStart = clip.trimStart || 0;
-      const clipSpeed = clip.speed || 1;
-      const sourceDuration = clipDuration * clipSpeed;
-      let sourceOffset = clip.reversed
-        ? (sourceDuration - clipOffset * clipSpeed)
-        : (clipOffset * clipSpeed);
-      if (clip.reversed && sourceOffset >= sourceDuration) {
-        sourceOffset = Math.max(0, sourceDuration - 1);
-      }
-      sourceOffset = Math.max(0, Math.min(sourceDuration, sourceOffset));
-      return (trimStart + sourceOffset) / 1000;
-    };
-
     const getMediaForClip = (clip) => state.mediaLibrary.find(m => m.id === clip.mediaId) || null;
 
     const getLoadedMediaForClip = (clip) => {
@@ -1482,72 +1633,11 @@ class YTPEditor {
       return media;
     };
 
-    const getVideoForMedia = (media) => {
-      const file = this.mediaFiles.get(media.id);
-      if (!this.videoElements.has(media.id)) {
-        const video = document.createElement('video');
-        video.muted = true;
-        video.volume = 0;
-        video.playsInline = true;
-        video.setAttribute('playsinline', '');
-        video.setAttribute('webkit-playsinline', '');
-        video.disablePictureInPicture = true;
-        video.preload = 'auto';
-        video.src = this.playbackCache.getObjectUrl(media.id, file);
-        const schedulePreviewIfPaused = () => {
-          if (!this.state.getState().isPlaying) {
-            this.schedulePreviewRender();
-          }
-        };
-        video.addEventListener('seeked', schedulePreviewIfPaused);
-        video.addEventListener('loadeddata', schedulePreviewIfPaused);
-        video.addEventListener('canplay', schedulePreviewIfPaused);
-        if (this.hiddenMediaContainer && !video.parentNode) {
-          this.hiddenMediaContainer.appendChild(video);
-        }
-        this.videoElements.set(media.id, video);
-      }
-      const video = this.videoElements.get(media.id);
-      if (this.hiddenMediaContainer && video && !video.parentNode) {
-        this.hiddenMediaContainer.appendChild(video);
-      }
-      this.updateMediaInfoFromVideo(media.id, video);
-      return video;
-    };
-
-    const getAudioForMedia = (media) => {
-      const file = this.mediaFiles.get(media.id);
-      if (!this.audioElements.has(media.id)) {
-        const audio = document.createElement('video');
-        audio.src = this.playbackCache.getObjectUrl(media.id, file);
-        audio.muted = false;
-        audio.preload = 'auto';
-        audio.volume = this.masterVolume;
-        audio.playsInline = true;
-        audio.setAttribute('playsinline', '');
-        audio.setAttribute('webkit-playsinline', '');
-        audio.disablePictureInPicture = true;
-        if (this.hiddenMediaContainer && !audio.parentNode) {
-          this.hiddenMediaContainer.appendChild(audio);
-        }
-        this.audioElements.set(media.id, audio);
-      }
-      const audio = this.audioElements.get(media.id);
-      if (this.hiddenMediaContainer && audio && !audio.parentNode) {
-        this.hiddenMediaContainer.appendChild(audio);
-      }
-      return audio;
-    };
-
-    const activeVideoMediaIds = new Set();
-    const activeAudioMediaIds = new Set();
     const shouldResync = this.hasExternalSeek === true;
-    let didDrawFrame = false;
-    let previewVideoForCallback = null;
-    let needsSeekRefresh = false;
-    let activeAudioElement = null;
 
+    const activeTextClips = activeClips.filter(clip => isTextClip(clip) && clip.visible !== false);
     const activeAudioClips = activeClips.filter((clip) => {
+      if (isTextClip(clip)) return false;
       const track = getTrackForClip(clip);
       return !track || !track.muted;
     });
@@ -1568,241 +1658,44 @@ class YTPEditor {
     });
     const topmostVideoClip = getTopmostClip(videoCandidates);
 
-    const audioClipMedia = topmostAudioClip ? getLoadedMediaForClip(topmostAudioClip) : null;
     const videoClipMedia = topmostVideoClip ? getLoadedMediaForClip(topmostVideoClip) : null;
 
-    if (topmostAudioClip && audioClipMedia) {
-      const audio = getAudioForMedia(audioClipMedia);
-      activeAudioElement = audio;
-      activeAudioMediaIds.add(audioClipMedia.id);
-      const mediaChanged = this.lastPreviewAudioMediaId !== audioClipMedia.id;
-      if (mediaChanged && this.audioElements) {
-        this.audioElements.forEach((otherAudio, mediaId) => {
-          if (mediaId !== audioClipMedia.id && !otherAudio.paused) {
-            otherAudio.pause();
-          }
-        });
-      }
-
-      const clipTime = getClipTime(topmostAudioClip);
-      const clipVolume = this.resolveClipVolume(topmostAudioClip, defaultFilters);
-      const isMuted = topmostAudioClip.muted || false;
-      const isReversed = topmostAudioClip.reversed === true;
-      const targetVolume = isMuted ? 0 : (clipVolume * this.masterVolume);
-      const safeVolume = Number.isFinite(targetVolume)
-        ? Math.max(0, Math.min(1, targetVolume))
-        : 0;
-      const clipChanged = this.lastPreviewAudioClipId !== topmostAudioClip.id;
-      const shouldSeek = shouldResync || clipChanged || (!isReversed && audio.paused);
-      audio.volume = safeVolume;
-      audio.muted = safeVolume === 0;
-
-      if (state.isPlaying) {
-        if (isReversed) {
-          this.stopReverseAudio();
-          audio.playbackRate = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, topmostAudioClip.speed || 1));
-          if (audio.paused) {
-            audio.play().catch(() => {});
-          }
-          const timeDiff = Math.abs(audio.currentTime - clipTime);
-          if (shouldSeek || (timeDiff > 0.2 && now - this.lastReverseAudioSeekTime > 120)) {
-            audio.currentTime = clipTime;
-            this.lastReverseAudioSeekTime = now;
-          }
-        } else {
-          this.stopReverseAudio();
-          audio.playbackRate = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, topmostAudioClip.speed || 1));
-          if (shouldSeek) {
-            audio.currentTime = clipTime;
-          }
-          if (audio.paused) {
-            audio.play().catch(() => {}); // Ignore autoplay errors
-          }
-        }
-      } else {
-        this.stopReverseAudio();
-        if (!audio.paused) {
-          audio.pause();
-        }
-        audio.playbackRate = 1;
-        const timeDiff = Math.abs(audio.currentTime - clipTime);
-        if (timeDiff > 0.05) {
-          const now = Date.now();
-          if (!this.lastAudioSeekTime || now - this.lastAudioSeekTime > 10) {
-            audio.currentTime = clipTime;
-            this.lastAudioSeekTime = now;
-          }
-        }
-      }
-
-      this.lastPreviewAudioClipId = topmostAudioClip.id;
-      this.lastPreviewAudioMediaId = audioClipMedia.id;
-    } else {
-      this.stopReverseAudio();
-      this.lastPreviewAudioClipId = null;
-      this.lastPreviewAudioMediaId = null;
-    }
-
-    if (topmostVideoClip && videoClipMedia) {
-      const clipTime = getClipTime(topmostVideoClip);
-      const isReversed = topmostVideoClip.reversed === true;
-      const canUseAudioElementForVideo = !isMobileViewport && Boolean(
-        !isReversed &&
-        activeAudioElement &&
-        topmostAudioClip &&
-        audioClipMedia &&
-        topmostAudioClip.id === topmostVideoClip.id &&
-        audioClipMedia.id === videoClipMedia.id
-      );
-      const video = canUseAudioElementForVideo
-        ? activeAudioElement
-        : getVideoForMedia(videoClipMedia);
-      if (!canUseAudioElementForVideo) {
-        activeVideoMediaIds.add(videoClipMedia.id);
-      }
-      const mediaChanged = this.lastPreviewVideoMediaId !== videoClipMedia.id;
-      const clipChanged = this.lastPreviewVideoClipId !== topmostVideoClip.id || mediaChanged;
-      const shouldSeek = shouldResync || clipChanged || (!isReversed && video.paused);
-      const targetRate = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, topmostVideoClip.speed || 1));
-
-      if (!canUseAudioElementForVideo) {
-        video.volume = 0;
-        video.muted = true;
-      }
-
-      if (mediaChanged) {
-        this.hasPreviewFrame = false;
-        if (this.previewFrameCtx) {
-          this.previewFrameCtx.clearRect(0, 0, width, height);
-        }
-        if (this.videoElements) {
-          this.videoElements.forEach((otherVideo, mediaId) => {
-            if (mediaId !== videoClipMedia.id && !otherVideo.paused) {
-              otherVideo.pause();
-            }
-          });
-        }
-      }
-
-      if (!canUseAudioElementForVideo && state.isPlaying) {
-        if (isReversed) {
-          video.playbackRate = 1;
-          if (!video.paused) {
-            video.pause();
-          }
-          const reverseMediaChanged = this.lastReverseVideoMediaId !== videoClipMedia.id;
-          if (clipChanged || reverseMediaChanged) {
-            this.lastReverseSeekTime = 0;
-            this.lastReverseVideoClipTime = null;
-            this.lastReverseVideoMediaId = videoClipMedia.id;
-          }
-          const lastClipTime = Number.isFinite(this.lastReverseVideoClipTime)
-            ? this.lastReverseVideoClipTime
-            : video.currentTime;
-          const timeDiff = Math.abs(lastClipTime - clipTime);
-          const minStep = 0.06;
-          const minInterval = 80;
-          const allowSeek = shouldSeek || reverseMediaChanged
-            || (timeDiff > minStep && now - this.lastReverseSeekTime > minInterval);
-          if (allowSeek && !video.seeking) {
-            const safeClipTime = Number.isFinite(video.duration) && video.duration > 0
-              ? Math.min(Math.max(0, clipTime), Math.max(0, video.duration - 0.001))
-              : clipTime;
-            video.currentTime = safeClipTime;
-            this.lastReverseSeekTime = now;
-            this.lastReverseVideoClipTime = clipTime;
-          }
-        } else {
-          video.playbackRate = targetRate;
-          if (shouldSeek) {
-            video.currentTime = clipTime;
-          }
-          if (video.paused) {
-            video.play().catch(() => {}); // Ignore autoplay errors
-          }
-        }
-      } else if (!canUseAudioElementForVideo) {
-        if (!video.paused) {
-          video.pause();
-        }
-        video.playbackRate = 1;
-        const timeDiff = Math.abs(video.currentTime - clipTime);
-        if (timeDiff > 0.05) {
-          const now = Date.now();
-          if (!this.lastVideoSeekTime || now - this.lastVideoSeekTime > 10) {
-            video.currentTime = clipTime;
-            this.lastVideoSeekTime = now;
-            needsSeekRefresh = true;
-          }
-        }
-      }
-
-      if (
-        isMobileViewport
-        && state.isPlaying
-        && !isReversed
-        && activeAudioElement
-        && topmostAudioClip
-        && audioClipMedia
-        && topmostAudioClip.id === topmostVideoClip.id
-        && audioClipMedia.id === videoClipMedia.id
-        && !video.seeking
-        && now - this.lastMobileVideoSyncTime > 250
-      ) {
-        const drift = Math.abs(video.currentTime - activeAudioElement.currentTime);
-        if (drift > 0.12) {
-          video.currentTime = activeAudioElement.currentTime;
-          this.lastMobileVideoSyncTime = now;
-        }
-      }
-
-      if (canUseAudioElementForVideo) {
-        this.updateMediaInfoFromVideo(videoClipMedia.id, video);
-      }
-
-      if (!isReversed && !video.paused && video.readyState >= video.HAVE_CURRENT_DATA) {
-        previewVideoForCallback = video;
-      }
-
-      if (!state.isPlaying && video.seeking) {
-        needsSeekRefresh = true;
-      }
-
-      if (video.readyState >= video.HAVE_CURRENT_DATA && !video.seeking) {
-        const videoAspect = video.videoWidth / video.videoHeight;
-        const canvasAspect = width / height;
-
-        let drawWidth, drawHeight, drawX, drawY;
-
-        if (videoAspect > canvasAspect) {
-          drawWidth = width;
-          drawHeight = width / videoAspect;
-          drawX = 0;
-          drawY = (height - drawHeight) / 2;
-        } else {
-          drawHeight = height;
-          drawWidth = height * videoAspect;
-          drawX = (width - drawWidth) / 2;
-          drawY = 0;
-        }
+    // Every audible clip gets its own voice so the preview hears the same mixdown as the export.
+    const audioEntries = activeAudioClips
+      .map(clip => ({ clip, media: getLoadedMediaForClip(clip) }))
+      .filter(entry => entry.media && !isImageMedia(entry.media))
+      .filter(entry => !isFreezeFrameClip(entry.clip) || entry.clip.freezeFrame.audio === 'sustain');
+    const audioElementsByClipId = this.audioMixer.update(state, audioEntries, {
+      shouldResync,
+      now,
+      transitions,
+    });
+    this.stopReverseAudio();
 
-        this.previewCtx.drawImage(video, drawX, drawY, drawWidth, drawHeight);
-        if (this.previewFrameCtx) {
-          this.previewFrameCtx.clearRect(0, 0, width, height);
-          this.previewFrameCtx.drawImage(video, drawX, drawY, drawWidth, drawHeight);
-          this.hasPreviewFrame = true;
-        }
-        didDrawFrame = true;
+    // Layers are drawn bottom to top, matching the export's overlay order.
+    // Within a track the outgoing clip of a transition goes first.
+    const videoLayers = videoCandidates
+      .slice()
+      .sort((a, b) => (b.trackId - a.trackId) || (a.start - b.start))
+      .map(clip => ({ clip, media: getLoadedMediaForClip(clip) }))
+      .filter(layer => layer.media);
+    const { callbackVideo, needsSeekRefresh } = this.previewCompositor.render(
+      this.previewCtx,
+      state,
+      videoLayers,
+      {
+        now,
+        shouldResync,
+        isMobileViewport,
+        sharedElements: audioElementsByClipId,
+        output: this.getSequenceSettings(state),
+        transitions,
       }
+    );
 
-      this.lastPreviewVideoClipId = topmostVideoClip.id;
-      this.lastPreviewVideoMediaId = videoClipMedia.id;
-    } else {
-      this.lastPreviewVideoClipId = null;
-      this.lastPreviewVideoMediaId = null;
-    }
+    this.previewCompositor.renderText(this.previewCtx, activeTextClips);
 
-    if (!topmostVideoClip) {
+    if (!topmostVideoClip && activeTextClips.length === 0) {
       const message = state.clips.length === 0
         ? 'Add media to the timeline'
         : (topmostAudioClip ? 'Audio only at playhead' : 'No clip at playhead');
@@ -1811,40 +1704,23 @@ class YTPEditor {
       this.previewCtx.textAlign = 'center';
       this.previewCtx.textBaseline = 'middle';
       this.previewCtx.fillText(message, width / 2, height / 2);
-    } else if (!videoClipMedia) {
+    } else if (topmostVideoClip && !videoClipMedia) {
       this.previewCtx.fillStyle = '#777c86';
       this.previewCtx.font = '500 16px Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
       this.previewCtx.textAlign = 'center';
       this.previewCtx.textBaseline = 'middle';
       this.previewCtx.fillText('Media not loaded (reimport file)', width / 2, height / 2);
-    } else if (!didDrawFrame && this.hasPreviewFrame && this.previewFrameBuffer) {
-      this.previewCtx.drawImage(this.previewFrameBuffer, 0, 0, width, height);
     }
 
-    this.hasExternalSeek = false;
-
-    // Pause any media that is not active to respect clip bounds
-    if (this.videoElements) {
-      this.videoElements.forEach((video, mediaId) => {
-        if (!activeVideoMediaIds.has(mediaId) && !video.paused) {
-          video.pause();
-        }
-      });
-    }
+    this.previewGizmo.draw(this.previewCtx, state);
 
-    if (this.audioElements) {
-      this.audioElements.forEach((audio, mediaId) => {
-        if (!activeAudioMediaIds.has(mediaId) && !audio.paused) {
-          audio.pause();
-        }
-      });
-    }
+    this.hasExternalSeek = false;
 
     if (!state.isPlaying && needsSeekRefresh) {
       this.schedulePreviewRender();
     }
 
-    return previewVideoForCallback;
+    return callbackVideo;
   }
 
   /**
@@ -1854,8 +1730,10 @@ class YTPEditor {
     const container = this.previewCanvas.parentElement;
     const rect = container.getBoundingClientRect();
 
-    // Maintain 16:9 aspect ratio
-    const aspectRatio = 16 / 9;
+    // Match the sequence's aspect ratio
+    const sequence = this.getSequenceSettings(this.state.getState());
+    const aspectRatio = sequence.width / sequence.height;
+    this.previewAspect = aspectRatio;
     let width = rect.width - 20; // padding
     let height = width / aspectRatio;
 
@@ -1868,10 +1746,8 @@ class YTPEditor {
     this.previewCanvas.height = height;
     this.previewCanvas.style.width = width + 'px';
     this.previewCanvas.style.height = height + 'px';
-    if (this.previewFrameBuffer) {
-      this.previewFrameBuffer.width = width;
-      this.previewFrameBuffer.height = height;
-      this.hasPreviewFrame = false;
+    if (this.previewCompositor) {
+      this.previewCompositor.resize(width, height);
     }
   }
 
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Preview audio effect rack
+ * Rebuilds a clip's effects from stock Web Audio nodes whenever the rack changes. These are
+ * approximations of the export's FFmpeg filters: close enough to judge an edit by ear,
+ * not sample-for-sample. Bitcrush only reduces bit depth here; its downsampling is export-only.
+ */
+
+// Reverb tail per unit of room size (s), on top of a short minimum
+const REVERB_MIN_SECONDS = 0.3;
+const REVERB_SIZE_SECONDS = 2.7;
+// Widest delay sweep of a vibrato at full depth (s)
+const VIBRATO_SWEEP_SECONDS = 0.003;
+const SHAPER_CURVE_LENGTH = 4096;
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db
+ * @returns {number}
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Build a wave shaper curve over the -1..1 input range
+ * @param {(x: number) => number} shape
+ * @returns {Float32Array}
+ */
+function createShaperCurve(shape) {
+  const curve = new Float32Array(SHAPER_CURVE_LENGTH);
+  for (let index = 0; index < SHAPER_CURVE_LENGTH; index += 1) {
+    curve[index] = shape((index / (SHAPER_CURVE_LENGTH - 1)) * 2 - 1);
+  }
+  return curve;
+}
+
+export class AudioEffectChain {
+  /**
+   * @param {BaseAudioContext} context
+   */
+  constructor(context) {
+    this.context = context;
+    this.input = context.createGain();
+    this.output = context.createGain();
+    this.signature = '';
+    /** @type {AudioNode[]} */
+    this.nodes = [];
+    /** @type {OscillatorNode[]} */
+    this.oscillators = [];
+    this.input.connect(this.output);
+  }
+
+  /**
+   * Rebuild the chain if the rack changed
+   * @param {Array<{type: string, params: Object<string, number>}>} effects - As from getActiveAudioEffects
+   */
+  update(effects) {
+    const signature = JSON.stringify(effects);
+    if (signature === this.signature) return;
+    this.signature = signature;
+    this.teardown();
+
+    let tail = this.input;
+    effects.forEach((effect) => {
+      const stage = this.createStage(effect);
+      if (!stage) return;
+      tail.connect(stage.input);
+      tail = stage.output;
+    });
+    tail.connect(this.output);
+  }
+
+  /**
+   * Keep a node so the next rebuild disconnects it
+   * @template {AudioNode} T
+   * @param {T} node
+   * @returns {T}
+   */
+  track(node) {
+    this.nodes.push(node);
+    return node;
+  }
+
+  /**
+   * Create a gain node
+   * @param {number} value
+   * @returns {GainNode}
+   */
+  createGain(value) {
+    const gain = this.track(this.context.createGain());
+    gain.gain.value = value;
+    return gain;
+  }
+
+  /**
+   * Create a running sine LFO scaled to an amplitude
+   * @param {number} frequency
+   * @param {number} amplitude
+   * @returns {GainNode} The scaled LFO, ready to connect to an AudioParam
+   */
+  createLfo(frequency, amplitude) {
+    const oscillator = this.context.createOscillator();
+    oscillator.frequency.value = frequency;
+    const scale = this.createGain(amplitude);
+    oscillator.connect(scale);
+    oscillator.start();
+    this.oscillators.push(oscillator);
+    return scale;
+  }
+
+  /**
+   * Build the nodes for one effect
+   * @param {{type: string, params: Object<string, number>}} effect
+   * @returns {{input: AudioNode, output: AudioNode}|null}
+   */
+  createStage(effect) {
+    const context = this.context;
+    const p = effect.params;
+    switch (effect.type) {
+      case 'echo':
+      case 'reverb': {
+        const input = this.createGain(1);
+        const output = this.createGain(1);
+        input.connect(output);
+        if (effect.type === 'echo') {
+          let total = 1;
+          for (let tap = 1; tap <= p.repeats; tap += 1) {
+            const delay = this.track(context.createDelay(Math.max(1, (p.delay * tap) / 1000)));
+            delay.delayTime.value = (p.delay * tap) / 1000;
+            const decay = this.createGain(Math.pow(p.decay, tap));
+            total += Math.pow(p.decay, tap);
+            input.connect(delay);
+            delay.connect(decay);
+            decay.connect(output);
+          }
+          output.gain.value = 1 / total;
+        } else {
+          const convolver = this.track(context.createConvolver());
+          convolver.buffer = this.createImpulse(REVERB_MIN_SECONDS + p.size * REVERB_SIZE_SECONDS);
+          const wet = this.createGain(p.mix);
+          input.connect(convolver);
+          convolver.connect(wet);
+          wet.connect(output);
+          output.gain.value = 1 / (1 + p.mix);
+        }
+        return { input, output };
+      }
+      case 'distortion':
+      case 'bitcrush': {
+        const shaper = this.track(context.createWaveShaper());
+        if (effect.type === 'distortion') {
+          const drive = dbToGain(p.drive);
+          const level = dbToGain(p.level);
+          shaper.curve = createShaperCurve(x => Math.max(-1, Math.min(1, x * drive)) * level);
+        } else {
+          const steps = Math.pow(2, p.bits - 1);
+          shaper.curve = createShaperCurve(x => Math.round(x * steps) / steps);
+        }
+        return { input: shaper, output: shaper };
+      }
+      case 'chorus':
+      case 'vibrato': {
+        const input = this.createGain(1);
+        const output = this.createGain(1);
+        // Vibrato is all wet: only the swept copy is heard, so the sweep bends pitch.
+        const sweep = effect.type === 'chorus' ? p.depth / 1000 : p.depth * VIBRATO_SWEEP_SECONDS;
+        const base = effect.type === 'chorus' ? p.delay / 1000 : sweep;
+        const delay = this.track(context.createDelay(1));
+        delay.delayTime.value = base;
+        this.createLfo(p.rate, sweep).connect(delay.delayTime);
+        input.connect(delay);
+        if (effect.type === 'chorus') {
+          const dry = this.createGain(0.7);
+          const wet = this.createGain(p.mix);
+          input.connect(dry);
+          dry.connect(output);
+          delay.connect(wet);
+          wet.connect(output);
+          output.gain.value = 0.9;
+        } else {
+          delay.connect(output);
+        }
+        return { input, output };
+      }
+      case 'tremolo': {
+        const gain = this.createGain(1 - p.depth / 2);
+        this.createLfo(p.rate, p.depth / 2).connect(gain.gain);
+        return { input: gain, output: gain };
+      }
+      case 'phaser': {
+        const input = this.createGain(1);
+        const output = this.createGain(0.5);
+        const lfo = this.createLfo(p.rate, 700);
+        let tail = input;
+        for (let stage = 0; stage < 4; stage += 1) {
+          const allpass = this.track(context.createBiquadFilter());
+          allpass.type = 'allpass';
+          allpass.frequency.value = 1000;
+          lfo.connect(allpass.frequency);
+          tail.connect(allpass);
+          tail = allpass;
+        }
+        const wet = this.createGain(0.5 + p.decay);
+        tail.connect(wet);
+        wet.connect(output);
+        input.connect(output);
+        return { input, output };
+      }
+      case 'compressor': {
+        const compressor = this.track(context.createDynamicsCompressor());
+        compressor.threshold.value = p.threshold;
+        compressor.ratio.value = p.ratio;
+        compressor.knee.value = 0;
+        compressor.attack.value = 0.005;
+        compressor.release.value = 0.05;
+        const makeup = this.createGain(dbToGain(p.makeup));
+        compressor.connect(makeup);
+        return { input: compressor, output: makeup };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Generate a decaying noise impulse response for the reverb
+   * @param {number} seconds
+   * @returns {AudioBuffer}
+   */
+  createImpulse(seconds) {
+    const length = Math.max(1, Math.round(seconds * this.context.sampleRate));
+    const impulse = this.context.createBuffer(2, length, this.context.sampleRate);
+    for (let channel = 0; channel < 2; channel += 1) {
+      const data = impulse.getChannelData(channel);
+      for (let index = 0; index < length; index += 1) {
+        data[index] = (Math.random() * 2 - 1) * Math.pow(1 - index / length, 3);
+      }
+    }
+    return impulse;
+  }
+
+  /**
+   * Stop and disconnect the current effects, leaving input wired straight to output
+   */
+  teardown() {
+    this.oscillators.forEach((oscillator) => {
+      oscillator.stop();
+      oscillator.disconnect();
+    });
+    this.nodes.forEach(node => node.disconnect());
+    this.oscillators = [];
+    this.nodes = [];
+    this.input.disconnect();
+  }
+
+  /**
+   * Stop the effects and disconnect the chain
+   */
+  disconnect() {
+    this.teardown();
+    this.output.disconnect();
+    this.signature = '';
+  }
+}
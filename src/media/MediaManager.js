@@ -3,7 +3,9 @@
  */
 
 import * as actions from '../core/actions.js';
+import { SUPPORTED_IMAGE_TYPES } from '../core/constants.js';
 import { createId } from '../utils/id.js';
+import { getMediaClipDuration, isStillMedia, readGifTiming } from '../utils/imageMedia.js';
 import { MediaVisualGenerator } from './MediaVisualGenerator.js';
 
 const MAX_CACHED_THUMBNAILS_PER_SOURCE = 256;
@@ -23,6 +25,11 @@ const MEDIA_TYPE_BY_EXTENSION = {
   aac: 'audio/aac',
   flac: 'audio/flac',
   opus: 'audio/ogg',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
 };
 
 export class MediaManager {
@@ -43,6 +50,7 @@ export class MediaManager {
   getMediaType(file) {
     const type = String(file && file.type ? file.type : '').toLowerCase();
     if (type.startsWith('video/') || type.startsWith('audio/')) return type;
+    if (SUPPORTED_IMAGE_TYPES.includes(type)) return type;
     const extension = String(file && file.name ? file.name : '')
       .split('.')
       .pop()
@@ -62,6 +70,7 @@ export class MediaManager {
       type,
       isAudioOnly: type.startsWith('audio/'),
       isVideoType: type.startsWith('video/'),
+      isImage: type.startsWith('image/'),
     };
   }
 
@@ -120,7 +129,23 @@ export class MediaManager {
 
     const analyze = async () => {
       if (!publish({ status: 'processing' })) return;
-      const isAudioFile = this.getFileMediaKind(file).isAudioOnly;
+      const { isAudioOnly: isAudioFile, isImage } = this.getFileMediaKind(file);
+
+      if (isImage) {
+        // Images have no audio and one picture is enough for the filmstrip.
+        try {
+          const thumbnails = await this.visualGenerator.generateImageThumbnail(file);
+          if (thumbnails && !publish({ thumbnails })) {
+            this.disposeMediaVisual({ thumbnails });
+            return;
+          }
+        } catch (error) {
+          console.warn(`Could not generate a thumbnail for ${file.name}:`, error);
+        }
+        publish({ status: 'ready' });
+        return;
+      }
+
       const shouldGenerateThumbnails = metadata.hasVideo && !isAudioFile;
       // A video with confirmed or unknown audio gets a waveform attempt. Only a reliable
       // negative signal skips decoding, avoiding false negatives on browsers without track APIs.
@@ -511,8 +536,7 @@ export class MediaManager {
     for (const file of files) {
       this.editor.updateStatus(`Loading ${file.name}...`);
 
-      // Get video metadata
-      const metadata = await this.getVideoMetadata(file);
+      const metadata = await this.getMediaMetadata(file);
 
       if (!this.editor.mediaFiles) this.editor.mediaFiles = new Map();
       const { type: mediaType, isAudioOnly, isVideoType } = this.getFileMediaKind(file);
@@ -546,6 +570,7 @@ export class MediaManager {
           duration: metadata.duration,
           width: metadata.width,
           height: metadata.height,
+          animated: metadata.animated,
         }));
         this.scheduleMediaVisualGeneration(mediaId, file, metadata);
         const updatedMedia = this.editor.state.getState().mediaLibrary
@@ -579,6 +604,7 @@ export class MediaManager {
           width: metadata.width,
           height: metadata.height,
         };
+        if (metadata.animated !== undefined) media.animated = metadata.animated;
         this.editor.state.dispatch(actions.addMedia(media));
         this.scheduleMediaVisualGeneration(mediaId, file, metadata);
         importedMedia.push(media);
@@ -672,6 +698,52 @@ export class MediaManager {
     }) || null;
   }
 
+  /**
+   * Get metadata for any importable file
+   * @param {File} file
+   * @returns {Promise<{duration: number, width: number, height: number, hasAudio: boolean|null, hasVideo: boolean, animated?: boolean}>}
+   */
+  async getMediaMetadata(file) {
+    return this.getFileMediaKind(file).isImage
+      ? this.getImageMetadata(file)
+      : this.getVideoMetadata(file);
+  }
+
+  /**
+   * Get image metadata. Stills report no duration; animated GIFs report one loop.
+   * @param {File} file
+   * @returns {Promise<{duration: number, width: number, height: number, hasAudio: boolean, hasVideo: boolean, animated: boolean}>}
+   */
+  async getImageMetadata(file) {
+    let timing = null;
+    if (this.getMediaType(file) === 'image/gif') {
+      try {
+        timing = readGifTiming(await file.arrayBuffer());
+      } catch (error) {
+        console.warn(`Could not read GIF frames of ${file.name}:`, error);
+      }
+    }
+    const animated = Boolean(timing && timing.frameCount > 1 && timing.durationMs > 0);
+
+    return new Promise((resolve) => {
+      const image = new Image();
+      const finish = (width, height) => {
+        resolve({
+          duration: animated ? timing.durationMs : 0,
+          width,
+          height,
+          hasAudio: false,
+          hasVideo: true,
+          animated,
+        });
+        URL.revokeObjectURL(image.src);
+      };
+      image.onload = () => finish(image.naturalWidth, image.naturalHeight);
+      image.onerror = () => finish(1920, 1080);
+      image.src = URL.createObjectURL(file);
+    });
+  }
+
   /**
    * Get video metadata
    * @param {File} file
@@ -746,7 +818,7 @@ export class MediaManager {
       mediaList.innerHTML = `
         <div class="empty-state empty-state-media">
           <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4 6.5h6l2 2h8v10H4v-12Z"/><path d="M9 13h6M12 10v6"/></svg>
-          <p>Import a video or audio file to start editing.</p>
+          <p>Import a video, audio or image file to start editing.</p>
         </div>
       `;
       return;
@@ -767,10 +839,15 @@ export class MediaManager {
 
       const typeIcon = document.createElement('span');
       const isAudio = Boolean(media.type && media.type.startsWith('audio/'));
-      typeIcon.className = `media-item-type ${isAudio ? 'is-audio' : 'is-video'}`;
-      typeIcon.innerHTML = isAudio
-        ? '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M5 12h2l1.5-5 3 10 2.5-8 2 6 1-3h2"/></svg>'
-        : '<svg viewBox="0 0 24 24" aria-hidden="true"><rect x="4" y="6" width="16" height="12" rx="2"/><path d="m10 9 5 3-5 3V9Z"/></svg>';
+      const isImage = Boolean(media.type && media.type.startsWith('image/'));
+      typeIcon.className = `media-item-type ${isAudio ? 'is-audio' : (isImage ? 'is-image' : 'is-video')}`;
+      if (isAudio) {
+        typeIcon.innerHTML = '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M5 12h2l1.5-5 3 10 2.5-8 2 6 1-3h2"/></svg>';
+      } else if (isImage) {
+        typeIcon.innerHTML = '<svg viewBox="0 0 24 24" aria-hidden="true"><rect x="4" y="5" width="16" height="14" rx="2"/><circle cx="9" cy="10" r="1.5"/><path d="m5 17 5-5 3 3 2-2 4 4"/></svg>';
+      } else {
+        typeIcon.innerHTML = '<svg viewBox="0 0 24 24" aria-hidden="true"><rect x="4" y="6" width="16" height="12" rx="2"/><path d="m10 9 5 3-5 3V9Z"/></svg>';
+      }
       header.appendChild(typeIcon);
 
       const details = document.createElement('div');
@@ -809,8 +886,9 @@ export class MediaManager {
       const sizeMB = (media.size / 1024 / 1024).toFixed(2);
       const mediaKind = isAudio
         ? 'Audio'
-        : (media.width && media.height ? `${media.width}×${media.height}` : 'Video');
-      info.textContent = `${durationMinutes}:${durationRemainder} · ${mediaKind} · ${sizeMB} MB`;
+        : (media.width && media.height ? `${media.width}×${media.height}` : (isImage ? 'Image' : 'Video'));
+      const durationText = isStillMedia(media) ? 'Still' : `${durationMinutes}:${durationRemainder}`;
+      info.textContent = `${durationText} · ${mediaKind} · ${sizeMB} MB`;
       details.appendChild(info);
 
       item.appendChild(header);
@@ -870,7 +948,7 @@ export class MediaManager {
     }
 
     this.editor.updateStatus(`Relinking ${file.name}...`);
-    const metadata = await this.getVideoMetadata(file);
+    const metadata = await this.getMediaMetadata(file);
     const expectedMedia = this.editor.state.getState().mediaLibrary.find(media => media.id === mediaId);
     const mismatch = expectedMedia
       ? this.getDurationMismatch(expectedMedia.duration, metadata.duration)
@@ -903,6 +981,7 @@ export class MediaManager {
       duration: metadata.duration,
       width: metadata.width,
       height: metadata.height,
+      animated: metadata.animated,
     }));
     this.scheduleMediaVisualGeneration(mediaId, file, metadata);
 
@@ -931,7 +1010,7 @@ export class MediaManager {
       mediaId: media.id,
       trackId: targetTrack.id,
       start,
-      duration: media.duration,
+      duration: getMediaClipDuration(media, state),
       color: '#3f7182',
     }));
 
@@ -961,7 +1040,7 @@ export class MediaManager {
       });
       if (!didAdd) return;
       added += 1;
-      const duration = Number(media.duration);
+      const duration = getMediaClipDuration(media, this.editor.state.getState());
       if (Number.isFinite(duration) && duration > 0) insertTime += duration;
     });
 
@@ -211,10 +211,10 @@ async function seekVideo(video, timeSeconds, shouldContinue) {
   return pendingSeek;
 }
 
-/** Snapshot and center-crop one decoded video frame into its own dedicated canvas. */
+/** Snapshot and center-crop one decoded video frame (or loaded image) into its own dedicated canvas. */
 function captureVideoFrame(video, width, height) {
-  const sourceWidth = video.videoWidth || width;
-  const sourceHeight = video.videoHeight || height;
+  const sourceWidth = video.videoWidth || video.naturalWidth || width;
+  const sourceHeight = video.videoHeight || video.naturalHeight || height;
   const sourceAspect = sourceWidth / sourceHeight;
   const targetAspect = width / height;
   let sx = 0;
@@ -351,6 +351,29 @@ export class MediaVisualGenerator {
     }
   }
 
+  /**
+   * Capture the single filmstrip frame of an image. The first frame stands in for animated GIFs.
+   * @param {File|Blob} file
+   * @returns {Promise<{frames: CanvasImageSource[], frameWidth:number, frameHeight:number, durationMs:number}|null>}
+   */
+  async generateImageThumbnail(file) {
+    const objectUrl = URL.createObjectURL(file);
+    const image = new Image();
+    try {
+      image.src = objectUrl;
+      await image.decode();
+      if (!image.naturalWidth || !image.naturalHeight) return null;
+      return {
+        frames: [captureVideoFrame(image, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)],
+        frameWidth: THUMBNAIL_WIDTH,
+        frameHeight: THUMBNAIL_HEIGHT,
+        durationMs: 0,
+      };
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  }
+
   /**
    * Decode and downsample a local audio track.
    * @param {File|Blob} file
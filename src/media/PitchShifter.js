@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Preview pitch shifter
+ * A delay-line pitch shifter built from stock Web Audio nodes: two delay lines sweep their delay
+ * along a sawtooth, half a cycle apart, and crossfade so each line is silent while its sweep resets.
+ * A sweeping delay plays its input slightly faster or slower, which moves pitch without moving time.
+ * Like asetrate with atempo it shifts formants along with pitch.
+ */
+
+// Length of one sweep (s); shorter grains smear transients less but buzz more on low voices.
+const GRAIN_SECONDS = 0.1;
+
+/**
+ * Fill a buffer with one sweep cycle
+ * @param {BaseAudioContext} context
+ * @param {(phase: number) => number} shape - Value for a phase from 0 to 1
+ * @returns {AudioBuffer}
+ */
+function createCycleBuffer(context, shape) {
+  const length = Math.max(1, Math.round(GRAIN_SECONDS * context.sampleRate));
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let index = 0; index < length; index += 1) {
+    data[index] = shape(index / length);
+  }
+  return buffer;
+}
+
+export class PitchShifter {
+  /**
+   * @param {BaseAudioContext} context
+   */
+  constructor(context) {
+    this.context = context;
+    this.semitones = 0;
+    this.input = context.createGain();
+    this.output = context.createGain();
+    this.dry = context.createGain();
+    this.wet = context.createGain();
+    this.wet.gain.value = 0;
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+    this.wet.connect(this.output);
+
+    // Falling sweeps raise pitch and rising sweeps lower it; both run all the time and the
+    // direction in use is picked by gain, since a started buffer source cannot be swapped.
+    const fallingBuffer = createCycleBuffer(context, phase => 1 - phase);
+    const risingBuffer = createCycleBuffer(context, phase => phase);
+    const fadeBuffer = createCycleBuffer(context, phase => Math.sin(Math.PI * phase));
+    const startTime = context.currentTime + 0.05;
+
+    this.sources = [];
+    this.lines = [0, 1].map((lineIndex) => {
+      const offset = lineIndex * GRAIN_SECONDS / 2;
+      const delay = context.createDelay(GRAIN_SECONDS);
+      delay.delayTime.value = 0;
+      const fade = context.createGain();
+      fade.gain.value = 0;
+      this.input.connect(delay);
+      delay.connect(fade);
+      fade.connect(this.wet);
+
+      const falling = context.createGain();
+      const rising = context.createGain();
+      falling.gain.value = 0;
+      rising.gain.value = 0;
+      falling.connect(delay.delayTime);
+      rising.connect(delay.delayTime);
+
+      [[fallingBuffer, falling], [risingBuffer, rising], [fadeBuffer, fade.gain]].forEach(([buffer, target]) => {
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(target);
+        source.start(startTime + offset);
+        this.sources.push(source);
+      });
+      return { delay, fade, falling, rising };
+    });
+  }
+
+  /**
+   * Set the shift. At zero the input bypasses the delay lines, so unshifted audio stays clean.
+   * @param {number} semitones
+   */
+  setPitch(semitones) {
+    const value = Number.isFinite(semitones) ? semitones : 0;
+    if (value === this.semitones) return;
+    this.semitones = value;
+    const ratio = Math.pow(2, value / 12);
+    // A delay that changes by d seconds per second plays at 1 - d times the input rate.
+    const depth = Math.min(1, Math.abs(ratio - 1)) * GRAIN_SECONDS;
+    this.lines.forEach((line) => {
+      line.falling.gain.value = ratio > 1 ? depth : 0;
+      line.rising.gain.value = ratio < 1 ? depth : 0;
+    });
+    this.dry.gain.value = value === 0 ? 1 : 0;
+    this.wet.gain.value = value === 0 ? 0 : 1;
+  }
+
+  /**
+   * Stop the sweeps and disconnect every node
+   */
+  disconnect() {
+    this.sources.forEach((source) => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+      source.disconnect();
+    });
+    this.lines.forEach((line) => {
+      line.delay.disconnect();
+      line.fade.disconnect();
+      line.falling.disconnect();
+      line.rising.disconnect();
+    });
+    this.input.disconnect();
+    this.dry.disconnect();
+    this.wet.disconnect();
+    this.output.disconnect();
+  }
+}
@@ -4,11 +4,12 @@
 
 export class PlaybackCache {
   /**
-   * @param {{ videoElements: Map<string, HTMLVideoElement>, audioElements: Map<string, HTMLVideoElement> }} params
+   * @param {{ videoElements: Map<string, HTMLVideoElement>, audioElements: Map<string, HTMLVideoElement>, imageElements?: Map<string, HTMLImageElement> }} params
    */
-  constructor({ videoElements, audioElements }) {
+  constructor({ videoElements, audioElements, imageElements }) {
     this.videoElements = videoElements;
     this.audioElements = audioElements;
+    this.imageElements = imageElements;
     this.objectUrls = new Map();
   }
 
@@ -39,28 +40,43 @@ export class PlaybackCache {
       this.objectUrls.delete(mediaId);
     }
 
-    if (this.videoElements && this.videoElements.has(mediaId)) {
-      const video = this.videoElements.get(mediaId);
-      try {
-        video.pause();
-      } catch (error) {
-        // Ignore video pause errors
-      }
-      video.removeAttribute('src');
-      video.load();
-      this.videoElements.delete(mediaId);
+    if (this.videoElements) {
+      // Stacked clips of one source get extra layers keyed `${mediaId}:${slot}`.
+      Array.from(this.videoElements.keys())
+        .filter(key => key === mediaId || key.startsWith(`${mediaId}:`))
+        .forEach((key) => {
+          const video = this.videoElements.get(key);
+          try {
+            video.pause();
+          } catch (error) {
+            // Ignore video pause errors
+          }
+          video.removeAttribute('src');
+          video.load();
+          this.videoElements.delete(key);
+        });
+    }
+
+    if (this.imageElements && this.imageElements.has(mediaId)) {
+      this.imageElements.get(mediaId).removeAttribute('src');
+      this.imageElements.delete(mediaId);
     }
 
-    if (this.audioElements && this.audioElements.has(mediaId)) {
-      const audio = this.audioElements.get(mediaId);
-      try {
-        audio.pause();
-      } catch (error) {
-        // Ignore audio pause errors
-      }
-      audio.removeAttribute('src');
-      audio.load();
-      this.audioElements.delete(mediaId);
+    if (this.audioElements) {
+      // Overlapping clips of one source get extra voices keyed `${mediaId}:${slot}`.
+      Array.from(this.audioElements.keys())
+        .filter(key => key === mediaId || key.startsWith(`${mediaId}:`))
+        .forEach((key) => {
+          const audio = this.audioElements.get(key);
+          try {
+            audio.pause();
+          } catch (error) {
+            // Ignore audio pause errors
+          }
+          audio.removeAttribute('src');
+          audio.load();
+          this.audioElements.delete(key);
+        });
     }
   }
 
@@ -98,5 +114,10 @@ export class PlaybackCache {
       });
       this.audioElements.clear();
     }
+
+    if (this.imageElements) {
+      this.imageElements.forEach(image => image.removeAttribute('src'));
+      this.imageElements.clear();
+    }
   }
 }
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Preview audio mixdown
+ * Plays every audible clip at the playhead through its own media element and sums them
+ * with Web Audio, mirroring the export's per-clip volume, pan, pitch, effects and fades.
+ */
+
+import { FREEZE_SUSTAIN_GRAIN, MIN_CLIP_SPEED, MAX_CLIP_SPEED } from '../core/constants.js';
+import { getActiveAudioEffects } from '../utils/audioEffects.js';
+import {
+  getClipFadeGain,
+  getClipPassCount,
+  getClipSpeedAt,
+  hasSpeedRamp,
+  isClipPlayingBackward,
+  isFreezeFrameClip,
+  mapClipTimeToSourceTime,
+} from '../utils/clipTiming.js';
+import { getAnimatedValue } from '../utils/keyframes.js';
+import { getPitchMode } from '../utils/pitch.js';
+import { getActiveTransition } from '../utils/transitions.js';
+import { AudioEffectChain } from './AudioEffectChain.js';
+import { PitchShifter } from './PitchShifter.js';
+
+// How far a looped or speed-ramped clip's voice may drift from the mapped time before it is seeked back.
+const RESYNC_DRIFT_SECONDS = 0.25;
+
+export class PreviewAudioMixer {
+  /**
+   * @param {any} editor
+   */
+  constructor(editor) {
+    this.editor = editor;
+    /** @type {Map<string, {key: string, mediaId: string, lastSeekTime: number}>} */
+    this.voices = new Map();
+    /** @type {Map<string, {element: HTMLVideoElement, source: MediaElementAudioSourceNode, shifter: PitchShifter, effects: AudioEffectChain, panner: StereoPannerNode|null, gain: GainNode}>} */
+    this.routes = new Map();
+    this.masterGain = null;
+  }
+
+  /**
+   * Get the element key for a media voice slot. Slot 0 shares the media id key with PlaybackCache.
+   * @param {string} mediaId
+   * @param {number} slot
+   * @returns {string}
+   */
+  getVoiceKey(mediaId, slot) {
+    return slot === 0 ? mediaId : `${mediaId}:${slot}`;
+  }
+
+  /**
+   * Get or create the hidden element for a voice slot
+   * @param {import('../core/types.js').Media} media
+   * @param {string} key
+   * @returns {HTMLVideoElement}
+   */
+  getElement(media, key) {
+    const editor = this.editor;
+    if (!editor.audioElements.has(key)) {
+      const file = editor.mediaFiles.get(media.id);
+      const audio = document.createElement('video');
+      audio.src = editor.playbackCache.getObjectUrl(media.id, file);
+      audio.muted = false;
+      audio.preload = 'auto';
+      audio.volume = editor.masterVolume;
+      audio.playsInline = true;
+      audio.setAttribute('playsinline', '');
+      audio.setAttribute('webkit-playsinline', '');
+      audio.disablePictureInPicture = true;
+      editor.audioElements.set(key, audio);
+    }
+    const audio = editor.audioElements.get(key);
+    if (editor.hiddenMediaContainer && audio && !audio.parentNode) {
+      editor.hiddenMediaContainer.appendChild(audio);
+    }
+    return audio;
+  }
+
+  /**
+   * Route an element through its own pitch/effects/pan/gain nodes once an AudioContext exists.
+   * @param {string} key
+   * @param {HTMLVideoElement} element
+   * @returns {{element: HTMLVideoElement, source: MediaElementAudioSourceNode, shifter: PitchShifter, effects: AudioEffectChain, panner: StereoPannerNode|null, gain: GainNode}|null}
+   */
+  getRoute(key, element) {
+    const context = this.editor.audioContext;
+    if (!context) return null;
+    const existing = this.routes.get(key);
+    if (existing && existing.element === element) return existing;
+    if (existing) this.disconnectRoute(key);
+
+    if (!this.masterGain) {
+      this.masterGain = context.createGain();
+      this.masterGain.connect(context.destination);
+    }
+
+    try {
+      const source = context.createMediaElementSource(element);
+      const shifter = new PitchShifter(context);
+      const effects = new AudioEffectChain(context);
+      source.connect(shifter.input);
+      shifter.output.connect(effects.input);
+      const panner = typeof context.createStereoPanner === 'function'
+        ? context.createStereoPanner()
+        : null;
+      const gain = context.createGain();
+      if (panner) {
+        effects.output.connect(panner);
+        panner.connect(gain);
+      } else {
+        effects.output.connect(gain);
+      }
+      gain.connect(this.masterGain);
+      const route = { element, source, shifter, effects, panner, gain };
+      this.routes.set(key, route);
+      return route;
+    } catch (error) {
+      // An element can only be captured once; fall back to element volume.
+      return null;
+    }
+  }
+
+  /**
+   * Disconnect a voice route
+   * @param {string} key
+   */
+  disconnectRoute(key) {
+    const route = this.routes.get(key);
+    if (!route) return;
+    route.source.disconnect();
+    route.shifter.disconnect();
+    route.effects.disconnect();
+    if (route.panner) route.panner.disconnect();
+    route.gain.disconnect();
+    this.routes.delete(key);
+  }
+
+  /**
+   * Sync voices to the clips audible at the playhead.
+   * @param {import('../core/types.js').EditorState} state
+   * @param {Array<{clip: import('../core/types.js').Clip, media: import('../core/types.js').Media}>} entries
+   * @param {{shouldResync: boolean, now: number, transitions?: import('../utils/transitions.js').ResolvedTransition[]}} options
+   * @returns {Map<string, HTMLVideoElement>} element playing each clip, by clip id
+   */
+  update(state, entries, options) {
+    const editor = this.editor;
+    const { shouldResync, now } = options;
+    const transitions = options.transitions || [];
+    const defaultFilters = editor.getDefaultFilters(state);
+    const playhead = state.playhead;
+    const elementsByClipId = new Map();
+    const usedKeys = new Set();
+
+    // Routes whose element was released by PlaybackCache are stale.
+    this.routes.forEach((route, key) => {
+      if (editor.audioElements.get(key) !== route.element) this.disconnectRoute(key);
+    });
+
+    // Keep clips on the slot they already own so their elements keep playing uninterrupted.
+    const pending = [];
+    entries.forEach((entry) => {
+      const voice = this.voices.get(entry.clip.id);
+      if (voice && voice.mediaId === entry.media.id && !usedKeys.has(voice.key)) {
+        usedKeys.add(voice.key);
+        pending.push({ ...entry, voice, clipChanged: false });
+      } else {
+        pending.push({ ...entry, voice: null, clipChanged: true });
+      }
+    });
+    pending.forEach((entry) => {
+      if (entry.voice) return;
+      let slot = 0;
+      while (usedKeys.has(this.getVoiceKey(entry.media.id, slot))) slot += 1;
+      const key = this.getVoiceKey(entry.media.id, slot);
+      usedKeys.add(key);
+      entry.voice = { key, mediaId: entry.media.id, lastSeekTime: 0 };
+    });
+
+    const nextVoices = new Map();
+    pending.forEach(({ clip, media, voice, clipChanged }) => {
+      const audio = this.getElement(media, voice.key);
+      const route = this.getRoute(voice.key, audio);
+      const af = editor.resolveAudioFilters(clip, defaultFilters);
+      const clipVolume = getAnimatedValue(
+        clip,
+        'audio.volume',
+        playhead,
+        editor.resolveClipVolume(clip, defaultFilters)
+      );
+      const fadeGain = getClipFadeGain(clip, playhead, af.fadeIn || 0, af.fadeOut || 0);
+      // Linear gains match the export's acrossfade triangle curves.
+      const activeTransition = getActiveTransition(transitions, clip.id, playhead);
+      const transitionGain = activeTransition
+        ? (activeTransition.role === 'from' ? 1 - activeTransition.progress : activeTransition.progress)
+        : 1;
+      const targetGain = clip.muted ? 0 : clipVolume * fadeGain * transitionGain;
+      const safeGain = Number.isFinite(targetGain) ? Math.max(0, targetGain) : 0;
+
+      if (route) {
+        audio.volume = 1;
+        audio.muted = false;
+        route.gain.gain.value = safeGain;
+        if (route.panner) route.panner.pan.value = Math.max(-1, Math.min(1, af.pan || 0));
+        this.masterGain.gain.value = editor.masterVolume;
+      } else {
+        const elementVolume = Math.max(0, Math.min(1, safeGain * editor.masterVolume));
+        audio.volume = elementVolume;
+        audio.muted = elementVolume === 0;
+      }
+
+      const clipTime = mapClipTimeToSourceTime(clip, playhead, {
+        allowOverhang: Boolean(activeTransition),
+      }) / 1000;
+      const isReversed = isClipPlayingBackward(clip, playhead);
+      const shouldSeek = shouldResync || clipChanged || (!isReversed && audio.paused);
+      const playbackRate = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, getClipSpeedAt(clip, playhead)));
+      // Tape lets the element's rate carry pitch; the offset itself is shifted in the route. Time-stretch
+      // shifts there too: the delay-line shifter has no formant correction, so its formants move in
+      // preview even though the export's rubberband keeps them. The pitch mode help says so.
+      audio.preservesPitch = getPitchMode(af) !== 'tape';
+      if (route) {
+        route.shifter.setPitch(isFreezeFrameClip(clip) ? 0 : (af.pitch || 0));
+        route.effects.update(getActiveAudioEffects(clip));
+      }
+
+      if (state.isPlaying && isFreezeFrameClip(clip)) {
+        // Sustained freeze frames jump back to the held time at the end of each grain.
+        audio.playbackRate = 1;
+        const grainEnd = clipTime + FREEZE_SUSTAIN_GRAIN / 1000;
+        if (shouldSeek || audio.currentTime < clipTime || audio.currentTime >= grainEnd) {
+          audio.currentTime = clipTime;
+          voice.lastSeekTime = now;
+        }
+        if (audio.paused) {
+          audio.play().catch(() => {});
+        }
+      } else if (state.isPlaying) {
+        audio.playbackRate = playbackRate;
+        if (isReversed) {
+          if (audio.paused) {
+            audio.play().catch(() => {});
+          }
+          const timeDiff = Math.abs(audio.currentTime - clipTime);
+          if (shouldSeek || (timeDiff > 0.2 && now - voice.lastSeekTime > 120)) {
+            audio.currentTime = clipTime;
+            voice.lastSeekTime = now;
+          }
+        } else {
+          // Each new pass of a looped clip starts back at the window start; a ramped clip catches up with its curve.
+          const hasWrapped = (getClipPassCount(clip) > 1 || hasSpeedRamp(clip))
+            && Math.abs(audio.currentTime - clipTime) > RESYNC_DRIFT_SECONDS;
+          if (shouldSeek || hasWrapped) {
+            audio.currentTime = clipTime;
+          }
+          if (audio.paused) {
+            audio.play().catch(() => {}); // Ignore autoplay errors
+          }
+        }
+      } else {
+        if (!audio.paused) {
+          audio.pause();
+        }
+        audio.playbackRate = 1;
+        const timeDiff = Math.abs(audio.currentTime - clipTime);
+        if (timeDiff > 0.05 && now - voice.lastSeekTime > 10) {
+          audio.currentTime = clipTime;
+          voice.lastSeekTime = now;
+        }
+      }
+
+      nextVoices.set(clip.id, voice);
+      elementsByClipId.set(clip.id, audio);
+    });
+    this.voices = nextVoices;
+
+    // Pause any voice that is not active to respect clip bounds
+    editor.audioElements.forEach((audio, key) => {
+      if (!usedKeys.has(key) && !audio.paused) {
+        audio.pause();
+      }
+    });
+
+    return elementsByClipId;
+  }
+
+  /**
+   * Drop all voices and routes, e.g. when media caches are cleared.
+   */
+  reset() {
+    Array.from(this.routes.keys()).forEach(key => this.disconnectRoute(key));
+    this.voices.clear();
+  }
+}
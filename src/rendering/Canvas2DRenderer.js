@@ -4,6 +4,7 @@
 
 import { Renderer } from './Renderer.js';
 import { CLIP_HEADER_HEIGHT, COLORS } from '../core/constants.js';
+import { getClipPassCount, hasSpeedRamp } from '../utils/clipTiming.js';
 
 const WAVEFORM_VERTICAL_GAIN = 1.5;
 const WAVEFORM_MAX_AMPLITUDE = 0.98;
@@ -108,7 +109,29 @@ export class Canvas2DRenderer extends Renderer {
       metadataRight -= 16;
     }
 
-    if (clip.speed && clip.speed !== 1.0) {
+    if (clip.playMode === 'pingpong' || clip.playMode === 'loop') {
+      const label = clip.playMode === 'pingpong' ? '⇄' : `↻${getClipPassCount(clip)}`;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.font = '500 9px "SFMono-Regular", Consolas, monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(label, metadataRight, y + 4);
+      metadataRight -= 8 + label.length * 6;
+    }
+
+    if (clip.freezeFrame) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.78)';
+      ctx.font = '500 9px "SFMono-Regular", Consolas, monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText('HOLD', metadataRight, y + 4);
+      metadataRight -= 30;
+    }
+
+    if (hasSpeedRamp(clip)) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.78)';
+      ctx.font = '500 9px "SFMono-Regular", Consolas, monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText('RAMP', metadataRight, y + 4);
+    } else if (clip.speed && clip.speed !== 1.0) {
       ctx.fillStyle = 'rgba(255, 255, 255, 0.78)';
       ctx.font = '500 9px "SFMono-Regular", Consolas, monospace';
       ctx.textAlign = 'right';
@@ -386,6 +409,64 @@ export class Canvas2DRenderer extends Renderer {
       : previous;
   }
 
+  /**
+   * Draw keyframe diamonds along a clip
+   * @param {number[]} xs
+   * @param {number} y
+   * @param {boolean} selected
+   */
+  drawKeyframes(xs, y, selected) {
+    const ctx = this.ctx;
+    const size = 4;
+    ctx.save();
+    ctx.fillStyle = selected ? '#ffd866' : 'rgba(255, 216, 102, 0.8)';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.lineWidth = 1;
+    xs.forEach((x) => {
+      ctx.beginPath();
+      ctx.moveTo(x, y - size);
+      ctx.lineTo(x + size, y);
+      ctx.lineTo(x, y + size);
+      ctx.lineTo(x - size, y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Draw the overlap region of a transition across a cut
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   * @param {string} label
+   * @param {boolean} selected
+   */
+  drawTransition(x, y, width, height, label, selected) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = selected ? 'rgba(255, 216, 102, 0.28)' : 'rgba(255, 255, 255, 0.16)';
+    ctx.fillRect(x, y, width, height);
+    // The diagonal reads as one clip handing over to the next.
+    ctx.strokeStyle = selected ? 'rgba(255, 216, 102, 0.9)' : 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y + height);
+    ctx.lineTo(x + width, y);
+    ctx.stroke();
+    ctx.strokeRect(x + 0.5, y + 0.5, Math.max(0, width - 1), Math.max(0, height - 1));
+    if (width > 40) {
+      ctx.fillStyle = '#fff';
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(label, x + width / 2, y + height - 3, width - 6);
+    }
+    ctx.restore();
+  }
+
   /**
    * Draw playhead indicator
    * @param {number} x
@@ -0,0 +1,630 @@
+/**
+ * @fileoverview Preview video compositor
+ * Keeps one hidden video element per visible layer in sync with the playhead and draws the
+ * layers bottom to top, placed the same way the export's overlay chain places them.
+ */
+
+import { FIT_BLUR_AMOUNT, MIN_CLIP_SPEED, MAX_CLIP_SPEED } from '../core/constants.js';
+import {
+  getClipPassCount,
+  getClipSpeedAt,
+  getClipSourceRange,
+  hasSpeedRamp,
+  isClipPlayingBackward,
+  isFreezeFrameClip,
+  mapClipTimeToSourceTime,
+} from '../utils/clipTiming.js';
+import { isImageMedia } from '../utils/imageMedia.js';
+import { applySectionKeyframes } from '../utils/keyframes.js';
+import { getClipBlendMode, resolveClipChromaKey } from '../utils/compositing.js';
+import { getTextLayout, resolveClipText } from '../utils/text.js';
+import { getActiveTransition } from '../utils/transitions.js';
+import { getActiveVideoEffects } from '../utils/videoEffects.js';
+import {
+  getAnimatedTransform,
+  getClipOpacity,
+  getFillCrop,
+  getFitMode,
+  getFrameRect,
+  getLayerRect,
+  resolveClipCrop,
+  resolveClipTransform,
+} from '../utils/transform.js';
+import { getCanvasFilter } from './previewFilters.js';
+import { VideoEffectRenderer } from './VideoEffectRenderer.js';
+
+// How far a looped or speed-ramped clip's element may drift from the mapped time before it is seeked back.
+const RESYNC_DRIFT_SECONDS = 0.25;
+
+/**
+ * Work out the blurred copy a blur-fit layer draws behind itself: the middle of its picture that
+ * covers the whole box, as the export's increase-and-crop does
+ * @param {{x: number, y: number, width: number, height: number}} region - The drawn part of the layer's source
+ * @param {number} boxWidth - The layer's box, before fitting
+ * @param {number} boxHeight
+ * @returns {{crop: {x: number, y: number, width: number, height: number}, width: number, height: number, blur: number}}
+ */
+function getBlurBackground(region, boxWidth, boxHeight) {
+  const cover = getFillCrop(region.width, region.height, boxWidth, boxHeight);
+  return {
+    crop: { x: region.x + cover.x, y: region.y + cover.y, width: cover.width, height: cover.height },
+    width: boxWidth,
+    height: boxHeight,
+    blur: boxHeight * FIT_BLUR_AMOUNT,
+  };
+}
+
+export class PreviewCompositor {
+  /**
+   * @param {any} editor
+   */
+  constructor(editor) {
+    this.editor = editor;
+    /** @type {Map<string, {clipId: string|null, lastSeekTime: number, lastReverseSeekTime: number, lastReverseClipTime: number|null, lastMobileSyncTime: number}>} */
+    this.layerStates = new Map();
+    /** @type {Map<string, string>} element key currently used by each clip id */
+    this.clipKeys = new Map();
+    this.frameBuffer = document.createElement('canvas');
+    this.frameBufferCtx = this.frameBuffer.getContext('2d');
+    this.frameBufferSignature = null;
+    if (editor.previewCanvas) {
+      this.resize(editor.previewCanvas.width, editor.previewCanvas.height);
+    }
+    /** @type {Map<string, {cx: number, cy: number, width: number, height: number, rotation: number}>} */
+    this.layerRects = new Map();
+    /** @type {Map<string, {width: number, height: number}>} uncropped source size of each drawn layer */
+    this.layerSourceSizes = new Map();
+    /** @type {{x: number, y: number, width: number, height: number, scale: number}|null} */
+    this.frameRect = null;
+    this.videoEffects = new VideoEffectRenderer();
+  }
+
+  /**
+   * Get the element key for a media slot. Slot 0 shares the media id key with PlaybackCache.
+   * @param {string} mediaId
+   * @param {number} slot
+   * @returns {string}
+   */
+  getElementKey(mediaId, slot) {
+    return slot === 0 ? mediaId : `${mediaId}:${slot}`;
+  }
+
+  /**
+   * Get or create the hidden, muted element for a video slot
+   * @param {import('../core/types.js').Media} media
+   * @param {string} key
+   * @returns {HTMLVideoElement}
+   */
+  getElement(media, key) {
+    const editor = this.editor;
+    if (!editor.videoElements.has(key)) {
+      const file = editor.mediaFiles.get(media.id);
+      const video = document.createElement('video');
+      video.muted = true;
+      video.volume = 0;
+      video.playsInline = true;
+      video.setAttribute('playsinline', '');
+      video.setAttribute('webkit-playsinline', '');
+      video.disablePictureInPicture = true;
+      video.preload = 'auto';
+      video.src = editor.playbackCache.getObjectUrl(media.id, file);
+      const schedulePreviewIfPaused = () => {
+        if (!editor.state.getState().isPlaying) {
+          editor.schedulePreviewRender();
+        }
+      };
+      video.addEventListener('seeked', schedulePreviewIfPaused);
+      video.addEventListener('loadeddata', schedulePreviewIfPaused);
+      video.addEventListener('canplay', schedulePreviewIfPaused);
+      editor.videoElements.set(key, video);
+    }
+    const video = editor.videoElements.get(key);
+    if (editor.hiddenMediaContainer && video && !video.parentNode) {
+      editor.hiddenMediaContainer.appendChild(video);
+    }
+    editor.updateMediaInfoFromVideo(media.id, video);
+    return video;
+  }
+
+  /**
+   * Get or create the image element for an image source. Images need no seeking, so every clip
+   * of one source draws from the same element; animated GIFs run on the browser's own clock.
+   * @param {import('../core/types.js').Media} media
+   * @returns {HTMLImageElement}
+   */
+  getImageElement(media) {
+    const editor = this.editor;
+    if (!editor.imageElements.has(media.id)) {
+      const file = editor.mediaFiles.get(media.id);
+      const image = new Image();
+      image.decoding = 'async';
+      image.addEventListener('load', () => {
+        if (!editor.state.getState().isPlaying) {
+          editor.schedulePreviewRender();
+        }
+      });
+      image.src = editor.playbackCache.getObjectUrl(media.id, file);
+      editor.imageElements.set(media.id, image);
+    }
+    return editor.imageElements.get(media.id);
+  }
+
+  /**
+   * Resize the last-good-frame buffer with the preview canvas
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.frameBuffer.width = width;
+    this.frameBuffer.height = height;
+    this.frameBufferSignature = null;
+  }
+
+  /**
+   * Forget per-layer sync state, e.g. when media caches are cleared
+   */
+  reset() {
+    this.layerStates.clear();
+    this.clipKeys.clear();
+    this.layerRects.clear();
+    this.layerSourceSizes.clear();
+    this.frameBufferSignature = null;
+  }
+
+  /**
+   * Work out how a layer is drawn part way through a transition.
+   * The outgoing clip is drawn as-is and the incoming clip is blended over it, which matches the
+   * export's xfade wherever both clips cover the frame.
+   * @param {{transition: import('../utils/transitions.js').ResolvedTransition, role: 'from'|'to', progress: number}|null} active
+   * @param {{x: number, y: number, width: number, height: number}} frame
+   * @returns {{visible: boolean, alpha: number, clipRect: {x: number, y: number, width: number, height: number}|null, blackAlpha: number}}
+   */
+  getTransitionEffect(active, frame) {
+    const effect = { visible: true, alpha: 1, clipRect: null, blackAlpha: 0 };
+    if (!active) return effect;
+    const { transition, role, progress } = active;
+    if (transition.type === 'dipblack') {
+      // Fade the outgoing clip down to black over the first half, then the incoming one up from it.
+      effect.visible = role === 'from' ? progress < 0.5 : progress >= 0.5;
+      effect.blackAlpha = role === 'from' ? progress * 2 : (1 - progress) * 2;
+      return effect;
+    }
+    if (role !== 'to') return effect;
+    if (transition.type === 'wipeleft') {
+      const width = frame.width * progress;
+      effect.clipRect = { x: frame.x + frame.width - width, y: frame.y, width, height: frame.height };
+    } else if (transition.type === 'wiperight') {
+      effect.clipRect = { x: frame.x, y: frame.y, width: frame.width * progress, height: frame.height };
+    } else {
+      effect.alpha = progress;
+    }
+    return effect;
+  }
+
+  /**
+   * Sync and draw the visible video layers at the playhead.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../core/types.js').EditorState} state
+   * @param {Array<{clip: import('../core/types.js').Clip, media: import('../core/types.js').Media}>} layers - bottom to top
+   * @param {{
+   *  now: number,
+   *  shouldResync: boolean,
+   *  isMobileViewport: boolean,
+   *  sharedElements: Map<string, HTMLVideoElement>,
+   *  output: {width: number, height: number, background?: string},
+   *  transitions?: import('../utils/transitions.js').ResolvedTransition[],
+   * }} options
+   * @returns {{didDrawFrame: boolean, callbackVideo: HTMLVideoElement|null, needsSeekRefresh: boolean}}
+   */
+  render(ctx, state, layers, options) {
+    const { now, shouldResync, isMobileViewport, sharedElements, output } = options;
+    const transitions = options.transitions || [];
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+    const frame = getFrameRect(output.width, output.height, width, height);
+    const defaultFilters = this.editor.getDefaultFilters(state);
+    const usedKeys = new Set();
+    const nextClipKeys = new Map();
+    const drawn = [];
+    let callbackVideo = null;
+    let needsSeekRefresh = false;
+    let allReady = true;
+
+    this.frameRect = frame;
+    this.layerRects = new Map();
+    this.layerSourceSizes = new Map();
+
+    // Keep clips on the element they already own so playback continues without a reseek.
+    const assignments = layers.map((layer) => {
+      if (isImageMedia(layer.media)) {
+        return { ...layer, key: null, element: this.getImageElement(layer.media), shared: false, image: true };
+      }
+      const sharedAudio = sharedElements ? sharedElements.get(layer.clip.id) : null;
+      const canShareAudio = !isMobileViewport && Boolean(sharedAudio) && layer.clip.reversed !== true
+        && !isFreezeFrameClip(layer.clip) && getClipPassCount(layer.clip) === 1;
+      if (canShareAudio) {
+        return { ...layer, key: null, element: sharedAudio, shared: true };
+      }
+      const previousKey = this.clipKeys.get(layer.clip.id);
+      if (previousKey && !usedKeys.has(previousKey)
+          && (previousKey === layer.media.id || previousKey.startsWith(`${layer.media.id}:`))) {
+        usedKeys.add(previousKey);
+        return { ...layer, key: previousKey, element: null, shared: false };
+      }
+      return { ...layer, key: null, element: null, shared: false };
+    });
+    assignments.forEach((layer) => {
+      if (layer.shared || layer.key || layer.image) return;
+      let slot = 0;
+      while (usedKeys.has(this.getElementKey(layer.media.id, slot))) slot += 1;
+      layer.key = this.getElementKey(layer.media.id, slot);
+      usedKeys.add(layer.key);
+    });
+
+    assignments.forEach((layer) => {
+      const { clip, media } = layer;
+      if (layer.image) {
+        const image = layer.element;
+        if (image.complete && image.naturalWidth > 0) {
+          drawn.push(this.prepareLayer(clip, image, image.naturalWidth, image.naturalHeight, {
+            state,
+            frame,
+            defaultFilters,
+            transition: getActiveTransition(transitions, clip.id, state.playhead),
+          }));
+        } else {
+          allReady = false;
+        }
+        return;
+      }
+      const video = layer.shared ? layer.element : this.getElement(media, layer.key);
+      const stateKey = layer.shared ? `shared:${clip.id}` : layer.key;
+      let layerState = this.layerStates.get(stateKey);
+      if (!layerState) {
+        layerState = {
+          clipId: null,
+          lastSeekTime: 0,
+          lastReverseSeekTime: 0,
+          lastReverseClipTime: null,
+          lastMobileSyncTime: 0,
+        };
+        this.layerStates.set(stateKey, layerState);
+      }
+      const clipChanged = layerState.clipId !== clip.id;
+      if (clipChanged) {
+        layerState.lastReverseSeekTime = 0;
+        layerState.lastReverseClipTime = null;
+      }
+      layerState.clipId = clip.id;
+      if (!layer.shared) nextClipKeys.set(clip.id, layer.key);
+
+      // The second half of a ping-pong clip plays backwards like a reversed clip.
+      const isReversed = isClipPlayingBackward(clip, state.playhead);
+      // A freeze frame stays parked on its frame, playing or not.
+      const isHeld = isFreezeFrameClip(clip);
+      const activeTransition = getActiveTransition(transitions, clip.id, state.playhead);
+      // A reversed clip's first frame is the source end; stay one ms inside so the seek lands on a frame.
+      // During a transition the clip plays past its trim points, so only the media bounds apply.
+      const sourceMs = mapClipTimeToSourceTime(clip, state.playhead, {
+        allowOverhang: Boolean(activeTransition),
+      });
+      const clipTime = (isReversed && !activeTransition
+        ? Math.min(sourceMs, getClipSourceRange(clip).end - 1)
+        : sourceMs) / 1000;
+      // A looped pass runs on past its window and a ramp's rate only follows its curve per frame, so
+      // either is seeked back once the element drifts from the mapped time.
+      const hasWrapped = (getClipPassCount(clip) > 1 || hasSpeedRamp(clip))
+        && Math.abs(video.currentTime - clipTime) > RESYNC_DRIFT_SECONDS;
+      const shouldSeek = shouldResync || clipChanged || (!isReversed && video.paused) || hasWrapped;
+      const targetRate = Math.max(MIN_CLIP_SPEED, Math.min(MAX_CLIP_SPEED, getClipSpeedAt(clip, state.playhead)));
+
+      if (!layer.shared) {
+        video.volume = 0;
+        video.muted = true;
+      }
+
+      if (!layer.shared && state.isPlaying && !isHeld) {
+        if (isReversed) {
+          video.playbackRate = 1;
+          if (!video.paused) {
+            video.pause();
+          }
+          const lastClipTime = Number.isFinite(layerState.lastReverseClipTime)
+            ? layerState.lastReverseClipTime
+            : video.currentTime;
+          const timeDiff = Math.abs(lastClipTime - clipTime);
+          const minStep = 0.06;
+          const minInterval = 80;
+          const allowSeek = shouldSeek
+            || (timeDiff > minStep && now - layerState.lastReverseSeekTime > minInterval);
+          if (allowSeek && !video.seeking) {
+            const safeClipTime = Number.isFinite(video.duration) && video.duration > 0
+              ? Math.min(Math.max(0, clipTime), Math.max(0, video.duration - 0.001))
+              : clipTime;
+            video.currentTime = safeClipTime;
+            layerState.lastReverseSeekTime = now;
+            layerState.lastReverseClipTime = clipTime;
+          }
+        } else {
+          video.playbackRate = targetRate;
+          if (shouldSeek) {
+            video.currentTime = clipTime;
+          }
+          if (video.paused) {
+            video.play().catch(() => {}); // Ignore autoplay errors
+          }
+        }
+      } else if (!layer.shared) {
+        if (!video.paused) {
+          video.pause();
+        }
+        video.playbackRate = 1;
+        const timeDiff = Math.abs(video.currentTime - clipTime);
+        if (timeDiff > 0.05 && now - layerState.lastSeekTime > 10) {
+          video.currentTime = clipTime;
+          layerState.lastSeekTime = now;
+          needsSeekRefresh = true;
+        }
+      }
+
+      // Mobile keeps video and audio on separate elements; pull the picture back onto the audio clock.
+      const audioElement = sharedElements ? sharedElements.get(clip.id) : null;
+      if (
+        isMobileViewport
+        && state.isPlaying
+        && !isReversed
+        && !isHeld
+        && audioElement
+        && !layer.shared
+        && !video.seeking
+        && now - layerState.lastMobileSyncTime > 250
+      ) {
+        const drift = Math.abs(video.currentTime - audioElement.currentTime);
+        if (drift > 0.12) {
+          video.currentTime = audioElement.currentTime;
+          layerState.lastMobileSyncTime = now;
+        }
+      }
+
+      if (layer.shared) {
+        this.editor.updateMediaInfoFromVideo(media.id, video);
+      }
+
+      if (!isReversed && !video.paused && video.readyState >= video.HAVE_CURRENT_DATA) {
+        callbackVideo = video;
+      }
+
+      if (!state.isPlaying && video.seeking) {
+        needsSeekRefresh = true;
+      }
+
+      if (video.readyState >= video.HAVE_CURRENT_DATA && !video.seeking) {
+        drawn.push(this.prepareLayer(clip, video, video.videoWidth, video.videoHeight, {
+          state,
+          frame,
+          defaultFilters,
+          transition: activeTransition,
+        }));
+      } else {
+        allReady = false;
+      }
+    });
+
+    this.clipKeys = nextClipKeys;
+    this.videoEffects.prune();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(frame.x, frame.y, frame.width, frame.height);
+    ctx.clip();
+    if (output.background) {
+      // The sequence background shows wherever no layer covers the frame, as in the export.
+      ctx.fillStyle = output.background;
+      ctx.fillRect(frame.x, frame.y, frame.width, frame.height);
+    }
+    drawn.forEach(({ source, crop, rect, filter, composite, opacity, transition, background }) => {
+      const effect = this.getTransitionEffect(transition, frame);
+      if (!effect.visible) return;
+      ctx.save();
+      if (effect.clipRect) {
+        ctx.beginPath();
+        ctx.rect(effect.clipRect.x, effect.clipRect.y, effect.clipRect.width, effect.clipRect.height);
+        ctx.clip();
+      }
+      ctx.globalAlpha = effect.alpha * opacity;
+      ctx.globalCompositeOperation = composite;
+      ctx.filter = filter;
+      ctx.translate(rect.cx, rect.cy);
+      if (rect.rotation) ctx.rotate(rect.rotation * Math.PI / 180);
+      if (background) {
+        // Overdraw past the box so the blur keeps its strength up to the edges, as gblur does.
+        const margin = background.blur * 2;
+        const area = background.crop;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(-background.width / 2, -background.height / 2, background.width, background.height);
+        ctx.clip();
+        ctx.filter = `${filter === 'none' ? '' : `${filter} `}blur(${background.blur}px)`;
+        ctx.drawImage(
+          source,
+          area.x, area.y, area.width, area.height,
+          -background.width / 2 - margin, -background.height / 2 - margin,
+          background.width + margin * 2, background.height + margin * 2
+        );
+        ctx.restore();
+      }
+      if (crop) {
+        ctx.drawImage(
+          source,
+          crop.x, crop.y, crop.width, crop.height,
+          -rect.width / 2, -rect.height / 2, rect.width, rect.height
+        );
+      } else {
+        ctx.drawImage(source, -rect.width / 2, -rect.height / 2, rect.width, rect.height);
+      }
+      ctx.restore();
+      if (effect.blackAlpha > 0) {
+        ctx.save();
+        ctx.globalAlpha = effect.blackAlpha;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(frame.x, frame.y, frame.width, frame.height);
+        ctx.restore();
+      }
+    });
+    ctx.restore();
+
+    // Hold the last complete composite while a layer is still seeking to avoid flashing black.
+    const signature = layers.map(layer => layer.media.id).join('|');
+    if (layers.length > 0 && allReady) {
+      this.frameBufferCtx.clearRect(0, 0, width, height);
+      this.frameBufferCtx.drawImage(ctx.canvas, 0, 0, width, height);
+      this.frameBufferSignature = signature;
+    } else if (layers.length > 0 && this.frameBufferSignature === signature) {
+      ctx.drawImage(this.frameBuffer, 0, 0, width, height);
+    } else if (this.frameBufferSignature !== signature) {
+      this.frameBufferSignature = null;
+    }
+
+    // Pause any element that is not active to respect clip bounds
+    this.editor.videoElements.forEach((video, key) => {
+      if (!usedKeys.has(key) && !video.paused) {
+        video.pause();
+      }
+    });
+
+    return {
+      didDrawFrame: drawn.length > 0,
+      callbackVideo,
+      needsSeekRefresh,
+    };
+  }
+
+  /**
+   * Place a ready layer and work out how it is drawn: its fit and crop, its effect rack and chroma
+   * key, and how it composites. The color filter is baked into an effected or keyed result, since the
+   * export applies color first.
+   * @param {import('../core/types.js').Clip} clip
+   * @param {CanvasImageSource} source
+   * @param {number} sourceWidth
+   * @param {number} sourceHeight
+   * @param {{
+   *  state: import('../core/types.js').EditorState,
+   *  frame: {x: number, y: number, width: number, height: number, scale: number},
+   *  defaultFilters: any,
+   *  transition: import('../utils/transitions.js').ResolvedTransition|null,
+   * }} context
+   * @returns {{source: CanvasImageSource, crop: {x: number, y: number, width: number, height: number}|null, rect: {cx: number, cy: number, width: number, height: number, rotation: number}, filter: string, composite: GlobalCompositeOperation, opacity: number, transition: any, background: ReturnType<typeof getBlurBackground>|null}}
+   */
+  prepareLayer(clip, source, sourceWidth, sourceHeight, context) {
+    const { state, frame, defaultFilters, transition } = context;
+    const videoFilters = applySectionKeyframes(
+      clip,
+      'video',
+      this.editor.resolveVideoFilters(clip, defaultFilters),
+      state.playhead
+    );
+    const fit = getFitMode(videoFilters);
+    const clipCrop = resolveClipCrop(clip, sourceWidth, sourceHeight);
+    const region = clipCrop
+      ? {
+        x: clipCrop.left,
+        y: clipCrop.top,
+        width: sourceWidth - clipCrop.left - clipCrop.right,
+        height: sourceHeight - clipCrop.top - clipCrop.bottom,
+      }
+      : { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+    const transform = getAnimatedTransform(clip, state.playhead);
+    const rect = getLayerRect(frame, region.width, region.height, transform, fit);
+    let crop = clipCrop ? region : null;
+    if (fit === 'fill') {
+      const cover = getFillCrop(region.width, region.height, rect.width, rect.height);
+      crop = { x: region.x + cover.x, y: region.y + cover.y, width: cover.width, height: cover.height };
+    }
+    this.layerRects.set(clip.id, rect);
+    this.layerSourceSizes.set(clip.id, { width: sourceWidth, height: sourceHeight });
+
+    const layer = {
+      source,
+      crop,
+      rect,
+      filter: getCanvasFilter(videoFilters),
+      // The export renders both sides of a transition as one normal layer, so blend modes sit out.
+      composite: transition ? 'source-over' : getClipBlendMode(clip).composite,
+      opacity: getClipOpacity(clip),
+      transition,
+      background: null,
+    };
+    const boxWidth = frame.width * transform.scale;
+    const boxHeight = frame.height * transform.scale;
+    const effects = getActiveVideoEffects(clip);
+    const chromaKey = resolveClipChromaKey(clip);
+    if (effects.length === 0 && !chromaKey) {
+      if (fit === 'blur') layer.background = getBlurBackground(region, boxWidth, boxHeight);
+      return layer;
+    }
+    const rendered = this.videoEffects.render(clip.id, source, rect, {
+      crop,
+      filter: layer.filter,
+      effects,
+      clipTime: Math.max(0, state.playhead - clip.start) / 1000,
+      chromaKey,
+    });
+    return {
+      ...layer,
+      source: rendered,
+      crop: null,
+      filter: 'none',
+      // The export blurs the effected, keyed picture, so the background copies the rendered one.
+      background: fit === 'blur'
+        ? getBlurBackground({ x: 0, y: 0, width: rendered.width, height: rendered.height }, boxWidth, boxHeight)
+        : null,
+    };
+  }
+
+  /**
+   * Draw text clips over the composite, bottom track first, as the export's drawtext chain does
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../core/types.js').Clip[]} clips - Active, visible text clips
+   */
+  renderText(ctx, clips) {
+    const frame = this.frameRect;
+    if (!frame || clips.length === 0) return;
+    const ordered = clips.slice().sort((a, b) => (b.trackId - a.trackId) || (a.start - b.start));
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(frame.x, frame.y, frame.width, frame.height);
+    ctx.clip();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.lineJoin = 'round';
+    ordered.forEach((clip) => {
+      const text = resolveClipText(clip);
+      const transform = resolveClipTransform(clip);
+      const layout = getTextLayout(text, transform);
+      const cx = frame.x + frame.width / 2 + transform.x * frame.scale;
+      const top = frame.y + frame.height / 2 + (transform.y - layout.blockHeight / 2) * frame.scale;
+      ctx.font = `${layout.fontSize * frame.scale}px "${text.font}"`;
+      let maxWidth = 0;
+      layout.lines.forEach((line, index) => {
+        const y = top + index * layout.lineHeight * frame.scale;
+        maxWidth = Math.max(maxWidth, ctx.measureText(line).width);
+        // drawtext's borderw grows outward only; a canvas stroke is centered on the glyph edge.
+        if (layout.outlineWidth > 0) {
+          ctx.lineWidth = layout.outlineWidth * 2 * frame.scale;
+          ctx.strokeStyle = text.outlineColor;
+          ctx.strokeText(line, cx, y);
+        }
+        ctx.fillStyle = text.color;
+        ctx.fillText(line, cx, y);
+      });
+      this.layerRects.set(clip.id, {
+        cx,
+        cy: top + (layout.blockHeight * frame.scale) / 2,
+        width: Math.max(maxWidth, layout.fontSize * frame.scale),
+        height: layout.blockHeight * frame.scale,
+        rotation: 0,
+      });
+    });
+    ctx.restore();
+  }
+}
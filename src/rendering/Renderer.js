@@ -67,6 +67,31 @@ export class Renderer {
     throw new Error('drawThumbnailStrip must be implemented by subclass');
   }
 
+  /**
+   * Draw keyframe diamonds along a clip
+   * @abstract
+   * @param {number[]} xs - Marker centers in pixels
+   * @param {number} y - Marker center line
+   * @param {boolean} selected - Is clip selected
+   */
+  drawKeyframes(xs, y, selected) {
+    throw new Error('drawKeyframes must be implemented by subclass');
+  }
+
+  /**
+   * Draw the overlap region of a transition across a cut
+   * @abstract
+   * @param {number} x - Transition start in pixels
+   * @param {number} y - Top of the clip row
+   * @param {number} width - Transition length in pixels
+   * @param {number} height - Clip height
+   * @param {string} label - Short transition name
+   * @param {boolean} selected - Is either clip selected
+   */
+  drawTransition(x, y, width, height, label, selected) {
+    throw new Error('drawTransition must be implemented by subclass');
+  }
+
   /**
    * Draw playhead indicator
    * @abstract
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Preview video effect rack
+ * Runs a layer's effects, then its chroma key, on an offscreen canvas at the size it is drawn, so
+ * the compositor can place the result like any other frame. These approximate the export's FFmpeg
+ * filters: geometry and glitches match, while edge detection skips the export's blur and thinning
+ * passes and the key looks at single pixels rather than chromakey's 3x3 average.
+ */
+
+import { createKeyAlpha } from '../utils/compositing.js';
+import { getGlitchNoise } from '../utils/videoEffects.js';
+
+// A jump of more than this between drawn frames (s) is a seek, which restarts a trail.
+const TRAIL_RESET_SECONDS = 0.5;
+
+/**
+ * Convert a percentage of a canvas dimension to whole pixels, at least one
+ * @param {number} percent
+ * @param {number} size
+ * @returns {number}
+ */
+function toPixels(percent, size) {
+  return Math.max(1, Math.round(percent / 100 * size));
+}
+
+/**
+ * Create a canvas and its 2D context
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+ */
+function createSurface() {
+  const canvas = document.createElement('canvas');
+  return { canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }) };
+}
+
+export class VideoEffectRenderer {
+  constructor() {
+    /** @type {Map<string, {main: {canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}, scratch: {canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}, trails: Map<number, {data: Uint8ClampedArray, time: number}>}>} */
+    this.surfaces = new Map();
+    /** @type {Set<string>} clip ids rendered since the last prune */
+    this.rendered = new Set();
+  }
+
+  /**
+   * Draw a layer's source through its effect rack
+   * @param {string} clipId
+   * @param {CanvasImageSource} source
+   * @param {{width: number, height: number}} rect - Size the layer is drawn at
+   * @param {{
+   *  crop: {x: number, y: number, width: number, height: number}|null,
+   *  filter: string,
+   *  effects: Array<{type: string, params: Object<string, number>}>,
+   *  clipTime: number,
+   *  chromaKey: import('../core/types.js').ClipChromaKey|null,
+   * }} options - crop is the source area to draw; filter is the layer's color filter, applied before
+   *  the effects as in the export; effects and chromaKey are resolved; clipTime is seconds since the
+   *  clip's start, the export's effect clock
+   * @returns {HTMLCanvasElement}
+   */
+  render(clipId, source, rect, options) {
+    const { crop, filter, effects, clipTime, chromaKey } = options;
+    const width = Math.max(1, Math.round(rect.width));
+    const height = Math.max(1, Math.round(rect.height));
+    let surface = this.surfaces.get(clipId);
+    if (!surface) {
+      surface = { main: createSurface(), scratch: createSurface(), trails: new Map() };
+      this.surfaces.set(clipId, surface);
+    }
+    const { main, scratch } = surface;
+    if (main.canvas.width !== width || main.canvas.height !== height) {
+      main.canvas.width = width;
+      main.canvas.height = height;
+      scratch.canvas.width = width;
+      scratch.canvas.height = height;
+      surface.trails.clear();
+    }
+    this.rendered.add(clipId);
+
+    const ctx = main.ctx;
+    ctx.clearRect(0, 0, width, height);
+    ctx.filter = filter || 'none';
+    if (crop) {
+      ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+    } else {
+      ctx.drawImage(source, 0, 0, width, height);
+    }
+    ctx.filter = 'none';
+
+    effects.forEach((effect, index) => {
+      this.applyEffect(surface, effect, index, clipTime);
+    });
+    if (chromaKey) {
+      const image = ctx.getImageData(0, 0, width, height);
+      this.applyKey(image.data, chromaKey);
+      ctx.putImageData(image, 0, 0);
+    }
+    return main.canvas;
+  }
+
+  /**
+   * Copy the main canvas to the scratch canvas, to read from while the main one is redrawn
+   * @param {{main: {canvas: HTMLCanvasElement}, scratch: {canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}} surface
+   * @returns {HTMLCanvasElement}
+   */
+  snapshot(surface) {
+    const { canvas, ctx } = surface.scratch;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(surface.main.canvas, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Apply one effect to the main canvas in place
+   * @param {any} surface
+   * @param {{type: string, params: Object<string, number>}} effect
+   * @param {number} index - Position in the rack, which keys the effect's trail
+   * @param {number} clipTime
+   */
+  applyEffect(surface, effect, index, clipTime) {
+    const ctx = surface.main.ctx;
+    const { width, height } = surface.main.canvas;
+    const p = effect.params;
+    switch (effect.type) {
+      case 'mirror': {
+        const copy = this.snapshot(surface);
+        const horizontal = p.side === 0 || p.side === 1;
+        const half = horizontal ? Math.floor(width / 2) : Math.floor(height / 2);
+        // Under the flip, the kept half's far side lands on the other half.
+        const keepFar = p.side === 1 || p.side === 3;
+        ctx.save();
+        if (horizontal) {
+          ctx.translate(width, 0);
+          ctx.scale(-1, 1);
+          const sx = keepFar ? width - half : 0;
+          ctx.clearRect(keepFar ? width - half : 0, 0, half, height);
+          ctx.drawImage(copy, sx, 0, half, height, keepFar ? width - half : 0, 0, half, height);
+        } else {
+          ctx.translate(0, height);
+          ctx.scale(1, -1);
+          const sy = keepFar ? height - half : 0;
+          ctx.clearRect(0, keepFar ? height - half : 0, width, half);
+          ctx.drawImage(copy, 0, sy, width, half, 0, keepFar ? height - half : 0, width, half);
+        }
+        ctx.restore();
+        break;
+      }
+      case 'kaleidoscope': {
+        const copy = this.snapshot(surface);
+        const halfWidth = Math.floor(width / 2);
+        const halfHeight = Math.floor(height / 2);
+        ctx.clearRect(0, 0, width, height);
+        [[1, 1], [-1, 1], [1, -1], [-1, -1]].forEach(([scaleX, scaleY]) => {
+          ctx.save();
+          ctx.translate(scaleX < 0 ? width : 0, scaleY < 0 ? height : 0);
+          ctx.scale(scaleX, scaleY);
+          ctx.drawImage(copy, 0, 0, halfWidth, halfHeight, 0, 0, halfWidth, halfHeight);
+          ctx.restore();
+        });
+        break;
+      }
+      case 'negate':
+        ctx.save();
+        ctx.globalCompositeOperation = 'difference';
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+        break;
+      case 'posterize':
+      case 'chromatic':
+      case 'edges':
+      case 'trails': {
+        const image = ctx.getImageData(0, 0, width, height);
+        if (effect.type === 'posterize') {
+          this.posterize(image.data, p.levels);
+        } else if (effect.type === 'chromatic') {
+          this.shiftChannels(image, toPixels(p.shift, width));
+        } else if (effect.type === 'edges') {
+          this.detectEdges(image, p.low, Math.max(p.low, p.high));
+        } else {
+          this.blendTrail(surface, index, image.data, p.decay, clipTime);
+        }
+        ctx.putImageData(image, 0, 0);
+        break;
+      }
+      case 'pixelize': {
+        const size = toPixels(p.size, width);
+        const smallWidth = Math.max(1, Math.ceil(width / size));
+        const smallHeight = Math.max(1, Math.ceil(height / size));
+        const copy = this.snapshot(surface);
+        const scratchCtx = surface.scratch.ctx;
+        // Shrink in place on the scratch canvas, then blow the blocks back up unsmoothed.
+        scratchCtx.drawImage(copy, 0, 0, width, height, 0, 0, smallWidth, smallHeight);
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(copy, 0, 0, smallWidth, smallHeight, 0, 0, smallWidth * size, smallHeight * size);
+        ctx.restore();
+        break;
+      }
+      case 'wave': {
+        const amplitude = toPixels(p.amplitude, width);
+        const wavelength = toPixels(p.wavelength, height);
+        this.displaceRows(surface, y => amplitude * Math.sin(2 * Math.PI * (y / wavelength + clipTime * p.speed)));
+        break;
+      }
+      case 'glitch': {
+        const shift = toPixels(p.shift, width);
+        const band = toPixels(p.band, height);
+        const step = Math.floor(clipTime * p.rate);
+        this.displaceRows(surface, (y) => {
+          const noise = getGlitchNoise(Math.floor(y / band), step);
+          return noise < p.density ? shift * (2 * noise / p.density - 1) : 0;
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Redraw each row read from a horizontal offset, as the export's geq does
+   * @param {any} surface
+   * @param {(y: number) => number} getOffset - Source x minus output x for a row
+   */
+  displaceRows(surface, getOffset) {
+    const ctx = surface.main.ctx;
+    const { width, height } = surface.main.canvas;
+    const copy = this.snapshot(surface);
+    for (let y = 0; y < height; y += 1) {
+      const offset = Math.round(getOffset(y));
+      if (offset !== 0) {
+        ctx.drawImage(copy, 0, y, width, 1, -offset, y, width, 1);
+      }
+    }
+  }
+
+  /**
+   * Quantize each color channel to a number of levels, with the export's lookup table
+   * @param {Uint8ClampedArray} data
+   * @param {number} levels
+   */
+  posterize(data, levels) {
+    const table = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value += 1) {
+      table[value] = Math.floor(value * levels / 256) * 255 / (levels - 1);
+    }
+    for (let index = 0; index < data.length; index += 4) {
+      data[index] = table[data[index]];
+      data[index + 1] = table[data[index + 1]];
+      data[index + 2] = table[data[index + 2]];
+    }
+  }
+
+  /**
+   * Pull red left and blue right by a number of pixels, repeating the edge columns
+   * @param {ImageData} image
+   * @param {number} shift
+   */
+  shiftChannels(image, shift) {
+    const { data, width, height } = image;
+    const source = new Uint8ClampedArray(data);
+    for (let y = 0; y < height; y += 1) {
+      const row = y * width;
+      for (let x = 0; x < width; x += 1) {
+        const index = (row + x) * 4;
+        data[index] = source[(row + Math.min(width - 1, x + shift)) * 4];
+        data[index + 2] = source[(row + Math.max(0, x - shift)) * 4 + 2];
+      }
+    }
+  }
+
+  /**
+   * Draw white edges on black from a Sobel gradient, keeping weak edges only next to strong ones
+   * @param {ImageData} image
+   * @param {number} low - Gradient threshold, 0..1
+   * @param {number} high
+   */
+  detectEdges(image, low, high) {
+    const { data, width, height } = image;
+    const luma = new Float32Array(width * height);
+    for (let index = 0; index < luma.length; index += 1) {
+      const offset = index * 4;
+      luma[index] = (data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114) / 255;
+    }
+    const magnitude = new Float32Array(width * height);
+    for (let y = 1; y < height - 1; y += 1) {
+      for (let x = 1; x < width - 1; x += 1) {
+        const at = (dx, dy) => luma[(y + dy) * width + x + dx];
+        const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+        const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+        magnitude[y * width + x] = Math.hypot(gx, gy);
+      }
+    }
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const value = magnitude[y * width + x];
+        let edge = value >= high;
+        if (!edge && value >= low) {
+          for (let dy = -1; dy <= 1 && !edge; dy += 1) {
+            for (let dx = -1; dx <= 1 && !edge; dx += 1) {
+              const nx = x + dx;
+              const ny = y + dy;
+              edge = nx >= 0 && ny >= 0 && nx < width && ny < height && magnitude[ny * width + nx] >= high;
+            }
+          }
+        }
+        const offset = (y * width + x) * 4;
+        const level = edge ? 255 : 0;
+        data[offset] = level;
+        data[offset + 1] = level;
+        data[offset + 2] = level;
+      }
+    }
+  }
+
+  /**
+   * Keep the brighter of each new pixel and the faded previous output, as lagfun does
+   * @param {any} surface
+   * @param {number} index
+   * @param {Uint8ClampedArray} data
+   * @param {number} decay
+   * @param {number} clipTime
+   */
+  blendTrail(surface, index, data, decay, clipTime) {
+    const trail = surface.trails.get(index);
+    const continues = trail && trail.data.length === data.length
+      && clipTime >= trail.time && clipTime - trail.time <= TRAIL_RESET_SECONDS;
+    if (continues) {
+      const previous = trail.data;
+      for (let offset = 0; offset < data.length; offset += 4) {
+        data[offset] = Math.max(data[offset], previous[offset] * decay);
+        data[offset + 1] = Math.max(data[offset + 1], previous[offset + 1] * decay);
+        data[offset + 2] = Math.max(data[offset + 2], previous[offset + 2] * decay);
+      }
+    }
+    surface.trails.set(index, { data: new Uint8ClampedArray(data), time: clipTime });
+  }
+
+  /**
+   * Make pixels near the key color transparent
+   * @param {Uint8ClampedArray} data
+   * @param {import('../core/types.js').ClipChromaKey} chromaKey
+   */
+  applyKey(data, chromaKey) {
+    const getAlpha = createKeyAlpha(chromaKey);
+    for (let offset = 0; offset < data.length; offset += 4) {
+      const alpha = getAlpha(data[offset], data[offset + 1], data[offset + 2]);
+      if (alpha < 1) data[offset + 3] = Math.round(data[offset + 3] * alpha);
+    }
+  }
+
+  /**
+   * Drop the canvases of clips that were not rendered since the last prune
+   */
+  prune() {
+    this.surfaces.forEach((_, clipId) => {
+      if (!this.rendered.has(clipId)) this.surfaces.delete(clipId);
+    });
+    this.rendered.clear();
+  }
+}
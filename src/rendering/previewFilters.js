@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Canvas approximations of the export's video filters
+ */
+
+/**
+ * Build a CSS filter string approximating the export's eq/hue filters.
+ * eq brightness is additive while CSS brightness multiplies, so this is a close match, not exact.
+ * Gamma has no CSS equivalent and only shows up in the export.
+ * @param {import('../core/types.js').ClipVideoFilters} vf
+ * @returns {string}
+ */
+export function getCanvasFilter(vf) {
+  if (!vf) return 'none';
+  const parts = [];
+  if (Number.isFinite(vf.brightness) && vf.brightness !== 0) {
+    parts.push(`brightness(${Math.max(0, 1 + vf.brightness)})`);
+  }
+  if (Number.isFinite(vf.contrast) && vf.contrast !== 1) {
+    parts.push(`contrast(${Math.max(0, vf.contrast)})`);
+  }
+  if (Number.isFinite(vf.saturation) && vf.saturation !== 1) {
+    parts.push(`saturate(${Math.max(0, vf.saturation)})`);
+  }
+  if (Number.isFinite(vf.hue) && vf.hue !== 0) {
+    parts.push(`hue-rotate(${vf.hue}deg)`);
+  }
+  return parts.length > 0 ? parts.join(' ') : 'none';
+}
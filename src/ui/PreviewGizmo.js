@@ -0,0 +1,379 @@
+/**
+ * @fileoverview On-canvas transform handles for the selected clip
+ * Dragging inside the box moves the clip; dragging a corner scales it around its center.
+ * Media clips also get a crop handle on each edge and an opacity handle above the box.
+ * While a color pick is pending, the next click samples the preview instead.
+ */
+
+import * as actions from '../core/actions.js';
+import { hasKeyframes } from '../utils/keyframes.js';
+import { isTextClip } from '../utils/text.js';
+import { getAnimatedTransform, getClipOpacity, resolveClipCrop } from '../utils/transform.js';
+
+const HANDLE_SIZE = 8;
+const HANDLE_HIT_RADIUS = 10;
+const EDGE_HANDLE_LENGTH = 16;
+// The opacity handle sits this far above the box (canvas px); dragging it this far covers 0 to 1.
+const OPACITY_HANDLE_OFFSET = 24;
+const OPACITY_DRAG_DISTANCE = 150;
+const CROP_EDGES = [
+  { mode: 'crop-top', x: 0, y: -1 },
+  { mode: 'crop-right', x: 1, y: 0 },
+  { mode: 'crop-bottom', x: 0, y: 1 },
+  { mode: 'crop-left', x: -1, y: 0 },
+];
+
+export class PreviewGizmo {
+  /**
+   * @param {any} editor
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.state = editor.state;
+    this.canvas = editor.previewCanvas;
+    this.dragState = null;
+    /** @type {((color: string) => void)|null} */
+    this.colorPick = null;
+
+    this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+  }
+
+  /**
+   * Get the single selected clip if it is editable
+   * @param {import('../core/types.js').EditorState} state
+   * @returns {import('../core/types.js').Clip|null}
+   */
+  getTargetClip(state) {
+    const selectedIds = Array.isArray(state.selectedClipIds) && state.selectedClipIds.length > 0
+      ? state.selectedClipIds
+      : (state.selectedClipId ? [state.selectedClipId] : []);
+    if (selectedIds.length !== 1) return null;
+    const clip = state.clips.find(item => item.id === selectedIds[0]);
+    if (!clip) return null;
+    const track = state.tracks.find(item => item.id === clip.trackId);
+    if (track && track.locked) return null;
+    return clip;
+  }
+
+  /**
+   * Get the drawn rect of the selected clip in the last preview frame
+   * @param {import('../core/types.js').EditorState} state
+   * @returns {{clip: import('../core/types.js').Clip, rect: {cx: number, cy: number, width: number, height: number, rotation: number}, sourceSize: {width: number, height: number}|null}|null}
+   *  sourceSize is set for media layers, which can be cropped and faded
+   */
+  getTarget(state) {
+    const clip = this.getTargetClip(state);
+    if (!clip) return null;
+    const compositor = this.editor.previewCompositor;
+    const rect = compositor.layerRects.get(clip.id);
+    if (!rect) return null;
+    const sourceSize = isTextClip(clip) ? null : (compositor.layerSourceSizes.get(clip.id) || null);
+    return { clip, rect, sourceSize };
+  }
+
+  /**
+   * Convert a pointer event to canvas pixels
+   * @param {PointerEvent} e
+   * @returns {{x: number, y: number}}
+   */
+  getCanvasPoint(e) {
+    const bounds = this.canvas.getBoundingClientRect();
+    const scaleX = bounds.width > 0 ? this.canvas.width / bounds.width : 1;
+    const scaleY = bounds.height > 0 ? this.canvas.height / bounds.height : 1;
+    return {
+      x: (e.clientX - bounds.left) * scaleX,
+      y: (e.clientY - bounds.top) * scaleY,
+    };
+  }
+
+  /**
+   * Express a canvas point in the unrotated box space of a rect, relative to its center
+   * @param {{x: number, y: number}} point
+   * @param {{cx: number, cy: number, rotation: number}} rect
+   * @returns {{x: number, y: number}}
+   */
+  toLocal(point, rect) {
+    const angle = -rect.rotation * Math.PI / 180;
+    const dx = point.x - rect.cx;
+    const dy = point.y - rect.cy;
+    return {
+      x: dx * Math.cos(angle) - dy * Math.sin(angle),
+      y: dx * Math.sin(angle) + dy * Math.cos(angle),
+    };
+  }
+
+  /**
+   * Find what part of the box a point hits
+   * @param {{x: number, y: number}} point
+   * @param {{cx: number, cy: number, width: number, height: number, rotation: number}} rect
+   * @param {boolean} [withLayerHandles] - Include the crop and opacity handles
+   * @returns {'corner'|'body'|'opacity'|'crop-top'|'crop-right'|'crop-bottom'|'crop-left'|null}
+   */
+  hitTest(point, rect, withLayerHandles = false) {
+    const local = this.toLocal(point, rect);
+    const halfW = rect.width / 2;
+    const halfH = rect.height / 2;
+    const nearCorner = [[-1, -1], [1, -1], [1, 1], [-1, 1]].some(([sx, sy]) => (
+      Math.hypot(local.x - sx * halfW, local.y - sy * halfH) <= HANDLE_HIT_RADIUS
+    ));
+    if (nearCorner) return 'corner';
+    if (withLayerHandles) {
+      if (Math.hypot(local.x, local.y + halfH + OPACITY_HANDLE_OFFSET) <= HANDLE_HIT_RADIUS) return 'opacity';
+      const edge = CROP_EDGES.find(item => (
+        Math.hypot(local.x - item.x * halfW, local.y - item.y * halfH) <= HANDLE_HIT_RADIUS
+      ));
+      if (edge) return edge.mode;
+    }
+    if (Math.abs(local.x) <= halfW && Math.abs(local.y) <= halfH) return 'body';
+    return null;
+  }
+
+  /**
+   * Handle pointer down on the preview
+   * @param {PointerEvent} e
+   */
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+    if (this.colorPick) {
+      e.preventDefault();
+      const onPick = this.colorPick;
+      this.cancelColorPick();
+      onPick(this.sampleColor(this.getCanvasPoint(e)));
+      return;
+    }
+    const state = this.state.getState();
+    const target = this.getTarget(state);
+    const frame = this.editor.previewCompositor.frameRect;
+    if (!target || !frame) return;
+    const point = this.getCanvasPoint(e);
+    const { sourceSize } = target;
+    const mode = this.hitTest(point, target.rect, Boolean(sourceSize));
+    if (!mode) return;
+
+    e.preventDefault();
+    const startCrop = sourceSize
+      ? resolveClipCrop(target.clip, sourceSize.width, sourceSize.height) || { top: 0, right: 0, bottom: 0, left: 0 }
+      : null;
+    this.dragState = {
+      mode,
+      clipId: target.clip.id,
+      startPoint: point,
+      startTransform: getAnimatedTransform(target.clip, state.playhead),
+      startDistance: Math.max(1, Math.hypot(point.x - target.rect.cx, point.y - target.rect.cy)),
+      startRotation: target.rect.rotation,
+      startCrop,
+      startOpacity: getClipOpacity(target.clip),
+      // Source pixels per canvas pixel along the box's own axes, fixed for the drag
+      sourceScale: startCrop
+        ? {
+          x: (sourceSize.width - startCrop.left - startCrop.right) / Math.max(1, target.rect.width),
+          y: (sourceSize.height - startCrop.top - startCrop.bottom) / Math.max(1, target.rect.height),
+        }
+        : null,
+      frameScale: frame.scale || 1,
+      historySnapshot: state,
+      didUpdate: false,
+    };
+    try {
+      this.canvas.setPointerCapture(e.pointerId);
+    } catch {
+      // Ignore pointer capture errors.
+    }
+  }
+
+  /**
+   * Sample the next click on the preview as a color instead of starting a drag
+   * @param {(color: string) => void} onPick - Called with the color as #rrggbb
+   */
+  startColorPick(onPick) {
+    this.colorPick = onPick;
+    this.canvas.style.cursor = 'crosshair';
+  }
+
+  /**
+   * Drop a pending color pick
+   */
+  cancelColorPick() {
+    this.colorPick = null;
+    this.canvas.style.cursor = '';
+  }
+
+  /**
+   * Read the preview's color at a canvas point
+   * @param {{x: number, y: number}} point
+   * @returns {string} #rrggbb
+   */
+  sampleColor(point) {
+    const x = Math.max(0, Math.min(this.canvas.width - 1, Math.floor(point.x)));
+    const y = Math.max(0, Math.min(this.canvas.height - 1, Math.floor(point.y)));
+    const [r, g, b] = this.editor.previewCtx.getImageData(x, y, 1, 1).data;
+    return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Handle pointer move on the preview
+   * @param {PointerEvent} e
+   */
+  onPointerMove(e) {
+    const point = this.getCanvasPoint(e);
+    const dragState = this.dragState;
+    if (this.colorPick) {
+      this.canvas.style.cursor = 'crosshair';
+      return;
+    }
+    if (!dragState) {
+      const target = this.getTarget(this.state.getState());
+      const mode = target ? this.hitTest(point, target.rect, Boolean(target.sourceSize)) : null;
+      const cursors = {
+        corner: 'nwse-resize',
+        body: 'move',
+        opacity: 'ns-resize',
+        'crop-top': 'ns-resize',
+        'crop-bottom': 'ns-resize',
+        'crop-left': 'ew-resize',
+        'crop-right': 'ew-resize',
+      };
+      this.canvas.style.cursor = (mode && cursors[mode]) || '';
+      return;
+    }
+
+    if (dragState.mode === 'opacity') {
+      const opacity = dragState.startOpacity - (point.y - dragState.startPoint.y) / OPACITY_DRAG_DISTANCE;
+      this.state.dispatch(actions.setClipOpacity(dragState.clipId, opacity), false);
+      dragState.didUpdate = true;
+      return;
+    }
+    if (dragState.mode.startsWith('crop-')) {
+      // Measure the drag along the box's unrotated axes, then convert it to source pixels.
+      const angle = -dragState.startRotation * Math.PI / 180;
+      const dx = point.x - dragState.startPoint.x;
+      const dy = point.y - dragState.startPoint.y;
+      const localX = (dx * Math.cos(angle) - dy * Math.sin(angle)) * dragState.sourceScale.x;
+      const localY = (dx * Math.sin(angle) + dy * Math.cos(angle)) * dragState.sourceScale.y;
+      const crop = dragState.startCrop;
+      const cropUpdates = {
+        'crop-top': { top: crop.top + localY },
+        'crop-right': { right: crop.right - localX },
+        'crop-bottom': { bottom: crop.bottom - localY },
+        'crop-left': { left: crop.left + localX },
+      }[dragState.mode];
+      this.state.dispatch(actions.updateClipCrop(dragState.clipId, cropUpdates), false);
+      dragState.didUpdate = true;
+      return;
+    }
+
+    const start = dragState.startTransform;
+    let updates;
+    if (dragState.mode === 'corner') {
+      const rect = this.editor.previewCompositor.layerRects.get(dragState.clipId);
+      if (!rect) return;
+      const distance = Math.hypot(point.x - rect.cx, point.y - rect.cy);
+      const scale = start.scale * (distance / dragState.startDistance);
+      updates = { scale: Math.round(scale * 100) / 100 };
+    } else {
+      // Canvas pixels map back to output pixels through the letterboxed frame scale.
+      updates = {
+        x: Math.round(start.x + (point.x - dragState.startPoint.x) / dragState.frameScale),
+        y: Math.round(start.y + (point.y - dragState.startPoint.y) / dragState.frameScale),
+      };
+    }
+    this.applyUpdates(dragState.clipId, updates);
+    dragState.didUpdate = true;
+  }
+
+  /**
+   * Write transform updates, keying animated properties at the playhead
+   * @param {string} clipId
+   * @param {Partial<import('../core/types.js').ClipTransform>} updates
+   */
+  applyUpdates(clipId, updates) {
+    const state = this.state.getState();
+    const clip = state.clips.find(item => item.id === clipId);
+    if (!clip) return;
+    const staticUpdates = {};
+    Object.keys(updates).forEach((key) => {
+      const property = `transform.${key}`;
+      if (hasKeyframes(clip, property)) {
+        const time = Math.max(0, Math.min(clip.duration, state.playhead - clip.start));
+        this.state.dispatch(actions.setClipKeyframe(clipId, property, { time, value: updates[key] }), false);
+      } else {
+        staticUpdates[key] = updates[key];
+      }
+    });
+    if (Object.keys(staticUpdates).length > 0) {
+      this.state.dispatch(actions.updateClipTransform(clipId, staticUpdates), false);
+    }
+  }
+
+  /**
+   * Handle pointer up on the preview
+   * @param {PointerEvent} e
+   */
+  onPointerUp(e) {
+    if (!this.dragState) return;
+    if (this.dragState.historySnapshot && this.dragState.didUpdate) {
+      this.state.dispatch(state => state, true, this.dragState.historySnapshot);
+    }
+    try {
+      this.canvas.releasePointerCapture(e.pointerId);
+    } catch {
+      // Ignore pointer capture errors.
+    }
+    this.dragState = null;
+  }
+
+  /**
+   * Draw the box and corner handles over the selected clip
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {import('../core/types.js').EditorState} state
+   */
+  draw(ctx, state) {
+    const target = this.getTarget(state);
+    if (!target) return;
+    const { rect } = target;
+    const halfW = rect.width / 2;
+    const halfH = rect.height / 2;
+
+    ctx.save();
+    ctx.translate(rect.cx, rect.cy);
+    if (rect.rotation) ctx.rotate(rect.rotation * Math.PI / 180);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(-halfW, -halfH, rect.width, rect.height);
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sy]) => {
+      const x = sx * halfW - HANDLE_SIZE / 2;
+      const y = sy * halfH - HANDLE_SIZE / 2;
+      ctx.fillRect(x, y, HANDLE_SIZE, HANDLE_SIZE);
+      ctx.strokeRect(x, y, HANDLE_SIZE, HANDLE_SIZE);
+    });
+    if (target.sourceSize) {
+      CROP_EDGES.forEach((edge) => {
+        const width = edge.x === 0 ? EDGE_HANDLE_LENGTH : HANDLE_SIZE / 2;
+        const height = edge.y === 0 ? EDGE_HANDLE_LENGTH : HANDLE_SIZE / 2;
+        const x = edge.x * halfW - width / 2;
+        const y = edge.y * halfH - height / 2;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeRect(x, y, width, height);
+      });
+      // A stalk up to a dot filled at the clip's opacity
+      const handleY = -halfH - OPACITY_HANDLE_OFFSET;
+      ctx.beginPath();
+      ctx.moveTo(0, -halfH);
+      ctx.lineTo(0, handleY + HANDLE_SIZE / 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(0, handleY, HANDLE_SIZE / 2, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(255, 255, 255, ${getClipOpacity(target.clip)})`;
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
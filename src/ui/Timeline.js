@@ -18,8 +18,14 @@ import {
   MIN_ZOOM,
   MAX_ZOOM,
 } from '../core/constants.js';
-import { timeToPixels, pixelsToTime, getTimelineDuration } from '../utils/time.js';
+import { timeToPixels, pixelsToTime, getTimelineDuration, snapToFrame } from '../utils/time.js';
+import { getClipPassCount, getClipPlayMode, hasSpeedRamp, isFreezeFrameClip } from '../utils/clipTiming.js';
 import * as actions from '../core/actions.js';
+import { getMediaClipDuration, isStillMedia } from '../utils/imageMedia.js';
+import { getKeyframeTimes, shiftKeyframes } from '../utils/keyframes.js';
+import { getSequenceFps } from '../utils/sequence.js';
+import { isTextClip } from '../utils/text.js';
+import { getTransitions, getTransitionType } from '../utils/transitions.js';
 
 /**
  * Timeline component
@@ -501,6 +507,7 @@ export class Timeline {
     visibleClips.forEach(clip => {
       this.drawClip(clip, state, trackLayout, thumbnailRequests);
     });
+    this.drawTransitions(state, trackLayout, startTime, endTime);
     if (this.updateThumbnailRequests) this.updateThumbnailRequests(thumbnailRequests);
 
     // Draw selection rectangle
@@ -549,7 +556,13 @@ export class Timeline {
       clip.trimStart || 0,
       clip.speed || 1,
       Boolean(clip.reversed),
+      getClipPlayMode(clip),
+      getClipPassCount(clip),
+      hasSpeedRamp(clip) ? JSON.stringify(clip.speedRamp) : '',
+      isFreezeFrameClip(clip),
       clip.color || '',
+      getKeyframeTimes(clip),
+      clip.transitionOut ? [clip.transitionOut.type, clip.transitionOut.duration] : null,
     ]);
     const selected = Array.isArray(state.selectedClipIds)
       ? state.selectedClipIds
@@ -845,11 +858,15 @@ export class Timeline {
     const visual = this.mediaVisuals.get(clip.mediaId);
     const contentY = y + CLIP_HEADER_HEIGHT;
     const contentHeight = Math.max(0, height - CLIP_HEADER_HEIGHT - 2);
+    // Ping-pong and looped clips draw their source window once per pass.
+    const passCount = getClipPassCount(clip);
+    const passWidth = width / passCount;
     const visualOptions = {
       trimStart: clip.trimStart || 0,
       speed: clip.speed || 1,
       reversed: Boolean(clip.reversed),
-      clipDuration: clip.duration,
+      // A freeze frame spans no source, so every tile shows the held frame and no waveform is drawn.
+      clipDuration: isFreezeFrameClip(clip) ? 0 : clip.duration / passCount,
       contentInset: 2,
       viewportLeft: 0,
       viewportRight: this.renderer.width,
@@ -863,43 +880,49 @@ export class Timeline {
       : 0;
     const thumbnailHeight = contentHeight;
 
-    if (hasThumbnails && thumbnailHeight > 0) {
-      const requestedTimes = this.renderer.drawThumbnailStrip(
-        visual.thumbnails,
-        x,
-        contentY,
-        width,
-        thumbnailHeight,
-        visualOptions
-      );
-      if (requestedTimes.length > 0 && thumbnailRequests) {
-        const existingRequests = thumbnailRequests.get(clip.mediaId);
-        if (existingRequests) {
-          existingRequests.push(...requestedTimes);
-        } else {
-          thumbnailRequests.set(clip.mediaId, requestedTimes);
+    for (let pass = 0; pass < passCount; pass += 1) {
+      const passX = x + pass * passWidth;
+      const passOptions = getClipPlayMode(clip) === 'pingpong' && pass % 2 === 1
+        ? { ...visualOptions, reversed: !visualOptions.reversed }
+        : visualOptions;
+      if (hasThumbnails && thumbnailHeight > 0) {
+        const requestedTimes = this.renderer.drawThumbnailStrip(
+          visual.thumbnails,
+          passX,
+          contentY,
+          passWidth,
+          thumbnailHeight,
+          passOptions
+        );
+        if (requestedTimes.length > 0 && thumbnailRequests) {
+          const existingRequests = thumbnailRequests.get(clip.mediaId);
+          if (existingRequests) {
+            existingRequests.push(...requestedTimes);
+          } else {
+            thumbnailRequests.set(clip.mediaId, requestedTimes);
+          }
         }
       }
-    }
 
-    if (hasWaveform && contentHeight > 0) {
-      const waveformHeight = hasThumbnails
-        ? videoWaveformHeight
-        : Math.max(1, contentHeight - 4);
-      const waveformY = hasThumbnails
-        ? contentY + contentHeight - videoWaveformHeight
-        : contentY + 2;
-      this.renderer.drawWaveformPeaks(
-        visual.waveform,
-        x,
-        waveformY,
-        width,
-        waveformHeight,
-        hasThumbnails ? COLORS.waveformVideo : COLORS.waveform,
-        hasThumbnails
-          ? { ...visualOptions, backgroundColor: 'rgba(6, 8, 11, 0.34)' }
-          : visualOptions
-      );
+      if (hasWaveform && contentHeight > 0) {
+        const waveformHeight = hasThumbnails
+          ? videoWaveformHeight
+          : Math.max(1, contentHeight - 4);
+        const waveformY = hasThumbnails
+          ? contentY + contentHeight - videoWaveformHeight
+          : contentY + 2;
+        this.renderer.drawWaveformPeaks(
+          visual.waveform,
+          passX,
+          waveformY,
+          passWidth,
+          waveformHeight,
+          hasThumbnails ? COLORS.waveformVideo : COLORS.waveform,
+          hasThumbnails
+            ? { ...passOptions, backgroundColor: 'rgba(6, 8, 11, 0.34)' }
+            : passOptions
+        );
+      }
     }
 
     // Backward compatibility for projects that stored clip-level waveform samples.
@@ -914,9 +937,45 @@ export class Timeline {
       );
     }
 
+    const keyframeXs = getKeyframeTimes(clip)
+      .filter(time => time >= 0 && time <= clip.duration)
+      .map(time => x + timeToPixels(time, state.zoom));
+    if (keyframeXs.length > 0) {
+      this.renderer.drawKeyframes(keyframeXs, y + height - 7, selected);
+    }
+
     this.renderer.drawClipLabel(clip, x, y, width, height, selected);
   }
 
+  /**
+   * Draw transition overlaps on top of the clips they join
+   * @param {import('../core/types.js').EditorState} state
+   * @param {{track: import('../core/types.js').Track, index: number, y: number, height: number}[]} layout
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  drawTransitions(state, layout, startTime, endTime) {
+    const selectedIds = Array.isArray(state.selectedClipIds) ? state.selectedClipIds : [];
+    const isSelected = clip => selectedIds.includes(clip.id) || clip.id === state.selectedClipId;
+    getTransitions(state.clips).forEach((transition) => {
+      if (transition.end < startTime || transition.start > endTime) return;
+      const track = state.tracks.find(t => t.id === transition.fromClip.trackId);
+      if (!track || !track.visible) return;
+      const row = layout[state.tracks.indexOf(track)];
+      if (!row) return;
+      const x = timeToPixels(transition.start, state.zoom) - this.scrollX;
+      const width = timeToPixels(transition.end - transition.start, state.zoom);
+      this.renderer.drawTransition(
+        x,
+        row.y + 2,
+        width,
+        row.height - 4,
+        getTransitionType(transition.type).label,
+        isSelected(transition.fromClip) || isSelected(transition.toClip)
+      );
+    });
+  }
+
   /**
    * Handle pointer down (start drag/resize)
    * @param {PointerEvent} e
@@ -930,8 +989,8 @@ export class Timeline {
 
     // Check if clicking in ruler area (to jump playhead)
     if (y < RULER_HEIGHT) {
-      // Jump playhead to click position
-      const newTime = Math.max(0, pixelsToTime(x + this.scrollX, state.zoom));
+      // Jump playhead to the frame at the click position
+      const newTime = Math.max(0, snapToFrame(pixelsToTime(x + this.scrollX, state.zoom), getSequenceFps(state)));
       this.state.dispatch(actions.setPlayhead(newTime), false);
       this.dragState = {
         type: 'playhead',
@@ -970,6 +1029,7 @@ export class Timeline {
           originalStart: clickedClip.start,
           originalDuration: clickedClip.duration,
           originalTrimStart: clickedClip.trimStart,
+          originalKeyframes: clickedClip.keyframes,
           snapBoundariesByTrack: this.buildSnapBoundaries(state, new Set([clickedClip.id])),
           snapThreshold: this.getSnapThreshold(state),
           snapBiasThreshold: this.getSnapBiasThreshold(state),
@@ -1083,8 +1143,8 @@ export class Timeline {
     const deltaTime = pixelsToTime(deltaX, state.zoom);
 
     if (this.dragState.type === 'playhead') {
-      // Drag playhead (ruler only)
-      const newTime = Math.max(0, pixelsToTime(x + this.scrollX, state.zoom));
+      // Drag playhead (ruler only), frame by frame
+      const newTime = Math.max(0, snapToFrame(pixelsToTime(x + this.scrollX, state.zoom), getSequenceFps(state)));
       this.state.dispatch(actions.setPlayhead(newTime), false);
 
     } else if (this.dragState.type === 'move') {
@@ -1132,7 +1192,11 @@ export class Timeline {
       const clip = this.dragState.clip;
 
       if (this.dragState.handle === 'left') {
-        // Resize from left (adjust start and trim)
+        // Resize from left (adjust start and trim). Text clips, stills and freeze frames have no source to trim into;
+        // a ping-pong or looped clip keeps its in-point and plays a shorter window.
+        const media = state.mediaLibrary.find(item => item.id === clip.mediaId);
+        const hasSource = !isTextClip(clip) && !isStillMedia(media) && !isFreezeFrameClip(clip)
+          && getClipPassCount(clip) === 1;
         let adjustedDeltaTime = deltaTime;
         if (Math.abs(deltaTime) > 0.001) {
           const snapDelta = this.getResizeSnapDelta(state, this.dragState, adjustedDeltaTime, 'start');
@@ -1140,7 +1204,9 @@ export class Timeline {
             const snappedDelta = adjustedDeltaTime + snapDelta;
             const clampedSnapped = Math.max(snappedDelta, -this.dragState.originalStart);
             const snappedDuration = this.dragState.originalDuration - clampedSnapped;
-            const snappedTrimStart = this.dragState.originalTrimStart + clampedSnapped;
+            const snappedTrimStart = hasSource
+              ? this.dragState.originalTrimStart + clampedSnapped
+              : (this.dragState.originalTrimStart || 0);
             if (snappedDuration > 100 && snappedTrimStart >= 0) {
               adjustedDeltaTime = clampedSnapped;
             }
@@ -1150,16 +1216,23 @@ export class Timeline {
           adjustedDeltaTime = -this.dragState.originalStart;
         }
         const newStart = Math.max(0, this.dragState.originalStart + adjustedDeltaTime);
-        const newTrimStart = this.dragState.originalTrimStart + adjustedDeltaTime;
+        const newTrimStart = hasSource
+          ? this.dragState.originalTrimStart + adjustedDeltaTime
+          : (this.dragState.originalTrimStart || 0);
         const newDuration = this.dragState.originalDuration - adjustedDeltaTime;
 
         this.dragState.lastDeltaTime = deltaTime;
         if (newDuration > 100 && newTrimStart >= 0) { // Min duration 100ms
-          this.state.dispatch(actions.updateClip(clip.id, {
+          const updates = {
             start: newStart,
             trimStart: newTrimStart,
             duration: newDuration,
-          }), false);
+          };
+          if (this.dragState.originalKeyframes) {
+            // Keep keyframes pinned to the same source frames while the in-point moves.
+            updates.keyframes = shiftKeyframes(this.dragState.originalKeyframes, -adjustedDeltaTime);
+          }
+          this.state.dispatch(actions.updateClip(clip.id, updates), false);
           this.dragState.didUpdate = true;
         }
 
@@ -1624,7 +1697,7 @@ export class Timeline {
       mediaId: media.id,
       trackId: trackId,
       start: Math.max(0, time),
-      duration: media.duration,
+      duration: getMediaClipDuration(media, state),
       color: '#3f7182',
     }));
   }
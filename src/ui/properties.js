@@ -3,15 +3,118 @@
  */
 
 import * as actions from '../core/actions.js';
-import { createDefaultFilters, MIN_CLIP_SPEED, MAX_CLIP_SPEED } from '../core/constants.js';
+import {
+  createDefaultFilters,
+  MIN_CLIP_SPEED,
+  MAX_CLIP_SPEED,
+  MIN_CLIP_SCALE,
+  MAX_CLIP_SCALE,
+  MIN_CROP_SIZE,
+  FIT_MODES,
+  KEYFRAME_PROPERTIES,
+  KEYFRAME_EASINGS,
+  DEFAULT_TRANSITION_DURATION,
+  MIN_TRANSITION_DURATION,
+  MAX_TRANSITION_DURATION,
+  TRANSITION_TYPES,
+  TEXT_FONTS,
+  MIN_TEXT_SIZE,
+  MAX_TEXT_SIZE,
+  MAX_TEXT_OUTLINE,
+  FREEZE_AUDIO_MODES,
+  MIN_FREEZE_DURATION,
+  MAX_FREEZE_DURATION,
+  DEFAULT_STUTTER_OPTIONS,
+  STUTTER_RAMPS,
+  MIN_STUTTER_LENGTH,
+  MAX_STUTTER_REPEATS,
+  PLAY_MODES,
+  MAX_CLIP_LOOPS,
+  PITCH_MODES,
+  AUDIO_EFFECT_TYPES,
+  MAX_AUDIO_EFFECTS,
+  VIDEO_EFFECT_TYPES,
+  MAX_VIDEO_EFFECTS,
+  CHROMA_KEY_TYPES,
+  MIN_KEY_SIMILARITY,
+  MAX_KEY_SIMILARITY,
+  MAX_KEY_BLEND,
+  BLEND_MODES,
+  MIN_SEQUENCE_SIZE,
+  MAX_SEQUENCE_SIZE,
+  MAX_SEQUENCE_FPS,
+  SEQUENCE_ASPECTS,
+  SEQUENCE_FRAME_RATES,
+} from '../core/constants.js';
 import { escapeHtml, formatSeconds } from '../utils/format.js';
+import { getAspectSize, getSequenceAspect } from '../utils/sequence.js';
 import { getExportResolution } from '../export/ffmpeg.js';
-import { EXPORT_PRESETS, getExportPresetMatch } from '../export/settings.js';
-import { getClipSourceRange, mapSourceTimeToClipTime } from '../utils/clipTiming.js';
+import { ANIMATED_IMAGE_FORMATS, DITHER_MODES, isAnimatedImageFormat } from '../export/animatedImage.js';
+import { AUDIO_ONLY_FORMATS, isAudioOnlyFormat } from '../export/audioOnly.js';
+import { PRORES_PROFILES } from '../export/encoding.js';
+import { LOUDNESS_TARGETS } from '../export/loudness.js';
+import { DEFAULT_EXPORT_SETTINGS, EXPORT_PRESETS, getExportPresetMatch } from '../export/settings.js';
+import { SCRIPT_FORMATS } from '../export/scriptBundle.js';
+import {
+  getClipPassCount,
+  getClipPlayMode,
+  getClipSourceRange,
+  getClipSpeedAt,
+  hasSpeedRamp,
+  isFreezeFrameClip,
+  mapSourceTimeToClipTime,
+} from '../utils/clipTiming.js';
+import { getAudioEffectType, resolveAudioEffectParams } from '../utils/audioEffects.js';
+import { getClipBlendMode, resolveClipChromaKey } from '../utils/compositing.js';
+import { getStillDuration, isStillMedia } from '../utils/imageMedia.js';
+import { getVideoEffectType, resolveVideoEffectParams } from '../utils/videoEffects.js';
+import { getPitchMode } from '../utils/pitch.js';
+import { isTextClip, resolveClipText } from '../utils/text.js';
+import { getClipOpacity, getFitMode, resolveClipCrop, resolveClipTransform } from '../utils/transform.js';
+import { getAnimatedValue, getKeyframeProperty, getKeyframes, hasKeyframes } from '../utils/keyframes.js';
+import { getNextAbuttingClip } from '../utils/transitions.js';
 import { decoratePropertySliders } from './rangeVisuals.js';
 import { parseWhisperTranscript, renderTranscriptResults } from './transcript.js';
 import { buildSpeechSegments, renderSpeechBuilderResults } from './speechBuilder.js';
 
+/**
+ * Build the rows of an effect rack, one group per effect. Attributes are prefixed with the
+ * rack's kind, e.g. data-audio-effect-id, so both racks can sit in one panel.
+ * @param {'audio'|'video'} kind
+ * @param {Array<{id: string, type: string, enabled?: boolean, params: Object<string, number>}>} effects
+ * @param {(type: string) => any} getType
+ * @param {(effect: any) => Object<string, number>} resolveParams
+ * @returns {string}
+ */
+function buildEffectRackMarkup(kind, effects, getType, resolveParams) {
+  return effects.map((effect, index) => {
+    const effectType = getType(effect.type);
+    if (!effectType) return '';
+    const params = resolveParams(effect);
+    return `
+      <div class="property-group" data-${kind}-effect-id="${effect.id}">
+        <div class="property-row">
+          <input type="checkbox" class="property-checkbox" data-${kind}-effect-enabled aria-label="Enable ${effectType.label}"
+                 ${effect.enabled !== false ? 'checked' : ''}>
+          <span class="property-label">${effectType.label}</span>
+          <button class="btn btn-secondary btn-sm" data-${kind}-effect-move="-1" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="btn btn-secondary btn-sm" data-${kind}-effect-move="1" aria-label="Move down" ${index === effects.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="btn btn-secondary btn-sm" data-${kind}-effect-remove aria-label="Remove ${effectType.label}">✕</button>
+        </div>
+        ${effectType.params.map(param => (param.options ? `
+        <label class="property-label">${param.label}</label>
+        <select class="property-input" data-${kind}-effect-param="${param.key}" aria-label="${param.label}">
+          ${param.options.map(option => `<option value="${option.value}" ${option.value === params[param.key] ? 'selected' : ''}>${option.label}</option>`).join('')}
+        </select>
+        ` : `
+        <label class="property-label">${param.label}: ${params[param.key]}</label>
+        <input type="range" class="property-slider" data-${kind}-effect-param="${param.key}"
+               min="${param.min}" max="${param.max}" step="${param.step}" value="${params[param.key]}">
+        `)).join('')}
+      </div>`;
+  }).join('');
+}
+
 export class PropertiesPanel {
   /**
    * @param {object} editor
@@ -28,7 +131,9 @@ export class PropertiesPanel {
       missingCount: 0,
     };
     this.transcriptTab = 'search';
-    this.projectOpenSections = new Set(['Output']);
+    this.keyframeProperty = KEYFRAME_PROPERTIES[0].id;
+    this.stutterOptions = { ...DEFAULT_STUTTER_OPTIONS };
+    this.projectOpenSections = new Set(['Sequence', 'Output']);
   }
 
   /**
@@ -40,7 +145,7 @@ export class PropertiesPanel {
     const header = propertiesContent.querySelector('.properties-header');
     if (!header) return;
 
-    const groups = [{ title: 'Output', nodes: [] }];
+    const groups = [{ title: 'Sequence', nodes: [] }];
     let currentGroup = groups[0];
     Array.from(propertiesContent.children).forEach((node) => {
       if (node === header) return;
@@ -105,12 +210,20 @@ export class PropertiesPanel {
     if (selectedIds.length === 0 && !selectedMedia) {
       this.activeTab = 'properties';
       const baseDefaults = createDefaultFilters();
+      const sequence = editor.getSequenceSettings(state);
+      const sequenceAspect = getSequenceAspect(sequence);
+      const aspectOptions = SEQUENCE_ASPECTS.map(aspect => (
+        `<option value="${aspect.id}" ${sequenceAspect === aspect.id ? 'selected' : ''}>${aspect.label}</option>`
+      )).join('');
+      const frameRates = SEQUENCE_FRAME_RATES.includes(sequence.fps)
+        ? SEQUENCE_FRAME_RATES
+        : [...SEQUENCE_FRAME_RATES, sequence.fps].sort((a, b) => a - b);
+      const frameRateOptions = frameRates.map(fps => (
+        `<option value="${fps}" ${sequence.fps === fps ? 'selected' : ''}>${fps} fps</option>`
+      )).join('');
       const resolutionIsAuto = exportSettings.resolution === 'auto';
-      const resolvedResolution = resolutionIsAuto
-        ? getExportResolution(state)
-        : exportSettings.resolution;
-      const widthValue = resolvedResolution && resolvedResolution.width ? resolvedResolution.width : 1280;
-      const heightValue = resolvedResolution && resolvedResolution.height ? resolvedResolution.height : 720;
+      const { width: widthValue, height: heightValue } = getExportResolution(state, exportSettings);
+      const exportFpsValue = Number(exportSettings.fps) > 0 ? exportSettings.fps : '';
       const rangeStartMs = Number.isFinite(exportSettings.rangeStart)
         ? Math.max(0, exportSettings.rangeStart)
         : 0;
@@ -120,6 +233,13 @@ export class PropertiesPanel {
       const rangeStartValue = formatSeconds(rangeStartMs);
       const rangeEndValue = rangeEndMs !== null ? formatSeconds(rangeEndMs) : '';
       const presetMatchId = getExportPresetMatch(exportSettings);
+      const exportScriptValue = exportSettings.exportScript || 'none';
+      const animatedDisabled = isAnimatedImageFormat(exportSettings.format) ? '' : 'disabled';
+      const audioOnlyDisabled = isAudioOnlyFormat(exportSettings.format) ? '' : 'disabled';
+      const loudnessDisabled = isAnimatedImageFormat(exportSettings.format) ? 'disabled' : '';
+      const loudnessTargetValue = exportSettings.loudnessTarget === null || exportSettings.loudnessTarget === ''
+        ? null
+        : Number(exportSettings.loudnessTarget);
       const presetOptions = Array.isArray(EXPORT_PRESETS)
         ? EXPORT_PRESETS.map((preset) => (
           `<option value="${preset.id}" ${presetMatchId === preset.id ? 'selected' : ''}>${preset.label}</option>`
@@ -128,19 +248,49 @@ export class PropertiesPanel {
 
       propertiesContent.innerHTML = `
         <div class="properties-header">Project Settings</div>
+        <div class="property-group">
+          <label class="property-label" for="project-sequence-aspect">Aspect</label>
+          <select class="property-input" id="project-sequence-aspect">
+            ${aspectOptions}
+            <option value="custom" ${sequenceAspect === 'custom' ? 'selected' : ''}>Custom</option>
+          </select>
+          <div class="property-row property-row-stack">
+            <label class="property-row-label" for="project-sequence-width">Width</label>
+            <input type="number" class="property-input" id="project-sequence-width"
+                   min="${MIN_SEQUENCE_SIZE}" max="${MAX_SEQUENCE_SIZE}" step="2" value="${sequence.width}">
+          </div>
+          <div class="property-row property-row-stack">
+            <label class="property-row-label" for="project-sequence-height">Height</label>
+            <input type="number" class="property-input" id="project-sequence-height"
+                   min="${MIN_SEQUENCE_SIZE}" max="${MAX_SEQUENCE_SIZE}" step="2" value="${sequence.height}">
+          </div>
+          <div class="property-help">The frame clips are placed in, for the preview and the export.</div>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="project-sequence-fps">Frame Rate</label>
+          <select class="property-input" id="project-sequence-fps">
+            ${frameRateOptions}
+          </select>
+          <div class="property-help">Frame stepping and playhead snapping follow this rate.</div>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="project-sequence-background">Background</label>
+          <input type="color" class="color-picker" id="project-sequence-background" value="${sequence.background}">
+        </div>
+        <h3 class="property-section-title">Output</h3>
         <div class="property-group">
           <label class="property-label" for="project-export-preset">Export Preset</label>
           <select class="property-input" id="project-export-preset">
             <option value="">Custom</option>
             ${presetOptions}
           </select>
-          <div class="property-help">Presets keep the current container format.</div>
+          <div class="property-help">Video presets keep the current container format; animated image presets set theirs.</div>
         </div>
         <div class="property-group">
           <label class="property-label" for="project-resolution-mode">Resolution</label>
           <select class="property-input" id="project-resolution-mode">
-            <option value="auto" ${resolutionIsAuto ? 'selected' : ''}>Auto (max clip)</option>
-            <option value="custom" ${resolutionIsAuto ? '' : 'selected'}>Custom</option>
+            <option value="auto" ${resolutionIsAuto ? 'selected' : ''}>Sequence (${sequence.width}×${sequence.height})</option>
+            <option value="custom" ${resolutionIsAuto ? '' : 'selected'}>Rescale</option>
           </select>
           <div class="property-row property-row-stack">
             <label class="property-row-label" for="project-resolution-width">Width</label>
@@ -152,11 +302,13 @@ export class PropertiesPanel {
             <input type="number" class="property-input" id="project-resolution-height"
                    min="240" value="${heightValue}">
           </div>
+          <div class="property-help">Rescaling fits the finished frame into the new size, padding with the background.</div>
         </div>
         <div class="property-group">
-          <label class="property-label" for="project-fps">FPS</label>
-          <input type="number" class="property-input" id="project-fps" min="1" max="120"
-                 value="${exportSettings.fps}">
+          <label class="property-label" for="project-fps">FPS (optional)</label>
+          <input type="number" class="property-input" id="project-fps" min="1" max="${MAX_SEQUENCE_FPS}"
+                 placeholder="${sequence.fps}" value="${exportFpsValue}">
+          <div class="property-help">Leave empty to export at the sequence frame rate.</div>
         </div>
         <h3 class="property-section-title">Video Encoding</h3>
         <div class="property-group">
@@ -165,22 +317,55 @@ export class PropertiesPanel {
             <option value="libx264" ${exportSettings.videoCodec === 'libx264' ? 'selected' : ''}>H.264 (libx264)</option>
             <option value="libx265" ${exportSettings.videoCodec === 'libx265' ? 'selected' : ''}>H.265 (libx265)</option>
             <option value="libvpx-vp9" ${exportSettings.videoCodec === 'libvpx-vp9' ? 'selected' : ''}>VP9 (libvpx-vp9)</option>
+            <option value="libaom-av1" ${exportSettings.videoCodec === 'libaom-av1' ? 'selected' : ''}>AV1 (libaom-av1)</option>
+            <option value="libsvtav1" ${exportSettings.videoCodec === 'libsvtav1' ? 'selected' : ''}>AV1 (libsvtav1)</option>
+            <option value="prores_ks" ${exportSettings.videoCodec === 'prores_ks' ? 'selected' : ''}>ProRes (prores_ks)</option>
           </select>
         </div>
+        <div class="property-group">
+          <label class="property-label" for="project-target-size">Target Size (MB, optional)</label>
+          <input type="number" class="property-input" id="project-target-size" min="1" step="1"
+                 placeholder="e.g. 25" value="${exportSettings.targetSizeMB || ''}">
+          <div class="property-help">Picks the bitrate from the export length and encodes in two passes. Overrides CRF and bitrate.</div>
+        </div>
         <div class="property-group">
           <label class="property-label" for="project-video-bitrate">Video Bitrate (optional)</label>
           <input type="text" class="property-input" id="project-video-bitrate"
                  placeholder="e.g. 5M" value="${exportSettings.videoBitrate || ''}">
         </div>
         <div class="property-group">
-          <label class="property-label" for="project-crf">CRF (x264/x265)</label>
-          <input type="number" class="property-input" id="project-crf" min="0" max="51"
+          <label class="property-label" for="project-crf">CRF / Quality</label>
+          <input type="number" class="property-input" id="project-crf" min="0" max="63"
                  value="${exportSettings.crf}">
+          <div class="property-help">Lower is better. x264/x265 go up to 51, VP9 and AV1 up to 63.</div>
+        </div>
+        <div class="property-group">
+          <label class="property-label">Rate Cap (optional)</label>
+          <div class="property-row">
+            <label class="property-row-label" for="project-maxrate">Max rate</label>
+            <input type="text" class="property-input" id="project-maxrate"
+                   placeholder="e.g. 8M" value="${exportSettings.maxrate || ''}">
+          </div>
+          <div class="property-row">
+            <label class="property-row-label" for="project-bufsize">Buffer</label>
+            <input type="text" class="property-input" id="project-bufsize"
+                   placeholder="2× max rate" value="${exportSettings.bufsize || ''}">
+          </div>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="project-prores-profile">ProRes Profile</label>
+          <select class="property-input" id="project-prores-profile"
+                  ${exportSettings.videoCodec === 'prores_ks' ? '' : 'disabled'}>
+            ${PRORES_PROFILES.map(profile => (
+              `<option value="${profile.id}" ${Number(exportSettings.proresProfile) === profile.id ? 'selected' : ''}>${profile.label}</option>`
+            )).join('')}
+          </select>
         </div>
         <div class="property-group">
           <label class="property-label" for="project-preset">Preset</label>
           <select class="property-input" id="project-preset">
             <option value="ultrafast" ${exportSettings.preset === 'ultrafast' ? 'selected' : ''}>ultrafast</option>
+            <option value="veryfast" ${exportSettings.preset === 'veryfast' ? 'selected' : ''}>veryfast</option>
             <option value="fast" ${exportSettings.preset === 'fast' ? 'selected' : ''}>fast</option>
             <option value="medium" ${exportSettings.preset === 'medium' ? 'selected' : ''}>medium</option>
             <option value="slow" ${exportSettings.preset === 'slow' ? 'selected' : ''}>slow</option>
@@ -215,8 +400,69 @@ export class PropertiesPanel {
             <option value="mkv" ${exportSettings.format === 'mkv' ? 'selected' : ''}>MKV</option>
             <option value="webm" ${exportSettings.format === 'webm' ? 'selected' : ''}>WebM</option>
             <option value="mov" ${exportSettings.format === 'mov' ? 'selected' : ''}>MOV</option>
+            <optgroup label="Audio only">
+              ${AUDIO_ONLY_FORMATS.map(format => (
+                `<option value="${format.id}" ${exportSettings.format === format.id ? 'selected' : ''}>${format.label}</option>`
+              )).join('')}
+            </optgroup>
+            <optgroup label="Animated image (no audio)">
+              ${ANIMATED_IMAGE_FORMATS.map(format => (
+                `<option value="${format.id}" ${exportSettings.format === format.id ? 'selected' : ''}>${format.label}</option>`
+              )).join('')}
+            </optgroup>
           </select>
         </div>
+        <div class="property-group">
+          <label class="property-label" for="project-chapter-markers">Chapters</label>
+          <select class="property-input" id="project-chapter-markers" ${audioOnlyDisabled}>
+            <option value="off" ${exportSettings.chapterMarkers === 'titles' || exportSettings.chapterMarkers === 'clips' ? '' : 'selected'}>Off</option>
+            <option value="titles" ${exportSettings.chapterMarkers === 'titles' ? 'selected' : ''}>From title clips</option>
+            <option value="clips" ${exportSettings.chapterMarkers === 'clips' ? 'selected' : ''}>From clip names</option>
+          </select>
+          <div class="property-help">Audio-only exports write chapters into the file metadata (MP3, FLAC and Opus).</div>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="project-loudness-target">Loudness Target</label>
+          <select class="property-input" id="project-loudness-target" ${loudnessDisabled}>
+            <option value="" ${loudnessTargetValue === null ? 'selected' : ''}>Off</option>
+            ${LOUDNESS_TARGETS.map(target => (
+              `<option value="${target.value}" ${loudnessTargetValue === target.value ? 'selected' : ''}>${target.label}</option>`
+            )).join('')}
+          </select>
+          <div class="property-row">
+            <label class="property-row-label" for="project-loudness-true-peak">True peak (dBTP)</label>
+            <input type="number" class="property-input" id="project-loudness-true-peak" min="-9" max="0" step="0.1"
+                   value="${exportSettings.loudnessTruePeak}" ${loudnessDisabled}>
+          </div>
+          <div class="property-help">A first ffmpeg run measures the final mix, then the export applies loudnorm with the measured values. Chunked exports render in one piece while a target is set.</div>
+        </div>
+        <div class="property-group">
+          <label class="property-label">Animated Image</label>
+          <div class="property-row">
+            <label class="property-row-label" for="project-animated-fps">FPS cap</label>
+            <input type="number" class="property-input" id="project-animated-fps" min="1" max="60"
+                   value="${exportSettings.animatedFps}" ${animatedDisabled}>
+          </div>
+          <div class="property-row">
+            <label class="property-row-label" for="project-animated-colors">Max colors</label>
+            <input type="number" class="property-input" id="project-animated-colors" min="2" max="256"
+                   value="${exportSettings.animatedMaxColors}" ${animatedDisabled}>
+          </div>
+          <div class="property-row">
+            <label class="property-row-label" for="project-animated-dither">Dither</label>
+            <select class="property-input" id="project-animated-dither" ${animatedDisabled}>
+              ${DITHER_MODES.map(mode => (
+                `<option value="${mode.id}" ${exportSettings.animatedDither === mode.id ? 'selected' : ''}>${mode.label}</option>`
+              )).join('')}
+            </select>
+          </div>
+          <div class="property-row">
+            <label class="property-row-label" for="project-animated-plays">Plays</label>
+            <input type="number" class="property-input" id="project-animated-plays" min="0" step="1"
+                   value="${exportSettings.animatedPlays}" ${animatedDisabled}>
+          </div>
+          <div class="property-help">Used by GIF, WebP and APNG. Plays 0 loops forever. Colors and dither apply to GIF and APNG.</div>
+        </div>
         <div class="property-group">
           <label class="property-label">Export Range (seconds)</label>
           <div class="property-row">
@@ -237,8 +483,53 @@ export class PropertiesPanel {
                  ${exportSettings.trimEmptySpace !== false ? 'checked' : ''}>
           <label class="property-label" for="project-trim-empty-space">Trim empty space</label>
         </div>
+        <div class="property-group">
+          <label class="property-label" for="project-export-script">Deliver As</label>
+          <select class="property-input" id="project-export-script">
+            <option value="none" ${exportScriptValue === 'none' ? 'selected' : ''}>Command (copy)</option>
+            ${SCRIPT_FORMATS.map(format => (
+              `<option value="${format.id}" ${exportScriptValue === format.id ? 'selected' : ''}>${format.label}</option>`
+            )).join('')}
+          </select>
+          <div class="property-help">Scripts read the filtergraph and concat list from files saved alongside them, so long timelines stay under command-line limits. They check that every input exists before running.</div>
+        </div>
+        <div class="property-group">
+          <input type="checkbox" class="property-checkbox" id="project-chunked-export"
+                 ${exportSettings.chunkedExport === true ? 'checked' : ''}>
+          <label class="property-label" for="project-chunked-export">Chunked export</label>
+          <div class="property-row">
+            <label class="property-row-label" for="project-chunk-seconds">Chunk length (s)</label>
+            <input type="number" class="property-input" id="project-chunk-seconds"
+                   min="5" step="5" value="${exportSettings.chunkSeconds || 60}"
+                   ${exportSettings.chunkedExport === true ? '' : 'disabled'}>
+          </div>
+          <div class="property-help">Renders the timeline in pieces split at cuts, then joins them without re-encoding. Each piece is named after its contents, so exporting again only renders the pieces you changed.</div>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="project-subtitle-mode">Subtitles</label>
+          <select class="property-input" id="project-subtitle-mode">
+            <option value="off" ${exportSettings.subtitleMode === 'off' ? 'selected' : ''}>Off</option>
+            <option value="sidecar" ${exportSettings.subtitleMode === 'sidecar' ? 'selected' : ''}>Sidecar file</option>
+            <option value="burn" ${exportSettings.subtitleMode === 'burn' ? 'selected' : ''}>Burn in</option>
+          </select>
+          <select class="property-input" id="project-subtitle-format" aria-label="Subtitle format"
+                  ${exportSettings.subtitleMode === 'off' ? 'disabled' : ''}>
+            <option value="srt" ${exportSettings.subtitleFormat !== 'vtt' ? 'selected' : ''}>SRT</option>
+            <option value="vtt" ${exportSettings.subtitleFormat === 'vtt' ? 'selected' : ''}>WebVTT</option>
+          </select>
+          <div class="property-help">Transcript cues follow your cuts, speed changes and reversed clips. The file downloads with the export; keep it next to the output when burning in.</div>
+        </div>
 
         <h3 class="property-section-title">Video Defaults</h3>
+        <div class="property-group">
+          <label class="property-label" for="project-video-fit">Scaling</label>
+          <select class="property-input" id="project-video-fit">
+            ${FIT_MODES.map(mode => `
+              <option value="${mode.id}" ${mode.id === getFitMode(defaultFilters.video) ? 'selected' : ''}>${mode.label}</option>
+            `).join('')}
+          </select>
+          <div class="property-help">How clips whose shape differs from the output fill the frame. Fill crops the overflow; the blurred background fills the bars with a soft copy of the clip.</div>
+        </div>
         <div class="property-group">
           <label class="property-label" for="project-video-brightness">Brightness</label>
           <input type="range" class="property-slider" id="project-video-brightness"
@@ -324,6 +615,12 @@ export class PropertiesPanel {
           <input type="number" class="property-input" id="project-video-fade-out"
                  min="0" step="0.1" value="${defaultFilters.video.fadeOut}">
         </div>
+        <div class="property-group">
+          <label class="property-label" for="project-still-duration">Still Image Duration (s)</label>
+          <input type="number" class="property-input" id="project-still-duration"
+                 min="0.1" max="600" step="0.1" value="${getStillDuration(state) / 1000}">
+          <div class="property-help">Length of new PNG, JPG and still GIF clips. Drag either edge to change a clip afterwards.</div>
+        </div>
 
         <h3 class="property-section-title">Audio Defaults</h3>
         <div class="property-group">
@@ -372,6 +669,15 @@ export class PropertiesPanel {
                  data-filter-section="audio" data-filter-key="pitch"
                  data-default-value="${baseDefaults.audio.pitch}">
         </div>
+        <div class="property-group">
+          <label class="property-label" for="project-audio-pitch-mode">Pitch Mode</label>
+          <select class="property-input" id="project-audio-pitch-mode">
+            ${PITCH_MODES.map(mode => `
+              <option value="${mode.id}" ${mode.id === getPitchMode(defaultFilters.audio) ? 'selected' : ''}>${mode.label}</option>
+            `).join('')}
+          </select>
+          <div class="property-help">Time-stretch keeps formants in the export and needs an FFmpeg built with librubberband; preview moves formants in every mode, so shifted voices sound more natural in the export. Tape lets speed raise or lower pitch too.</div>
+        </div>
         <div class="property-group">
           <label class="property-label" for="project-audio-fade-in">Fade In (s)</label>
           <input type="number" class="property-input" id="project-audio-fade-in"
@@ -386,6 +692,33 @@ export class PropertiesPanel {
 
       this.organizeProjectSettings(propertiesContent);
 
+      const sequenceAspectInput = document.getElementById('project-sequence-aspect');
+      const sequenceWidthInput = document.getElementById('project-sequence-width');
+      const sequenceHeightInput = document.getElementById('project-sequence-height');
+      sequenceAspectInput.addEventListener('change', (e) => {
+        if (e.target.value === 'custom') return;
+        const size = getAspectSize(e.target.value, editor.getSequenceSettings(editor.state.getState()));
+        editor.state.dispatch(actions.updateSequenceSettings(size));
+        sequenceWidthInput.value = size.width;
+        sequenceHeightInput.value = size.height;
+      });
+      const updateSequenceSize = () => {
+        const width = parseInt(sequenceWidthInput.value, 10);
+        const height = parseInt(sequenceHeightInput.value, 10);
+        if (!(width >= MIN_SEQUENCE_SIZE) || !(height >= MIN_SEQUENCE_SIZE)) return;
+        editor.state.dispatch(actions.updateSequenceSettings({ width, height }));
+        sequenceAspectInput.value = getSequenceAspect({ width, height });
+      };
+      // Commit on change so typing a size digit by digit does not resize the monitor each keystroke.
+      sequenceWidthInput.addEventListener('change', updateSequenceSize);
+      sequenceHeightInput.addEventListener('change', updateSequenceSize);
+      document.getElementById('project-sequence-fps').addEventListener('change', (e) => {
+        editor.state.dispatch(actions.updateSequenceSettings({ fps: parseFloat(e.target.value) }));
+      });
+      document.getElementById('project-sequence-background').addEventListener('input', (e) => {
+        editor.state.dispatch(actions.updateSequenceSettings({ background: e.target.value }));
+      });
+
       const resolutionMode = document.getElementById('project-resolution-mode');
       const resolutionWidth = document.getElementById('project-resolution-width');
       const resolutionHeight = document.getElementById('project-resolution-height');
@@ -427,22 +760,37 @@ export class PropertiesPanel {
             ? EXPORT_PRESETS.find(item => item.id === presetId)
             : null;
           if (!preset) return;
-          editor.state.dispatch(actions.updateExportSettings({ ...preset.settings }));
+          const updates = { ...preset.settings };
+          const currentFormat = editor.getExportSettings(editor.state.getState()).format;
+          if (!updates.format && (isAnimatedImageFormat(currentFormat) || isAudioOnlyFormat(currentFormat))) {
+            updates.format = DEFAULT_EXPORT_SETTINGS.format;
+          }
+          editor.state.dispatch(actions.updateExportSettings(updates));
           editor.updateStatus(`Applied preset: ${preset.label}`);
           this.render(editor.state.getState());
         });
       }
 
       const exportBindings = [
-        ['project-fps', value => ({ fps: value })],
-        ['project-video-codec', value => ({ videoCodec: value })],
         ['project-video-bitrate', value => ({ videoBitrate: value })],
         ['project-crf', value => ({ crf: value })],
         ['project-preset', value => ({ preset: value })],
+        ['project-maxrate', value => ({ maxrate: value })],
+        ['project-bufsize', value => ({ bufsize: value })],
+        ['project-prores-profile', value => ({ proresProfile: Number(value) })],
         ['project-audio-codec', value => ({ audioCodec: value })],
         ['project-audio-bitrate', value => ({ audioBitrate: value })],
         ['project-sample-rate', value => ({ sampleRate: value })],
-        ['project-format', value => ({ format: value })],
+        ['project-chapter-markers', value => ({ chapterMarkers: value })],
+        ['project-loudness-target', value => ({ loudnessTarget: value === '' ? null : Number(value) })],
+        ['project-loudness-true-peak', value => ({ loudnessTruePeak: Math.max(-9, Math.min(0, value)) })],
+        ['project-animated-fps', value => ({ animatedFps: value })],
+        ['project-animated-colors', value => ({ animatedMaxColors: value })],
+        ['project-animated-dither', value => ({ animatedDither: value })],
+        ['project-animated-plays', value => ({ animatedPlays: value })],
+        ['project-subtitle-format', value => ({ subtitleFormat: value })],
+        ['project-export-script', value => ({ exportScript: value })],
+        ['project-chunk-seconds', value => ({ chunkSeconds: Math.max(5, value) })],
       ];
 
       exportBindings.forEach(([id, buildUpdate]) => {
@@ -471,6 +819,73 @@ export class PropertiesPanel {
         });
       }
 
+      const formatInput = document.getElementById('project-format');
+      if (formatInput) {
+        formatInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateExportSettings({ format: e.target.value }));
+          const animatedDisabled = !isAnimatedImageFormat(e.target.value);
+          ['project-animated-fps', 'project-animated-colors', 'project-animated-dither', 'project-animated-plays']
+            .forEach((id) => {
+              const input = document.getElementById(id);
+              if (input) input.disabled = animatedDisabled;
+            });
+          const audioOnlyDisabled = !isAudioOnlyFormat(e.target.value);
+          const chapterInput = document.getElementById('project-chapter-markers');
+          if (chapterInput) chapterInput.disabled = audioOnlyDisabled;
+          ['project-loudness-target', 'project-loudness-true-peak'].forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = !animatedDisabled;
+          });
+        });
+      }
+
+      const videoCodecInput = document.getElementById('project-video-codec');
+      if (videoCodecInput) {
+        videoCodecInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateExportSettings({ videoCodec: e.target.value }));
+          const proresProfileInput = document.getElementById('project-prores-profile');
+          if (proresProfileInput) proresProfileInput.disabled = e.target.value !== 'prores_ks';
+        });
+      }
+
+      const fpsInput = document.getElementById('project-fps');
+      if (fpsInput) {
+        fpsInput.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          editor.state.dispatch(actions.updateExportSettings({
+            fps: Number.isFinite(value) && value > 0 ? value : null,
+          }));
+        });
+      }
+
+      const targetSizeInput = document.getElementById('project-target-size');
+      if (targetSizeInput) {
+        targetSizeInput.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          editor.state.dispatch(actions.updateExportSettings({
+            targetSizeMB: Number.isFinite(value) && value > 0 ? value : null,
+          }));
+        });
+      }
+
+      const chunkedExportInput = document.getElementById('project-chunked-export');
+      if (chunkedExportInput) {
+        chunkedExportInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateExportSettings({ chunkedExport: e.target.checked }));
+          const chunkSecondsInput = document.getElementById('project-chunk-seconds');
+          if (chunkSecondsInput) chunkSecondsInput.disabled = !e.target.checked;
+        });
+      }
+
+      const subtitleModeInput = document.getElementById('project-subtitle-mode');
+      if (subtitleModeInput) {
+        subtitleModeInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateExportSettings({ subtitleMode: e.target.value }));
+          const subtitleFormatInput = document.getElementById('project-subtitle-format');
+          if (subtitleFormatInput) subtitleFormatInput.disabled = e.target.value === 'off';
+        });
+      }
+
       const trimEmptySpaceInput = document.getElementById('project-trim-empty-space');
       if (trimEmptySpaceInput) {
         trimEmptySpaceInput.addEventListener('change', (e) => {
@@ -531,6 +946,15 @@ export class PropertiesPanel {
         }
       });
 
+      const stillDurationInput = document.getElementById('project-still-duration');
+      if (stillDurationInput) {
+        stillDurationInput.addEventListener('input', (e) => {
+          const seconds = parseFloat(e.target.value);
+          if (Number.isNaN(seconds) || seconds <= 0) return;
+          editor.state.dispatch(actions.setStillDuration(seconds * 1000));
+        });
+      }
+
       const flipHInput = document.getElementById('project-video-flip-h');
       if (flipHInput) {
         flipHInput.addEventListener('change', (e) => {
@@ -572,6 +996,20 @@ export class PropertiesPanel {
         });
       }
 
+      const fitInput = document.getElementById('project-video-fit');
+      if (fitInput) {
+        fitInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateDefaultFilters('video', { fit: e.target.value }));
+        });
+      }
+
+      const pitchModeInput = document.getElementById('project-audio-pitch-mode');
+      if (pitchModeInput) {
+        pitchModeInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateDefaultFilters('audio', { pitchMode: e.target.value }));
+        });
+      }
+
       decorateSliders();
       return;
     }
@@ -667,7 +1105,7 @@ export class PropertiesPanel {
         reverseInput.indeterminate = reverseMixed;
         reverseInput.addEventListener('change', (e) => {
           reverseInput.indeterminate = false;
-          editor.state.dispatch(actions.updateClips(selectedIds, { reversed: e.target.checked }));
+          editor.state.dispatch(actions.setClipsPlayMode(selectedIds, e.target.checked ? 'reverse' : 'forward'));
         });
       }
 
@@ -698,6 +1136,141 @@ export class PropertiesPanel {
     const clip = selectedIds.length > 0 ? state.clips.find(c => c.id === selectedIds[0]) : null;
     if (selectedIds.length > 0 && !clip) return;
 
+    if (clip && isTextClip(clip)) {
+      this.activeTab = 'properties';
+      const textPrefix = `clip-${clip.id}`;
+      const text = resolveClipText(clip);
+      const transform = resolveClipTransform(clip);
+      const outputSize = editor.getSequenceSettings(state);
+      const fontOptions = TEXT_FONTS.includes(text.font) ? TEXT_FONTS : [text.font, ...TEXT_FONTS];
+
+      propertiesContent.innerHTML = `
+        <div class="properties-header">Properties</div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-name">Name</label>
+          <input type="text" class="property-input" id="${textPrefix}-name" value="${escapeHtml(clip.name || '')}">
+        </div>
+
+        <h3 class="property-section-title">Text</h3>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-text-content">Content</label>
+          <textarea class="property-input" id="${textPrefix}-text-content" rows="3">${escapeHtml(text.content)}</textarea>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-text-font">Font</label>
+          <select class="property-input" id="${textPrefix}-text-font">
+            ${fontOptions.map(font => (
+              `<option value="${escapeHtml(font)}" ${font === text.font ? 'selected' : ''}>${escapeHtml(font)}</option>`
+            )).join('')}
+          </select>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-text-size">Size (px)</label>
+          <input type="range" class="property-slider" id="${textPrefix}-text-size"
+                 min="${MIN_TEXT_SIZE}" max="${MAX_TEXT_SIZE}" step="1" value="${text.size}">
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-text-color">Color</label>
+          <input type="color" class="color-picker" id="${textPrefix}-text-color" value="${text.color}">
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-text-outline-width">Outline (px)</label>
+          <input type="range" class="property-slider" id="${textPrefix}-text-outline-width"
+                 min="0" max="${MAX_TEXT_OUTLINE}" step="1" value="${text.outlineWidth}">
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-text-outline-color">Outline Color</label>
+          <input type="color" class="color-picker" id="${textPrefix}-text-outline-color" value="${text.outlineColor}">
+        </div>
+
+        <h3 class="property-section-title">Position</h3>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-transform-x">Position X (px)</label>
+          <input type="range" class="property-slider" id="${textPrefix}-transform-x"
+                 min="${-outputSize.width}" max="${outputSize.width}" step="1" value="${transform.x}">
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-transform-y">Position Y (px)</label>
+          <input type="range" class="property-slider" id="${textPrefix}-transform-y"
+                 min="${-outputSize.height}" max="${outputSize.height}" step="1" value="${transform.y}">
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-transform-scale">Scale</label>
+          <input type="range" class="property-slider" id="${textPrefix}-transform-scale"
+                 min="${MIN_CLIP_SCALE}" max="${MAX_CLIP_SCALE}" step="0.01" value="${transform.scale}">
+          <div class="property-help">Drawn over every track. Drag the text in the preview to move it.</div>
+        </div>
+
+        <div class="property-group">
+          <input type="checkbox" class="property-checkbox" id="${textPrefix}-visible"
+                 ${clip.visible !== false ? 'checked' : ''}>
+          <label class="property-label" for="${textPrefix}-visible">Visible</label>
+        </div>
+        <div class="property-group">
+          <label class="property-label" for="${textPrefix}-color">Clip Color</label>
+          <input type="color" class="color-picker" id="${textPrefix}-color" value="${clip.color || '#3f7182'}">
+        </div>
+        <div class="property-group">
+          <button class="btn btn-secondary" id="${textPrefix}-delete" style="width: 100%;">
+            Delete Clip
+          </button>
+        </div>
+      `;
+
+      document.getElementById(`${textPrefix}-name`).addEventListener('input', (e) => {
+        editor.state.dispatch(actions.updateClip(clip.id, { name: e.target.value }));
+      });
+
+      document.getElementById(`${textPrefix}-text-content`).addEventListener('input', (e) => {
+        editor.state.dispatch(actions.updateClipText(clip.id, { content: e.target.value }));
+      });
+
+      document.getElementById(`${textPrefix}-text-font`).addEventListener('change', (e) => {
+        editor.state.dispatch(actions.updateClipText(clip.id, { font: e.target.value }));
+      });
+
+      const textBindings = [
+        [`${textPrefix}-text-size`, 'size', value => parseFloat(value)],
+        [`${textPrefix}-text-color`, 'color', value => value],
+        [`${textPrefix}-text-outline-width`, 'outlineWidth', value => parseFloat(value)],
+        [`${textPrefix}-text-outline-color`, 'outlineColor', value => value],
+      ];
+      textBindings.forEach(([id, key, parse]) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+          const value = parse(e.target.value);
+          if (typeof value === 'number' && Number.isNaN(value)) return;
+          editor.state.dispatch(actions.updateClipText(clip.id, { [key]: value }));
+        });
+      });
+
+      [
+        [`${textPrefix}-transform-x`, 'x'],
+        [`${textPrefix}-transform-y`, 'y'],
+        [`${textPrefix}-transform-scale`, 'scale'],
+      ].forEach(([id, key]) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isNaN(value)) return;
+          editor.state.dispatch(actions.updateClipTransform(clip.id, { [key]: value }));
+        });
+      });
+
+      document.getElementById(`${textPrefix}-visible`).addEventListener('change', (e) => {
+        editor.state.dispatch(actions.updateClip(clip.id, { visible: e.target.checked }));
+      });
+
+      document.getElementById(`${textPrefix}-color`).addEventListener('input', (e) => {
+        editor.state.dispatch(actions.updateClip(clip.id, { color: e.target.value }));
+      });
+
+      document.getElementById(`${textPrefix}-delete`).addEventListener('click', () => {
+        editor.state.dispatch(actions.removeClip(clip.id));
+      });
+
+      decorateSliders();
+      return;
+    }
+
     const clipMedia = clip
       ? state.mediaLibrary.find(m => m.id === clip.mediaId) || null
       : selectedMedia;
@@ -706,6 +1279,9 @@ export class PropertiesPanel {
       : `media-${clipMedia ? clipMedia.id : 'unknown'}`;
 
     const defaultTag = (hasOverride) => hasOverride ? '' : '<span class="property-default">Default</span>';
+    const keyedTag = (property) => (clip && hasKeyframes(clip, property)
+      ? '<span class="property-default">Keyed</span>'
+      : '');
     const mediaTranscript = clipMedia && clipMedia.transcript ? clipMedia.transcript : null;
     const canLoadTranscript = Boolean(clipMedia);
     const transcriptSummary = mediaTranscript && Array.isArray(mediaTranscript.cues)
@@ -741,6 +1317,225 @@ export class PropertiesPanel {
       const resolvedVideoFilters = editor.resolveVideoFilters(clip, defaultFilters);
       const resolvedAudioFilters = editor.resolveAudioFilters(clip, defaultFilters);
       const clipVolume = editor.resolveClipVolume(clip, defaultFilters);
+      const transform = resolveClipTransform(clip);
+      const playMode = getClipPlayMode(clip);
+      const outputSize = editor.getSequenceSettings(state);
+      if (!getKeyframeProperty(this.keyframeProperty)) {
+        this.keyframeProperty = KEYFRAME_PROPERTIES[0].id;
+      }
+      const keyframeProperty = getKeyframeProperty(this.keyframeProperty);
+      const keyframes = getKeyframes(clip, keyframeProperty.id);
+      const keyframePropertyOptions = KEYFRAME_PROPERTIES.map((item) => {
+        const count = getKeyframes(clip, item.id).length;
+        return `<option value="${item.id}" ${item.id === keyframeProperty.id ? 'selected' : ''}>` +
+          `${item.label}${count > 0 ? ` (${count})` : ''}</option>`;
+      }).join('');
+      const nextClip = getNextAbuttingClip(state.clips, clip);
+      const transitionOut = clip.transitionOut || null;
+      const transitionTypeOptions = [
+        `<option value="" ${transitionOut ? '' : 'selected'}>None (cut)</option>`,
+        ...TRANSITION_TYPES.map(type => (
+          `<option value="${type.id}" ${transitionOut && transitionOut.type === type.id ? 'selected' : ''}>${type.label}</option>`
+        )),
+      ].join('');
+      // Crop sliders run to the source size, or the output size until the media reports one.
+      const sourceWidth = clipMedia && clipMedia.width > 0 ? clipMedia.width : outputSize.width;
+      const sourceHeight = clipMedia && clipMedia.height > 0 ? clipMedia.height : outputSize.height;
+      const crop = resolveClipCrop(clip, sourceWidth, sourceHeight) || { top: 0, right: 0, bottom: 0, left: 0 };
+      const cropMarkup = [
+        ['top', 'Top', sourceHeight],
+        ['bottom', 'Bottom', sourceHeight],
+        ['left', 'Left', sourceWidth],
+        ['right', 'Right', sourceWidth],
+      ].map(([key, label, max]) => `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-crop-${key}">${label} (px): ${crop[key]}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-crop-${key}"
+               min="0" max="${Math.max(0, max - MIN_CROP_SIZE)}" step="1" value="${crop[key]}">
+      </div>`).join('');
+      const chromaKey = resolveClipChromaKey(clip);
+      const chromaKeyOptions = [
+        `<option value="" ${chromaKey ? '' : 'selected'}>None</option>`,
+        ...CHROMA_KEY_TYPES.map(type => (
+          `<option value="${type.id}" ${chromaKey && chromaKey.type === type.id ? 'selected' : ''}>${type.label}</option>`
+        )),
+      ].join('');
+      const chromaKeyMarkup = chromaKey
+        ? `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-key-color">Key Color</label>
+        <div class="property-row">
+          <input type="color" class="property-input" id="${idPrefix}-key-color" value="${chromaKey.color}">
+          <button class="btn btn-secondary btn-sm" id="${idPrefix}-key-pick">Pick from Preview</button>
+        </div>
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-key-similarity">Similarity: ${chromaKey.similarity}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-key-similarity"
+               min="${MIN_KEY_SIMILARITY}" max="${MAX_KEY_SIMILARITY}" step="0.01" value="${chromaKey.similarity}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-key-blend">Edge Blend: ${chromaKey.blend}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-key-blend"
+               min="0" max="${MAX_KEY_BLEND}" step="0.01" value="${chromaKey.blend}">
+        <div class="property-help">Colors within the similarity turn transparent; the blend fades the ones just beyond it back in.</div>
+      </div>`
+        : '';
+      const blendMode = getClipBlendMode(clip);
+      const transitionMarkup = nextClip
+        ? `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-transition-type">Into ${escapeHtml(nextClip.name || 'next clip')}</label>
+        <select class="property-input" id="${idPrefix}-transition-type">
+          ${transitionTypeOptions}
+        </select>
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-transition-duration">Duration (s)</label>
+        <input type="number" class="property-input" id="${idPrefix}-transition-duration"
+               min="${MIN_TRANSITION_DURATION / 1000}" max="${MAX_TRANSITION_DURATION / 1000}" step="0.1"
+               value="${formatSeconds(transitionOut ? transitionOut.duration : DEFAULT_TRANSITION_DURATION)}"
+               ${transitionOut ? '' : 'disabled'}>
+        <div class="property-help">Centered on the cut. Never longer than half of either clip.</div>
+      </div>`
+        : '<div class="property-help">Place a clip right after this one on the same track to add a transition.</div>';
+      const freezeAudioOptions = (selected) => FREEZE_AUDIO_MODES.map(mode => (
+        `<option value="${mode.id}" ${mode.id === selected ? 'selected' : ''}>${mode.label}</option>`
+      )).join('');
+      const freezeDefaults = state.freezeFrameDefaults;
+      let freezeMarkup;
+      if (isFreezeFrameClip(clip)) {
+        freezeMarkup = `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-freeze-audio">Audio</label>
+        <select class="property-input" id="${idPrefix}-freeze-audio">
+          ${freezeAudioOptions(clip.freezeFrame.audio)}
+        </select>
+        <div class="property-help">Holds the source frame at ${formatSeconds(clip.trimStart || 0)} s.</div>
+      </div>`;
+      } else if (isStillMedia(clipMedia)) {
+        freezeMarkup = '<div class="property-help">Still images already hold their frame.</div>';
+      } else if (getClipPassCount(clip) > 1) {
+        freezeMarkup = '<div class="property-help">Switch the play mode to Forward or Reverse to freeze a frame.</div>';
+      } else {
+        freezeMarkup = `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-freeze-duration">Length (s)</label>
+        <input type="number" class="property-input" id="${idPrefix}-freeze-duration"
+               min="${MIN_FREEZE_DURATION / 1000}" max="${MAX_FREEZE_DURATION / 1000}" step="0.1"
+               value="${formatSeconds(freezeDefaults.duration)}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-freeze-default-audio">Audio</label>
+        <select class="property-input" id="${idPrefix}-freeze-default-audio">
+          ${freezeAudioOptions(freezeDefaults.audio)}
+        </select>
+      </div>
+      <div class="property-group">
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-freeze-insert">
+          Freeze Frame at Playhead (F)
+        </button>
+        <div class="property-help">Splits the clip and holds the frame there, pushing later clips on the track right.</div>
+      </div>`;
+      }
+      const stutter = this.stutterOptions;
+      let stutterMarkup;
+      if (isFreezeFrameClip(clip)) {
+        stutterMarkup = '<div class="property-help">A freeze frame has no motion to stutter.</div>';
+      } else if (getClipPassCount(clip) > 1) {
+        stutterMarkup = '<div class="property-help">Switch the play mode to Forward or Reverse to stutter this clip.</div>';
+      } else {
+        stutterMarkup = `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-stutter-length">Slice (ms)</label>
+        <input type="number" class="property-input" id="${idPrefix}-stutter-length"
+               min="${MIN_STUTTER_LENGTH}" step="10" value="${stutter.length}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-stutter-repeats">Repeats</label>
+        <input type="number" class="property-input" id="${idPrefix}-stutter-repeats"
+               min="1" max="${MAX_STUTTER_REPEATS}" step="1" value="${stutter.repeats}">
+      </div>
+      <div class="property-group">
+        <input type="checkbox" class="property-checkbox" id="${idPrefix}-stutter-pingpong"
+               ${stutter.pingPong ? 'checked' : ''}>
+        <label class="property-label" for="${idPrefix}-stutter-pingpong">Ping-pong (reverse every other repeat)</label>
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-stutter-ramp">Ramp</label>
+        <select class="property-input" id="${idPrefix}-stutter-ramp">
+          ${STUTTER_RAMPS.map(ramp => (
+            `<option value="${ramp.id}" ${ramp.id === stutter.ramp ? 'selected' : ''}>${ramp.label}</option>`
+          )).join('')}
+        </select>
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-stutter-step">Ramp Step</label>
+        <input type="number" class="property-input" id="${idPrefix}-stutter-step"
+               step="${stutter.ramp === 'speed' ? 0.05 : 1}"
+               value="${stutter.ramp === 'speed' ? stutter.speedStep : stutter.pitchStep}"
+               ${stutter.ramp === 'none' ? 'disabled' : ''}>
+      </div>
+      <div class="property-group">
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-stutter-apply">
+          Stutter at Playhead
+        </button>
+        <div class="property-help">Repeats the slice from the playhead (or the clip start) as separate clips, then carries on with the rest of the clip.</div>
+      </div>`;
+      }
+      const audioEffects = Array.isArray(clip.audioEffects) ? clip.audioEffects : [];
+      const audioEffectsMarkup = buildEffectRackMarkup('audio', audioEffects, getAudioEffectType, resolveAudioEffectParams);
+      const videoEffects = Array.isArray(clip.videoEffects) ? clip.videoEffects : [];
+      const videoEffectsMarkup = buildEffectRackMarkup('video', videoEffects, getVideoEffectType, resolveVideoEffectParams);
+      let speedRampMarkup;
+      if (isFreezeFrameClip(clip)) {
+        speedRampMarkup = '<div class="property-help">A freeze frame plays no source, so it has no speed.</div>';
+      } else if (getClipPassCount(clip) > 1) {
+        speedRampMarkup = '<div class="property-help">Switch the play mode to Forward or Reverse to ramp the speed.</div>';
+      } else {
+        const rampPoints = hasSpeedRamp(clip) ? clip.speedRamp : [];
+        const rampRowsMarkup = rampPoints.length === 0
+          ? '<div class="property-help">No ramp. The clip plays at the speed above throughout.</div>'
+          : rampPoints.map((point, index) => `
+          <div class="property-row" data-speed-point-index="${index}">
+            <input type="number" class="property-input" data-speed-point-field="position" aria-label="Position (%)"
+                   min="0" max="100" step="1" value="${Math.round(point.position * 1000) / 10}">
+            <input type="number" class="property-input" data-speed-point-field="speed" aria-label="Speed"
+                   min="${MIN_CLIP_SPEED}" max="${MAX_CLIP_SPEED}" step="0.05" value="${point.speed}">
+            <button class="btn btn-secondary btn-sm" data-speed-point-remove aria-label="Remove point">✕</button>
+          </div>
+        `).join('');
+        speedRampMarkup = `
+      <div class="property-group">
+        ${rampRowsMarkup}
+      </div>
+      <div class="property-group">
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-speed-point-add">
+          Add Point at Playhead
+        </button>
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-speed-ramp-clear" ${rampPoints.length > 0 ? '' : 'disabled'}>
+          Clear
+        </button>
+        <div class="property-help">Points are % of the way through the clip; speed changes smoothly between them. The clip keeps its source and stretches to fit.</div>
+      </div>`;
+      }
+      const keyframeRowsMarkup = keyframes.length === 0
+        ? '<div class="property-help">No keyframes. The static value above is used for the whole clip.</div>'
+        : keyframes.map((keyframe, index) => `
+          <div class="property-row" data-keyframe-index="${index}">
+            <input type="number" class="property-input" data-keyframe-field="time" aria-label="Time (s)"
+                   min="0" step="0.01" value="${formatSeconds(keyframe.time)}">
+            <input type="number" class="property-input" data-keyframe-field="value" aria-label="Value"
+                   min="${keyframeProperty.min}" max="${keyframeProperty.max}" step="${keyframeProperty.step}"
+                   value="${keyframe.value}">
+            <select class="property-input" data-keyframe-field="easing" aria-label="Easing">
+              ${KEYFRAME_EASINGS.map(easing => (
+                `<option value="${easing}" ${(keyframe.easing || 'linear') === easing ? 'selected' : ''}>${easing}</option>`
+              )).join('')}
+            </select>
+            <button class="btn btn-secondary btn-sm" data-keyframe-remove aria-label="Remove keyframe">✕</button>
+          </div>
+        `).join('');
 
       propertiesMarkup = `
       <div class="property-group">
@@ -752,11 +1547,11 @@ export class PropertiesPanel {
         <input type="range" class="property-slider" id="${idPrefix}-speed"
                min="${MIN_CLIP_SPEED}" max="${MAX_CLIP_SPEED}" step="0.25" value="${clip.speed || 1}">
         <div style="text-align: center; font-size: 12px; margin-top: 4px;">
-          <span id="${idPrefix}-speed-value">${clip.speed || 1}x</span>
+          <span id="${idPrefix}-speed-value">${hasSpeedRamp(clip) ? `${Math.round(clip.speed * 100) / 100}x average` : `${clip.speed || 1}x`}</span>
         </div>
       </div>
       <div class="property-group">
-        <label class="property-label" for="${idPrefix}-volume">Volume ${defaultTag(clip.volume !== undefined)}</label>
+        <label class="property-label" for="${idPrefix}-volume">Volume ${defaultTag(clip.volume !== undefined)}${keyedTag('audio.volume')}</label>
         <input type="range" class="property-slider" id="${idPrefix}-volume"
                min="0" max="2" step="0.01" value="${clipVolume}">
         <div style="text-align: center; font-size: 12px; margin-top: 4px;">
@@ -774,38 +1569,93 @@ export class PropertiesPanel {
         <label class="property-label" for="${idPrefix}-visible">Visible</label>
       </div>
       <div class="property-group">
-        <input type="checkbox" class="property-checkbox" id="${idPrefix}-reversed"
-               ${clip.reversed ? 'checked' : ''}>
-        <label class="property-label" for="${idPrefix}-reversed">Reversed</label>
+        <label class="property-label" for="${idPrefix}-play-mode">Play Mode</label>
+        <select class="property-input" id="${idPrefix}-play-mode" ${isFreezeFrameClip(clip) ? 'disabled' : ''}>
+          ${PLAY_MODES.map(mode => (
+            `<option value="${mode.id}" ${mode.id === playMode ? 'selected' : ''}>${mode.label}</option>`
+          )).join('')}
+        </select>
+        ${playMode === 'pingpong' || playMode === 'loop' ? `
+        <div class="property-help">Plays ${formatSeconds(getClipSourceRange(clip).sourceLength)} s of source ${getClipPassCount(clip)} times. Split, freeze and stutter need a forward or reverse clip.</div>` : ''}
       </div>
+      ${playMode === 'loop' ? `
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-loop-count">Loops</label>
+        <input type="number" class="property-input" id="${idPrefix}-loop-count"
+               min="1" max="${MAX_CLIP_LOOPS}" step="1" value="${getClipPassCount(clip)}">
+      </div>` : ''}
       <div class="property-group">
         <label class="property-label" for="${idPrefix}-color">Color</label>
         <input type="color" class="color-picker" id="${idPrefix}-color" value="${clip.color || '#3f7182'}">
       </div>
 
+      <h3 class="property-section-title">Transform</h3>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-fit">Scaling ${defaultTag(videoOverrides.fit !== undefined)}</label>
+        <select class="property-input" id="${idPrefix}-fit">
+          ${FIT_MODES.map(mode => `
+            <option value="${mode.id}" ${mode.id === getFitMode(resolvedVideoFilters) ? 'selected' : ''}>${mode.label}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-transform-x">Position X (px) ${keyedTag('transform.x')}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-transform-x"
+               min="${-outputSize.width}" max="${outputSize.width}" step="1" value="${transform.x}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-transform-y">Position Y (px) ${keyedTag('transform.y')}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-transform-y"
+               min="${-outputSize.height}" max="${outputSize.height}" step="1" value="${transform.y}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-transform-scale">Scale ${keyedTag('transform.scale')}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-transform-scale"
+               min="${MIN_CLIP_SCALE}" max="${MAX_CLIP_SCALE}" step="0.01" value="${transform.scale}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-transform-rotation">Rotation (°) ${keyedTag('transform.rotation')}</label>
+        <input type="range" class="property-slider" id="${idPrefix}-transform-rotation"
+               min="-180" max="180" step="1" value="${transform.rotation}">
+      </div>
+      <div class="property-group">
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-transform-reset">
+          Reset Transform
+        </button>
+      </div>
+
+      <h3 class="property-section-title">Crop</h3>
+      ${cropMarkup}
+      <div class="property-group">
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-crop-reset">
+          Reset Crop
+        </button>
+        <div class="property-help">Source pixels cut from each side before the clip is scaled. The edge handles on the preview crop too.</div>
+      </div>
+
       <h3 class="property-section-title">Video Filters</h3>
       <div class="property-group">
-        <label class="property-label" for="${idPrefix}-brightness">Brightness ${defaultTag(videoOverrides.brightness !== undefined)}</label>
+        <label class="property-label" for="${idPrefix}-brightness">Brightness ${defaultTag(videoOverrides.brightness !== undefined)}${keyedTag('video.brightness')}</label>
         <input type="range" class="property-slider" id="${idPrefix}-brightness"
                min="-1" max="1" step="0.05" value="${resolvedVideoFilters.brightness}">
       </div>
       <div class="property-group">
-        <label class="property-label" for="${idPrefix}-contrast">Contrast ${defaultTag(videoOverrides.contrast !== undefined)}</label>
+        <label class="property-label" for="${idPrefix}-contrast">Contrast ${defaultTag(videoOverrides.contrast !== undefined)}${keyedTag('video.contrast')}</label>
         <input type="range" class="property-slider" id="${idPrefix}-contrast"
                min="0" max="4" step="0.05" value="${resolvedVideoFilters.contrast}">
       </div>
       <div class="property-group">
-        <label class="property-label" for="${idPrefix}-saturation">Saturation ${defaultTag(videoOverrides.saturation !== undefined)}</label>
+        <label class="property-label" for="${idPrefix}-saturation">Saturation ${defaultTag(videoOverrides.saturation !== undefined)}${keyedTag('video.saturation')}</label>
         <input type="range" class="property-slider" id="${idPrefix}-saturation"
                min="0" max="3" step="0.05" value="${resolvedVideoFilters.saturation}">
       </div>
       <div class="property-group">
-        <label class="property-label" for="${idPrefix}-hue">Hue ${defaultTag(videoOverrides.hue !== undefined)}</label>
+        <label class="property-label" for="${idPrefix}-hue">Hue ${defaultTag(videoOverrides.hue !== undefined)}${keyedTag('video.hue')}</label>
         <input type="range" class="property-slider" id="${idPrefix}-hue"
                min="-180" max="180" step="1" value="${resolvedVideoFilters.hue}">
       </div>
       <div class="property-group">
-        <label class="property-label" for="${idPrefix}-gamma">Gamma ${defaultTag(videoOverrides.gamma !== undefined)}</label>
+        <label class="property-label" for="${idPrefix}-gamma">Gamma ${defaultTag(videoOverrides.gamma !== undefined)}${keyedTag('video.gamma')}</label>
         <input type="range" class="property-slider" id="${idPrefix}-gamma"
                min="0.1" max="10" step="0.1" value="${resolvedVideoFilters.gamma}">
       </div>
@@ -859,6 +1709,41 @@ export class PropertiesPanel {
         </button>
       </div>
 
+      <h3 class="property-section-title">Video Effects</h3>
+      ${videoEffectsMarkup || '<div class="property-help">No effects.</div>'}
+      <div class="property-group">
+        <div class="property-row">
+          <select class="property-input" id="${idPrefix}-video-effect-type" aria-label="Effect">
+            ${VIDEO_EFFECT_TYPES.map(type => `<option value="${type.id}">${type.label}</option>`).join('')}
+          </select>
+          <button class="btn btn-secondary btn-sm" id="${idPrefix}-video-effect-add" ${videoEffects.length >= MAX_VIDEO_EFFECTS ? 'disabled' : ''}>
+            Add Effect
+          </button>
+        </div>
+        <div class="property-help">Effects run top to bottom, after color, blur and denoise and before fades. Sizes are a share of the clip's own frame.</div>
+      </div>
+
+      <h3 class="property-section-title">Compositing</h3>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-opacity">Opacity: ${Math.round(getClipOpacity(clip) * 100)}%</label>
+        <input type="range" class="property-slider" id="${idPrefix}-opacity"
+               min="0" max="1" step="0.01" value="${getClipOpacity(clip)}">
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-blend-mode">Blend Mode</label>
+        <select class="property-input" id="${idPrefix}-blend-mode">
+          ${BLEND_MODES.map(mode => `<option value="${mode.id}" ${mode.id === blendMode.id ? 'selected' : ''}>${mode.label}</option>`).join('')}
+        </select>
+        <div class="property-help">How this clip combines with the tracks below it. Not applied during transitions.</div>
+      </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-key-type">Chroma Key</label>
+        <select class="property-input" id="${idPrefix}-key-type">
+          ${chromaKeyOptions}
+        </select>
+      </div>
+      ${chromaKeyMarkup}
+
       <h3 class="property-section-title">Audio Filters</h3>
       <div class="property-group">
         <label class="property-label" for="${idPrefix}-bass">Bass (dB) ${defaultTag(audioOverrides.bass !== undefined)}</label>
@@ -885,6 +1770,15 @@ export class PropertiesPanel {
         <input type="range" class="property-slider" id="${idPrefix}-pitch"
                min="-12" max="12" step="1" value="${resolvedAudioFilters.pitch}">
       </div>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-pitch-mode">Pitch Mode ${defaultTag(audioOverrides.pitchMode !== undefined)}</label>
+        <select class="property-input" id="${idPrefix}-pitch-mode">
+          ${PITCH_MODES.map(mode => `
+            <option value="${mode.id}" ${mode.id === getPitchMode(resolvedAudioFilters) ? 'selected' : ''}>${mode.label}</option>
+          `).join('')}
+        </select>
+        <div class="property-help">Preview shifts pitch with formants in every mode; time-stretch keeps them only in the export.</div>
+      </div>
       <div class="property-group">
         <label class="property-label" for="${idPrefix}-audio-fade-in">Fade In (s) ${defaultTag(audioOverrides.fadeIn !== undefined)}</label>
         <input type="number" class="property-input" id="${idPrefix}-audio-fade-in"
@@ -901,6 +1795,51 @@ export class PropertiesPanel {
         </button>
       </div>
 
+      <h3 class="property-section-title">Audio Effects</h3>
+      ${audioEffectsMarkup || '<div class="property-help">No effects.</div>'}
+      <div class="property-group">
+        <div class="property-row">
+          <select class="property-input" id="${idPrefix}-audio-effect-type" aria-label="Effect">
+            ${AUDIO_EFFECT_TYPES.map(type => `<option value="${type.id}">${type.label}</option>`).join('')}
+          </select>
+          <button class="btn btn-secondary btn-sm" id="${idPrefix}-audio-effect-add" ${audioEffects.length >= MAX_AUDIO_EFFECTS ? 'disabled' : ''}>
+            Add Effect
+          </button>
+        </div>
+        <div class="property-help">Effects run top to bottom, after pitch and speed and before bass, treble, pan and fades.</div>
+      </div>
+
+      <h3 class="property-section-title">Speed Ramp</h3>
+      ${speedRampMarkup}
+
+      <h3 class="property-section-title">Transition Out</h3>
+      ${transitionMarkup}
+
+      <h3 class="property-section-title">Freeze Frame</h3>
+      ${freezeMarkup}
+
+      <h3 class="property-section-title">Stutter</h3>
+      ${stutterMarkup}
+
+      <h3 class="property-section-title">Keyframes</h3>
+      <div class="property-group">
+        <label class="property-label" for="${idPrefix}-keyframe-property">Property</label>
+        <select class="property-input" id="${idPrefix}-keyframe-property">
+          ${keyframePropertyOptions}
+        </select>
+      </div>
+      <div class="property-group">
+        ${keyframeRowsMarkup}
+      </div>
+      <div class="property-group">
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-keyframe-add">
+          Add Keyframe at Playhead
+        </button>
+        <button class="btn btn-secondary btn-sm" id="${idPrefix}-keyframe-clear" ${keyframes.length > 0 ? '' : 'disabled'}>
+          Clear
+        </button>
+      </div>
+
       <div class="property-group">
         <button class="btn btn-secondary" id="${idPrefix}-delete" style="width: 100%;">
           Delete Clip
@@ -1092,13 +2031,14 @@ export class PropertiesPanel {
 
       document.getElementById(`${idPrefix}-speed`).addEventListener('input', (e) => {
         const speed = parseFloat(e.target.value);
-        document.getElementById(`${idPrefix}-speed-value`).textContent = `${speed}x`;
+        document.getElementById(`${idPrefix}-speed-value`).textContent = hasSpeedRamp(clip) ? `${speed}x average` : `${speed}x`;
         editor.state.dispatch(actions.setClipSpeed(clip.id, speed));
       });
 
       document.getElementById(`${idPrefix}-volume`).addEventListener('input', (e) => {
         const volume = parseFloat(e.target.value);
         document.getElementById(`${idPrefix}-volume-value`).textContent = `${Math.round(volume * 100)}%`;
+        if (keyAtPlayhead('audio.volume', volume)) return;
         editor.state.dispatch(actions.updateClip(clip.id, { volume }));
       });
 
@@ -1110,14 +2050,152 @@ export class PropertiesPanel {
         editor.state.dispatch(actions.updateClip(clip.id, { visible: e.target.checked }));
       });
 
-      document.getElementById(`${idPrefix}-reversed`).addEventListener('change', () => {
-        editor.state.dispatch(actions.reverseClip(clip.id));
+      document.getElementById(`${idPrefix}-play-mode`).addEventListener('change', (e) => {
+        editor.state.dispatch(actions.setClipPlayMode(clip.id, e.target.value));
       });
 
+      const loopCountInput = document.getElementById(`${idPrefix}-loop-count`);
+      if (loopCountInput) {
+        loopCountInput.addEventListener('change', (e) => {
+          const loops = parseInt(e.target.value, 10);
+          if (!Number.isFinite(loops)) return;
+          editor.state.dispatch(actions.setClipPlayMode(clip.id, 'loop', loops));
+        });
+      }
+
       document.getElementById(`${idPrefix}-color`).addEventListener('input', (e) => {
         editor.state.dispatch(actions.updateClip(clip.id, { color: e.target.value }));
       });
 
+      // Once a property has keyframes, edits key it at the playhead instead of changing the static value.
+      const keyAtPlayhead = (property, value) => {
+        const current = editor.state.getState();
+        const liveClip = current.clips.find(item => item.id === clip.id);
+        if (!liveClip || !hasKeyframes(liveClip, property)) return false;
+        const time = Math.max(0, Math.min(liveClip.duration, current.playhead - liveClip.start));
+        editor.state.dispatch(actions.setClipKeyframe(clip.id, property, { time, value }));
+        return true;
+      };
+
+      const transformBindings = [
+        [`${idPrefix}-transform-x`, 'x'],
+        [`${idPrefix}-transform-y`, 'y'],
+        [`${idPrefix}-transform-scale`, 'scale'],
+        [`${idPrefix}-transform-rotation`, 'rotation'],
+      ];
+
+      transformBindings.forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isNaN(value)) return;
+          if (keyAtPlayhead(`transform.${key}`, value)) return;
+          editor.state.dispatch(actions.updateClipTransform(clip.id, { [key]: value }));
+        });
+      });
+
+      const transformResetBtn = document.getElementById(`${idPrefix}-transform-reset`);
+      if (transformResetBtn) {
+        transformResetBtn.addEventListener('click', () => {
+          editor.state.dispatch(actions.clearClipTransform(clip.id));
+          this.render(editor.state.getState());
+        });
+      }
+
+      ['top', 'right', 'bottom', 'left'].forEach((key) => {
+        const input = document.getElementById(`${idPrefix}-crop-${key}`);
+        if (!input) return;
+        input.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isNaN(value)) return;
+          editor.state.dispatch(actions.updateClipCrop(clip.id, { [key]: value }));
+        });
+      });
+
+      const cropResetBtn = document.getElementById(`${idPrefix}-crop-reset`);
+      if (cropResetBtn) {
+        cropResetBtn.addEventListener('click', () => {
+          editor.state.dispatch(actions.clearClipCrop(clip.id));
+          this.render(editor.state.getState());
+        });
+      }
+
+      const opacityInput = document.getElementById(`${idPrefix}-opacity`);
+      if (opacityInput) {
+        opacityInput.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isNaN(value)) return;
+          editor.state.dispatch(actions.setClipOpacity(clip.id, value));
+        });
+      }
+
+      const blendModeInput = document.getElementById(`${idPrefix}-blend-mode`);
+      if (blendModeInput) {
+        blendModeInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.setClipBlendMode(clip.id, e.target.value));
+        });
+      }
+
+      const keyTypeInput = document.getElementById(`${idPrefix}-key-type`);
+      if (keyTypeInput) {
+        keyTypeInput.addEventListener('change', (e) => {
+          const type = e.target.value;
+          editor.state.dispatch(type
+            ? actions.setClipChromaKey(clip.id, { type })
+            : actions.clearClipChromaKey(clip.id));
+          this.render(editor.state.getState());
+        });
+      }
+
+      const keyColorInput = document.getElementById(`${idPrefix}-key-color`);
+      if (keyColorInput) {
+        keyColorInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.setClipChromaKey(clip.id, { color: e.target.value }));
+        });
+      }
+
+      const keyPickBtn = document.getElementById(`${idPrefix}-key-pick`);
+      if (keyPickBtn) {
+        keyPickBtn.addEventListener('click', () => {
+          editor.previewGizmo.startColorPick((color) => {
+            editor.state.dispatch(actions.setClipChromaKey(clip.id, { color }));
+            this.render(editor.state.getState());
+          });
+        });
+      }
+
+      [['similarity', `${idPrefix}-key-similarity`], ['blend', `${idPrefix}-key-blend`]].forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isNaN(value)) return;
+          editor.state.dispatch(actions.setClipChromaKey(clip.id, { [key]: value }));
+        });
+      });
+
+      const transitionTypeInput = document.getElementById(`${idPrefix}-transition-type`);
+      if (transitionTypeInput) {
+        transitionTypeInput.addEventListener('change', (e) => {
+          const type = e.target.value;
+          editor.state.dispatch(type
+            ? actions.setClipTransition(clip.id, { type })
+            : actions.clearClipTransition(clip.id));
+          this.render(editor.state.getState());
+        });
+      }
+
+      const transitionDurationInput = document.getElementById(`${idPrefix}-transition-duration`);
+      if (transitionDurationInput) {
+        transitionDurationInput.addEventListener('change', (e) => {
+          const seconds = parseFloat(e.target.value);
+          if (!Number.isFinite(seconds)) return;
+          editor.state.dispatch(actions.setClipTransition(clip.id, { duration: seconds * 1000 }));
+          this.render(editor.state.getState());
+        });
+      }
+
       const videoBindings = [
         [`${idPrefix}-brightness`, 'brightness'],
         [`${idPrefix}-contrast`, 'contrast'],
@@ -1137,6 +2215,7 @@ export class PropertiesPanel {
         input.addEventListener('input', (e) => {
           const value = parseFloat(e.target.value);
           if (Number.isNaN(value)) return;
+          if (keyAtPlayhead(`video.${key}`, value)) return;
           editor.state.dispatch(actions.updateClipVideoFilters(clip.id, { [key]: value }));
         });
       });
@@ -1198,6 +2277,20 @@ export class PropertiesPanel {
         });
       }
 
+      const fitInput = document.getElementById(`${idPrefix}-fit`);
+      if (fitInput) {
+        fitInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateClipVideoFilters(clip.id, { fit: e.target.value }));
+        });
+      }
+
+      const pitchModeInput = document.getElementById(`${idPrefix}-pitch-mode`);
+      if (pitchModeInput) {
+        pitchModeInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateClipAudioFilters(clip.id, { pitchMode: e.target.value }));
+        });
+      }
+
       const audioResetBtn = document.getElementById(`${idPrefix}-audio-reset`);
       if (audioResetBtn) {
         audioResetBtn.addEventListener('click', () => {
@@ -1206,6 +2299,250 @@ export class PropertiesPanel {
           this.render(editor.state.getState());
         });
       }
+
+      const getStaticValue = (liveClip, property) => {
+        const [section, key] = property.split('.');
+        if (section === 'transform') return resolveClipTransform(liveClip)[key];
+        if (section === 'video') return editor.resolveVideoFilters(liveClip, defaultFilters)[key];
+        return editor.resolveClipVolume(liveClip, defaultFilters);
+      };
+
+      const keyframePropertyInput = document.getElementById(`${idPrefix}-keyframe-property`);
+      if (keyframePropertyInput) {
+        keyframePropertyInput.addEventListener('change', (e) => {
+          this.keyframeProperty = e.target.value;
+          this.render(editor.state.getState());
+        });
+      }
+
+      const freezeAudioInput = document.getElementById(`${idPrefix}-freeze-audio`);
+      if (freezeAudioInput) {
+        freezeAudioInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateClip(clip.id, { freezeFrame: { audio: e.target.value } }));
+        });
+      }
+      const freezeDurationInput = document.getElementById(`${idPrefix}-freeze-duration`);
+      if (freezeDurationInput) {
+        freezeDurationInput.addEventListener('change', (e) => {
+          const seconds = parseFloat(e.target.value);
+          if (!Number.isFinite(seconds) || seconds <= 0) return;
+          editor.state.dispatch(actions.updateFreezeFrameDefaults({ duration: seconds * 1000 }));
+        });
+      }
+      const freezeDefaultAudioInput = document.getElementById(`${idPrefix}-freeze-default-audio`);
+      if (freezeDefaultAudioInput) {
+        freezeDefaultAudioInput.addEventListener('change', (e) => {
+          editor.state.dispatch(actions.updateFreezeFrameDefaults({ audio: e.target.value }));
+        });
+      }
+      const freezeInsertBtn = document.getElementById(`${idPrefix}-freeze-insert`);
+      if (freezeInsertBtn) {
+        freezeInsertBtn.addEventListener('click', () => editor.keyboard.freezeFrame());
+      }
+
+      // Stutter settings are remembered for the session so the same stutter can be repeated on other clips.
+      [
+        [`${idPrefix}-stutter-length`, value => ({ length: Math.max(MIN_STUTTER_LENGTH, value) })],
+        [`${idPrefix}-stutter-repeats`, value => ({ repeats: Math.max(1, Math.min(MAX_STUTTER_REPEATS, Math.round(value))) })],
+        [`${idPrefix}-stutter-step`, value => (this.stutterOptions.ramp === 'speed'
+          ? { speedStep: value > 0 ? value : DEFAULT_STUTTER_OPTIONS.speedStep }
+          : { pitchStep: value })],
+      ].forEach(([id, toOptions]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('change', (e) => {
+          const value = parseFloat(e.target.value);
+          if (!Number.isFinite(value)) return;
+          Object.assign(this.stutterOptions, toOptions(value));
+        });
+      });
+      const stutterPingPongInput = document.getElementById(`${idPrefix}-stutter-pingpong`);
+      if (stutterPingPongInput) {
+        stutterPingPongInput.addEventListener('change', (e) => {
+          this.stutterOptions.pingPong = e.target.checked;
+        });
+      }
+      const stutterRampInput = document.getElementById(`${idPrefix}-stutter-ramp`);
+      if (stutterRampInput) {
+        stutterRampInput.addEventListener('change', (e) => {
+          this.stutterOptions.ramp = e.target.value;
+          this.render(editor.state.getState());
+        });
+      }
+      const stutterApplyBtn = document.getElementById(`${idPrefix}-stutter-apply`);
+      if (stutterApplyBtn) {
+        stutterApplyBtn.addEventListener('click', () => {
+          const current = editor.state.getState();
+          const liveClip = current.clips.find(item => item.id === clip.id);
+          if (!liveClip) return;
+          const track = current.tracks.find(item => item.id === liveClip.trackId);
+          if (track && track.locked) return;
+          const offset = current.playhead - liveClip.start;
+          const sliceStart = offset > 0 && offset < liveClip.duration ? offset : 0;
+          editor.state.dispatch(actions.stutterClip(clip.id, sliceStart, { ...this.stutterOptions }));
+        });
+      }
+
+      // Both racks share markup, so they bind the same way with their own attribute prefix and actions.
+      const effectRacks = [
+        {
+          kind: 'audio',
+          add: actions.addClipAudioEffect,
+          update: actions.updateClipAudioEffect,
+          move: actions.moveClipAudioEffect,
+          remove: actions.removeClipAudioEffect,
+        },
+        {
+          kind: 'video',
+          add: actions.addClipVideoEffect,
+          update: actions.updateClipVideoEffect,
+          move: actions.moveClipVideoEffect,
+          remove: actions.removeClipVideoEffect,
+        },
+      ];
+      effectRacks.forEach((rack) => {
+        const addBtn = document.getElementById(`${idPrefix}-${rack.kind}-effect-add`);
+        if (addBtn) {
+          addBtn.addEventListener('click', () => {
+            const typeInput = document.getElementById(`${idPrefix}-${rack.kind}-effect-type`);
+            if (!typeInput) return;
+            editor.state.dispatch(rack.add(clip.id, typeInput.value));
+          });
+        }
+        propertiesContent.querySelectorAll(`[data-${rack.kind}-effect-id]`).forEach((group) => {
+          const effectId = group.getAttribute(`data-${rack.kind}-effect-id`);
+          const enabledInput = group.querySelector(`[data-${rack.kind}-effect-enabled]`);
+          if (enabledInput) {
+            enabledInput.addEventListener('change', (e) => {
+              editor.state.dispatch(rack.update(clip.id, effectId, { enabled: e.target.checked }));
+            });
+          }
+          group.querySelectorAll(`[data-${rack.kind}-effect-param]`).forEach((input) => {
+            const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, (e) => {
+              const value = parseFloat(e.target.value);
+              if (Number.isNaN(value)) return;
+              editor.state.dispatch(rack.update(clip.id, effectId, {
+                params: { [input.getAttribute(`data-${rack.kind}-effect-param`)]: value },
+              }));
+            });
+          });
+          group.querySelectorAll(`[data-${rack.kind}-effect-move]`).forEach((button) => {
+            button.addEventListener('click', () => {
+              const offset = Number(button.getAttribute(`data-${rack.kind}-effect-move`));
+              editor.state.dispatch(rack.move(clip.id, effectId, offset));
+            });
+          });
+          const removeBtn = group.querySelector(`[data-${rack.kind}-effect-remove]`);
+          if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+              editor.state.dispatch(rack.remove(clip.id, effectId));
+            });
+          }
+        });
+      });
+
+      // Ramp edits send the whole curve so the action can re-sort it and keep both ends.
+      const liveRampPoints = () => {
+        const liveClip = editor.state.getState().clips.find(item => item.id === clip.id);
+        return liveClip && hasSpeedRamp(liveClip) ? liveClip.speedRamp.map(point => ({ ...point })) : [];
+      };
+      const speedPointAddBtn = document.getElementById(`${idPrefix}-speed-point-add`);
+      if (speedPointAddBtn) {
+        speedPointAddBtn.addEventListener('click', () => {
+          const current = editor.state.getState();
+          const liveClip = current.clips.find(item => item.id === clip.id);
+          if (!liveClip || liveClip.duration <= 0) return;
+          const playhead = Math.max(liveClip.start, Math.min(liveClip.start + liveClip.duration, current.playhead));
+          const point = { position: (playhead - liveClip.start) / liveClip.duration, speed: getClipSpeedAt(liveClip, playhead) };
+          const points = hasSpeedRamp(liveClip)
+            ? [...liveRampPoints(), point]
+            : [{ position: 0, speed: point.speed }, point, { position: 1, speed: point.speed }];
+          editor.state.dispatch(actions.setClipSpeedRamp(clip.id, points));
+        });
+      }
+      const speedRampClearBtn = document.getElementById(`${idPrefix}-speed-ramp-clear`);
+      if (speedRampClearBtn) {
+        speedRampClearBtn.addEventListener('click', () => {
+          editor.state.dispatch(actions.setClipSpeedRamp(clip.id, null));
+        });
+      }
+      propertiesContent.querySelectorAll('[data-speed-point-index]').forEach((row) => {
+        const index = Number(row.dataset.speedPointIndex);
+        row.querySelectorAll('[data-speed-point-field]').forEach((input) => {
+          const field = input.dataset.speedPointField;
+          input.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (Number.isNaN(value)) return;
+            const points = liveRampPoints();
+            if (!points[index]) return;
+            points[index][field] = field === 'position' ? value / 100 : value;
+            editor.state.dispatch(actions.setClipSpeedRamp(clip.id, points));
+          });
+        });
+        const removeBtn = row.querySelector('[data-speed-point-remove]');
+        if (removeBtn) {
+          removeBtn.addEventListener('click', () => {
+            const points = liveRampPoints();
+            points.splice(index, 1);
+            editor.state.dispatch(actions.setClipSpeedRamp(clip.id, points));
+          });
+        }
+      });
+
+      const keyframeAddBtn = document.getElementById(`${idPrefix}-keyframe-add`);
+      if (keyframeAddBtn) {
+        keyframeAddBtn.addEventListener('click', () => {
+          const current = editor.state.getState();
+          const liveClip = current.clips.find(item => item.id === clip.id);
+          if (!liveClip) return;
+          const property = this.keyframeProperty;
+          const playhead = Math.max(liveClip.start, Math.min(liveClip.start + liveClip.duration, current.playhead));
+          const value = getAnimatedValue(liveClip, property, playhead, getStaticValue(liveClip, property));
+          editor.state.dispatch(actions.setClipKeyframe(clip.id, property, {
+            time: playhead - liveClip.start,
+            value,
+          }));
+          this.render(editor.state.getState());
+        });
+      }
+
+      const keyframeClearBtn = document.getElementById(`${idPrefix}-keyframe-clear`);
+      if (keyframeClearBtn) {
+        keyframeClearBtn.addEventListener('click', () => {
+          editor.state.dispatch(actions.clearClipKeyframes(clip.id, this.keyframeProperty));
+          this.render(editor.state.getState());
+        });
+      }
+
+      propertiesContent.querySelectorAll('[data-keyframe-index]').forEach((row) => {
+        const index = Number(row.dataset.keyframeIndex);
+        const property = this.keyframeProperty;
+        row.querySelectorAll('[data-keyframe-field]').forEach((input) => {
+          const field = input.dataset.keyframeField;
+          // Time edits can reorder the list, so they apply on change rather than per keystroke.
+          input.addEventListener(field === 'value' ? 'input' : 'change', (e) => {
+            if (field === 'easing') {
+              editor.state.dispatch(actions.updateClipKeyframe(clip.id, property, index, { easing: e.target.value }));
+              return;
+            }
+            const value = parseFloat(e.target.value);
+            if (Number.isNaN(value)) return;
+            const updates = field === 'time' ? { time: Math.max(0, value * 1000) } : { value };
+            editor.state.dispatch(actions.updateClipKeyframe(clip.id, property, index, updates));
+            if (field === 'time') {
+              this.render(editor.state.getState());
+            }
+          });
+        });
+        const removeBtn = row.querySelector('[data-keyframe-remove]');
+        if (removeBtn) {
+          removeBtn.addEventListener('click', () => {
+            editor.state.dispatch(actions.removeClipKeyframe(clip.id, property, index));
+            this.render(editor.state.getState());
+          });
+        }
+      });
     }
 
     const transcriptLoadBtn = document.getElementById(`${idPrefix}-transcript-load`);
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Audio effect rack helpers
+ * A clip's effects are stored as entered; these read them back with known types only,
+ * bypassed effects dropped and every parameter filled in and kept within its range.
+ */
+
+import { AUDIO_EFFECT_TYPES } from '../core/constants.js';
+
+/**
+ * Look up an audio effect type by id
+ * @param {string} type
+ * @returns {typeof AUDIO_EFFECT_TYPES[number]|null}
+ */
+export function getAudioEffectType(type) {
+  return AUDIO_EFFECT_TYPES.find(item => item.id === type) || null;
+}
+
+/**
+ * Get an effect's parameters with defaults for missing values and out-of-range ones clamped
+ * @param {import('../core/types.js').ClipAudioEffect} effect
+ * @returns {Object<string, number>}
+ */
+export function resolveAudioEffectParams(effect) {
+  const effectType = getAudioEffectType(effect.type);
+  const params = {};
+  if (!effectType) return params;
+  effectType.params.forEach((param) => {
+    const value = Number(effect.params ? effect.params[param.key] : undefined);
+    params[param.key] = Number.isFinite(value)
+      ? Math.max(param.min, Math.min(param.max, value))
+      : param.default;
+  });
+  return params;
+}
+
+/**
+ * Get the effects a clip's audio runs through, in order
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {Array<{type: string, params: Object<string, number>}>}
+ */
+export function getActiveAudioEffects(clip) {
+  if (!clip || !Array.isArray(clip.audioEffects)) return [];
+  return clip.audioEffects
+    .filter(effect => effect && effect.enabled !== false && getAudioEffectType(effect.type))
+    .map(effect => ({ type: effect.type, params: resolveAudioEffectParams(effect) }));
+}
@@ -2,15 +2,209 @@
  * @fileoverview Clip timing helpers
  */
 
+import { DEFAULT_CLIP_LOOPS, MAX_CLIP_LOOPS } from '../core/constants.js';
+
+/**
+ * Check whether a clip holds one source frame (at trimStart) for its whole length
+ * @param {import('../core/types.js').Clip|null|undefined} clip
+ * @returns {boolean}
+ */
+export function isFreezeFrameClip(clip) {
+  return Boolean(clip && clip.freezeFrame);
+}
+
+/**
+ * Get how a clip plays its source window. Reverse is still stored as `reversed`.
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {import('../core/types.js').ClipPlayMode}
+ */
+export function getClipPlayMode(clip) {
+  if (clip.playMode === 'pingpong' || clip.playMode === 'loop') return clip.playMode;
+  return clip.reversed ? 'reverse' : 'forward';
+}
+
+/**
+ * Get how many times a clip plays its source window: twice for ping-pong, n times for loop(n)
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {number}
+ */
+export function getClipPassCount(clip) {
+  const mode = getClipPlayMode(clip);
+  if (mode === 'pingpong') return 2;
+  if (mode !== 'loop') return 1;
+  const loops = Math.round(Number(clip.loopCount));
+  return Number.isFinite(loops) && loops >= 1 ? Math.min(MAX_CLIP_LOOPS, loops) : DEFAULT_CLIP_LOOPS;
+}
+
+/**
+ * Check whether a clip is playing its source backwards at a timeline time
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} timelineMs
+ * @returns {boolean}
+ */
+export function isClipPlayingBackward(clip, timelineMs) {
+  const mode = getClipPlayMode(clip);
+  if (mode === 'reverse') return true;
+  if (mode !== 'pingpong' || isFreezeFrameClip(clip)) return false;
+  return timelineMs - clip.start >= clip.duration / 2;
+}
+
 /**
- * Get source range for a clip in milliseconds
+ * Check whether a clip's speed follows a ramp rather than one multiplier.
+ * A ramp is a list of points from position 0 to 1 across the clip, with speed changing linearly
+ * between them; the clip's `speed` is kept at the ramp's average.
+ * @param {import('../core/types.js').Clip|null|undefined} clip
+ * @returns {boolean}
+ */
+export function hasSpeedRamp(clip) {
+  return Boolean(clip && Array.isArray(clip.speedRamp) && clip.speedRamp.length >= 2);
+}
+
+/**
+ * Get the average speed of a ramp, weighting each stretch by its share of the clip
+ * @param {import('../core/types.js').ClipSpeedPoint[]} points
+ * @returns {number}
+ */
+export function getSpeedRampAverage(points) {
+  let total = 0;
+  for (let index = 1; index < points.length; index += 1) {
+    const previous = points[index - 1];
+    const point = points[index];
+    total += (point.position - previous.position) * (previous.speed + point.speed) / 2;
+  }
+  return total;
+}
+
+/**
+ * Split a clip's ramp into timeline pieces of linearly changing speed.
+ * Piece times are ms from the clip start; sourceStart is the source already played before the piece.
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {Array<{start: number, end: number, startSpeed: number, endSpeed: number, sourceStart: number, sourceLength: number}>}
+ */
+export function getSpeedRampPieces(clip) {
+  const points = clip.speedRamp;
+  const pieces = [];
+  let sourceStart = 0;
+  for (let index = 1; index < points.length; index += 1) {
+    const start = points[index - 1].position * clip.duration;
+    const end = points[index].position * clip.duration;
+    if (end <= start) continue;
+    const startSpeed = points[index - 1].speed;
+    const endSpeed = points[index].speed;
+    const sourceLength = (end - start) * (startSpeed + endSpeed) / 2;
+    pieces.push({ start, end, startSpeed, endSpeed, sourceStart, sourceLength });
+    sourceStart += sourceLength;
+  }
+  return pieces;
+}
+
+/**
+ * Get a clip's speed at a timeline time, following its ramp when it has one
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} timelineMs
+ * @returns {number}
+ */
+export function getClipSpeedAt(clip, timelineMs) {
+  if (!hasSpeedRamp(clip)) return clip.speed || 1;
+  const points = clip.speedRamp;
+  const position = clip.duration > 0 ? (timelineMs - clip.start) / clip.duration : 0;
+  if (position <= points[0].position) return points[0].speed;
+  for (let index = 1; index < points.length; index += 1) {
+    const point = points[index];
+    if (position <= point.position) {
+      const previous = points[index - 1];
+      const span = point.position - previous.position;
+      return span > 0
+        ? previous.speed + (point.speed - previous.speed) * (position - previous.position) / span
+        : point.speed;
+    }
+  }
+  return points[points.length - 1].speed;
+}
+
+/**
+ * Get the ramp points covering part of a ramped clip, re-based to run from 0 to 1 over that part
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} fromMs - ms from clip start
+ * @param {number} toMs - ms from clip start
+ * @returns {import('../core/types.js').ClipSpeedPoint[]}
+ */
+export function sliceSpeedRamp(clip, fromMs, toMs) {
+  const length = toMs - fromMs;
+  const points = [{ position: 0, speed: getClipSpeedAt(clip, clip.start + fromMs) }];
+  clip.speedRamp.forEach((point) => {
+    const time = point.position * clip.duration;
+    if (time > fromMs && time < toMs) {
+      points.push({ position: (time - fromMs) / length, speed: point.speed });
+    }
+  });
+  points.push({ position: 1, speed: getClipSpeedAt(clip, clip.start + toMs) });
+  return points;
+}
+
+/**
+ * Get how much source a ramped clip has played by a clip time, integrating its speed.
+ * Times outside the clip carry on at the edge speeds, as a transition's overhang plays them.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} clipOffsetMs - ms from clip start
+ * @returns {number} Source ms from the clip's in-point
+ */
+export function getRampSourceOffset(clip, clipOffsetMs) {
+  const pieces = getSpeedRampPieces(clip);
+  if (pieces.length === 0) return clipOffsetMs * (clip.speed || 1);
+  if (clipOffsetMs <= pieces[0].start) {
+    return (clipOffsetMs - pieces[0].start) * pieces[0].startSpeed;
+  }
+  for (const piece of pieces) {
+    if (clipOffsetMs <= piece.end) {
+      const elapsed = clipOffsetMs - piece.start;
+      const slope = (piece.endSpeed - piece.startSpeed) / (piece.end - piece.start);
+      return piece.sourceStart + piece.startSpeed * elapsed + slope * elapsed * elapsed / 2;
+    }
+  }
+  const last = pieces[pieces.length - 1];
+  return last.sourceStart + last.sourceLength + (clipOffsetMs - last.end) * last.endSpeed;
+}
+
+/**
+ * Get the clip time at which a ramped clip has played a given amount of source
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} sourceOffsetMs - Source ms from the clip's in-point
+ * @returns {number} ms from clip start
+ */
+export function getRampClipOffset(clip, sourceOffsetMs) {
+  const pieces = getSpeedRampPieces(clip);
+  if (pieces.length === 0) return sourceOffsetMs / (clip.speed || 1);
+  if (sourceOffsetMs <= 0) return pieces[0].start + sourceOffsetMs / pieces[0].startSpeed;
+  for (const piece of pieces) {
+    const played = sourceOffsetMs - piece.sourceStart;
+    if (played <= piece.sourceLength) {
+      // Solves startSpeed*t + slope*t^2/2 = played in the form that stays stable as slope -> 0.
+      const slope = (piece.endSpeed - piece.startSpeed) / (piece.end - piece.start);
+      const root = Math.sqrt(Math.max(0, piece.startSpeed * piece.startSpeed + 2 * slope * played));
+      return piece.start + 2 * played / (piece.startSpeed + root);
+    }
+  }
+  const last = pieces[pieces.length - 1];
+  return last.end + (sourceOffsetMs - last.sourceStart - last.sourceLength) / last.endSpeed;
+}
+
+/**
+ * Get source range for a clip in milliseconds.
+ * A freeze frame covers no source time, so its range is empty; ping-pong and looped clips
+ * cover their window once however many times they play it.
  * @param {import('../core/types.js').Clip} clip
  * @returns {{start: number, end: number, speed: number, sourceLength: number}}
  */
 export function getClipSourceRange(clip) {
-  const speed = clip.speed || 1;
   const trimStart = clip.trimStart || 0;
-  const sourceLength = clip.duration * speed;
+  if (isFreezeFrameClip(clip)) {
+    return { start: trimStart, end: trimStart, speed: 1, sourceLength: 0 };
+  }
+  const speed = clip.speed || 1;
+  const sourceLength = hasSpeedRamp(clip)
+    ? getRampSourceOffset(clip, clip.duration)
+    : clip.duration * speed / getClipPassCount(clip);
   return {
     start: trimStart,
     end: trimStart + sourceLength,
@@ -27,11 +221,18 @@ export function getClipSourceRange(clip) {
  * @returns {number}
  */
 export function mapSourceTimeToClipTime(clip, sourceMs, range) {
+  if (isFreezeFrameClip(clip)) return clip.start;
   const trimStart = range.start;
   const speed = range.speed;
   const sourceLength = range.sourceLength;
   let offset;
-  if (clip.reversed) {
+  if (getClipPassCount(clip) > 1) {
+    // The first pass of a ping-pong or loop clip always plays forward.
+    offset = (sourceMs - trimStart) / speed;
+  } else if (hasSpeedRamp(clip)) {
+    const sourceOffset = clip.reversed ? sourceLength - (sourceMs - trimStart) : sourceMs - trimStart;
+    offset = getRampClipOffset(clip, sourceOffset);
+  } else if (clip.reversed) {
     offset = (sourceLength - (sourceMs - trimStart)) / speed;
   } else {
     offset = (sourceMs - trimStart) / speed;
@@ -42,26 +243,89 @@ export function mapSourceTimeToClipTime(clip, sourceMs, range) {
   return Math.min(clipEnd, Math.max(clipStart, time));
 }
 
+/**
+ * Map a source time to clip timeline time in every pass of the clip.
+ * Ping-pong and loop clips play their window more than once, so a source time shows up once per
+ * pass; the backward half of a ping-pong plays it mirrored.
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} sourceMs
+ * @param {{start: number, end: number, speed: number, sourceLength: number}} range
+ * @returns {number[]} One time per pass, in pass order
+ */
+export function mapSourceTimeToClipTimes(clip, sourceMs, range) {
+  const passes = getClipPassCount(clip);
+  if (passes === 1 || isFreezeFrameClip(clip)) return [mapSourceTimeToClipTime(clip, sourceMs, range)];
+  const passDuration = clip.duration / passes;
+  const offset = (sourceMs - range.start) / range.speed;
+  const isPingPong = getClipPlayMode(clip) === 'pingpong';
+  const clipEnd = clip.start + clip.duration;
+  return Array.from({ length: passes }, (_, pass) => {
+    const backward = isPingPong && pass % 2 === 1;
+    const time = clip.start + pass * passDuration + (backward ? passDuration - offset : offset);
+    return Math.min(clipEnd, Math.max(clip.start, time));
+  });
+}
+
 /**
  * Map a clip timeline time to a source time
  * @param {import('../core/types.js').Clip} clip
  * @param {number} timelineMs
+ * @param {{allowOverhang?: boolean}} [options] - allowOverhang maps times outside the clip onto
+ *  the source beyond its trim points, as a transition plays them
  * @returns {number}
  */
-export function mapClipTimeToSourceTime(clip, timelineMs) {
+export function mapClipTimeToSourceTime(clip, timelineMs, options = {}) {
+  if (isFreezeFrameClip(clip)) return clip.trimStart || 0;
   const clipStart = clip.start;
   const clipEnd = clip.start + clip.duration;
-  const clamped = Math.min(clipEnd, Math.max(clipStart, timelineMs));
+  const allowOverhang = options.allowOverhang === true;
+  const clamped = allowOverhang ? timelineMs : Math.min(clipEnd, Math.max(clipStart, timelineMs));
   const clipOffset = clamped - clipStart;
   const trimStart = clip.trimStart || 0;
   const speed = clip.speed || 1;
-  const sourceLength = clip.duration * speed;
+  const passes = getClipPassCount(clip);
+  if (passes > 1) {
+    // Multi-pass clips hold their first and last frames through a transition's overhang.
+    const windowLength = clip.duration * speed / passes;
+    if (windowLength <= 0) return trimStart;
+    const played = Math.max(0, Math.min(clip.duration, clipOffset)) * speed;
+    const pass = Math.min(passes - 1, Math.floor(played / windowLength));
+    const offset = played - pass * windowLength;
+    const backward = getClipPlayMode(clip) === 'pingpong' && pass % 2 === 1;
+    return trimStart + (backward ? windowLength - offset : offset);
+  }
+  const ramped = hasSpeedRamp(clip);
+  const sourceLength = ramped ? getRampSourceOffset(clip, clip.duration) : clip.duration * speed;
+  const played = ramped ? getRampSourceOffset(clip, clipOffset) : clipOffset * speed;
   let sourceOffset;
   if (clip.reversed) {
-    sourceOffset = sourceLength - clipOffset * speed;
+    sourceOffset = sourceLength - played;
   } else {
-    sourceOffset = clipOffset * speed;
+    sourceOffset = played;
+  }
+  if (allowOverhang) {
+    return Math.max(0, trimStart + sourceOffset);
   }
   sourceOffset = Math.max(0, Math.min(sourceLength, sourceOffset));
   return trimStart + sourceOffset;
 }
+
+/**
+ * Get the clip-relative fade gain at a timeline time
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} timelineMs
+ * @param {number} fadeInSec
+ * @param {number} fadeOutSec
+ * @returns {number} 0..1
+ */
+export function getClipFadeGain(clip, timelineMs, fadeInSec, fadeOutSec) {
+  const offsetMs = Math.max(0, Math.min(clip.duration, timelineMs - clip.start));
+  let gain = 1;
+  if (fadeInSec > 0) {
+    gain = Math.min(gain, offsetMs / (fadeInSec * 1000));
+  }
+  if (fadeOutSec > 0) {
+    gain = Math.min(gain, (clip.duration - offsetMs) / (fadeOutSec * 1000));
+  }
+  return Math.max(0, Math.min(1, gain));
+}
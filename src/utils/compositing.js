@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Chroma key and blend mode helpers
+ * Shared by the properties panel, the preview and the FFmpeg export so all three read a clip's
+ * key and blend mode the same way. The key distances follow FFmpeg's chromakey and colorkey filters.
+ */
+
+import {
+  BLEND_MODES,
+  CHROMA_KEY_TYPES,
+  DEFAULT_CHROMA_KEY,
+  MAX_KEY_BLEND,
+  MAX_KEY_SIMILARITY,
+  MIN_KEY_SIMILARITY,
+} from '../core/constants.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Resolve a clip's chroma key with defaults and sane bounds
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {import('../core/types.js').ClipChromaKey|null} null when the clip is not keyed
+ */
+export function resolveClipChromaKey(clip) {
+  if (!clip || !clip.chromaKey) return null;
+  const key = { ...DEFAULT_CHROMA_KEY, ...clip.chromaKey };
+  const similarity = Number(key.similarity);
+  const blend = Number(key.blend);
+  return {
+    type: CHROMA_KEY_TYPES.some(type => type.id === key.type) ? key.type : DEFAULT_CHROMA_KEY.type,
+    color: HEX_COLOR.test(key.color) ? key.color.toLowerCase() : DEFAULT_CHROMA_KEY.color,
+    similarity: Number.isFinite(similarity)
+      ? Math.max(MIN_KEY_SIMILARITY, Math.min(MAX_KEY_SIMILARITY, similarity))
+      : DEFAULT_CHROMA_KEY.similarity,
+    blend: Number.isFinite(blend) ? Math.max(0, Math.min(MAX_KEY_BLEND, blend)) : DEFAULT_CHROMA_KEY.blend,
+  };
+}
+
+/**
+ * Get a clip's blend mode, normal for missing or unknown ids
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {typeof BLEND_MODES[number]}
+ */
+export function getClipBlendMode(clip) {
+  const id = clip && clip.blendMode;
+  return BLEND_MODES.find(mode => mode.id === id) || BLEND_MODES[0];
+}
+
+/**
+ * Split a #rrggbb color into channels
+ * @param {string} color
+ * @returns {[number, number, number]}
+ */
+export function parseHexColor(color) {
+  const value = parseInt(color.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Convert RGB to the BT.601 chroma pair chromakey compares
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {[number, number]}
+ */
+function toChroma(r, g, b) {
+  return [
+    -0.168736 * r - 0.331264 * g + 0.5 * b + 128,
+    0.5 * r - 0.418688 * g - 0.081312 * b + 128,
+  ];
+}
+
+/**
+ * Create a function that gives a pixel's alpha under a key, as the export's filter would
+ * @param {import('../core/types.js').ClipChromaKey} key - Resolved
+ * @returns {(r: number, g: number, b: number) => number} Alpha, 0 (keyed out) to 1
+ */
+export function createKeyAlpha(key) {
+  const [keyR, keyG, keyB] = parseHexColor(key.color);
+  const [keyU, keyV] = toChroma(keyR, keyG, keyB);
+  const toAlpha = (distance) => {
+    if (key.blend > 0.0001) return Math.max(0, Math.min(1, (distance - key.similarity) / key.blend));
+    return distance > key.similarity ? 1 : 0;
+  };
+  if (key.type === 'colorkey') {
+    return (r, g, b) => toAlpha(Math.sqrt(
+      ((r - keyR) ** 2 + (g - keyG) ** 2 + (b - keyB) ** 2) / (255 * 255 * 3)
+    ));
+  }
+  return (r, g, b) => {
+    const [u, v] = toChroma(r, g, b);
+    return toAlpha(Math.sqrt(((u - keyU) ** 2 + (v - keyV) ** 2) / (255 * 255 * 2)));
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Browser download helpers
+ */
+
+/**
+ * Save text content as a file through a temporary download link
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the click has been handled so back-to-back downloads all start.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
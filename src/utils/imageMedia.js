@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Image media helpers
+ * Stills have no length of their own: a clip holds the picture for as long as it lasts.
+ * Animated GIFs keep their own loop length and repeat to fill the clip.
+ */
+
+import { DEFAULT_STILL_DURATION, MAX_STILL_DURATION, MIN_STILL_DURATION } from '../core/constants.js';
+
+// GIF frame delays under 2 centiseconds are played back at 10 by browsers and ffmpeg alike.
+const MIN_GIF_FRAME_DELAY_CS = 2;
+const DEFAULT_GIF_FRAME_DELAY_CS = 10;
+
+/**
+ * Check whether a media item is an image rather than a video or audio file
+ * @param {import('../core/types.js').Media|null|undefined} media
+ * @returns {boolean}
+ */
+export function isImageMedia(media) {
+  return Boolean(media && media.type && media.type.startsWith('image/'));
+}
+
+/**
+ * Check whether a media item is a still image, with no frames or length of its own
+ * @param {import('../core/types.js').Media|null|undefined} media
+ * @returns {boolean}
+ */
+export function isStillMedia(media) {
+  return isImageMedia(media) && media.animated !== true;
+}
+
+/**
+ * Get the project's still image duration with sane bounds
+ * @param {import('../core/types.js').EditorState} state
+ * @returns {number} Duration (ms)
+ */
+export function getStillDuration(state) {
+  const duration = Number(state && state.stillDuration);
+  return Number.isFinite(duration) && duration > 0
+    ? Math.max(MIN_STILL_DURATION, Math.min(MAX_STILL_DURATION, duration))
+    : DEFAULT_STILL_DURATION;
+}
+
+/**
+ * Get the length a new clip of this media starts with.
+ * Animated GIFs get whole loops, at least the still duration long, so the clip ends on its last frame.
+ * @param {import('../core/types.js').Media} media
+ * @param {import('../core/types.js').EditorState} state
+ * @returns {number} Duration (ms)
+ */
+export function getMediaClipDuration(media, state) {
+  if (!isImageMedia(media)) return media.duration;
+  if (isStillMedia(media) || !(media.duration > 0)) return getStillDuration(state);
+  return Math.max(1, Math.ceil(getStillDuration(state) / media.duration)) * media.duration;
+}
+
+/**
+ * Skip a run of GIF data sub-blocks
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Offset of the first sub-block size byte
+ * @returns {number} Offset after the block terminator
+ */
+function skipGifSubBlocks(bytes, offset) {
+  let position = offset;
+  while (position < bytes.length && bytes[position] !== 0) {
+    position += bytes[position] + 1;
+  }
+  return position + 1;
+}
+
+/**
+ * Read the frame count and one loop's length from a GIF file
+ * @param {ArrayBuffer} buffer
+ * @returns {{frameCount: number, durationMs: number}|null} null when the data is not a GIF
+ */
+export function readGifTiming(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') return null;
+
+  let position = 13;
+  const screenFlags = bytes[10];
+  if (screenFlags & 0x80) position += 3 * (2 ** ((screenFlags & 0x07) + 1));
+
+  let frameCount = 0;
+  let durationCs = 0;
+  let pendingDelay = null;
+  while (position < bytes.length) {
+    const blockType = bytes[position];
+    if (blockType === 0x3b) break;
+    if (blockType === 0x21) {
+      const label = bytes[position + 1];
+      if (label === 0xf9 && bytes[position + 2] >= 4) {
+        pendingDelay = bytes[position + 4] | (bytes[position + 5] << 8);
+      }
+      position = skipGifSubBlocks(bytes, position + 2);
+    } else if (blockType === 0x2c) {
+      const imageFlags = bytes[position + 9];
+      position += 10;
+      if (imageFlags & 0x80) position += 3 * (2 ** ((imageFlags & 0x07) + 1));
+      position = skipGifSubBlocks(bytes, position + 1);
+      frameCount += 1;
+      durationCs += pendingDelay !== null && pendingDelay >= MIN_GIF_FRAME_DELAY_CS
+        ? pendingDelay
+        : DEFAULT_GIF_FRAME_DELAY_CS;
+      pendingDelay = null;
+    } else {
+      break;
+    }
+  }
+  return { frameCount, durationMs: durationCs * 10 };
+}
@@ -5,7 +5,11 @@
 
 import { SHORTCUTS, JUMP_INTERVAL, MIN_ZOOM, MAX_ZOOM, ZOOM_STEP, MIN_CLIP_SPEED, MAX_CLIP_SPEED } from '../core/constants.js';
 import * as actions from '../core/actions.js';
+import { getClipPassCount, isFreezeFrameClip } from './clipTiming.js';
 import { createId } from './id.js';
+import { isStillMedia } from './imageMedia.js';
+import { getSequenceFps } from './sequence.js';
+import { isTextClip } from './text.js';
 
 const CLIPBOARD_MIME = 'application/x-ytp-editor-clips';
 
@@ -15,9 +19,11 @@ const CLIPBOARD_MIME = 'application/x-ytp-editor-clips';
 export class KeyboardManager {
   /**
    * @param {import('../core/state.js').StateManager} stateManager
+   * @param {{notify?: function(string): void}} [options] - notify explains a shortcut that cannot run
    */
-  constructor(stateManager) {
+  constructor(stateManager, options = {}) {
     this.state = stateManager;
+    this.notify = options.notify || (() => {});
     this.enabled = true;
 
     /** @type {Map<string, function(): void>} */
@@ -46,6 +52,7 @@ export class KeyboardManager {
 
     // Editing
     this.register(SHORTCUTS.SPLIT, () => this.splitClip());
+    this.register(SHORTCUTS.FREEZE_FRAME, () => this.freezeFrame());
     this.register(SHORTCUTS.DELETE, () => this.deleteClip());
     this.register(SHORTCUTS.DELETE_BACKSPACE, () => this.deleteClip());
 
@@ -169,8 +176,7 @@ export class KeyboardManager {
    * @returns {number}
    */
   getProjectFps() {
-    const fps = Number(this.state.getState().exportSettings?.fps);
-    return Number.isFinite(fps) && fps > 0 ? fps : 30;
+    return getSequenceFps(this.state.getState());
   }
 
   /**
@@ -248,6 +254,10 @@ export class KeyboardManager {
     const mediaDuration = media && Number.isFinite(media.duration) && media.duration > 0
       ? media.duration
       : null;
+    // A ping-pong or looped clip plays its window several times, so an edge moves its source end
+    // by a fraction of the nudge.
+    const passes = getClipPassCount(clip);
+    const sourceEnd = trimStart + clip.duration * speed / passes;
     const minDuration = Math.min(clip.duration, 100, 1000 / this.getProjectFps());
     let delta = direction * (1000 / this.getProjectFps());
 
@@ -255,30 +265,33 @@ export class KeyboardManager {
       delta = Math.max(delta, -clipStart);
       delta = Math.min(delta, clip.duration - minDuration);
 
-      if (!clip.reversed) {
+      // Text clips, stills and freeze frames have no source, so their left edge can extend freely.
+      const hasSource = !isTextClip(clip) && !isStillMedia(media) && !isFreezeFrameClip(clip);
+      const movesInPoint = hasSource && !clip.reversed && passes === 1;
+      if (movesInPoint) {
         delta = Math.max(delta, -trimStart / speed);
-      } else if (delta < 0 && mediaDuration !== null) {
-        const sourceEnd = trimStart + clip.duration * speed;
+      } else if (delta < 0 && mediaDuration !== null && hasSource) {
         const availableSource = Math.max(0, mediaDuration - sourceEnd);
-        delta = Math.max(delta, -availableSource / speed);
+        delta = Math.max(delta, -availableSource * passes / speed);
       }
 
       if (Math.abs(delta) < 1e-7) return;
       this.state.dispatch(actions.updateClip(clip.id, {
         start: clip.start + delta,
         duration: clip.duration - delta,
-        trimStart: clip.reversed ? trimStart : trimStart + delta * speed,
+        trimStart: movesInPoint ? trimStart + delta * speed : trimStart,
       }));
       return;
     }
 
     delta = Math.max(delta, minDuration - clip.duration);
-    if (clip.reversed) {
+    if (isFreezeFrameClip(clip)) {
+      // A held frame can run as long as needed.
+    } else if (clip.reversed) {
       delta = Math.min(delta, trimStart / speed);
     } else if (delta > 0 && mediaDuration !== null) {
-      const sourceEnd = trimStart + clip.duration * speed;
       const availableSource = Math.max(0, mediaDuration - sourceEnd);
-      delta = Math.min(delta, availableSource / speed);
+      delta = Math.min(delta, availableSource * passes / speed);
     }
 
     if (Math.abs(delta) < 1e-7) return;
@@ -302,13 +315,46 @@ export class KeyboardManager {
       : null;
     const playhead = state.playhead;
 
-    if (selectedClip && !(selectedTrack && selectedTrack.locked) && playhead >= selectedClip.start &&
+    if (selectedClip && !(selectedTrack && selectedTrack.locked) &&
+        playhead >= selectedClip.start &&
         playhead < selectedClip.start + selectedClip.duration) {
+      // Ping-pong and looped clips replay one window, so they have no single source point to cut at.
+      if (getClipPassCount(selectedClip) > 1) {
+        this.notify('Switch the play mode to Forward or Reverse to split this clip');
+        return;
+      }
       const splitPoint = playhead - selectedClip.start;
       this.state.dispatch(actions.splitClip(selectedClip.id, splitPoint));
     }
   }
 
+  /**
+   * Split the selected clip at the playhead and hold the frame there, using the project's
+   * freeze frame length and audio.
+   */
+  freezeFrame() {
+    const state = this.state.getState();
+    const clip = state.clips.find(c => c.id === state.selectedClipId);
+    if (!clip || isTextClip(clip)) return;
+    const track = state.tracks.find(item => item.id === clip.trackId);
+    const media = state.mediaLibrary.find(item => item.id === clip.mediaId);
+    if ((track && track.locked) || isStillMedia(media)) return;
+    const playhead = state.playhead;
+    if (playhead < clip.start || playhead >= clip.start + clip.duration) return;
+    if (getClipPassCount(clip) > 1) {
+      this.notify('Switch the play mode to Forward or Reverse to freeze a frame');
+      return;
+    }
+
+    const defaults = state.freezeFrameDefaults || {};
+    this.state.dispatch(actions.insertFreezeFrame(
+      clip.id,
+      playhead - clip.start,
+      defaults.duration,
+      defaults.audio
+    ));
+  }
+
   deleteClip() {
     const state = this.state.getState();
     const selectedIds = Array.isArray(state.selectedClipIds) ? state.selectedClipIds : [];
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Keyframe evaluation helpers
+ * Keyframe times are milliseconds from the clip start, so a curve moves with its clip.
+ */
+
+import { KEYFRAME_PROPERTIES } from '../core/constants.js';
+
+/**
+ * Look up the definition of a keyframable property
+ * @param {string} property
+ * @returns {{id: string, label: string, min: number, max: number, step: number}|null}
+ */
+export function getKeyframeProperty(property) {
+  return KEYFRAME_PROPERTIES.find(item => item.id === property) || null;
+}
+
+/**
+ * Get the keyframes of one property, sorted by time
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} property
+ * @returns {import('../core/types.js').Keyframe[]}
+ */
+export function getKeyframes(clip, property) {
+  const list = clip && clip.keyframes ? clip.keyframes[property] : null;
+  if (!Array.isArray(list) || list.length === 0) return [];
+  return list.slice().sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Check whether a property is animated
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} property
+ * @returns {boolean}
+ */
+export function hasKeyframes(clip, property) {
+  return getKeyframes(clip, property).length > 0;
+}
+
+/**
+ * Check whether any property in a section (or any at all) is animated
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} [section] - 'transform', 'video' or 'audio'
+ * @returns {boolean}
+ */
+export function hasAnyKeyframes(clip, section) {
+  if (!clip || !clip.keyframes) return false;
+  return Object.keys(clip.keyframes).some(property => (
+    (!section || property.startsWith(`${section}.`)) && hasKeyframes(clip, property)
+  ));
+}
+
+/**
+ * Apply the easing of a keyframe to a 0..1 progress value
+ * @param {number} progress
+ * @param {import('../core/types.js').KeyframeEasing} [easing]
+ * @returns {number}
+ */
+export function applyKeyframeEasing(progress, easing) {
+  if (easing === 'ease') {
+    return progress * progress * (3 - 2 * progress);
+  }
+  return progress;
+}
+
+/**
+ * Evaluate a keyframe curve. Values hold before the first and after the last keyframe.
+ * @param {import('../core/types.js').Keyframe[]} keyframes - sorted by time
+ * @param {number} timeMs - ms from clip start
+ * @returns {number|null}
+ */
+export function evaluateKeyframes(keyframes, timeMs) {
+  if (!Array.isArray(keyframes) || keyframes.length === 0) return null;
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (timeMs <= first.time) return first.value;
+  if (timeMs >= last.time) return last.value;
+  for (let i = 0; i < keyframes.length - 1; i += 1) {
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    if (timeMs < to.time) {
+      const span = to.time - from.time;
+      const progress = span > 0 ? (timeMs - from.time) / span : 1;
+      return from.value + (to.value - from.value) * applyKeyframeEasing(progress, from.easing);
+    }
+  }
+  return last.value;
+}
+
+/**
+ * Resolve a property at a timeline time, falling back to its static value
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} property
+ * @param {number} timelineMs
+ * @param {number} fallback
+ * @returns {number}
+ */
+export function getAnimatedValue(clip, property, timelineMs, fallback) {
+  const value = evaluateKeyframes(getKeyframes(clip, property), timelineMs - clip.start);
+  return value === null ? fallback : value;
+}
+
+/**
+ * Overlay animated values of one section onto resolved static values
+ * @template {Object} T
+ * @param {import('../core/types.js').Clip} clip
+ * @param {string} section - 'transform', 'video' or 'audio'
+ * @param {T} values
+ * @param {number} timelineMs
+ * @returns {T}
+ */
+export function applySectionKeyframes(clip, section, values, timelineMs) {
+  if (!hasAnyKeyframes(clip, section)) return values;
+  const result = { ...values };
+  Object.keys(clip.keyframes).forEach((property) => {
+    if (!property.startsWith(`${section}.`)) return;
+    const key = property.slice(section.length + 1);
+    result[key] = getAnimatedValue(clip, property, timelineMs, result[key]);
+  });
+  return result;
+}
+
+/**
+ * Move every keyframe of a clip by a time offset
+ * @param {Object<string, import('../core/types.js').Keyframe[]>|undefined} keyframes
+ * @param {number} deltaMs
+ * @returns {Object<string, import('../core/types.js').Keyframe[]>|undefined}
+ */
+export function shiftKeyframes(keyframes, deltaMs) {
+  if (!keyframes) return keyframes;
+  const shifted = {};
+  Object.keys(keyframes).forEach((property) => {
+    shifted[property] = keyframes[property].map(keyframe => ({
+      ...keyframe,
+      time: keyframe.time + deltaMs,
+    }));
+  });
+  return shifted;
+}
+
+/**
+ * Check whether the next clip continues the previous clip's curves, as after a split
+ * @param {import('../core/types.js').Clip} prevClip
+ * @param {import('../core/types.js').Clip} nextClip
+ * @returns {boolean}
+ */
+export function areKeyframesContinuous(prevClip, nextClip) {
+  const hasPrev = hasAnyKeyframes(prevClip);
+  const hasNext = hasAnyKeyframes(nextClip);
+  if (!hasPrev && !hasNext) return true;
+  if (hasPrev !== hasNext) return false;
+  const properties = new Set([
+    ...Object.keys(prevClip.keyframes),
+    ...Object.keys(nextClip.keyframes),
+  ]);
+  return Array.from(properties).every((property) => {
+    const prev = getKeyframes(prevClip, property);
+    const next = getKeyframes(nextClip, property);
+    if (prev.length !== next.length) return false;
+    return prev.every((keyframe, index) => (
+      Math.abs(keyframe.time - prevClip.duration - next[index].time) <= 0.5
+      && keyframe.value === next[index].value
+      && (keyframe.easing || 'linear') === (next[index].easing || 'linear')
+    ));
+  });
+}
+
+/**
+ * Get the distinct keyframe times of a clip, for timeline markers
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {number[]}
+ */
+export function getKeyframeTimes(clip) {
+  if (!clip || !clip.keyframes) return [];
+  const times = new Set();
+  Object.keys(clip.keyframes).forEach((property) => {
+    getKeyframes(clip, property).forEach(keyframe => times.add(keyframe.time));
+  });
+  return Array.from(times).sort((a, b) => a - b);
+}
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Pitch helpers
+ * A clip's pitch offset and speed reach its audio in one of three ways, shared by preview and export:
+ * resample moves pitch and formants together, rubberband moves pitch alone, and tape lets speed
+ * move pitch as well.
+ */
+
+import { PITCH_MODES } from '../core/constants.js';
+
+/**
+ * Get the pitch mode from resolved audio filters, falling back to resample for older projects
+ * @param {import('../core/types.js').ClipAudioFilters} filters
+ * @returns {import('../core/types.js').PitchMode}
+ */
+export function getPitchMode(filters) {
+  const mode = filters && filters.pitchMode;
+  return PITCH_MODES.some(item => item.id === mode) ? mode : PITCH_MODES[0].id;
+}
+
+/**
+ * Get the frequency ratio for a pitch offset
+ * @param {number} semitones
+ * @returns {number}
+ */
+export function getPitchRatio(semitones) {
+  return Math.pow(2, (semitones || 0) / 12);
+}
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Project sequence helpers
+ * The sequence is the project's canvas. Its size places every clip, its frame rate sets frame
+ * stepping and snapping, and its background shows wherever no clip covers the frame. Preview and
+ * export both read it from here; the export may then rescale the finished frame.
+ */
+
+import {
+  DEFAULT_SEQUENCE_SETTINGS,
+  MAX_SEQUENCE_FPS,
+  MAX_SEQUENCE_SIZE,
+  MIN_SEQUENCE_SIZE,
+  SEQUENCE_ASPECTS,
+} from '../core/constants.js';
+import { isImageMedia } from './imageMedia.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+// Projects from before sequence settings were sized from their media, with 720p as the floor.
+const LEGACY_MIN_WIDTH = 1280;
+const LEGACY_MIN_HEIGHT = 720;
+
+/**
+ * Round a frame dimension to an even size in range, since yuv420p output needs even dimensions
+ * @param {any} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toSequenceSize(value, fallback) {
+  const size = Math.round(Number(value));
+  if (!Number.isFinite(size) || size <= 0) return fallback;
+  return Math.max(MIN_SEQUENCE_SIZE, Math.min(MAX_SEQUENCE_SIZE, size - (size % 2)));
+}
+
+/**
+ * Work out the sequence an older project rendered at: the export's explicit size and rate, or the
+ * largest video media in use
+ * @param {import('../core/types.js').EditorState} state
+ * @returns {import('../core/types.js').SequenceSettings}
+ */
+function getLegacySequence(state) {
+  const exportSettings = state.exportSettings || {};
+  const resolution = exportSettings.resolution;
+  let width = LEGACY_MIN_WIDTH;
+  let height = LEGACY_MIN_HEIGHT;
+  if (resolution && resolution !== 'auto' && resolution.width && resolution.height) {
+    width = resolution.width;
+    height = resolution.height;
+  } else {
+    const mediaLibrary = state.mediaLibrary || [];
+    (state.clips || []).forEach((clip) => {
+      const media = mediaLibrary.find(m => m.id === clip.mediaId);
+      // Pop-up images are fitted into the frame, so a large photo does not set the size.
+      if (media && media.width && media.height && !isImageMedia(media)) {
+        width = Math.max(width, media.width);
+        height = Math.max(height, media.height);
+      }
+    });
+  }
+  const fps = Number(exportSettings.fps);
+  return {
+    width,
+    height,
+    fps: fps > 0 ? fps : DEFAULT_SEQUENCE_SETTINGS.fps,
+    background: DEFAULT_SEQUENCE_SETTINGS.background,
+  };
+}
+
+/**
+ * Resolve the project's sequence settings with defaults and sane bounds
+ * @param {import('../core/types.js').EditorState} state
+ * @returns {import('../core/types.js').SequenceSettings}
+ */
+export function resolveSequenceSettings(state) {
+  const sequence = state && state.sequence
+    ? { ...DEFAULT_SEQUENCE_SETTINGS, ...state.sequence }
+    : getLegacySequence(state || {});
+  const fps = Number(sequence.fps);
+  return {
+    width: toSequenceSize(sequence.width, DEFAULT_SEQUENCE_SETTINGS.width),
+    height: toSequenceSize(sequence.height, DEFAULT_SEQUENCE_SETTINGS.height),
+    fps: Number.isFinite(fps) && fps > 0 ? Math.min(MAX_SEQUENCE_FPS, fps) : DEFAULT_SEQUENCE_SETTINGS.fps,
+    background: HEX_COLOR.test(sequence.background)
+      ? sequence.background.toLowerCase()
+      : DEFAULT_SEQUENCE_SETTINGS.background,
+  };
+}
+
+/**
+ * Get the project frame rate
+ * @param {import('../core/types.js').EditorState} state
+ * @returns {number}
+ */
+export function getSequenceFps(state) {
+  return resolveSequenceSettings(state).fps;
+}
+
+/**
+ * Get the aspect preset a sequence size matches
+ * @param {{width: number, height: number}} size
+ * @returns {string} A SEQUENCE_ASPECTS id, or 'custom'
+ */
+export function getSequenceAspect(size) {
+  const ratio = size.width / size.height;
+  const aspect = SEQUENCE_ASPECTS.find(item => Math.abs(ratio - item.width / item.height) < 0.01);
+  return aspect ? aspect.id : 'custom';
+}
+
+/**
+ * Get the size an aspect preset gives, keeping the sequence's short side
+ * @param {string} aspectId
+ * @param {{width: number, height: number}} size - Current sequence size
+ * @returns {{width: number, height: number}}
+ */
+export function getAspectSize(aspectId, size) {
+  const aspect = SEQUENCE_ASPECTS.find(item => item.id === aspectId);
+  if (!aspect) return { width: size.width, height: size.height };
+  const shortSide = Math.min(size.width, size.height);
+  const longSide = shortSide * Math.max(aspect.width, aspect.height) / Math.min(aspect.width, aspect.height);
+  const isWide = aspect.width >= aspect.height;
+  return {
+    width: toSequenceSize(isWide ? longSide : shortSide, size.width),
+    height: toSequenceSize(isWide ? shortSide : longSide, size.height),
+  };
+}
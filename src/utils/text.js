@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Text clip helpers
+ * Shared by the preview canvas and the FFmpeg drawtext export so both read text clips the same way.
+ */
+
+import {
+  DEFAULT_CLIP_TEXT,
+  MAX_TEXT_OUTLINE,
+  MAX_TEXT_SIZE,
+  MIN_TEXT_SIZE,
+} from '../core/constants.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const TEXT_LINE_HEIGHT = 1.2;
+
+/**
+ * Check whether a clip is a synthetic text clip rather than a media clip
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {boolean}
+ */
+export function isTextClip(clip) {
+  return Boolean(clip) && clip.type === 'text';
+}
+
+/**
+ * Resolve a text clip's style with defaults and sane bounds
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {import('../core/types.js').ClipText}
+ */
+export function resolveClipText(clip) {
+  const text = { ...DEFAULT_CLIP_TEXT, ...((clip && clip.text) || {}) };
+  const size = Number(text.size);
+  const outlineWidth = Number(text.outlineWidth);
+  return {
+    content: typeof text.content === 'string' ? text.content : DEFAULT_CLIP_TEXT.content,
+    font: text.font || DEFAULT_CLIP_TEXT.font,
+    size: Number.isFinite(size)
+      ? Math.max(MIN_TEXT_SIZE, Math.min(MAX_TEXT_SIZE, Math.round(size)))
+      : DEFAULT_CLIP_TEXT.size,
+    color: HEX_COLOR.test(text.color) ? text.color : DEFAULT_CLIP_TEXT.color,
+    outlineColor: HEX_COLOR.test(text.outlineColor) ? text.outlineColor : DEFAULT_CLIP_TEXT.outlineColor,
+    outlineWidth: Number.isFinite(outlineWidth)
+      ? Math.max(0, Math.min(MAX_TEXT_OUTLINE, outlineWidth))
+      : DEFAULT_CLIP_TEXT.outlineWidth,
+  };
+}
+
+/**
+ * Split text content into the lines drawtext will draw
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function getTextLines(content) {
+  return String(content || '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Get a short timeline label for a text clip
+ * @param {string} content
+ * @returns {string}
+ */
+export function getTextClipName(content) {
+  const firstLine = getTextLines(content).find(line => line.trim()) || 'Text';
+  const trimmed = firstLine.trim();
+  return trimmed.length > 24 ? `${trimmed.slice(0, 23)}…` : trimmed;
+}
+
+/**
+ * Lay out a text clip in output pixels. Lines are centered and stacked at a fixed line height
+ * so the preview and the per-line drawtext filters place every line the same way.
+ * @param {import('../core/types.js').ClipText} text - Resolved text style
+ * @param {import('../core/types.js').ClipTransform} transform - Resolved clip transform
+ * @returns {{lines: string[], fontSize: number, lineHeight: number, outlineWidth: number, blockHeight: number}}
+ */
+export function getTextLayout(text, transform) {
+  const lines = getTextLines(text.content);
+  const fontSize = Math.max(1, Math.round(text.size * transform.scale));
+  const lineHeight = Math.round(fontSize * TEXT_LINE_HEIGHT);
+  return {
+    lines,
+    fontSize,
+    lineHeight,
+    outlineWidth: Math.round(text.outlineWidth * transform.scale * 100) / 100,
+    blockHeight: lineHeight * lines.length,
+  };
+}
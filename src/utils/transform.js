@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Clip transform and frame geometry helpers
+ * Shared by the preview canvas and the FFmpeg export so both place clips identically.
+ */
+
+import {
+  DEFAULT_CLIP_TRANSFORM,
+  FIT_MODES,
+  MIN_CLIP_SCALE,
+  MAX_CLIP_SCALE,
+  MIN_CROP_SIZE,
+} from '../core/constants.js';
+import { applySectionKeyframes } from './keyframes.js';
+
+/**
+ * Resolve a clip transform with defaults and sane bounds
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {import('../core/types.js').ClipTransform}
+ */
+export function resolveClipTransform(clip) {
+  const transform = { ...DEFAULT_CLIP_TRANSFORM, ...((clip && clip.transform) || {}) };
+  const x = Number(transform.x);
+  const y = Number(transform.y);
+  const scale = Number(transform.scale);
+  const rotation = Number(transform.rotation);
+  return {
+    x: Number.isFinite(x) ? x : 0,
+    y: Number.isFinite(y) ? y : 0,
+    scale: Number.isFinite(scale)
+      ? Math.max(MIN_CLIP_SCALE, Math.min(MAX_CLIP_SCALE, scale))
+      : 1,
+    rotation: Number.isFinite(rotation) ? rotation : 0,
+  };
+}
+
+/**
+ * Resolve a clip transform at a timeline time, including keyframed values
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} timelineMs
+ * @returns {import('../core/types.js').ClipTransform}
+ */
+export function getAnimatedTransform(clip, timelineMs) {
+  const transform = applySectionKeyframes(clip, 'transform', resolveClipTransform(clip), timelineMs);
+  return {
+    ...transform,
+    scale: Math.max(MIN_CLIP_SCALE, Math.min(MAX_CLIP_SCALE, transform.scale)),
+  };
+}
+
+/**
+ * Resolve a clip's crop as whole source pixels
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} [sourceWidth] - When the source size is known, the crop leaves at least MIN_CROP_SIZE
+ * @param {number} [sourceHeight]
+ * @returns {import('../core/types.js').ClipCrop|null} null when nothing is cropped
+ */
+export function resolveClipCrop(clip, sourceWidth, sourceHeight) {
+  if (!clip || !clip.crop) return null;
+  const side = (key) => {
+    const value = Number(clip.crop[key]);
+    return Number.isFinite(value) ? Math.max(0, Math.round(value)) : 0;
+  };
+  const crop = { top: side('top'), right: side('right'), bottom: side('bottom'), left: side('left') };
+  // Trim the far side first, so dragging one edge never moves the other.
+  if (sourceWidth > 0) {
+    crop.left = Math.min(crop.left, Math.max(0, sourceWidth - MIN_CROP_SIZE));
+    crop.right = Math.min(crop.right, Math.max(0, sourceWidth - MIN_CROP_SIZE - crop.left));
+  }
+  if (sourceHeight > 0) {
+    crop.top = Math.min(crop.top, Math.max(0, sourceHeight - MIN_CROP_SIZE));
+    crop.bottom = Math.min(crop.bottom, Math.max(0, sourceHeight - MIN_CROP_SIZE - crop.top));
+  }
+  const isEmpty = crop.top === 0 && crop.right === 0 && crop.bottom === 0 && crop.left === 0;
+  return isEmpty ? null : crop;
+}
+
+/**
+ * Get the size a source has after its clip's crop
+ * @param {import('../core/types.js').Clip} clip
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @returns {{width: number, height: number}}
+ */
+export function getCroppedSize(clip, sourceWidth, sourceHeight) {
+  const crop = resolveClipCrop(clip, sourceWidth, sourceHeight);
+  if (!crop) return { width: sourceWidth, height: sourceHeight };
+  return {
+    width: sourceWidth - crop.left - crop.right,
+    height: sourceHeight - crop.top - crop.bottom,
+  };
+}
+
+/**
+ * Get a clip's opacity, 0 to 1
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {number}
+ */
+export function getClipOpacity(clip) {
+  const opacity = Number(clip && clip.opacity);
+  return clip && clip.opacity !== undefined && Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1;
+}
+
+/**
+ * Check whether a transform leaves the clip letterboxed in place
+ * @param {import('../core/types.js').ClipTransform} transform
+ * @returns {boolean}
+ */
+export function isIdentityTransform(transform) {
+  return (
+    transform.x === DEFAULT_CLIP_TRANSFORM.x &&
+    transform.y === DEFAULT_CLIP_TRANSFORM.y &&
+    transform.scale === DEFAULT_CLIP_TRANSFORM.scale &&
+    transform.rotation % 360 === DEFAULT_CLIP_TRANSFORM.rotation
+  );
+}
+
+/**
+ * Get the fit mode from resolved video filters, falling back to letterbox for older projects
+ * @param {import('../core/types.js').ClipVideoFilters} filters
+ * @returns {import('../core/types.js').FitMode}
+ */
+export function getFitMode(filters) {
+  const mode = filters && filters.fit;
+  return FIT_MODES.some(item => item.id === mode) ? mode : FIT_MODES[0].id;
+}
+
+/**
+ * Get the size a source takes up inside a frame.
+ * letterbox and blur keep the aspect ratio and fit the whole source; fill and stretch take the
+ * whole frame, fill by cropping the source (see getFillCrop).
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {import('../core/types.js').FitMode} [fit]
+ * @returns {{width: number, height: number}}
+ */
+export function getFitSize(sourceWidth, sourceHeight, frameWidth, frameHeight, fit = 'letterbox') {
+  if (!(sourceWidth > 0) || !(sourceHeight > 0) || fit === 'fill' || fit === 'stretch') {
+    return { width: frameWidth, height: frameHeight };
+  }
+  const ratio = Math.min(frameWidth / sourceWidth, frameHeight / sourceHeight);
+  return { width: sourceWidth * ratio, height: sourceHeight * ratio };
+}
+
+/**
+ * Get the centered part of a source that covers a box of another shape, as fill mode keeps it
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {number} boxWidth
+ * @param {number} boxHeight
+ * @returns {{x: number, y: number, width: number, height: number}} In source pixels
+ */
+export function getFillCrop(sourceWidth, sourceHeight, boxWidth, boxHeight) {
+  const ratio = Math.max(boxWidth / sourceWidth, boxHeight / sourceHeight);
+  const width = Math.min(sourceWidth, boxWidth / ratio);
+  const height = Math.min(sourceHeight, boxHeight / ratio);
+  return { x: (sourceWidth - width) / 2, y: (sourceHeight - height) / 2, width, height };
+}
+
+/**
+ * Place the output frame inside a canvas, letterboxed and centered
+ * @param {number} outputWidth
+ * @param {number} outputHeight
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @returns {{x: number, y: number, width: number, height: number, scale: number}}
+ */
+export function getFrameRect(outputWidth, outputHeight, canvasWidth, canvasHeight) {
+  const size = getFitSize(outputWidth, outputHeight, canvasWidth, canvasHeight);
+  return {
+    x: (canvasWidth - size.width) / 2,
+    y: (canvasHeight - size.height) / 2,
+    width: size.width,
+    height: size.height,
+    scale: outputWidth > 0 ? size.width / outputWidth : 1,
+  };
+}
+
+/**
+ * Get the centered, transformed box of a clip inside a frame rect
+ * @param {{x: number, y: number, width: number, height: number, scale: number}} frame
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {import('../core/types.js').ClipTransform} transform
+ * @param {import('../core/types.js').FitMode} [fitMode]
+ * @returns {{cx: number, cy: number, width: number, height: number, rotation: number}}
+ */
+export function getLayerRect(frame, sourceWidth, sourceHeight, transform, fitMode) {
+  const fit = getFitSize(sourceWidth, sourceHeight, frame.width, frame.height, fitMode);
+  return {
+    cx: frame.x + frame.width / 2 + transform.x * frame.scale,
+    cy: frame.y + frame.height / 2 + transform.y * frame.scale,
+    width: fit.width * transform.scale,
+    height: fit.height * transform.scale,
+    rotation: transform.rotation,
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Transitions between abutting clips on the same track
+ * Shared by the timeline, the preview and the FFmpeg export so all three agree on where a
+ * transition runs. A transition is centered on the cut: the outgoing clip plays on past its
+ * end and the incoming clip starts early, each by half the transition length.
+ */
+
+import { MIN_TRANSITION_DURATION, TRANSITION_TYPES } from '../core/constants.js';
+import { isTextClip } from './text.js';
+
+const ADJACENT_EPSILON_MS = 0.5;
+
+/**
+ * @typedef {Object} ResolvedTransition
+ * @property {string} id - Id of the outgoing clip
+ * @property {import('../core/types.js').TransitionType} type
+ * @property {string} xfade - FFmpeg xfade transition name
+ * @property {import('../core/types.js').Clip} fromClip
+ * @property {import('../core/types.js').Clip} toClip
+ * @property {number} cut - Timeline time of the cut (ms)
+ * @property {number} start - Timeline time the transition starts (ms)
+ * @property {number} end - Timeline time the transition ends (ms)
+ */
+
+/**
+ * Look up a transition type definition
+ * @param {string} id
+ * @returns {{id: string, label: string, xfade: string}}
+ */
+export function getTransitionType(id) {
+  return TRANSITION_TYPES.find(type => type.id === id) || TRANSITION_TYPES[0];
+}
+
+/**
+ * Find the clip that starts where a clip ends on the same track
+ * @param {import('../core/types.js').Clip[]} clips
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {import('../core/types.js').Clip|null}
+ */
+export function getNextAbuttingClip(clips, clip) {
+  const end = clip.start + clip.duration;
+  return clips.find(other => (
+    other.id !== clip.id &&
+    !isTextClip(other) &&
+    other.trackId === clip.trackId &&
+    Math.abs(other.start - end) <= ADJACENT_EPSILON_MS
+  )) || null;
+}
+
+/**
+ * Resolve every transition that has a clip to transition into.
+ * Each side can give at most half its length, so short clips shorten the transition.
+ * @param {import('../core/types.js').Clip[]} clips
+ * @returns {ResolvedTransition[]}
+ */
+export function getTransitions(clips) {
+  const transitions = [];
+  clips.forEach((clip) => {
+    if (!clip.transitionOut || isTextClip(clip)) return;
+    const next = getNextAbuttingClip(clips, clip);
+    if (!next) return;
+    const half = Math.min(
+      (Number(clip.transitionOut.duration) || 0) / 2,
+      clip.duration / 2,
+      next.duration / 2
+    );
+    if (!(half * 2 >= MIN_TRANSITION_DURATION)) return;
+    const cut = clip.start + clip.duration;
+    const type = getTransitionType(clip.transitionOut.type);
+    transitions.push({
+      id: clip.id,
+      type: /** @type {import('../core/types.js').TransitionType} */ (type.id),
+      xfade: type.xfade,
+      fromClip: clip,
+      toClip: next,
+      cut,
+      start: cut - half,
+      end: cut + half,
+    });
+  });
+  return transitions;
+}
+
+/**
+ * Get the timeline window a clip is visible/audible in, including transition overlap
+ * @param {import('../core/types.js').Clip} clip
+ * @param {ResolvedTransition[]} transitions
+ * @returns {{start: number, end: number}}
+ */
+export function getClipPlayWindow(clip, transitions) {
+  let start = clip.start;
+  let end = clip.start + clip.duration;
+  transitions.forEach((transition) => {
+    if (transition.fromClip.id === clip.id) end = Math.max(end, transition.end);
+    if (transition.toClip.id === clip.id) start = Math.min(start, transition.start);
+  });
+  return { start, end };
+}
+
+/**
+ * Find the transition a clip is part of at a timeline time
+ * @param {ResolvedTransition[]} transitions
+ * @param {string} clipId
+ * @param {number} timelineMs
+ * @returns {{transition: ResolvedTransition, role: 'from'|'to', progress: number}|null}
+ */
+export function getActiveTransition(transitions, clipId, timelineMs) {
+  for (const transition of transitions) {
+    if (timelineMs < transition.start || timelineMs >= transition.end) continue;
+    const progress = (timelineMs - transition.start) / (transition.end - transition.start);
+    if (transition.fromClip.id === clipId) return { transition, role: 'from', progress };
+    if (transition.toClip.id === clipId) return { transition, role: 'to', progress };
+  }
+  return null;
+}
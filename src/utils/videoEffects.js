@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Video effect rack helpers
+ * A clip's effects are stored as entered; these read them back with known types only,
+ * bypassed effects dropped and every parameter filled in and kept to its range or options.
+ */
+
+import { VIDEO_EFFECT_TYPES } from '../core/constants.js';
+
+/**
+ * Look up a video effect type by id
+ * @param {string} type
+ * @returns {typeof VIDEO_EFFECT_TYPES[number]|null}
+ */
+export function getVideoEffectType(type) {
+  return VIDEO_EFFECT_TYPES.find(item => item.id === type) || null;
+}
+
+/**
+ * Get an effect's parameters with defaults for missing or unknown values and out-of-range ones clamped
+ * @param {import('../core/types.js').ClipVideoEffect} effect
+ * @returns {Object<string, number>}
+ */
+export function resolveVideoEffectParams(effect) {
+  const effectType = getVideoEffectType(effect.type);
+  const params = {};
+  if (!effectType) return params;
+  effectType.params.forEach((param) => {
+    const value = Number(effect.params ? effect.params[param.key] : undefined);
+    if (param.options) {
+      params[param.key] = param.options.some(option => option.value === value) ? value : param.default;
+    } else {
+      params[param.key] = Number.isFinite(value)
+        ? Math.max(param.min, Math.min(param.max, value))
+        : param.default;
+    }
+  });
+  return params;
+}
+
+/**
+ * Get the effects a clip's picture runs through, in order
+ * @param {import('../core/types.js').Clip} clip
+ * @returns {Array<{type: string, params: Object<string, number>}>}
+ */
+export function getActiveVideoEffects(clip) {
+  if (!clip || !Array.isArray(clip.videoEffects)) return [];
+  return clip.videoEffects
+    .filter(effect => effect && effect.enabled !== false && getVideoEffectType(effect.type))
+    .map(effect => ({ type: effect.type, params: resolveVideoEffectParams(effect) }));
+}
+
+/**
+ * Get the pseudo-random value a glitch band takes for one step of time, in 0..1.
+ * The export evaluates the same hash in a geq expression, so preview and export pick the same bands.
+ * @param {number} band - Band index from the top
+ * @param {number} step - Time step index
+ * @returns {number}
+ */
+export function getGlitchNoise(band, step) {
+  const value = Math.sin(band * 12.9898 + step * 78.233) * 43758.5453;
+  return value - Math.floor(value);
+}